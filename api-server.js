@@ -14,16 +14,35 @@ import fs from 'fs';
 import { createClient } from '@supabase/supabase-js';
 
 // Import AI services
-import { AudioProcessor } from './dist/services/audio-processor.js';
-import { FactChecker } from './dist/services/fact-checker.js';
-import { YouTubeProcessor } from './dist/services/youtube-processor.js';
-import { RetryHandler, CircuitBreaker } from './dist/services/retry-handler.js';
-import { CostTracker } from './dist/services/cost-tracker.js';
-import { validateAIConfig } from './dist/lib/ai-config.js';
+import { AudioProcessor } from './services/audio-processor.js';
+import { FactChecker } from './services/fact-checker.js';
+import { YouTubeProcessor } from './services/youtube-processor.js';
+import { RetryHandler, CircuitBreaker } from './services/retry-handler.js';
+import { CostTracker } from './services/cost-tracker.js';
+import { validateAIConfig } from './lib/ai-config.js';
+import { llm, promptRegistry } from './services/llm/index.js';
+import { installFetchReplay, replayOptionsFromEnv } from './services/replay/fetch-replay.js';
+import { httpCache, createCacheStore } from './services/claim-extraction/http-cache.js';
+import { verificationQueue } from './services/claim-extraction/verification-queue.js';
+import { rateLimiter } from './services/claim-extraction/rate-limiter.js';
+import { Reverifier } from './services/claim-extraction/reverification.js';
+import { ClaimResultStore } from './services/claim-extraction/claim-results.js';
+import { localizer } from './services/claim-extraction/localizer.js';
+import { liveStitcher } from './services/claim-extraction/live-stitcher.js';
+import { LiveSessions } from './services/claim-extraction/live-sessions.js';
+import { LiveStreamProcessor } from './services/claim-extraction/live-stream.js';
+import { toClaimPayload } from './services/claim-extraction/job-events.js';
+import { formatSeconds } from './services/claim-extraction/captions.js';
+import { fetchFeed } from './services/claim-extraction/podcast-feed.js';
+import { podcastEpisodeId } from './services/claim-extraction/sources.js';
+import { ChannelPoller } from './services/claim-extraction/channel-poller.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Record/replay outbound HTTP + LLM calls (LUMOS_REPLAY_MODE=record|replay)
+installFetchReplay(replayOptionsFromEnv());
+
 const app = express();
 const upload = multer({ storage: multer.memoryStorage() });
 
@@ -45,6 +64,13 @@ try {
   youtubeProcessor = new YouTubeProcessor(audioProcessor, factChecker, costTracker);
   whisperCircuitBreaker = new CircuitBreaker(3, 60000, 2); // 3 failures, 1 min timeout, 2 successes to close
   
+  // Book every other task's LLM spend too (the fact-checker tracks its own calls)
+  llm.onUsage(response => {
+    if (response.task === 'fact_check' || response.task === 'fact_check_fallback') return;
+    costTracker.trackLLMUsage(response.usage, response.task)
+      .catch(err => console.warn('⚠️ LLM cost tracking failed:', err.message));
+  });
+  
   console.log('🤖 AI services initialized successfully');
 } catch (error) {
   console.error('❌ Failed to initialize AI services:', error.message);
@@ -65,10 +91,37 @@ try {
   }
 } catch (e) { console.warn('⚠️  Failed to init Supabase:', e?.message || e); }
 
+// Paper lookups are cached next to the jobs: Supabase when configured, local SQLite otherwise
+httpCache.setStore(createCacheStore(supabase));
+
+// Re-verification and verdict history read the claims tables, so they need Supabase
+const reverifier = supabase ? new Reverifier(supabase) : null;
+const claimResults = supabase ? new ClaimResultStore(supabase) : null;
+
+// Live tab-capture sessions (one LiveModeExtractor per video)
+const liveSessions = new LiveSessions({ supabase });
+
+// Live broadcasts: HLS windows pulled by the server go through the same path as tab chunks
+const liveStreams = new LiveStreamProcessor({
+  onAudio: async (videoKey, audio, videoTimeSec, final) => {
+    const { liveClaims } = await processLiveAudio(videoKey.replace(/^yt-/, ''), audio, 'window.wav', videoTimeSec, { final });
+    return liveClaims.length;
+  }
+});
+
+// Channel subscriptions (whitelist table): new uploads are processed before anyone plays them
+const channelPoller = new ChannelPoller({
+  supabase,
+  onUpload: async (upload) => {
+    const processor = await getHybridProcessor();
+    await processor.startProcessing(upload.url, upload.title, upload.videoId);
+  }
+});
+
 // CORS for browser extension
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type']
 }));
 
@@ -95,6 +148,8 @@ app.get('/', (req, res) => {
       transcribe: '/api/transcribe/audio',
       factCheck: '/api/fact-check',
       processYouTube: '/api/process-youtube',
+      podcastFeed: '/api/podcast/feed',
+      subscriptions: '/api/subscriptions',
       alertsProxy: '/api/alerts/for-video'
     }
   });
@@ -133,8 +188,10 @@ app.post('/api/transcribe/audio', upload.single('audio'), async (req, res) => {
       1000 // base delay
     );
 
-    // Track cost
-    await costTracker.trackWhisperCost(transcriptionResult.duration, 'transcription');
+    // Track cost (a local Whisper server is free)
+    if (transcriptionResult.cost > 0) {
+      await costTracker.trackWhisperCost(transcriptionResult.duration, 'transcription');
+    }
 
     // Prepare response
     const response = {
@@ -226,96 +283,85 @@ app.post('/api/transcribe/audio', upload.single('audio'), async (req, res) => {
   }
 });
 
-// Live: one-shot chunk → transcription → fact-check → persist (best-effort)
-app.post('/api/live/chunk', upload.single('audio'), async (req, res) => {
-  try {
-    // Log incoming live chunk details
-    try {
-      const { videoId: vid, videoTimeSec: vts } = req.body || {};
-      console.log('➡️  /api/live/chunk', {
-        videoId: vid,
-        videoTimeSec: vts,
-        originalname: req.file?.originalname,
-        size: req.file?.size
-      });
-    } catch {}
-    if (!req.file) {
-      return res.status(400).json({ success: false, message: 'No audio file provided' });
-    }
-    const { videoId, videoTimeSec, url } = req.body || {};
-    if (!videoId) {
-      return res.status(400).json({ success: false, message: 'Missing videoId' });
-    }
-
-    const start = Date.now();
+// Live audio (a tab-capture chunk or an HLS window) → transcription → stitching →
+// live claim extraction → persist (best-effort). `audio` null only flushes a final call.
+async function processLiveAudio(videoId, audio, filename, videoTimeSec, { final = false, url } = {}) {
+  let tr = { text: '', segments: [], duration: 0 };
+  if (audio) {
     // Transcribe with retry + circuit breaker
-    const tr = await RetryHandler.withRetry(
+    tr = await RetryHandler.withRetry(
       () => RetryHandler.withCircuitBreaker(
-        () => audioProcessor.transcribeAudio(req.file.buffer, req.file.originalname || 'chunk.webm'),
+        () => audioProcessor.transcribeAudio(audio, filename),
         whisperCircuitBreaker
       ),
       3,
       1000
     );
-    await costTracker.trackWhisperCost(tr.duration, 'transcription');
+    if (tr.cost > 0) await costTracker.trackWhisperCost(tr.duration, 'transcription');
     try { console.log('🎤 Live transcription ok', { len: (tr.text || '').length, duration: tr.duration }); } catch {}
+  }
 
-    // Fact-check the transcription text (best-effort; do not fail the whole request)
-    let fc = null;
-    try {
-      fc = await factChecker.analyzeTranscription(tr.text, videoId);
-    } catch (fcErr) {
-      console.warn('⚠️  Fact-check failed for live chunk (continuing with transcript only):', fcErr?.message || fcErr);
-      fc = { claims: [], overallCredibility: 'unknown' };
-    }
-
-    // Map GPT claims -> alert items expected by extension/background
-    const credibilityToVerdict = (c) => {
-      const v = (c || '').toLowerCase();
-      if (v === 'high') return 'high';
-      if (v === 'medium') return 'medium';
-      return 'low';
-    };
-    const credibilityToConf = (c) => {
-      const v = (c || '').toLowerCase();
-      if (v === 'high') return 0.9;
-      if (v === 'medium') return 0.6;
-      return 0.3;
-    };
+  // Chunks overlap by a few seconds: stitch them into whole sentences on the video clock
+  const chunkStartSec = Number.isFinite(Number(videoTimeSec)) ? Number(videoTimeSec) : 0;
+  let stitched = { text: '', segments: [], transcript: liveStitcher.getTranscript(videoId), duplicateWords: 0, aligned: false };
+  if (audio) {
+    const chunkSegments = Array.isArray(tr.segments) && tr.segments.length
+      ? tr.segments
+      : [{ start: 0, end: tr.duration || 0, text: tr.text || '' }];
+    stitched = liveStitcher.add(videoId, chunkSegments, chunkStartSec, tr.duration);
+  }
+  if (final) {
+    const rest = liveStitcher.end(videoId);
+    if (rest) stitched = { ...rest, segments: [...stitched.segments, ...rest.segments], text: `${stitched.text} ${rest.text}`.trim() };
+  }
+  try { console.log('🧵 Live stitch', { emitted: stitched.segments.length, duplicateWords: stitched.duplicateWords, aligned: stitched.aligned }); } catch {}
 
-    const mappedAlerts = Array.isArray(fc?.claims) ? fc.claims.map((cl) => {
-      const srcs = Array.isArray(cl?.sources) ? cl.sources.filter(s => s && typeof s.url === 'string' && /^https?:\/\//.test(s.url)).map(s => s.url) : [];
-      return {
-        claim: cl?.text || '',
-        verdict: credibilityToVerdict(cl?.credibility),
-        confidence: credibilityToConf(cl?.credibility),
-        reasoning: cl?.analysis || '',
-        sources: srcs,
-        timestamp: Date.now(),
-        video_time_sec: Number.isFinite(Number(videoTimeSec)) ? Math.floor(Number(videoTimeSec)) : 0
-      };
-    }).filter(a => a.claim) : [];
-
-    // Best-effort persistence to Supabase
-    if (supabase) {
-      try {
-        const podcastId = `yt-${videoId}`;
-        const demoUser = process.env.DEMO_USER_ID || 'demo-user-123';
-        // Ensure podcast exists
-        const { data: upPodcast, error: upPodcastErr } = await supabase.from('podcasts').upsert({
-          id: podcastId,
-          title: url || `YouTube ${videoId}`,
-          url: url || `https://www.youtube.com/watch?v=${videoId}`,
-          description: 'Live processed video',
-          user_id: demoUser
-        }).select('id').maybeSingle();
-        if (upPodcastErr) {
-          console.warn('⚠️  Live upsert podcast error:', upPodcastErr.message);
-        } else {
-          console.log('✅ Live upsert podcast ok', { podcastId });
-        }
+  // Extract claims from completed sentences with the video's live session (same claim
+  // model as /api/video/start: stored in `claims`, verified in the background)
+  let liveClaims = [];
+  try {
+    liveClaims = await liveSessions.processTranscript(`yt-${videoId}`, stitched.text, stitched.segments, {
+      url: url || `https://www.youtube.com/watch?v=${videoId}`
+    });
+  } catch (exErr) {
+    console.warn('⚠️  Live extraction failed (continuing with transcript only):', exErr?.message || exErr);
+  }
+  if (final) liveSessions.end(`yt-${videoId}`);
 
-        // Upsert/append transcript text for this podcast
+  // Map live claims -> alert items expected by extension/background; verdicts
+  // arrive later as claim_verified events on /api/video/events
+  const mappedAlerts = liveClaims.map((cl) => ({
+    claim_id: cl.claim_id,
+    claim: cl.segment?.full_text || '',
+    verdict: 'pending',
+    confidence: null,
+    reasoning: cl.extraction?.finding_summary || '',
+    sources: [],
+    timestamp: Date.now(),
+    video_time_sec: Math.floor(cl.alignment?.start_sec ?? stitched.segments[0]?.startSec ?? chunkStartSec)
+  })).filter(a => a.claim);
+
+  // Best-effort persistence to Supabase
+  if (supabase) {
+    try {
+      const podcastId = `yt-${videoId}`;
+      const demoUser = process.env.DEMO_USER_ID || 'demo-user-123';
+      // Ensure podcast exists
+      const { data: upPodcast, error: upPodcastErr } = await supabase.from('podcasts').upsert({
+        id: podcastId,
+        title: url || `YouTube ${videoId}`,
+        url: url || `https://www.youtube.com/watch?v=${videoId}`,
+        description: 'Live processed video',
+        user_id: demoUser
+      }).select('id').maybeSingle();
+      if (upPodcastErr) {
+        console.warn('⚠️  Live upsert podcast error:', upPodcastErr.message);
+      } else {
+        console.log('✅ Live upsert podcast ok', { podcastId });
+      }
+
+      // Append the newly stitched sentences ("[MM:SS] text" lines) to this podcast's transcript
+      if (stitched.segments.length) {
         try {
           const { data: existingT, error: tSelErr } = await supabase
             .from('transcriptions')
@@ -325,7 +371,7 @@ app.post('/api/live/chunk', upload.single('audio'), async (req, res) => {
           if (tSelErr) {
             console.warn('⚠️  Live select transcription error:', tSelErr.message);
           }
-          let newTranscript = String(tr.text || '').trim();
+          let newTranscript = stitched.segments.map(seg => `[${formatSeconds(seg.startSec)}] ${seg.text}`).join('\n');
           if (existingT && existingT.transcript) {
             const appended = `${existingT.transcript}\n${newTranscript}`.trim();
             // Safety cap to avoid unbounded growth in dev
@@ -342,34 +388,70 @@ app.post('/api/live/chunk', upload.single('audio'), async (req, res) => {
         } catch (tErr) {
           console.warn('⚠️  Live transcription persist failed:', tErr?.message || tErr);
         }
+      }
 
-        // Insert alerts (if any)
-        if (mappedAlerts.length) {
-          const rows = mappedAlerts.map(a => ({
-            podcast_id: podcastId,
-            user_id: demoUser,
-            alert_type: 'fact_check',
-            details: JSON.stringify({
-              claim: a.claim,
-              verdict: a.verdict,
-              reasoning: a.reasoning,
-              sources: a.sources,
-              timestamp: a.timestamp,
-              video_time_sec: a.video_time_sec
-            }),
-            urls: JSON.stringify(a.sources)
-          }));
-          const { data: inserted, error: upErr } = await supabase.from('alerts').insert(rows).select('id');
-          if (upErr) {
-            console.warn('⚠️  Live insert alerts error:', upErr.message);
-          } else {
-            console.log('✅ Live insert alerts ok', { count: inserted?.length || 0, videoId });
-          }
+      // Insert alerts (if any)
+      if (mappedAlerts.length) {
+        const rows = mappedAlerts.map(a => ({
+          podcast_id: podcastId,
+          user_id: demoUser,
+          alert_type: 'fact_check',
+          details: JSON.stringify({
+            claim_id: a.claim_id,
+            claim: a.claim,
+            verdict: a.verdict,
+            reasoning: a.reasoning,
+            sources: a.sources,
+            timestamp: a.timestamp,
+            video_time_sec: a.video_time_sec
+          }),
+          urls: JSON.stringify(a.sources)
+        }));
+        const { data: inserted, error: upErr } = await supabase.from('alerts').insert(rows).select('id');
+        if (upErr) {
+          console.warn('⚠️  Live insert alerts error:', upErr.message);
+        } else {
+          console.log('✅ Live insert alerts ok', { count: inserted?.length || 0, videoId });
         }
-      } catch (persistErr) {
-        console.warn('⚠️  Live insert failed (non-fatal):', persistErr?.message || persistErr);
       }
+    } catch (persistErr) {
+      console.warn('⚠️  Live insert failed (non-fatal):', persistErr?.message || persistErr);
+    }
+  }
+
+  return { tr, stitched, liveClaims, mappedAlerts };
+}
+
+// Live: one chunk from the extension's tab capture (see processLiveAudio)
+app.post('/api/live/chunk', upload.single('audio'), async (req, res) => {
+  try {
+    // Log incoming live chunk details
+    try {
+      const { videoId: vid, videoTimeSec: vts } = req.body || {};
+      console.log('➡️  /api/live/chunk', {
+        videoId: vid,
+        videoTimeSec: vts,
+        originalname: req.file?.originalname,
+        size: req.file?.size
+      });
+    } catch {}
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No audio file provided' });
     }
+    const { videoId, videoTimeSec, url, final } = req.body || {};
+    if (!videoId) {
+      return res.status(400).json({ success: false, message: 'Missing videoId' });
+    }
+
+    const start = Date.now();
+    const { tr, stitched, liveClaims, mappedAlerts } = await processLiveAudio(
+      videoId,
+      req.file.buffer,
+      req.file.originalname || 'chunk.webm',
+      videoTimeSec,
+      { final: final === 'true' || final === '1', url }
+    );
+    liveStreams.recordClaims(`yt-${videoId}`, liveClaims.length);
 
     const elapsed = Date.now() - start;
     try {
@@ -378,6 +460,13 @@ app.post('/api/live/chunk', upload.single('audio'), async (req, res) => {
     return res.json({
       success: true,
       transcript: tr.text,
+      claims: liveClaims.map(cl => toClaimPayload(cl)),
+      stitched: {
+        text: stitched.text,
+        segments: stitched.segments,
+        transcript: stitched.transcript,
+        duplicateWords: stitched.duplicateWords
+      },
       alerts: mappedAlerts,
       duration: tr.duration,
       processingTime: elapsed,
@@ -389,6 +478,44 @@ app.post('/api/live/chunk', upload.single('audio'), async (req, res) => {
   }
 });
 
+// Live broadcast: follow a stream (HLS pulled here, or the extension's tab capture)
+app.post('/api/live/start', async (req, res) => {
+  try {
+    const { youtube_url, video_title, video_time_sec, source } = req.body || {};
+    const videoIdMatch = (youtube_url || '').match(/(?:v=|youtu\.be\/|\/live\/)([a-zA-Z0-9_-]{11})/);
+    if (!videoIdMatch) {
+      return res.status(400).json({ success: false, message: 'Missing or invalid youtube_url' });
+    }
+
+    const status = await liveStreams.start(`yt-${videoIdMatch[1]}`, youtube_url, {
+      title: video_title || null,
+      ...(source === 'hls' || source === 'tab' ? { source } : {}),
+      baseTimeSec: Number.isFinite(Number(video_time_sec)) ? Number(video_time_sec) : 0
+    });
+    res.json({ success: true, data: status });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to start live stream', error: error.message });
+  }
+});
+
+// Live broadcast: stop following (viewer left, or the stream ended)
+app.post('/api/live/stop', (req, res) => {
+  const { video_id } = req.body || {};
+  const status = video_id ? liveStreams.stop(video_id.startsWith('yt-') ? video_id : `yt-${video_id}`) : null;
+  if (!status) {
+    return res.status(404).json({ success: false, message: 'No live stream for this video' });
+  }
+  res.json({ success: true, data: status });
+});
+
+app.get('/api/live/status/:videoId', (req, res) => {
+  const status = liveStreams.getStatus(req.params.videoId);
+  if (!status) {
+    return res.status(404).json({ success: false, message: 'No live stream for this video' });
+  }
+  res.json({ success: true, data: status });
+});
+
 // Cost monitoring endpoints
 app.get('/api/costs/daily', (req, res) => {
   try {
@@ -440,6 +567,118 @@ app.get('/api/costs/summary', (req, res) => {
   }
 });
 
+// Token/cost usage per pipeline task and backend since server start
+app.get('/api/costs/llm', (req, res) => {
+  try {
+    const usage = llm.getUsageSummary();
+    res.json({
+      success: true,
+      data: {
+        usage,
+        totalCostUsd: usage.reduce((sum, row) => sum + row.costUsd, 0)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get LLM usage',
+      error: error.message
+    });
+  }
+});
+
+// Paper-lookup cache usage (entries per source, hit rate since start)
+app.get('/api/cache/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await httpCache.getStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get cache stats',
+      error: error.message
+    });
+  }
+});
+
+// Verification queue depth and per-service rate limiting since start
+app.get('/api/verification/queue', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        queue: verificationQueue.getStats(),
+        rate_limits: rateLimiter.getStats()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get verification queue stats',
+      error: error.message
+    });
+  }
+});
+
+// Registered prompts with their versions, active version and any A/B split
+app.get('/api/prompts', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: promptRegistry.list()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list prompts',
+      error: error.message
+    });
+  }
+});
+
+// Claims and verdict distribution per prompt version, to compare revisions
+app.get('/api/prompts/stats', async (req, res) => {
+  try {
+    if (!claimResults) {
+      return res.status(503).json({ success: false, message: 'Prompt stats require Supabase' });
+    }
+    
+    res.json({
+      success: true,
+      data: await claimResults.promptStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get prompt stats',
+      error: error.message
+    });
+  }
+});
+
+// Claims and unsupported rate per podcast speaker (diarized claims only)
+app.get('/api/analytics/speakers', async (req, res) => {
+  try {
+    if (!claimResults) {
+      return res.status(503).json({ success: false, message: 'Speaker analytics require Supabase' });
+    }
+    
+    const videoId = typeof req.query.video_id === 'string' ? req.query.video_id : undefined;
+    res.json({
+      success: true,
+      data: await claimResults.speakerStats(videoId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get speaker analytics',
+      error: error.message
+    });
+  }
+});
+
 // Fact-checking analysis endpoint
 app.post('/api/fact-check', async (req, res) => {
   try {
@@ -504,15 +743,8 @@ app.post('/api/process-youtube', async (req, res) => {
     const fastMode = transcribeOnly === true;
     console.log(`🎥 Processing YouTube video: ${videoId}${fastMode ? ' (FAST MODE - transcript only)' : ''}`);
     
-    // Check dependencies first
-    const depsAvailable = await youtubeProcessor.checkDependencies();
-    if (!depsAvailable) {
-      return res.status(500).json({
-        success: false,
-        message: 'yt-dlp is not installed. Please install it first: brew install yt-dlp'
-      });
-    }
-
+    // Captions are tried first; yt-dlp is only needed for the Whisper fallback
+    // and reports itself missing from there
     const result = await youtubeProcessor.processVideo(videoUrl, videoId, fastMode);
     
     // Save to Supabase
@@ -620,6 +852,7 @@ app.get('/api/status', (req, res) => {
         services: {
           whisper: {
             status: whisperCircuitBreakerState === 'OPEN' ? 'unavailable' : 'available',
+            backend: audioProcessor.backendName,
             rateLimit: whisperRateLimit,
             dailyCost: whisperCost,
             circuitBreakerState: whisperCircuitBreakerState
@@ -660,11 +893,25 @@ async function getGeminiExtractor() {
 async function getHybridProcessor() {
   if (!hybridProcessor) {
     const { HybridProcessor } = await import('./services/claim-extraction/hybrid-processor.js');
-    hybridProcessor = new HybridProcessor({ supabase });
+    hybridProcessor = new HybridProcessor({ supabase, transcribe: transcribeEpisodeAudio });
   }
   return hybridProcessor;
 }
 
+// Podcast episodes are transcribed piece by piece (~5 min each) with the same retries and cost tracking as uploads
+async function transcribeEpisodeAudio(audio, filename) {
+  const tr = await RetryHandler.withRetry(
+    () => RetryHandler.withCircuitBreaker(
+      () => audioProcessor.transcribeAudio(audio, filename),
+      whisperCircuitBreaker
+    ),
+    3,
+    1000
+  );
+  if (tr.cost > 0) await costTracker.trackWhisperCost(tr.duration, 'transcription');
+  return tr;
+}
+
 app.post('/api/analyze', async (req, res) => {
   try {
     const { youtube_url } = req.body;
@@ -781,7 +1028,7 @@ app.post('/api/video/start', async (req, res) => {
       success: true,
       data: {
         video_id: videoId,
-        message: 'Processing started. Poll /api/video/claims for results.'
+        message: 'Processing started. Subscribe to /api/video/events for results.'
       }
     });
     
@@ -791,12 +1038,174 @@ app.post('/api/video/start', async (req, res) => {
   }
 });
 
+// Podcast RSS feed: queue its newest episodes (audio enclosures) for hybrid processing.
+// Results are stored under each episode's "pod-" id and read through the /api/video/* endpoints.
+app.post('/api/podcast/feed', async (req, res) => {
+  try {
+    const { feed_url, limit } = req.body || {};
+    if (!feed_url) {
+      return res.status(400).json({ success: false, message: 'Missing feed_url' });
+    }
+    
+    const feed = await fetchFeed(feed_url);
+    const count = Math.min(Math.max(parseInt(limit, 10) || 1, 1), 20);
+    const episodes = feed.episodes.slice(0, count);
+    console.log(`🎙️ Feed "${feed.title || feed_url}": queueing ${episodes.length}/${feed.episodes.length} episodes`);
+    
+    const processor = await getHybridProcessor();
+    for (const episode of episodes) {
+      await processor.startProcessing(episode.audioUrl, episode.title, episode.id);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        feed_url,
+        title: feed.title,
+        author: feed.author,
+        language: feed.language,
+        episodes_count: feed.episodes.length,
+        queued: episodes.map(e => ({
+          video_id: e.id,
+          title: e.title,
+          audio_url: e.audioUrl,
+          published_at: e.publishedAt,
+          duration_sec: e.durationSec
+        })),
+        message: 'Processing started. Subscribe to /api/video/events/:videoId for results.'
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Failed to ingest podcast feed:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// One podcast episode by its audio URL (feed_url + guid give it the same id as feed ingestion)
+app.post('/api/podcast/episode', async (req, res) => {
+  try {
+    const { audio_url, title, feed_url, guid } = req.body || {};
+    if (!audio_url) {
+      return res.status(400).json({ success: false, message: 'Missing audio_url' });
+    }
+    
+    const processor = await getHybridProcessor();
+    const videoId = await processor.startProcessing(audio_url, title, podcastEpisodeId(feed_url || null, guid || audio_url));
+    
+    res.json({
+      success: true,
+      data: {
+        video_id: videoId,
+        message: 'Processing started. Subscribe to /api/video/events for results.'
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Failed to start podcast episode:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================================
+// Channel subscriptions - YouTube channels and podcast feeds polled for new uploads
+// ============================================================
+
+function toSubscriptionPayload(subscription) {
+  return {
+    id: subscription.id,
+    channel_identifier: subscription.channelIdentifier,
+    config_description: subscription.description,
+    source_kind: subscription.kind,
+    feed_url: subscription.feedUrl,
+    auto_process: subscription.autoProcess,
+    last_upload_at: subscription.lastUploadAt ? new Date(subscription.lastUploadAt).toISOString() : null,
+    last_polled_at: subscription.lastPolledAt ? new Date(subscription.lastPolledAt).toISOString() : null,
+    last_error: subscription.lastError,
+    created_at: new Date(subscription.createdAt).toISOString()
+  };
+}
+
+function toUploadPayload(upload) {
+  return {
+    video_id: upload.videoId,
+    url: upload.url,
+    title: upload.title,
+    published_at: upload.publishedAt ? new Date(upload.publishedAt).toISOString() : null
+  };
+}
+
+app.get('/api/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await channelPoller.list();
+    res.json({ success: true, data: { subscriptions: subscriptions.map(toSubscriptionPayload) } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Subscribe to "@handle", a channel URL/id or a podcast RSS URL; backfill queues that many recent uploads now
+app.post('/api/subscriptions', async (req, res) => {
+  try {
+    const { channel_identifier, config_description, auto_process, backfill } = req.body || {};
+    if (!channel_identifier || typeof channel_identifier !== 'string') {
+      return res.status(400).json({ success: false, message: 'Missing channel_identifier' });
+    }
+    
+    const { subscription, queued } = await channelPoller.subscribe(channel_identifier, {
+      ...(config_description !== undefined ? { description: config_description || null } : {}),
+      ...(typeof auto_process === 'boolean' ? { autoProcess: auto_process } : {}),
+      backfill: Math.min(Math.max(parseInt(backfill, 10) || 0, 0), 20)
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: { ...toSubscriptionPayload(subscription), queued: queued.map(toUploadPayload) }
+    });
+    
+  } catch (error) {
+    console.error('❌ Failed to subscribe:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/api/subscriptions/:id', async (req, res) => {
+  try {
+    const removed = await channelPoller.unsubscribe(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+    res.json({ success: true, data: { id: req.params.id, message: 'Unsubscribed' } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Poll one subscription now instead of waiting for the scheduler
+app.post('/api/subscriptions/:id/poll', async (req, res) => {
+  try {
+    const subscription = await channelPoller.get(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+    
+    const queued = await channelPoller.poll(subscription);
+    res.json({
+      success: true,
+      data: { ...toSubscriptionPayload(subscription), queued: queued.map(toUploadPayload) }
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Get processing status
 app.get('/api/video/status/:videoId', async (req, res) => {
   try {
     const { videoId } = req.params;
     const processor = await getHybridProcessor();
-    const status = processor.getStatus(videoId);
+    const status = await processor.loadStatus(videoId);
     
     if (!status) {
       return res.status(404).json({ success: false, message: 'Video not found' });
@@ -807,11 +1216,65 @@ app.get('/api/video/status/:videoId', async (req, res) => {
       data: {
         video_id: status.videoId,
         status: status.status,
+        fast_track_status: status.fastTrackStatus,
+        full_track_status: status.fullTrackStatus,
         fast_track_complete: status.fastTrackCompletedAt !== null,
         full_processing_complete: status.fullProcessingCompletedAt !== null,
         fast_track_claims_count: status.fastTrackClaims.length,
         total_claims_count: status.allClaims.length,
-        error: status.error
+        fast_track_error: status.fastTrackError,
+        error: status.error,
+        extraction_source: status.extractionSource,
+        segments: status.segments.map(s => ({
+          index: s.index,
+          start_sec: s.startSec,
+          end_sec: s.endSec,
+          chapter_title: s.chapterTitle,
+          status: s.status,
+          claims_count: s.claimsCount,
+          error: s.error
+        })),
+        verification_status: status.verificationStatus,
+        verification: {
+          total: status.verifications.length,
+          verified: status.verifications.filter(v => v.status === 'complete').length,
+          failed: status.verifications.filter(v => v.status === 'error').length
+        }
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Retry one failed full-track segment without re-running the whole video
+app.post('/api/video/segments/:videoId/:index/retry', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const index = Number(req.params.index);
+    
+    const processor = await getHybridProcessor();
+    const status = await processor.loadStatus(videoId);
+    
+    if (!status) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+    
+    const started = await processor.retrySegment(videoId, index);
+    if (!started) {
+      return res.status(409).json({
+        success: false,
+        message: `Segment ${req.params.index} is not a failed segment, or the full track is still running`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        video_id: videoId,
+        segment: index,
+        message: 'Segment retry started. Subscribe to /api/video/events for results.'
       }
     });
     
@@ -825,14 +1288,16 @@ app.get('/api/video/claims/:videoId', async (req, res) => {
   try {
     const { videoId } = req.params;
     const { timestamp } = req.query; // e.g., "05:30" or "1:23:45"
+    // Findings/explanations in the reader's language; quotes stay as spoken
+    const lang = localizer.targetLanguage(req.query.lang, req.get('Accept-Language'));
     
     const processor = await getHybridProcessor();
-    const status = processor.getStatus(videoId);
+    const status = await processor.loadStatus(videoId);
     
-    // If there's an active processing job, use in-memory claims
+    // If there's a processing job (active or stored), use its claims
     if (status) {
       const claims = timestamp 
-        ? processor.getClaimsUpTo(videoId, timestamp)
+        ? await processor.getClaimsUpTo(videoId, timestamp)
         : (status.allClaims.length > 0 ? status.allClaims : status.fastTrackClaims);
       
       return res.json({
@@ -840,16 +1305,24 @@ app.get('/api/video/claims/:videoId', async (req, res) => {
         data: {
           video_id: videoId,
           status: status.status,
+          language: status.language,
+          display_language: lang || 'en',
           claims_count: claims.length,
-          claims: claims.map(c => ({
+          claims: await localizer.localizeClaims(claims.map(c => ({
             claim_id: c.claim_id,
             timestamp: c.timestamp,
             segment: c.segment?.full_text || c.segment,
             author: c.extraction?.author_normalized || c.extraction?.author_mentioned,
             finding: c.extraction?.finding_summary,
             confidence: c.extraction?.confidence,
-            search_queries: c.search
-          }))
+            search_queries: c.search,
+            aligned_start_sec: c.alignment?.start_sec ?? null,
+            aligned_end_sec: c.alignment?.end_sec ?? null,
+            alignment_confidence: c.alignment?.confidence ?? null,
+            speaker_label: c.speaker?.label || null,
+            speaker_name: c.speaker?.name || null,
+            speaker_role: c.speaker?.role || null
+          })), lang)
         }
       });
     }
@@ -873,18 +1346,33 @@ app.get('/api/video/claims/:videoId', async (req, res) => {
           data: {
             video_id: videoId,
             status: 'complete',
+            display_language: lang || 'en',
             claims_count: dbClaims.length,
-            claims: dbClaims.map(c => ({
+            claims: await localizer.localizeClaims(dbClaims.map(c => ({
               claim_id: c.claim_id,
               timestamp: c.timestamp,
               segment: c.segment_text,
               author: c.author_normalized || c.author_mentioned,
               finding: c.finding_summary,
               confidence: c.confidence,
+              aligned_start_sec: c.aligned_start_sec ?? null,
+              aligned_end_sec: c.aligned_end_sec ?? null,
+              alignment_confidence: c.alignment_confidence ?? null,
+              speaker_label: c.speaker_label || null,
+              speaker_name: c.speaker_name || null,
+              speaker_role: c.speaker_role || null,
               verification_verdict: c.verification_verdict,
+              verification_explanation: c.verification_explanation || null,
               paper_title: c.paper_title,
-              paper_url: c.paper_url
-            }))
+              paper_url: c.paper_url,
+              evidence_summary: c.evidence_summary,
+              evidence: c.evidence || [],
+              verified_at: c.verified_at,
+              previous_verdict: c.previous_verdict,
+              verdict_changed_at: c.verdict_changed_at,
+              extraction_prompt: c.extraction_prompt_id ? `${c.extraction_prompt_id}@${c.extraction_prompt_version}` : null,
+              verification_prompt: c.verification_prompt_id ? `${c.verification_prompt_id}@${c.verification_prompt_version}` : null
+            })), lang)
           }
         });
       }
@@ -897,6 +1385,140 @@ app.get('/api/video/claims/:videoId', async (req, res) => {
   }
 });
 
+// Re-verify one stored claim (runs through the verification queue)
+app.post('/api/claims/:claimId/reverify', async (req, res) => {
+  try {
+    if (!reverifier) {
+      return res.status(503).json({ success: false, message: 'Re-verification requires Supabase' });
+    }
+    
+    const { claimId } = req.params;
+    const queued = await reverifier.reverifyClaim(claimId);
+    
+    if (!queued) {
+      return res.status(404).json({ success: false, message: 'Claim not found' });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        claim_id: claimId,
+        message: 'Re-verification queued. Subscribe to /api/video/events for results.'
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Full verification history of a claim (one entry per run, oldest first)
+app.get('/api/claims/:claimId/verifications', async (req, res) => {
+  try {
+    if (!claimResults) {
+      return res.status(503).json({ success: false, message: 'Verification history requires Supabase' });
+    }
+    
+    const { claimId } = req.params;
+    const claim = await claimResults.getClaim(claimId);
+    
+    if (!claim) {
+      return res.status(404).json({ success: false, message: 'Claim not found' });
+    }
+    
+    const history = await claimResults.listVerifications(claimId);
+    
+    res.json({
+      success: true,
+      data: {
+        claim_id: claimId,
+        video_id: claim.video_id,
+        finding: claim.finding_summary,
+        verification_verdict: claim.verification_verdict,
+        verdict_changed_at: claim.verdict_changed_at,
+        runs_count: history.length,
+        history
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Re-verify every stored claim of a video
+app.post('/api/video/:videoId/reverify', async (req, res) => {
+  try {
+    if (!reverifier) {
+      return res.status(503).json({ success: false, message: 'Re-verification requires Supabase' });
+    }
+    
+    const { videoId } = req.params;
+    const queued = await reverifier.reverifyVideo(videoId);
+    
+    if (queued === 0) {
+      return res.status(404).json({ success: false, message: 'No stored claims for this video' });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        video_id: videoId,
+        claims_queued: queued,
+        message: 'Re-verification queued. Subscribe to /api/video/events for results.'
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Stream claim/job updates as Server-Sent Events
+// Replays buffered events after Last-Event-ID (header or ?lastEventId=) on reconnect
+app.get('/api/video/events/:videoId', async (req, res) => {
+  const { videoId } = req.params;
+  const { jobEvents } = await import('./services/claim-extraction/job-events.js');
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // ?lang= translates claim text per connection; the chain keeps events in order
+  const lang = localizer.targetLanguage(req.query.lang);
+  let pending = Promise.resolve();
+  const send = (event) => {
+    pending = pending.then(async () => {
+      const data = await localizer.localizePayload(event.data, lang);
+      if (!res.writableEnded) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    });
+  };
+  
+  // Tell the browser how long to wait before reconnecting
+  res.write('retry: 3000\n\n');
+  
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  for (const event of jobEvents.replay(videoId, lastEventId)) {
+    send(event);
+  }
+  
+  const unsubscribe = jobEvents.subscribe(videoId, send);
+  
+  // Comment line keeps proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // Start server
 const PORT = 3001; // Different port to avoid Astro conflicts
 
@@ -904,6 +1526,17 @@ app.listen(PORT, () => {
   console.log(`🚀 Lumos API Server running on http://localhost:${PORT}`);
   console.log(`📡 Ready to receive requests from browser extension`);
   console.log(`🧪 Test: curl http://localhost:${PORT}/api/health`);
+  
+  // Pick up hybrid jobs interrupted by the last shutdown/deploy
+  getHybridProcessor()
+    .then(processor => processor.resumeInterruptedJobs())
+    .catch(err => console.warn('⚠️ Failed to resume interrupted jobs:', err?.message || err));
+  
+  // Periodically re-check stale and inconclusive verdicts
+  reverifier?.start();
+  
+  // Watch subscribed channels and feeds for new uploads
+  channelPoller.start();
 });
 
 // Graceful shutdown
@@ -1,17 +1,23 @@
 // Background service worker
+
+// Live tab-capture chunks: 25s each, overlapping by 4s (LIVE_CHUNK_OVERLAP_SEC on the server)
+const LIVE_CHUNK_MS = 25000;
+const LIVE_CHUNK_OVERLAP_MS = 4000;
+
 class LumosBackground {
   constructor() {
     this.alertsStorage = new Map();
     this.groupedStorage = new Map(); // videoId -> latest grouped topics
-    this.pollers = new Map(); // videoId -> intervalId
-    // Astro URL for web pages (claim details, alerts, etc.)
+    this.pollers = new Map(); // videoId -> claim event stream { controller, lastEventId, retryMs, timer, refresh }
+    // API server (claim event stream) and Astro URL for web pages (claim details, alerts, etc.)
+    this.apiUrl = 'http://localhost:3001';
     this.astroUrl = 'http://localhost:4321';
     this.popupWindowId = null; // external popup window id
     this.lastAutoOpenAt = 0;
     this.autoOpenCooldownMs = 8000;
     this.prevTopicCounts = new Map(); // videoId -> last seen grouped count
     // Added: background recorders state for tab audio capture
-    this.bgRecorders = new Map(); // videoId -> { recorder, stream, tabId, timer }
+    this.bgRecorders = new Map(); // videoId -> { stream, tabId, timer, recorders }
     this.init();
   }
 
@@ -32,7 +38,8 @@ class LumosBackground {
     });
 
     // Load settings (apiUrl is for API server, astroUrl is for frontend)
-    chrome.storage.sync.get(['astroUrl'], (res) => {
+    chrome.storage.sync.get(['apiUrl', 'astroUrl'], (res) => {
+      if (res.apiUrl) this.apiUrl = res.apiUrl;
       if (res.astroUrl) this.astroUrl = res.astroUrl;
       // Keep default localhost:4321 if not set
     });
@@ -426,21 +433,69 @@ class LumosBackground {
         }
       } catch {}
     };
-    // Immediate fetch then interval
+    // Immediate fetch, then again whenever the video's claims change
     fetchNow();
-    const id = setInterval(fetchNow, 10000);
-    this.pollers.set(videoId, id);
+    this.watchClaimEvents(videoId, fetchNow);
   }
 
   stopPolling(videoId) {
     if (!videoId) return;
-    const id = this.pollers.get(videoId);
-    if (id) {
-      clearInterval(id);
+    const stream = this.pollers.get(videoId);
+    if (stream) {
       this.pollers.delete(videoId);
+      clearTimeout(stream.timer);
+      clearTimeout(stream.refresh);
+      stream.controller?.abort();
     }
   }
 
+  // Follow the video's claim event stream (SSE) and call onChange, debounced,
+  // after each event. Service workers have no EventSource, so the stream is
+  // read with fetch; reconnects resume after the last event id seen.
+  watchClaimEvents(videoId, onChange) {
+    const stream = { controller: null, lastEventId: null, retryMs: 1000, timer: null, refresh: null };
+    this.pollers.set(videoId, stream);
+    const active = () => this.pollers.get(videoId) === stream;
+
+    const connect = async () => {
+      if (!active()) return;
+      stream.controller = new AbortController();
+      try {
+        const resume = stream.lastEventId ? `?lastEventId=${encodeURIComponent(stream.lastEventId)}` : '';
+        const res = await fetch(`${this.apiUrl}/api/video/events/yt-${encodeURIComponent(videoId)}${resume}`, {
+          headers: { 'Accept': 'text/event-stream' },
+          signal: stream.controller.signal
+        });
+        if (!res.ok || !res.body) throw new Error(`Bad status ${res.status}`);
+        stream.retryMs = 1000;
+        const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer = (buffer + value).replace(/\r\n?/g, '\n');
+          let end;
+          while ((end = buffer.indexOf('\n\n')) >= 0) {
+            const frame = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const id = frame.match(/^id: ?(.*)$/m)?.[1];
+            if (id) stream.lastEventId = id;
+            if (/^event: ?/m.test(frame)) {
+              clearTimeout(stream.refresh);
+              stream.refresh = setTimeout(() => { if (active()) onChange(); }, 1000);
+            }
+          }
+        }
+      } catch (e) {
+        if (e?.name === 'AbortError') return;
+      }
+      if (!active()) return;
+      stream.timer = setTimeout(connect, stream.retryMs);
+      stream.retryMs = Math.min(stream.retryMs * 2, 30000);
+    };
+    connect();
+  }
+
   async fetchGroupedNow(videoId, tabId) {
     if (!videoId) return [];
     try {
@@ -477,6 +532,8 @@ class LumosBackground {
   }
 
   // Added: background tab audio capture helpers
+  // Overlapping chunks: a new recorder starts every (chunk - overlap) seconds on the
+  // same stream, so each boundary is heard twice and the server stitches it back together
   async startBackgroundCapture(tabId, videoId) {
     try {
       if (!tabId || !videoId) return;
@@ -484,20 +541,32 @@ class LumosBackground {
       console.log('🎧 Starting background tabCapture', { tabId, videoId });
       const stream = await chrome.tabCapture.capture({ audio: true, video: false, consumerTabId: tabId });
       if (!stream) throw new Error('tabCapture returned null');
-      const recorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
-      let chunks = [];
-      recorder.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
-      recorder.onstop = async () => { try { await this.uploadChunk(chunks.splice(0), videoId, tabId); } catch {} };
-      recorder.start();
-      const timer = setInterval(() => {
+      const state = { stream, tabId, timer: null, recorders: new Set() };
+      const startChunk = async () => {
         try {
-          if (recorder.state === 'recording') {
-            recorder.stop();
-            setTimeout(() => { try { if (recorder.state !== 'recording') recorder.start(); } catch {} }, 120);
-          }
-        } catch {}
-      }, 10000);
-      this.bgRecorders.set(videoId, { recorder, stream, tabId, timer });
+          if (!stream.active) return;
+          const recorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
+          const chunks = [];
+          let final = false;
+          let timeSec = 0;
+          recorder.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
+          recorder.onstop = async () => {
+            state.recorders.delete(recorder);
+            try { await this.uploadChunk(chunks.splice(0), videoId, tabId, timeSec, final); } catch {}
+          };
+          recorder.markFinal = () => { final = true; };
+          recorder.start();
+          state.recorders.add(recorder);
+          // Video time at the chunk's start (the server puts the transcript on this clock)
+          timeSec = await this.getVideoTime(tabId);
+          setTimeout(() => { try { if (recorder.state === 'recording') recorder.stop(); } catch {} }, LIVE_CHUNK_MS);
+        } catch (e) {
+          console.warn('Live chunk start failed', e?.message || e);
+        }
+      };
+      startChunk();
+      state.timer = setInterval(startChunk, LIVE_CHUNK_MS - LIVE_CHUNK_OVERLAP_MS);
+      this.bgRecorders.set(videoId, state);
     } catch (e) {
       console.warn('tabCapture start failed', e?.message || e);
     }
@@ -507,26 +576,35 @@ class LumosBackground {
     const st = this.bgRecorders.get(videoId);
     if (!st) return;
     try { clearInterval(st.timer); } catch {}
-    try { if (st.recorder && st.recorder.state !== 'inactive') st.recorder.stop(); } catch {}
+    // The newest recorder carries the end of the session: let the server flush its held-back text
+    const recorders = [...st.recorders];
+    try { recorders[recorders.length - 1]?.markFinal(); } catch {}
+    for (const recorder of recorders) {
+      try { if (recorder.state !== 'inactive') recorder.stop(); } catch {}
+    }
     try { if (st.stream) st.stream.getTracks().forEach(t => t.stop()); } catch {}
     this.bgRecorders.delete(videoId);
     console.log('🛑 Stopped background tabCapture', videoId);
   }
 
-  async uploadChunk(blobParts, videoId, tabId) {
+  async getVideoTime(tabId) {
+    try {
+      const resp = await chrome.tabs.sendMessage(tabId, { type: 'GET_TIME' });
+      if (Number.isFinite(resp?.timeSec)) return resp.timeSec;
+    } catch {}
+    return 0;
+  }
+
+  async uploadChunk(blobParts, videoId, tabId, timeSec = 0, final = false) {
     try {
       if (!blobParts || !blobParts.length) return;
       const blob = new Blob(blobParts, { type: 'audio/webm' });
       if (blob.size < 1000) return;
-      let timeSec = 0;
-      try {
-        const resp = await chrome.tabs.sendMessage(tabId, { type: 'GET_TIME' });
-        if (Number.isFinite(resp?.timeSec)) timeSec = resp.timeSec;
-      } catch {}
       const form = new FormData();
       form.append('audio', blob, 'chunk.webm');
       form.append('videoId', videoId);
       form.append('videoTimeSec', String(timeSec));
+      if (final) form.append('final', 'true');
       form.append('url', `https://www.youtube.com/watch?v=${videoId}`);
       let res = null;
       try {
@@ -3,9 +3,17 @@ class LumosYouTubeMonitor {
   constructor() {
     this.currentVideoId = null;
     this.apiUrl = 'http://localhost:3001';
-    this.pollInterval = null;
+    this.eventSource = null; // SSE stream for the current video
+    this.eventSourceVideoKey = null;
+    this.lastEventId = null;
+    this.reconnectTimer = null;
+    this.reconnectDelay = 1000;
+    this.jobStatus = null;
     this.shownClaimIds = new Set();
     this.isProcessing = false;
+    this.isLive = false; // Following a live broadcast (/api/live/start)
+    this.liveSource = null; // 'hls' (server pulls the stream) or 'tab' (background tab capture)
+    this.liveStartedAt = 0;
     this.allClaims = []; // Store all claims from API
     this.lastCheckTime = -1; // Track video time for triggering alerts
     
@@ -87,9 +95,12 @@ class LumosYouTubeMonitor {
 
   onVideoChange() {
     console.log('📺 Video changed, resetting state...');
-    this.stopPolling();
+    this.stopLiveProcessing();
+    this.stopWatching();
     this.shownClaimIds.clear();
     this.allClaims = [];
+    this.jobStatus = null;
+    this.lastEventId = null;
     this.lastCheckTime = -1;
     this.isProcessing = false;
     
@@ -104,9 +115,8 @@ class LumosYouTubeMonitor {
       this.currentVideoId = videoId;
       console.log('🎬 New video detected:', videoId);
       
-      // Always start polling immediately - in case video was already processed
-      console.log('🔄 Starting polling for existing claims...');
-      this.startPolling();
+      // Always subscribe immediately - in case video was already processed
+      this.subscribeToEvents();
       this.startTimeWatcher();
       
       // Also trigger analysis if auto-analyze is enabled
@@ -147,6 +157,12 @@ class LumosYouTubeMonitor {
       return;
     }
 
+    // Broadcasts have no finished video to analyze: follow them live instead
+    if (await this.isLiveStream()) {
+      await this.startLiveProcessing();
+      return;
+    }
+
     const youtubeUrl = `https://www.youtube.com/watch?v=${this.currentVideoId}`;
     console.log('🚀 Starting hybrid processing:', youtubeUrl);
     
@@ -172,9 +188,8 @@ class LumosYouTubeMonitor {
       const data = await response.json();
       console.log('✅ Processing started:', data);
 
-      // Start polling for claims AND watching video time
-      console.log('🔄 Starting polling and time watcher...');
-      this.startPolling();
+      // Listen for claims AND watch video time (no-op if already subscribed)
+      this.subscribeToEvents();
       this.startTimeWatcher();
 
     } catch (error) {
@@ -191,19 +206,235 @@ class LumosYouTubeMonitor {
     }
   }
 
-  startPolling() {
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
+  // ─────────────────────────────────────────────────────────────
+  // Live Streams
+  // ─────────────────────────────────────────────────────────────
+
+  // YouTube marks the player .ytp-live during a broadcast, and a live <video>
+  // has no finite duration; wait a few seconds for the player to load
+  async isLiveStream() {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const player = document.querySelector('.html5-video-player');
+      const video = document.querySelector('video');
+      if (player?.classList.contains('ytp-live') || video?.duration === Infinity) return true;
+      if (video && Number.isFinite(video.duration) && video.duration > 0) return false;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return false;
+  }
+
+  async startLiveProcessing() {
+    const youtubeUrl = `https://www.youtube.com/watch?v=${this.currentVideoId}`;
+    console.log('🔴 Live stream detected, following it:', youtubeUrl);
+
+    this.isProcessing = true;
+    this.isLive = true;
+    this.liveStartedAt = Date.now();
+    this.updateBadge('LIVE');
+
+    try {
+      const video = document.querySelector('video');
+      const response = await fetch(`${this.apiUrl}/api/live/start`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          youtube_url: youtubeUrl,
+          video_title: this.getVideoTitle(),
+          // Claims are placed on the player's clock from here on
+          video_time_sec: video ? Math.floor(video.currentTime) : 0
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      this.liveSource = data.source;
+      console.log(`📡 Live ${data.source} capture, claims ~${data.latencySeconds}s behind live`);
+
+      // The server couldn't pull the stream itself: record the tab instead
+      if (data.source === 'tab') {
+        await chrome.runtime.sendMessage({ type: 'START_RECORDING_BG', videoId: this.currentVideoId });
+      }
+
+      // The player fires "ended" when the broadcast finishes
+      const liveVideoId = this.currentVideoId;
+      video?.addEventListener('ended', () => {
+        if (this.currentVideoId === liveVideoId) this.stopLiveProcessing();
+      }, { once: true });
+
+      this.subscribeToEvents();
+      this.startTimeWatcher();
+
+    } catch (error) {
+      console.error('❌ Failed to follow live stream:', error);
+      this.isProcessing = false;
+      this.isLive = false;
+      this.updateBadge('!');
+      this.showNotification('Lumos Error', 'Failed to follow live stream. Is the API server running?');
+    }
+  }
+
+  stopLiveProcessing() {
+    if (!this.isLive || !this.currentVideoId) return;
+
+    const videoId = this.currentVideoId;
+    console.log('⏹️ Stopped following live stream', videoId);
+    this.isLive = false;
+
+    if (this.liveSource === 'tab') {
+      chrome.runtime.sendMessage({ type: 'STOP_RECORDING_BG', videoId }).catch(() => {});
     }
+    this.liveSource = null;
+
+    fetch(`${this.apiUrl}/api/live/stop`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ video_id: `yt-${videoId}` })
+    }).catch(() => {});
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Claim Events (SSE)
+  // ─────────────────────────────────────────────────────────────
+
+  subscribeToEvents() {
+    if (!this.currentVideoId) return;
 
-    console.log('🔄 Starting claim polling...');
+    // One stream per video
+    const videoKey = `yt-${this.currentVideoId}`;
+    if (this.eventSource && this.eventSourceVideoKey === videoKey) return;
+    this.closeEventSource();
 
-    // Poll every 3 seconds to get NEW claims from API
-    this.pollInterval = setInterval(() => {
-      this.fetchAllClaims();
-    }, 3000);
+    console.log(`📡 Subscribing to claim events for ${videoKey}...`);
+    this.eventSourceVideoKey = videoKey;
 
+    // Load anything produced before we subscribed, then stay in sync via events
     this.fetchAllClaims();
+    this.connectEventSource(videoKey);
+  }
+
+  connectEventSource(videoKey) {
+    // The browser sends Last-Event-ID on its own retries; pass it explicitly
+    // when we have to rebuild the EventSource after it gave up
+    const params = new URLSearchParams({ lang: navigator.language || 'en' });
+    if (this.lastEventId) params.set('lastEventId', this.lastEventId);
+    const source = new EventSource(`${this.apiUrl}/api/video/events/${videoKey}?${params}`);
+    this.eventSource = source;
+
+    const on = (type, handler) => {
+      source.addEventListener(type, (e) => {
+        if (e.lastEventId) this.lastEventId = e.lastEventId;
+        try {
+          handler(JSON.parse(e.data));
+        } catch (error) {
+          console.warn(`❌ Bad ${type} event:`, error.message);
+        }
+      });
+    };
+
+    on('claim_extracted', (data) => {
+      this.upsertClaim(data.claim);
+      this.onClaimsChanged();
+    });
+
+    // A later segment's version of the same claim replaced this one
+    on('claim_superseded', (data) => {
+      this.allClaims = this.allClaims.filter(c => c.claim_id !== data.claim_id);
+      this.onClaimsChanged();
+    });
+
+    on('claim_verified', (data) => {
+      const claim = this.allClaims.find(c => c.claim_id === data.claim_id);
+      if (claim) Object.assign(claim, data);
+      this.onClaimsChanged();
+    });
+
+    on('fast_track_complete', (data) => {
+      console.log(`⚡ Fast track complete: ${data.claims_count} claims`);
+      this.jobStatus = data.status;
+      this.onClaimsChanged();
+    });
+
+    on('job_complete', (data) => {
+      console.log(`🎬 Analysis complete: ${data.claims_count} claims`);
+      // Replayed history can hold an earlier session's end
+      if (data.live && data.ended_at >= this.liveStartedAt) this.stopLiveProcessing();
+      // Final claim list; keep the verdicts and evidence already received for each claim
+      if (Array.isArray(data.claims)) {
+        const known = new Map(this.allClaims.map(claim => [claim.claim_id, claim]));
+        this.allClaims = data.claims.map(claim => ({ ...known.get(claim.claim_id), ...claim }));
+      }
+      this.jobStatus = data.status;
+      this.onClaimsChanged();
+    });
+
+    on('job_error', (data) => {
+      console.warn(`❌ ${data.track} track failed:`, data.message);
+      this.jobStatus = data.status;
+      if (data.status === 'error') {
+        this.isProcessing = false;
+        this.updateBadge('!');
+      }
+      this.onClaimsChanged();
+    });
+
+    source.onopen = () => {
+      console.log('📡 Claim event stream connected');
+      this.reconnectDelay = 1000;
+    };
+
+    source.onerror = () => {
+      // CONNECTING means the browser is already retrying by itself
+      if (this.eventSource !== source || source.readyState !== EventSource.CLOSED) return;
+
+      console.warn(`🔌 Claim event stream closed, reconnecting in ${this.reconnectDelay / 1000}s`);
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.connectEventSource(videoKey);
+      }, this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+    };
+  }
+
+  closeEventSource() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    this.eventSourceVideoKey = null;
+    this.reconnectDelay = 1000;
+  }
+
+  upsertClaim(claim) {
+    if (!claim) return;
+    const index = this.allClaims.findIndex(c => c.claim_id === claim.claim_id);
+    if (index >= 0) {
+      this.allClaims[index] = { ...this.allClaims[index], ...claim };
+    } else {
+      this.allClaims.push(claim);
+      console.log(`📊 New claim @ ${claim.timestamp} (${this.allClaims.length} total)`);
+    }
+  }
+
+  onClaimsChanged() {
+    this.updateBadgeFromStatus(this.jobStatus, this.allClaims.length);
+
+    // Immediately check if any claims should show now
+    this.checkClaimsForCurrentTime();
+
+    // Let an open popup refresh
+    chrome.runtime.sendMessage({
+      type: 'CLAIMS_UPDATED',
+      videoId: this.currentVideoId,
+      status: this.jobStatus,
+      totalClaims: this.allClaims.length
+    }).catch(() => {});
   }
 
   // Separate watcher for video time - checks every 500ms
@@ -219,22 +450,21 @@ class LumosYouTubeMonitor {
     }, 500);
   }
 
-  stopPolling() {
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
-      this.pollInterval = null;
-    }
+  stopWatching() {
+    this.closeEventSource();
     if (this.timeWatcher) {
       clearInterval(this.timeWatcher);
       this.timeWatcher = null;
     }
-    console.log('⏹️ Stopped polling');
+    console.log('⏹️ Stopped watching');
   }
 
   async fetchAllClaims() {
     if (!this.currentVideoId) return;
 
-    const url = `${this.apiUrl}/api/video/claims/yt-${this.currentVideoId}`;
+    // Findings come back in the browser's language; quotes stay as spoken
+    const lang = encodeURIComponent(navigator.language || 'en');
+    const url = `${this.apiUrl}/api/video/claims/yt-${this.currentVideoId}?lang=${lang}`;
     
     try {
       const response = await fetch(url);
@@ -250,21 +480,12 @@ class LumosYouTubeMonitor {
       const data = await response.json();
       
       if (data.success) {
-        const prevCount = this.allClaims.length;
-        this.allClaims = data.data.claims || [];
-        
-        if (this.allClaims.length !== prevCount) {
-          console.log(`📊 Claims updated: ${this.allClaims.length} total, status: ${data.data.status}`);
-          // Log each claim's timestamp for debugging
-          this.allClaims.forEach((c, i) => {
-            console.log(`   [${i}] @ ${c.timestamp} (${this.parseTimestamp(c.timestamp)}s)`);
-          });
-        }
-        
-        this.updateBadgeFromStatus(data.data.status, this.allClaims.length);
-        
-        // Immediately check if any claims should show now
-        this.checkClaimsForCurrentTime();
+        // Merge rather than replace - events may have arrived while fetching
+        (data.data.claims || []).forEach(claim => this.upsertClaim(claim));
+        this.jobStatus = this.jobStatus || data.data.status;
+
+        console.log(`📊 Loaded ${this.allClaims.length} existing claims, status: ${data.data.status}`);
+        this.onClaimsChanged();
       }
 
     } catch (error) {
@@ -293,16 +514,16 @@ class LumosYouTubeMonitor {
     // Log every 10 seconds for debugging
     if (currentTimeSec % 10 === 0 && currentTimeSec > 0) {
       const nextClaim = this.allClaims.find(c => {
-        const t = this.parseTimestamp(c.timestamp);
+        const t = this.claimTimeSec(c);
         return !this.shownClaimIds.has(`${c.timestamp}_${c.finding?.slice(0, 30)}`) && t > currentTimeSec;
       });
-      const nextTs = nextClaim ? nextClaim.timestamp : 'none';
+      const nextTs = nextClaim ? this.formatTime(this.claimTimeSec(nextClaim)) : 'none';
       console.log(`⏱️ ${this.formatTime(currentTimeSec)} | Claims: ${this.allClaims.length} | Shown: ${this.shownClaimIds.size} | Next: ${nextTs}`);
     }
 
     // Find claims that should trigger NOW
     for (const claim of this.allClaims) {
-      const claimTimeSec = this.parseTimestamp(claim.timestamp);
+      const claimTimeSec = this.claimTimeSec(claim);
       const claimKey = `${claim.timestamp}_${claim.finding?.slice(0, 30)}`;
       
       // Show claim if:
@@ -311,7 +532,7 @@ class LumosYouTubeMonitor {
       if (!this.shownClaimIds.has(claimKey) && currentTimeSec >= claimTimeSec) {
         this.shownClaimIds.add(claimKey);
         
-        console.log(`🚨 ALERT! Time ${this.formatTime(currentTimeSec)} >= claim @ ${claim.timestamp}`);
+        console.log(`🚨 ALERT! Time ${this.formatTime(currentTimeSec)} >= claim @ ${this.formatTime(claimTimeSec)}`);
         console.log(`   📝 ${claim.finding?.slice(0, 60)}...`);
         
         // Show toast notification!
@@ -328,6 +549,13 @@ class LumosYouTubeMonitor {
     }
   }
 
+  // Aligned start (quote found in the captions/transcript) when the server has one,
+  // otherwise the extractor's MM:SS
+  claimTimeSec(claim) {
+    if (Number.isFinite(claim.aligned_start_sec)) return Math.floor(claim.aligned_start_sec);
+    return this.parseTimestamp(claim.timestamp);
+  }
+
   parseTimestamp(ts) {
     if (!ts) return 0;
     const parts = ts.split(':').map(Number);
@@ -361,7 +589,7 @@ class LumosYouTubeMonitor {
     const currentTimeSec = video ? Math.floor(video.currentTime) : 0;
     
     return this.allClaims.filter(claim => {
-      const claimTimeSec = this.parseTimestamp(claim.timestamp);
+      const claimTimeSec = this.claimTimeSec(claim);
       return currentTimeSec >= claimTimeSec;
     });
   }
@@ -410,7 +638,7 @@ class LumosYouTubeMonitor {
         font-weight: 700;
         letter-spacing: 0.5px;
       `;
-      badge.textContent = `CLAIM @ ${claim.timestamp}`;
+      badge.textContent = `CLAIM @ ${Number.isFinite(claim.aligned_start_sec) ? this.formatTime(Math.floor(claim.aligned_start_sec)) : claim.timestamp}`;
       
       const confidence = document.createElement('span');
       confidence.style.cssText = `
@@ -437,6 +665,15 @@ class LumosYouTubeMonitor {
         card.appendChild(author);
       }
 
+      // Who in the video said it (diarized videos only)
+      if (claim.speaker_name || claim.speaker_role) {
+        const speaker = document.createElement('div');
+        speaker.style.cssText = 'font-size: 12px; color: #9ca3af; margin-bottom: 8px;';
+        const role = claim.speaker_role ? ` (${claim.speaker_role})` : '';
+        speaker.textContent = `🎙️ Said by ${claim.speaker_name || claim.speaker_label}${role}`;
+        card.appendChild(speaker);
+      }
+
       // Finding
       const finding = document.createElement('div');
       finding.style.cssText = 'font-size: 14px; color: #f3f4f6; margin-bottom: 12px; line-height: 1.5;';
@@ -548,10 +785,12 @@ class LumosYouTubeMonitor {
       case 'GET_STATUS':
         sendResponse({
           isProcessing: this.isProcessing,
+          isLive: this.isLive,
           videoId: this.currentVideoId,
           videoTitle: this.getVideoTitle(),
           claimsShown: this.shownClaimIds.size,
           totalClaims: this.allClaims.length,
+          jobStatus: this.jobStatus,
           url: location.href
         });
         break;
@@ -5,7 +5,6 @@ class LumosPopup {
     this.currentStatus = null;
     this.apiUrl = 'http://localhost:3001';
     this.astroUrl = 'http://localhost:4321';
-    this.pollInterval = null;
     
     this.init();
   }
@@ -32,9 +31,9 @@ class LumosPopup {
     // Load settings
     await this.loadSettings();
     
-    // Start polling for claims if on YouTube
+    // Follow claim updates pushed by the content script if on YouTube
     if (this.isYouTubePage()) {
-      this.startPolling();
+      this.listenForUpdates();
     }
   }
 
@@ -88,13 +87,14 @@ class LumosPopup {
     }
   }
 
-  startPolling() {
-    if (this.pollInterval) clearInterval(this.pollInterval);
-    
-    // Poll every 2 seconds
-    this.pollInterval = setInterval(() => {
-      this.loadClaims();
-    }, 2000);
+  listenForUpdates() {
+    // Content script holds the SSE stream; it tells us when claims change or get revealed
+    chrome.runtime.onMessage.addListener((message, sender) => {
+      if (sender.tab?.id !== this.currentTab?.id) return;
+      if (message.type === 'CLAIMS_UPDATED' || message.type === 'CLAIM_TRIGGERED') {
+        this.loadClaims();
+      }
+    });
     
     // Also load immediately
     this.loadClaims();
@@ -120,21 +120,16 @@ class LumosPopup {
         console.log('Could not get revealed claims from content script');
       }
 
-      // Also get total claims from API to know progress
+      // Total claims and job status come from the content script's event stream
       try {
-        const response = await fetch(
-          `${this.apiUrl}/api/video/claims/yt-${this.currentStatus.videoId}`
-        );
-
-        if (response.ok) {
-          const data = await response.json();
-          if (data.success) {
-            totalClaims = data.data.claims?.length || 0;
-            this.updateProcessingStatus(data.data.status, revealedClaims.length, totalClaims);
-          }
-        }
+        const status = await chrome.tabs.sendMessage(this.currentTab.id, {
+          type: 'GET_STATUS'
+        });
+        
+        totalClaims = status?.totalClaims || 0;
+        this.updateProcessingStatus(status?.jobStatus, revealedClaims.length, totalClaims);
       } catch (e) {
-        console.log('Could not fetch claims from API');
+        console.log('Could not get status from content script');
       }
 
       // Display the revealed claims
@@ -296,6 +291,7 @@ class LumosPopup {
         </div>
         ${claim.author ? `<div class="claim-author">👤 ${claim.author}</div>` : ''}
         <div class="claim-text">${claim.finding || claim.segment || ''}</div>
+        ${claim.evidence_summary ? `<div class="claim-evidence">📚 ${claim.evidence_summary}</div>` : ''}
       </div>
     `).join('');
     
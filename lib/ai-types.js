@@ -0,0 +1,34 @@
+/**
+ * TypeScript types for AI services
+ * Defines interfaces for Whisper and GPT-4 responses
+ */
+export class WhisperError extends Error {
+    code;
+    service = 'whisper';
+    retryable;
+    cost;
+    constructor(message, code, retryable = true, cost) {
+        super(message);
+        this.name = 'WhisperError';
+        this.code = code;
+        this.retryable = retryable;
+        if (cost !== undefined) {
+            this.cost = cost;
+        }
+    }
+}
+export class GPTError extends Error {
+    code;
+    service = 'gpt';
+    retryable;
+    cost;
+    constructor(message, code, retryable = true, cost) {
+        super(message);
+        this.name = 'GPTError';
+        this.code = code;
+        this.retryable = retryable;
+        if (cost !== undefined) {
+            this.cost = cost;
+        }
+    }
+}
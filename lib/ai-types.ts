@@ -3,6 +3,9 @@
  * Defines interfaces for Whisper and GPT-4 responses
  */
 
+import type { ClaimAlignment } from '../services/claim-extraction/types.js';
+import type { ClaimSpeaker, DiarizedSpeakers } from '../services/diarization/types.js';
+
 /**
  * Whisper API Response Types
  */
@@ -17,6 +20,7 @@ export interface WhisperSegment {
   avg_logprob: number;
   compression_ratio: number;
   no_speech_prob: number;
+  speaker?: string;  // Diarization label, when diarized
 }
 
 export interface WhisperTranscription {
@@ -33,6 +37,7 @@ export interface TranscriptionResult {
   duration: number;
   processingTime: number;
   cost: number;
+  diarization?: DiarizedSpeakers;  // Speaker turns/names when diarization ran
 }
 
 /**
@@ -46,6 +51,8 @@ export interface Claim {
   analysis: string;
   sources: Source[];
   timestamp: string;
+  alignment?: ClaimAlignment | null;  // Claim text located in the transcript segments
+  speaker?: ClaimSpeaker | null;      // Who said it, from the aligned time
 }
 
 export interface FactCheckAnalysis {
@@ -0,0 +1,38 @@
+#!/usr/bin/env python3
+"""
+Local speaker diarization with pyannote.audio (DIARIZATION_BACKEND=local).
+
+    pip install pyannote.audio
+    HUGGINGFACE_TOKEN=hf_... python3 scripts/diarize.py episode.mp3
+
+Prints [{"speaker": "SPEAKER_00", "start": 0.5, "end": 12.3}, ...] to stdout.
+The model needs its Hugging Face terms accepted once:
+https://huggingface.co/pyannote/speaker-diarization-3.1
+"""
+import json
+import os
+import sys
+
+from pyannote.audio import Pipeline
+
+
+def main():
+    if len(sys.argv) < 2:
+        print('Usage: diarize.py <audio file>', file=sys.stderr)
+        sys.exit(2)
+
+    pipeline = Pipeline.from_pretrained(
+        os.environ.get('PYANNOTE_MODEL', 'pyannote/speaker-diarization-3.1'),
+        use_auth_token=os.environ.get('HUGGINGFACE_TOKEN'),
+    )
+    diarization = pipeline(sys.argv[1])
+
+    turns = [
+        {'speaker': speaker, 'start': round(turn.start, 2), 'end': round(turn.end, 2)}
+        for turn, _, speaker in diarization.itertracks(yield_label=True)
+    ]
+    json.dump(turns, sys.stdout)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,161 @@
+/**
+ * Evaluation Harness
+ * Scores extraction and verification against a labelled dataset and writes a
+ * JSON report that can be compared with earlier runs.
+ *
+ *   npx tsx scripts/evaluate.ts evaluation/datasets/sample.json
+ *   npx tsx scripts/evaluate.ts <dataset> --mode record                # once, with network + keys
+ *   npx tsx scripts/evaluate.ts <dataset> --mode replay --baseline evaluation/reports/<old>.json
+ *
+ * Options:
+ *   --mode live|record|replay   Fetch layer mode (default live)
+ *   --fixtures <dir>            Fixture dir for record/replay (default evaluation/fixtures/<dataset name>)
+ *   --no-verify                 Score extraction and timestamps only
+ *   --threshold <0-1>           Minimum similarity to pair an extracted claim with a labelled one (default 0.35)
+ *   --tolerance <sec>           Timestamp tolerance (default 30)
+ *   --out <file>                Report path (default evaluation/reports/<dataset>-<time>.json)
+ *   --baseline <report>         Print metric deltas against an earlier report
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs';
+import path from 'path';
+import { installFetchReplay, replayOptionsFromEnv } from '../services/replay/fetch-replay.js';
+import type { EvaluationMode, EvaluationReport } from '../services/evaluation/types.js';
+
+interface CliOptions {
+  dataset: string;
+  mode: EvaluationMode;
+  fixtures: string | null;
+  verify: boolean;
+  threshold: number | null;
+  tolerance: number | null;
+  out: string | null;
+  baseline: string | null;
+}
+
+function parseArgs(argv: string[]): CliOptions {
+  const options: CliOptions = {
+    dataset: '',
+    mode: 'live',
+    fixtures: null,
+    verify: true,
+    threshold: null,
+    tolerance: null,
+    out: null,
+    baseline: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]!;
+    const value = () => {
+      const next = argv[++i];
+      if (next === undefined) throw new Error(`${arg} needs a value`);
+      return next;
+    };
+
+    switch (arg) {
+      case '--mode': {
+        const mode = value();
+        if (mode !== 'live' && mode !== 'record' && mode !== 'replay') throw new Error(`Unknown mode: ${mode}`);
+        options.mode = mode;
+        break;
+      }
+      case '--fixtures': options.fixtures = value(); break;
+      case '--no-verify': options.verify = false; break;
+      case '--threshold': options.threshold = Number(value()); break;
+      case '--tolerance': options.tolerance = Number(value()); break;
+      case '--out': options.out = value(); break;
+      case '--baseline': options.baseline = value(); break;
+      default:
+        if (arg.startsWith('--') || options.dataset) throw new Error(`Unexpected argument: ${arg}`);
+        options.dataset = arg;
+    }
+  }
+
+  if (!options.dataset) throw new Error('Usage: npx tsx scripts/evaluate.ts <dataset.json> [options]');
+  return options;
+}
+
+function formatMetric(value: number | null | undefined): string {
+  return value === null || value === undefined ? '-' : String(value);
+}
+
+function printSummary(report: EvaluationReport): void {
+  const { extraction, timestamps, papers, verdicts } = report.metrics;
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`📊 ${report.dataset.name}: ${report.dataset.items} items, ${report.dataset.expected_claims} labelled claims`);
+  console.log(`   Extraction   precision ${formatMetric(extraction.precision)}  recall ${formatMetric(extraction.recall)}  f1 ${formatMetric(extraction.f1)}  (${extraction.matched} matched, ${extraction.extracted} extracted)`);
+  console.log(`   Timestamps   mean error ${formatMetric(timestamps.mean_abs_error_sec)}s  median ${formatMetric(timestamps.median_abs_error_sec)}s  within ${report.run.timestamp_tolerance_sec}s ${formatMetric(timestamps.within_tolerance)}`);
+  if (papers) {
+    console.log(`   Papers       accuracy ${formatMetric(papers.accuracy)}  (${papers.correct}/${papers.labelled} correct, ${papers.in_evidence} in top K)`);
+  }
+  if (verdicts) {
+    console.log(`   Verdicts     agreement ${formatMetric(verdicts.agreement)}  (${verdicts.agreed}/${verdicts.labelled})`);
+  }
+
+  const failed = report.items.filter(item => item.error);
+  if (failed.length > 0) {
+    console.log(`   ⚠️ ${failed.length} item(s) failed: ${failed.map(item => item.id).join(', ')}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Cache hits would bypass recording/replaying, so fixtures must see every request
+  if (options.mode !== 'live') process.env.LUMOS_HTTP_CACHE = 'off';
+
+  // Pipeline modules read their config on import, after the env above is set
+  const { Evaluator, loadDataset } = await import('../services/evaluation/evaluator.js');
+  const { compareReports } = await import('../services/evaluation/metrics.js');
+
+  const { dataset, sha1 } = loadDataset(options.dataset);
+
+  if (options.mode !== 'live') {
+    installFetchReplay({
+      ...replayOptionsFromEnv(),
+      mode: options.mode,
+      fixturesDir: options.fixtures || process.env.LUMOS_FIXTURES_DIR || path.join('evaluation', 'fixtures', dataset.name)
+    });
+  }
+
+  const evaluator = new Evaluator({
+    mode: options.mode,
+    verify: options.verify,
+    ...(options.threshold !== null && { matchThreshold: options.threshold }),
+    ...(options.tolerance !== null && { timestampToleranceSec: options.tolerance })
+  });
+  const report = await evaluator.run(dataset, options.dataset, sha1);
+
+  const out = options.out || path.join(
+    'evaluation', 'reports',
+    `${dataset.name}-${report.run.started_at.replace(/[:.]/g, '-')}.json`
+  );
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(report, null, 2));
+
+  printSummary(report);
+  console.log(`   📝 Report: ${out}`);
+
+  if (options.baseline) {
+    const baseline: EvaluationReport = JSON.parse(fs.readFileSync(options.baseline, 'utf8'));
+    if (baseline.dataset.sha1 !== report.dataset.sha1) {
+      console.warn(`   ⚠️ Baseline was run on a different version of the dataset; deltas are not comparable`);
+    }
+
+    console.log(`\n📈 Against ${options.baseline}`);
+    for (const { metric, baseline: before, current, delta } of compareReports(baseline, report)) {
+      const sign = delta !== null && delta > 0 ? '+' : '';
+      console.log(`   ${metric.padEnd(32)} ${formatMetric(before).padStart(7)} → ${formatMetric(current).padStart(7)}  ${delta === null ? '' : sign + delta}`);
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message || error);
+  process.exit(1);
+});
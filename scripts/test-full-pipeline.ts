@@ -1,12 +1,19 @@
 /**
  * Full Pipeline Test
  * Tests: Video URL → Claims → Verification
+ * 
+ * Offline:
+ *   LUMOS_REPLAY_MODE=record npx tsx scripts/test-full-pipeline.ts   # once, with network + keys
+ *   LUMOS_REPLAY_MODE=replay npx tsx scripts/test-full-pipeline.ts   # from fixtures/http
  */
 
 import dotenv from 'dotenv';
 dotenv.config();
 
+import { installFetchReplay, replayOptionsFromEnv } from '../services/replay/fetch-replay.js';
 import { VerificationPipeline } from '../services/claim-extraction/verification-pipeline.js';
+
+installFetchReplay(replayOptionsFromEnv());
 import type { SynthesizedClaim } from '../services/claim-extraction/types.js';
 
 // Claims from the Body Recomp video (extracted by Gemini)
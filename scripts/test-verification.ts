@@ -104,7 +104,8 @@ async function main() {
           year: verified.verification.best_paper.year,
           url: verified.verification.best_paper.url,
           match_score: verified.verification.best_paper.match_score.total_score
-        } : null
+        } : null,
+        evidence: verified.verification.evidence
       });
     }
     
@@ -113,6 +114,9 @@ async function main() {
     console.log(`      Verdict: ${verified.verification.result?.verdict}`);
     console.log(`      Confidence: ${verified.verification.result?.confidence}`);
     console.log(`      ${verified.verification.result?.explanation}`);
+    if (verified.verification.synthesis) {
+      console.log(`      Evidence: ${verified.verification.synthesis.summary}`);
+    }
     if (verified.verification.best_paper) {
       console.log(`      Paper: "${verified.verification.best_paper.title.slice(0, 50)}..."`);
       console.log(`      URL: ${verified.verification.best_paper.url}`);
@@ -1,26 +1,12 @@
-import OpenAI from 'openai';
-import { AI_CONFIG } from '../lib/ai-config.js';
+import { llm } from './llm/index.js';
 import { StudySearchResult } from './study-linker.js';
 import { Source } from '../lib/ai-types.js';
 
 /**
  * Academic Analyzer Service
- * Uses GPT to analyze academic search results and extract relevant sources
+ * Uses an LLM (academic_analysis task) to analyze academic search results and extract relevant sources
  */
 export class AcademicAnalyzerService {
-  private openai: OpenAI;
-
-  constructor() {
-    const openaiConfig: any = {
-      apiKey: AI_CONFIG.openai.apiKey,
-    };
-    
-    if (AI_CONFIG.openai.organization) {
-      openaiConfig.organization = AI_CONFIG.openai.organization;
-    }
-    
-    this.openai = new OpenAI(openaiConfig);
-  }
 
   /**
    * Analyze academic search results and extract relevant sources for a claim
@@ -29,8 +15,8 @@ export class AcademicAnalyzerService {
     try {
       console.log(`🔍 Analyzing ${searchResults.length} academic results for claim: "${claim.substring(0, 50)}..."`);
       
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      // Replies with a JSON array, so no JSON-object mode here
+      const response = await llm.complete('academic_analysis', {
         messages: [
           {
             role: 'system',
@@ -72,13 +58,10 @@ Please identify the most relevant academic sources for this claim.`
           }
         ],
         temperature: 0.1,
-        max_tokens: 2000
+        maxTokens: 2000
       });
 
-      const content = response.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('No response content from GPT');
-      }
+      const content = response.text;
 
       // Parse the JSON response
       const jsonMatch = content.match(/\[[\s\S]*\]/);
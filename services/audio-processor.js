@@ -0,0 +1,195 @@
+import { AI_CONFIG, validateAIConfig, COST_ESTIMATES } from '../lib/ai-config.js';
+import { WhisperError } from '../lib/ai-types.js';
+import { diarizer } from './diarization/index.js';
+import { createTranscriptionBackend } from './transcription/index.js';
+/**
+ * Audio Processing Service
+ * Handles Whisper transcription through the configured backend (OpenAI API,
+ * or a local whisper.cpp / faster-whisper server at no cost; see
+ * TRANSCRIPTION_BACKEND), and optionally speaker diarization of the same
+ * audio (DIARIZATION_BACKEND)
+ */
+export class AudioProcessor {
+    backend;
+    rateLimiter = new Map();
+    costTracker = new Map();
+    constructor(backend) {
+        // Validate configuration before initializing
+        validateAIConfig();
+        this.backend = backend || createTranscriptionBackend();
+        console.log(`🎤 Transcription backend: ${this.backend.name}`);
+    }
+    /**
+     * Name of the transcription backend in use
+     */
+    get backendName() {
+        return this.backend.name;
+    }
+    /**
+     * Transcribe audio with the configured Whisper backend
+     * @param options.diarize - Also label each segment with its speaker (when a backend is configured)
+     */
+    async transcribeAudio(audioBuffer, filename, options = {}) {
+        const startTime = Date.now();
+        try {
+            // Rate limiting check
+            if (!this.checkRateLimit('whisper')) {
+                throw new WhisperError('Rate limit exceeded for Whisper API', 'RATE_LIMIT_EXCEEDED', true);
+            }
+            // Validate audio file
+            this.validateAudioFile(audioBuffer, filename);
+            console.log(`🎤 Transcribing audio: ${filename} (${audioBuffer.length} bytes)`);
+            const transcription = await this.backend.transcribe(audioBuffer, filename);
+            const processingTime = Date.now() - startTime;
+            // Local servers cost nothing; only the API is charged against the daily limit
+            const cost = this.backend.billable ? this.calculateCost(transcription.duration) : 0;
+            if (cost > 0)
+                this.trackCost('whisper', cost);
+            console.log(`✅ Transcription completed in ${processingTime}ms (${this.backend.name}, cost: $${cost.toFixed(4)})`);
+            const result = {
+                ...transcription,
+                processingTime,
+                cost
+            };
+            return options.diarize
+                ? this.diarizeTranscription(result, audioBuffer, filename, options.context)
+                : result;
+        }
+        catch (error) {
+            const processingTime = Date.now() - startTime;
+            console.error('❌ Whisper transcription failed:', error);
+            // Handle different types of errors
+            if (error instanceof Error) {
+                if (error.message.includes('rate_limit_exceeded')) {
+                    throw new WhisperError('OpenAI rate limit exceeded', 'OPENAI_RATE_LIMIT', true, this.calculateCost(0));
+                }
+                if (error.message.includes('invalid_file_format')) {
+                    throw new WhisperError('Invalid audio file format', 'INVALID_FORMAT', false);
+                }
+                if (error.message.includes('file_too_large')) {
+                    throw new WhisperError('Audio file too large', 'FILE_TOO_LARGE', false);
+                }
+            }
+            throw new WhisperError(`Transcription failed: ${error instanceof Error ? error.message : 'Unknown error'}`, 'TRANSCRIPTION_FAILED', true, this.calculateCost(0));
+        }
+    }
+    /**
+     * Speaker-segmented copy of a transcription (Whisper or captions) of this
+     * audio; unchanged when diarization is off or fails
+     */
+    async diarizeTranscription(transcription, audioBuffer, filename, context = {}) {
+        if (!diarizer.enabled)
+            return transcription;
+        try {
+            const diarization = await diarizer.diarize(audioBuffer, filename, {
+                ...context,
+                segments: transcription.segments.map(s => ({ startSec: s.start, endSec: s.end, text: s.text }))
+            });
+            return {
+                ...transcription,
+                segments: diarizer.labelSegments(transcription.segments, diarization),
+                diarization
+            };
+        }
+        catch (error) {
+            console.warn('⚠️ Diarization failed, transcript has no speakers:', error instanceof Error ? error.message : error);
+            return transcription;
+        }
+    }
+    /**
+     * Validate audio file before processing
+     */
+    validateAudioFile(buffer, filename) {
+        // Check file size (25MB limit)
+        if (buffer.length > AI_CONFIG.whisper.maxFileSize) {
+            throw new WhisperError(`Audio file too large: ${buffer.length} bytes (max: ${AI_CONFIG.whisper.maxFileSize})`, 'FILE_TOO_LARGE', false);
+        }
+        // Check minimum file size (skip very small chunks)
+        if (buffer.length < 1000) {
+            throw new WhisperError('Audio file too small to process', 'FILE_TOO_SMALL', false);
+        }
+        // Validate file extension
+        const validExtensions = ['.webm', '.mp3', '.mp4', '.m4a', '.wav', '.ogg'];
+        const extension = filename.toLowerCase().substring(filename.lastIndexOf('.'));
+        if (!validExtensions.includes(extension)) {
+            throw new WhisperError(`Unsupported file format: ${extension}`, 'UNSUPPORTED_FORMAT', false);
+        }
+    }
+    /**
+     * Check rate limiting for service
+     */
+    checkRateLimit(service) {
+        const now = Date.now();
+        const windowMs = 60 * 1000; // 1 minute window
+        const limit = AI_CONFIG.limits.rateLimit;
+        if (!this.rateLimiter.has(service)) {
+            this.rateLimiter.set(service, []);
+        }
+        const requests = this.rateLimiter.get(service);
+        const recentRequests = requests.filter(time => now - time < windowMs);
+        if (recentRequests.length >= limit) {
+            console.warn(`⚠️ Rate limit exceeded for ${service}: ${recentRequests.length}/${limit} requests`);
+            return false;
+        }
+        recentRequests.push(now);
+        this.rateLimiter.set(service, recentRequests);
+        return true;
+    }
+    /**
+     * Calculate cost for transcription
+     */
+    calculateCost(durationSeconds) {
+        return COST_ESTIMATES.whisper.costPerChunk(durationSeconds);
+    }
+    /**
+     * Track daily costs
+     */
+    trackCost(service, cost) {
+        const today = new Date().toISOString().split('T')[0];
+        const key = `${service}_${today}`;
+        const currentCost = this.costTracker.get(key) || 0;
+        const newCost = currentCost + cost;
+        // Check daily cost limit
+        if (newCost > AI_CONFIG.limits.costLimit) {
+            throw new WhisperError(`Daily cost limit exceeded for ${service}: $${newCost.toFixed(2)} (limit: $${AI_CONFIG.limits.costLimit})`, 'COST_LIMIT_EXCEEDED', false, cost);
+        }
+        this.costTracker.set(key, newCost);
+        console.log(`💰 ${service} cost: $${cost.toFixed(4)} (daily total: $${newCost.toFixed(2)})`);
+    }
+    /**
+     * Get rate limit information
+     */
+    getRateLimitInfo(service) {
+        const now = Date.now();
+        const windowMs = 60 * 1000;
+        const requests = this.rateLimiter.get(service) || [];
+        const recentRequests = requests.filter(time => now - time < windowMs);
+        return {
+            service,
+            requests: recentRequests,
+            limit: AI_CONFIG.limits.rateLimit,
+            windowMs,
+            resetTime: now + windowMs
+        };
+    }
+    /**
+     * Get daily cost for service
+     */
+    getDailyCost(service) {
+        const today = new Date().toISOString().split('T')[0];
+        const key = `${service}_${today}`;
+        return this.costTracker.get(key) || 0;
+    }
+    /**
+     * Reset rate limiter (for testing)
+     */
+    resetRateLimiter() {
+        this.rateLimiter.clear();
+    }
+    /**
+     * Reset cost tracker (for testing)
+     */
+    resetCostTracker() {
+        this.costTracker.clear();
+    }
+}
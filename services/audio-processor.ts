@@ -1,4 +1,3 @@
-import OpenAI from 'openai';
 import { AI_CONFIG, validateAIConfig, COST_ESTIMATES } from '../lib/ai-config.js';
 import type { 
   TranscriptionResult, 
@@ -6,35 +5,45 @@ import type {
   RateLimitInfo 
 } from '../lib/ai-types.js';
 import { WhisperError } from '../lib/ai-types.js';
+import { diarizer, type SpeakerContext } from './diarization/index.js';
+import { createTranscriptionBackend, type TranscriptionBackend } from './transcription/index.js';
 
 /**
  * Audio Processing Service
- * Handles OpenAI Whisper API integration for audio transcription
+ * Handles Whisper transcription through the configured backend (OpenAI API,
+ * or a local whisper.cpp / faster-whisper server at no cost; see
+ * TRANSCRIPTION_BACKEND), and optionally speaker diarization of the same
+ * audio (DIARIZATION_BACKEND)
  */
 export class AudioProcessor {
-  private openai: OpenAI;
+  private backend: TranscriptionBackend;
   private rateLimiter: Map<string, number[]> = new Map();
   private costTracker: Map<string, number> = new Map();
 
-  constructor() {
+  constructor(backend?: TranscriptionBackend) {
     // Validate configuration before initializing
     validateAIConfig();
     
-    const openaiConfig: any = {
-      apiKey: AI_CONFIG.openai.apiKey,
-    };
-    
-    if (AI_CONFIG.openai.organization) {
-      openaiConfig.organization = AI_CONFIG.openai.organization;
-    }
-    
-    this.openai = new OpenAI(openaiConfig);
+    this.backend = backend || createTranscriptionBackend();
+    console.log(`🎤 Transcription backend: ${this.backend.name}`);
   }
 
   /**
-   * Transcribe audio using OpenAI Whisper API
+   * Name of the transcription backend in use
    */
-  async transcribeAudio(audioBuffer: Buffer, filename: string): Promise<TranscriptionResult> {
+  get backendName(): string {
+    return this.backend.name;
+  }
+
+  /**
+   * Transcribe audio with the configured Whisper backend
+   * @param options.diarize - Also label each segment with its speaker (when a backend is configured)
+   */
+  async transcribeAudio(
+    audioBuffer: Buffer,
+    filename: string,
+    options: { diarize?: boolean; context?: SpeakerContext } = {}
+  ): Promise<TranscriptionResult> {
     const startTime = Date.now();
     
     try {
@@ -52,30 +61,24 @@ export class AudioProcessor {
 
       console.log(`🎤 Transcribing audio: ${filename} (${audioBuffer.length} bytes)`);
 
-      // Call OpenAI Whisper API
-      const transcription = await this.openai.audio.transcriptions.create({
-        file: new File([new Uint8Array(audioBuffer)], filename, { type: 'audio/webm' }),
-        model: AI_CONFIG.whisper.model,
-        response_format: 'verbose_json',
-        timestamp_granularities: ['segment'],
-      });
+      const transcription: WhisperTranscription = await this.backend.transcribe(audioBuffer, filename);
 
       const processingTime = Date.now() - startTime;
-      const cost = this.calculateCost(transcription.duration || 0);
+      // Local servers cost nothing; only the API is charged against the daily limit
+      const cost = this.backend.billable ? this.calculateCost(transcription.duration) : 0;
 
-      // Track cost
-      this.trackCost('whisper', cost);
+      if (cost > 0) this.trackCost('whisper', cost);
 
-      console.log(`✅ Transcription completed in ${processingTime}ms (cost: $${cost.toFixed(4)})`);
+      console.log(`✅ Transcription completed in ${processingTime}ms (${this.backend.name}, cost: $${cost.toFixed(4)})`);
 
-      return {
-        text: transcription.text,
-        segments: transcription.segments || [],
-        language: transcription.language || 'unknown',
-        duration: transcription.duration || 0,
+      const result: TranscriptionResult = {
+        ...transcription,
         processingTime,
         cost
       };
+      return options.diarize
+        ? this.diarizeTranscription(result, audioBuffer, filename, options.context)
+        : result;
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
@@ -119,6 +122,34 @@ export class AudioProcessor {
     }
   }
 
+  /**
+   * Speaker-segmented copy of a transcription (Whisper or captions) of this
+   * audio; unchanged when diarization is off or fails
+   */
+  async diarizeTranscription(
+    transcription: TranscriptionResult,
+    audioBuffer: Buffer,
+    filename: string,
+    context: SpeakerContext = {}
+  ): Promise<TranscriptionResult> {
+    if (!diarizer.enabled) return transcription;
+
+    try {
+      const diarization = await diarizer.diarize(audioBuffer, filename, {
+        ...context,
+        segments: transcription.segments.map(s => ({ startSec: s.start, endSec: s.end, text: s.text }))
+      });
+      return {
+        ...transcription,
+        segments: diarizer.labelSegments(transcription.segments, diarization),
+        diarization
+      };
+    } catch (error) {
+      console.warn('⚠️ Diarization failed, transcript has no speakers:', error instanceof Error ? error.message : error);
+      return transcription;
+    }
+  }
+
   /**
    * Validate audio file before processing
    */
@@ -0,0 +1,100 @@
+import { AI_CONFIG } from '../lib/ai-config.js';
+import { llm } from './llm/index.js';
+export class ClaimBuilder {
+    contextBuffers = new Map();
+    contextWindowChunks = 5;
+    constructor() {
+        // Initialize window from config
+        if (AI_CONFIG.claims?.contextWindowChunks) {
+            const n = Number(AI_CONFIG.claims.contextWindowChunks);
+            if (Number.isFinite(n) && n > 0)
+                this.contextWindowChunks = Math.floor(n);
+        }
+    }
+    async canonicalizeSpan(span, videoYear, contextId) {
+        const sys = `You receive a short transcript span (1–3 sentences). Extract ONE perfect factual claim strictly from this span; do not add new facts.
+Return strict JSON with keys: claim, authors[], study_type (review|systematic_review|meta_analysis|trial|observational|other), count (number|null), time_reference {text, approx_year|null} or null, topic_keywords[], span_text.
+Normalize author first names (e.g., Chris -> Christopher) when obvious. If a quantity or time appears, include it. If no time, set time_reference to null.`;
+        const previous = contextId ? this.getContextText(contextId) : '';
+        const user = (previous ? `PREVIOUS_CONTEXT (last ${this.contextWindowChunks} chunks):\n${previous}\n\n` : '')
+            + `SPAN:\n${span.trim()}`
+            + (videoYear ? `\nVIDEO_YEAR:${videoYear}` : '');
+        try {
+            const resp = await llm.complete('claim_canonicalization', {
+                messages: [
+                    { role: 'system', content: sys },
+                    { role: 'user', content: user }
+                ],
+                json: true,
+                maxTokens: 800
+            });
+            const parsed = resp.json;
+            // Light validation
+            if (!parsed || typeof parsed.claim !== 'string')
+                return null;
+            parsed.authors = Array.isArray(parsed.authors) ? parsed.authors : [];
+            parsed.study_type = parsed.study_type || 'other';
+            if (parsed.count !== null && typeof parsed.count !== 'number')
+                parsed.count = null;
+            if (parsed.time_reference && typeof parsed.time_reference.text !== 'string')
+                parsed.time_reference = null;
+            parsed.topic_keywords = Array.isArray(parsed.topic_keywords) ? parsed.topic_keywords : [];
+            parsed.span_text = typeof parsed.span_text === 'string' ? parsed.span_text : span.trim();
+            if (contextId)
+                this.pushContextChunk(contextId, span);
+            return parsed;
+        }
+        catch {
+            return null;
+        }
+    }
+    buildBoostedQuery(c) {
+        const parts = [];
+        if (c.authors?.length)
+            parts.push(c.authors.map(a => `"${a}"`).join(' '));
+        if (c.study_type && c.study_type !== 'other')
+            parts.push(`"${c.study_type.replace('_', ' ')}"`);
+        if (typeof c.count === 'number')
+            parts.push(`"${c.count} studies"`);
+        if (c.time_reference?.text)
+            parts.push(`"${c.time_reference.text}"`);
+        if (c.topic_keywords?.length)
+            parts.push(c.topic_keywords.slice(0, 5).map(k => `"${k}"`).join(' '));
+        parts.push(`"${c.claim}"`);
+        // Academic domain bias
+        const domainFilter = '(site:pmc.ncbi.nlm.nih.gov OR site:pubmed.ncbi.nlm.nih.gov OR site:biomedcentral.com OR site:plos.org OR site:frontiersin.org OR site:mdpi.com OR site:bmj.com OR site:thelancet.com OR site:jamanetwork.com OR site:doi.org OR site:nature.com OR site:science.org OR site:wiley.com OR site:springer.com OR site:sciencedirect.com OR site:academic.oup.com OR site:tandfonline.com OR site:journals.lww.com)';
+        return `${parts.filter(Boolean).join(' ')} ${domainFilter}`.trim().slice(0, 300);
+    }
+    setContextWindowChunks(n) {
+        const size = Number.isFinite(n) && n > 0 ? Math.floor(n) : 5;
+        this.contextWindowChunks = size;
+        // Trim existing buffers if needed
+        for (const [key, chunks] of this.contextBuffers.entries()) {
+            if (chunks.length > size)
+                this.contextBuffers.set(key, chunks.slice(-size));
+        }
+    }
+    resetContext(contextId) {
+        if (!contextId)
+            return;
+        this.contextBuffers.delete(contextId);
+    }
+    pushContextChunk(contextId, chunk) {
+        if (!contextId)
+            return;
+        const text = (chunk || '').toString().trim();
+        if (!text)
+            return;
+        const arr = this.contextBuffers.get(contextId) || [];
+        arr.push(text);
+        if (arr.length > this.contextWindowChunks)
+            arr.splice(0, arr.length - this.contextWindowChunks);
+        this.contextBuffers.set(contextId, arr);
+    }
+    getContextText(contextId) {
+        if (!contextId)
+            return '';
+        const arr = this.contextBuffers.get(contextId) || [];
+        return arr.join('\n');
+    }
+}
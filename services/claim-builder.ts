@@ -1,5 +1,5 @@
-import OpenAI from 'openai';
 import { AI_CONFIG } from '../lib/ai-config.js';
+import { llm } from './llm/index.js';
 
 export interface CanonicalClaim {
   claim: string;
@@ -12,14 +12,10 @@ export interface CanonicalClaim {
 }
 
 export class ClaimBuilder {
-  private openai: OpenAI;
   private contextBuffers: Map<string, string[]> = new Map();
   private contextWindowChunks: number = 5;
 
   constructor() {
-    const openaiConfig: any = { apiKey: AI_CONFIG.openai.apiKey };
-    if (AI_CONFIG.openai.organization) openaiConfig.organization = AI_CONFIG.openai.organization;
-    this.openai = new OpenAI(openaiConfig);
     // Initialize window from config
     if ((AI_CONFIG as any).claims?.contextWindowChunks) {
       const n = Number((AI_CONFIG as any).claims.contextWindowChunks);
@@ -37,15 +33,15 @@ Normalize author first names (e.g., Chris -> Christopher) when obvious. If a qua
       + `SPAN:\n${span.trim()}`
       + (videoYear ? `\nVIDEO_YEAR:${videoYear}` : '');
     try {
-      const resp: any = await (this.openai as any).responses.create({
-        model: 'gpt-5',
-        input: `${sys}\n\n${user}`,
-        max_output_tokens: 800
+      const resp = await llm.complete('claim_canonicalization', {
+        messages: [
+          { role: 'system', content: sys },
+          { role: 'user', content: user }
+        ],
+        json: true,
+        maxTokens: 800
       });
-      const content: string = resp.output_text || (resp.output?.[0]?.content?.[0]?.text?.value) || '';
-      const match = content.match(/\{[\s\S]*\}/);
-      if (!match) return null;
-      const parsed = JSON.parse(match[0]);
+      const parsed = resp.json;
       // Light validation
       if (!parsed || typeof parsed.claim !== 'string') return null;
       parsed.authors = Array.isArray(parsed.authors) ? parsed.authors : [];
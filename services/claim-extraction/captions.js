@@ -0,0 +1,125 @@
+/**
+ * YouTube Captions
+ * Fetches a video's caption track (manual or auto-generated) with per-line
+ * timings via youtube-transcript, so claims can be extracted from text
+ * instead of video ingestion or yt-dlp + Whisper.
+ *
+ * Tracks are cached for a week (http cache, source "captions"); a video
+ * without captions isn't cached, so captions added later are picked up.
+ */
+import { YoutubeTranscript, YoutubeTranscriptError } from 'youtube-transcript';
+import { httpCache } from './http-cache.js';
+import { rateLimiter } from './rate-limiter.js';
+export class CaptionsUnavailableError extends Error {
+    constructor(videoId, reason) {
+        super(`No captions for ${videoId}: ${reason}`);
+        this.name = 'CaptionsUnavailableError';
+    }
+}
+// Lines are merged into blocks of about this length for the LLM; one [MM:SS] per block
+const DEFAULT_BLOCK_SECONDS = 15;
+// ─────────────────────────────────────────────────────────────
+// Fetching
+// ─────────────────────────────────────────────────────────────
+/**
+ * Caption track for a YouTube URL or id; throws CaptionsUnavailableError
+ * when the video has none (or none in the requested language)
+ */
+export async function fetchCaptions(urlOrId, lang = null) {
+    const videoId = youtubeId(urlOrId);
+    if (!videoId)
+        throw new CaptionsUnavailableError(urlOrId, 'not a YouTube URL');
+    let failure = null;
+    const track = await httpCache.remember('captions', { videoId, lang }, async () => {
+        try {
+            const raw = await YoutubeTranscript.fetchTranscript(videoId, {
+                ...(lang && { lang }),
+                fetch: (url, init) => rateLimiter.fetch('scrape', String(url), init)
+            });
+            const lines = toLines(raw);
+            if (lines.length === 0) {
+                failure = 'empty caption track';
+                return null;
+            }
+            return {
+                videoId,
+                language: raw[0]?.lang || lang,
+                durationSec: lines[lines.length - 1].endSec,
+                lines
+            };
+        }
+        catch (error) {
+            if (!(error instanceof YoutubeTranscriptError))
+                throw error;
+            failure = error.message.replace(/^\[YoutubeTranscript\] 🚨 /, '');
+            return null;
+        }
+    });
+    if (!track)
+        throw new CaptionsUnavailableError(videoId, failure || 'unavailable');
+    return track;
+}
+/**
+ * The library reports srv3 tracks in milliseconds and classic tracks in
+ * seconds; caption lines never last a minute, so long durations mean ms
+ */
+function toLines(raw) {
+    const durations = raw.map(r => r.duration).sort((a, b) => a - b);
+    const medianDuration = durations[Math.floor(durations.length / 2)] || 0;
+    const scale = medianDuration > 60 ? 1 / 1000 : 1;
+    return raw
+        .map(r => ({
+        startSec: round(r.offset * scale),
+        endSec: round((r.offset + r.duration) * scale),
+        text: r.text.replace(/\s+/g, ' ').trim()
+    }))
+        .filter(line => line.text && line.text !== '[Music]');
+}
+// ─────────────────────────────────────────────────────────────
+// Formatting
+// ─────────────────────────────────────────────────────────────
+/**
+ * Transcript text for the extraction prompt: one "[MM:SS] ..." block per
+ * ~15 seconds, limited to [fromSec, toSec). Timestamps are positions in the
+ * full video, so segment prompts need no offset arithmetic.
+ */
+export function formatTranscript(track, fromSec = 0, toSec = Infinity, blockSeconds = DEFAULT_BLOCK_SECONDS) {
+    const blocks = [];
+    let blockStart = -1;
+    let words = [];
+    const flush = () => {
+        if (words.length > 0)
+            blocks.push(`[${formatSeconds(blockStart)}] ${words.join(' ')}`);
+        words = [];
+    };
+    for (const line of track.lines) {
+        if (line.startSec < fromSec || line.startSec >= toSec)
+            continue;
+        if (words.length === 0 || line.startSec - blockStart >= blockSeconds) {
+            flush();
+            blockStart = line.startSec;
+        }
+        words.push(line.text);
+    }
+    flush();
+    return blocks.join('\n');
+}
+export function formatSeconds(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const mins = Math.floor((totalSeconds % 3600) / 60);
+    const secs = Math.floor(totalSeconds % 60);
+    const mmss = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+// ─────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────
+function youtubeId(urlOrId) {
+    const bare = urlOrId.replace(/^yt-/, '');
+    if (/^[a-zA-Z0-9_-]{11}$/.test(bare))
+        return bare;
+    return urlOrId.match(/(?:v=|youtu\.be\/|\/live\/|\/shorts\/)([a-zA-Z0-9_-]{11})/)?.[1] || null;
+}
+function round(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
@@ -0,0 +1,343 @@
+/**
+ * Channel Poller
+ * Watches subscribed YouTube channels and podcast feeds for new uploads and
+ * queues them for hybrid processing, so claims are extracted and verified
+ * before anyone presses play.
+ *
+ * A subscription's identifier is resolved once to a feed: YouTube channels
+ * ("@handle", channel URL or UC… id) to their uploads Atom feed, anything
+ * else is read as a podcast RSS feed (podcast-feed.ts). Each poll queues
+ * uploads published after the newest one already seen; the first poll only
+ * records where the channel is, so subscribing doesn't process its back
+ * catalogue (ask for a backfill for that). More new uploads than
+ * maxUploadsPerPoll are spread over later polls. Queueing is idempotent:
+ * HybridProcessor skips videos it already has.
+ *
+ *   SUBSCRIPTIONS_POLL_MINUTES=0   disable the poller
+ */
+
+import { rateLimiter } from './rate-limiter.js';
+import { fetchFeed } from './podcast-feed.js';
+import { youtubeSourceId, type SourceKind } from './sources.js';
+import {
+  createSubscriptionStore,
+  newSubscription,
+  type ChannelSubscription,
+  type SubscriptionStore
+} from './subscription-store.js';
+
+// ─────────────────────────────────────────────────────────────
+// Types
+// ─────────────────────────────────────────────────────────────
+
+export interface ChannelUpload {
+  videoId: string;                  // "yt-<id>" or "pod-<hash>"
+  url: string;                      // Watch URL or episode audio
+  title: string;
+  publishedAt: number | null;
+}
+
+/** Queue one upload (HybridProcessor.startProcessing) */
+export type UploadHandler = (upload: ChannelUpload, subscription: ChannelSubscription) => Promise<void>;
+
+export interface SubscribeOptions {
+  description?: string | null;
+  autoProcess?: boolean;
+  backfill?: number;                // Also queue this many of the newest existing uploads
+}
+
+interface ChannelPollerConfig {
+  supabase?: any;                   // Optional supabase client (whitelist table); local SQLite otherwise
+  store?: SubscriptionStore;
+  onUpload?: UploadHandler;
+  intervalMinutes: number;          // Poll period (SUBSCRIPTIONS_POLL_MINUTES); 0 disables the scheduler
+  maxUploadsPerPoll: number;        // Per channel, so a long downtime doesn't flood the queue
+}
+
+const DEFAULT_CONFIG: ChannelPollerConfig = {
+  intervalMinutes: Number(process.env.SUBSCRIPTIONS_POLL_MINUTES ?? 30),
+  maxUploadsPerPoll: 3
+};
+
+const CHANNEL_ID = /^UC[a-zA-Z0-9_-]{22}$/;
+
+// ─────────────────────────────────────────────────────────────
+// Poller
+// ─────────────────────────────────────────────────────────────
+
+export class ChannelPoller {
+  private config: ChannelPollerConfig;
+  private store: SubscriptionStore;
+  private timer: NodeJS.Timeout | null = null;
+  private pollActive = false;
+
+  constructor(config: Partial<ChannelPollerConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.store = this.config.store || createSubscriptionStore(this.config.supabase);
+  }
+
+  list(): Promise<ChannelSubscription[]> {
+    return this.store.list();
+  }
+
+  get(id: string): Promise<ChannelSubscription | null> {
+    return this.store.get(id);
+  }
+
+  /**
+   * Subscribe to a channel or feed (updates an existing subscription to the
+   * same identifier); the feed is resolved and read before this resolves, so
+   * bad identifiers fail here. Returns the subscription and any queued backfill.
+   */
+  async subscribe(
+    channelIdentifier: string,
+    options: SubscribeOptions = {}
+  ): Promise<{ subscription: ChannelSubscription; queued: ChannelUpload[] }> {
+    const identifier = channelIdentifier.trim();
+    const subscription = (await this.store.findByIdentifier(identifier)) || newSubscription(identifier);
+    if (options.description !== undefined) subscription.description = options.description;
+    if (options.autoProcess !== undefined) subscription.autoProcess = options.autoProcess;
+
+    const { kind, feedUrl } = await resolveFeed(identifier);
+    subscription.kind = kind;
+    subscription.feedUrl = feedUrl;
+
+    const uploads = await fetchUploads(subscription);
+    const backfill = uploads.slice(0, Math.max(0, options.backfill || 0));
+    if (subscription.lastUploadAt === null) {
+      subscription.lastUploadAt = newestPublished(uploads) ?? Date.now();
+    }
+    subscription.lastPolledAt = Date.now();
+    subscription.lastError = null;
+    await this.store.save(subscription);
+    console.log(`📡 Subscribed to ${identifier} (${kind}, ${uploads.length} uploads in feed)`);
+
+    const queued = await this.queue(subscription, backfill);
+    return { subscription, queued };
+  }
+
+  unsubscribe(id: string): Promise<boolean> {
+    return this.store.remove(id);
+  }
+
+  /**
+   * Poll one subscription now; returns the uploads queued
+   */
+  async poll(subscription: ChannelSubscription): Promise<ChannelUpload[]> {
+    try {
+      if (!subscription.feedUrl) {
+        const { kind, feedUrl } = await resolveFeed(subscription.channelIdentifier);
+        subscription.kind = kind;
+        subscription.feedUrl = feedUrl;
+      }
+
+      const uploads = await fetchUploads(subscription);
+      const since = subscription.lastUploadAt;
+      // First poll (e.g. a channel whitelisted before subscriptions existed) only sets the baseline
+      const fresh = since === null
+        ? []
+        : uploads.filter(upload => upload.publishedAt !== null && upload.publishedAt > since);
+
+      // A backlog is worked off oldest first; the baseline only moves past what
+      // this poll takes, so the rest are picked up by the next polls
+      const batch = fresh.slice(-this.config.maxUploadsPerPoll);
+      subscription.lastUploadAt = batch.length < fresh.length
+        ? newestPublished(batch)!
+        : Math.max(since ?? 0, newestPublished(uploads) ?? Date.now());
+      subscription.lastPolledAt = Date.now();
+      subscription.lastError = null;
+      await this.store.save(subscription);
+
+      if (batch.length < fresh.length) {
+        console.log(`📡 ${subscription.channelIdentifier}: ${fresh.length} new uploads, queueing the oldest ${batch.length}`);
+      }
+      return await this.queue(subscription, batch);
+    } catch (error: any) {
+      console.warn(`⚠️ Polling ${subscription.channelIdentifier} failed:`, error.message);
+      subscription.lastPolledAt = Date.now();
+      subscription.lastError = error.message;
+      await this.store.save(subscription).catch(() => undefined);
+      return [];
+    }
+  }
+
+  /**
+   * Poll every subscription once; returns the number of uploads queued
+   */
+  async pollAll(): Promise<number> {
+    if (this.pollActive) {
+      console.log('⏭️ Channel poll still running, skipping');
+      return 0;
+    }
+
+    this.pollActive = true;
+    try {
+      const subscriptions = await this.store.list();
+      let queued = 0;
+      for (const subscription of subscriptions) {
+        queued += (await this.poll(subscription)).length;
+      }
+      console.log(`📡 Polled ${subscriptions.length} subscriptions: ${queued} new uploads queued`);
+      return queued;
+    } finally {
+      this.pollActive = false;
+    }
+  }
+
+  /**
+   * Start the periodic poller (no-op when intervalMinutes is 0)
+   */
+  start(): void {
+    if (this.timer || this.config.intervalMinutes <= 0) return;
+
+    const run = () => {
+      this.pollAll().catch(err => console.warn('⚠️ Channel poll failed:', err.message));
+    };
+    this.timer = setInterval(run, this.config.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+    console.log(`⏰ Channel subscriptions polled every ${this.config.intervalMinutes} min`);
+    run();
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Private helpers
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Hand uploads to the processor, oldest first; failures are logged and skipped
+   */
+  private async queue(subscription: ChannelSubscription, uploads: ChannelUpload[]): Promise<ChannelUpload[]> {
+    if (!subscription.autoProcess || !this.config.onUpload || uploads.length === 0) return [];
+
+    const queued: ChannelUpload[] = [];
+    for (const upload of [...uploads].reverse()) {
+      try {
+        await this.config.onUpload(upload, subscription);
+        queued.push(upload);
+        console.log(`📥 Queued ${upload.videoId} "${upload.title}" from ${subscription.channelIdentifier}`);
+      } catch (error: any) {
+        console.warn(`⚠️ Queueing ${upload.videoId} failed:`, error.message);
+      }
+    }
+    return queued;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Feeds
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Channel identifier → feed to poll. YouTube handles need the channel page
+ * for their UC… id; anything that isn't YouTube is taken as a podcast feed.
+ */
+export async function resolveFeed(identifier: string): Promise<{ kind: SourceKind; feedUrl: string }> {
+  const value = identifier.trim();
+
+  if (/youtube\.com\/feeds\/videos\.xml/i.test(value)) {
+    return { kind: 'youtube', feedUrl: value };
+  }
+
+  const channelId = CHANNEL_ID.test(value) ? value : value.match(/youtube\.com\/channel\/(UC[a-zA-Z0-9_-]{22})/)?.[1];
+  if (channelId) {
+    return { kind: 'youtube', feedUrl: youtubeFeedUrl(channelId) };
+  }
+
+  const handle = value.match(/^@[\w.-]+$/)?.[0];
+  if (handle || /(?:^|\/\/)(?:www\.|m\.)?youtube\.com\//i.test(value)) {
+    const pageUrl = handle ? `https://www.youtube.com/${handle}` : value;
+    return { kind: 'youtube', feedUrl: youtubeFeedUrl(await lookupChannelId(pageUrl)) };
+  }
+
+  if (!/^https?:\/\//i.test(value)) {
+    throw new Error(`Not a YouTube channel or feed URL: ${value}`);
+  }
+  return { kind: 'podcast', feedUrl: value };
+}
+
+/**
+ * Newest uploads of a subscription's feed, newest first
+ */
+export async function fetchUploads(subscription: ChannelSubscription): Promise<ChannelUpload[]> {
+  if (!subscription.feedUrl) throw new Error(`${subscription.channelIdentifier} has no feed yet`);
+
+  if (subscription.kind === 'podcast') {
+    const feed = await fetchFeed(subscription.feedUrl);
+    return feed.episodes.map(episode => ({
+      videoId: episode.id,
+      url: episode.audioUrl,
+      title: episode.title,
+      publishedAt: episode.publishedAt ? Date.parse(episode.publishedAt) : null
+    }));
+  }
+
+  const response = await rateLimiter.fetch('scrape', subscription.feedUrl);
+  if (!response.ok) {
+    throw new Error(`Channel feed request failed with ${response.status} ${response.statusText}`);
+  }
+  return parseYouTubeFeed(await response.text());
+}
+
+/**
+ * Uploads in a YouTube channel Atom feed (the latest 15)
+ */
+export function parseYouTubeFeed(xml: string): ChannelUpload[] {
+  const uploads: ChannelUpload[] = [];
+  for (const [, entry] of xml.matchAll(/<entry\b[^>]*>([\s\S]*?)<\/entry>/gi)) {
+    const url = entry!.match(/<link\b[^>]*rel="alternate"[^>]*href="([^"]+)"/i)?.[1]
+      || `https://www.youtube.com/watch?v=${entry!.match(/<yt:videoId>([^<]+)<\/yt:videoId>/i)?.[1] || ''}`;
+    const videoId = youtubeSourceId(url);
+    if (!videoId) continue;
+
+    const published = entry!.match(/<published>([^<]+)<\/published>/i)?.[1];
+    const publishedAt = published ? Date.parse(published) : NaN;
+    uploads.push({
+      videoId,
+      url,
+      title: decodeEntities(entry!.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1]?.trim() || videoId),
+      publishedAt: Number.isNaN(publishedAt) ? null : publishedAt
+    });
+  }
+  return uploads.sort((a, b) => (b.publishedAt ?? 0) - (a.publishedAt ?? 0));
+}
+
+function youtubeFeedUrl(channelId: string): string {
+  return `https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`;
+}
+
+/**
+ * UC… id from a channel page (its RSS link, else the page's channel metadata)
+ */
+async function lookupChannelId(pageUrl: string): Promise<string> {
+  const response = await rateLimiter.fetch('scrape', pageUrl, {
+    headers: { 'Accept-Language': 'en', Cookie: 'CONSENT=YES+1' }
+  });
+  if (!response.ok) {
+    throw new Error(`Channel page ${pageUrl} returned ${response.status}`);
+  }
+
+  const html = await response.text();
+  const channelId = html.match(/feeds\/videos\.xml\?channel_id=(UC[a-zA-Z0-9_-]{22})/)?.[1]
+    || html.match(/"(?:externalId|channelId)":"(UC[a-zA-Z0-9_-]{22})"/)?.[1];
+  if (!channelId) throw new Error(`No YouTube channel found at ${pageUrl}`);
+  return channelId;
+}
+
+function newestPublished(uploads: ChannelUpload[]): number | null {
+  const times = uploads.map(u => u.publishedAt).filter((t): t is number => t !== null);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+function decodeEntities(text: string): string {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
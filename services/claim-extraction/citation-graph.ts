@@ -0,0 +1,167 @@
+/**
+ * Citation Graph
+ * Podcasters often cite a review ("Barakat compiled 10 studies") while quoting
+ * one result from it. When the matched paper is a review by the named author,
+ * walk its OpenAlex references (and citing works) to find the primary study
+ * behind the quoted finding.
+ */
+
+import type { SynthesizedClaim } from './types.js';
+import type { PaperResult, ScoredPaper } from './verification-types.js';
+import { paperFinder } from './paper-finder.js';
+import { matchScorer } from './match-scorer.js';
+import { evidenceSynthesizer } from './evidence-synthesizer.js';
+import { httpCache, type CacheSource } from './http-cache.js';
+
+const OPENALEX_API = 'https://api.openalex.org';
+const OPENALEX_MAILTO = 'lumos@example.com';
+
+// OpenAlex accepts up to 100 OR-ed values per filter; keep pages smaller
+const IDS_PER_REQUEST = 50;
+
+interface CitationGraphConfig {
+  maxReferences: number;      // Referenced works fetched per review
+  maxCitedBy: number;         // Citing works fetched per review (most cited first)
+  minAuthorScore: number;     // Review must be by the named author
+  minPrimaryScore: number;    // Primary study must match the finding this well
+}
+
+const DEFAULT_CONFIG: CitationGraphConfig = {
+  maxReferences: 100,
+  maxCitedBy: 25,
+  minAuthorScore: 0.8,
+  minPrimaryScore: 0.35
+};
+
+const REVIEW_TYPES = new Set(['meta_analysis', 'systematic_review', 'review']);
+
+export class CitationGraph {
+  private config: CitationGraphConfig;
+
+  constructor(config: Partial<CitationGraphConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Only reviews attributed to the speaker's named author are worth expanding
+   */
+  shouldExpand(paper: ScoredPaper, claim: SynthesizedClaim): boolean {
+    if (!claim.extraction.author_normalized) return false;
+    if (paper.match_score.author_score < this.config.minAuthorScore) return false;
+    return REVIEW_TYPES.has(evidenceSynthesizer.classifyStudyType(paper));
+  }
+
+  /**
+   * Best-matching primary study among the review's references and citing works
+   */
+  async findPrimaryStudy(review: ScoredPaper, claim: SynthesizedClaim): Promise<ScoredPaper | null> {
+    try {
+      const workId = await this.resolveWorkId(review);
+      if (!workId) {
+        console.log(`   ⚠️ Review not found in OpenAlex, skipping citation graph`);
+        return null;
+      }
+
+      console.log(`   🕸️ Walking citation graph of "${review.title.slice(0, 40)}..."`);
+      const [references, citedBy] = await Promise.all([
+        this.fetchReferences(workId),
+        this.fetchCitedBy(workId)
+      ]);
+
+      // Reviews of reviews don't get us closer to the quoted result
+      const seen = new Set<string>([review.paper_id]);
+      const candidates = [...references, ...citedBy].filter(p => {
+        if (seen.has(p.paper_id)) return false;
+        seen.add(p.paper_id);
+        return !REVIEW_TYPES.has(evidenceSynthesizer.classifyStudyType(p));
+      });
+
+      if (candidates.length === 0) {
+        console.log(`   ⚠️ No primary studies in citation graph`);
+        return null;
+      }
+
+      // The named author wrote the review, not the study; score on the finding alone
+      const findingOnly: SynthesizedClaim = {
+        ...claim,
+        extraction: { ...claim.extraction, author_normalized: null, author_variants: [] },
+        search: { primary_query: '', fallback_queries: [] }
+      };
+      const best = matchScorer.rankPapers(candidates, findingOnly)[0];
+
+      if (!best || best.match_score.total_score < this.config.minPrimaryScore) {
+        console.log(`   ⚠️ No primary study matches the finding (${candidates.length} checked)`);
+        return null;
+      }
+
+      console.log(`   📄 Primary study: "${best.title.slice(0, 50)}..." (score: ${best.match_score.total_score.toFixed(2)})`);
+      return best;
+
+    } catch (error: any) {
+      console.warn('   ⚠️ Citation graph lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // OpenAlex
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * OpenAlex work id (W...) for a paper from any source
+   */
+  private async resolveWorkId(paper: PaperResult): Promise<string | null> {
+    if (paper.paper_id.startsWith('oa_')) {
+      return paper.paper_id.slice(3);
+    }
+
+    const lookup = paper.doi ? `doi:${paper.doi}` : paper.pmid ? `pmid:${paper.pmid}` : null;
+    if (!lookup) return null;
+
+    const work = await this.getJSON(`${OPENALEX_API}/works/${encodeURIComponent(lookup)}?select=id`, 'doi');
+    return work?.id ? String(work.id).replace('https://openalex.org/', '') : null;
+  }
+
+  private async fetchReferences(workId: string): Promise<PaperResult[]> {
+    const work = await this.getJSON(`${OPENALEX_API}/works/${workId}?select=id,referenced_works`);
+    const ids: string[] = (work?.referenced_works || [])
+      .map((id: string) => id.replace('https://openalex.org/', ''))
+      .slice(0, this.config.maxReferences);
+
+    const papers: PaperResult[] = [];
+    for (let i = 0; i < ids.length; i += IDS_PER_REQUEST) {
+      const batch = ids.slice(i, i + IDS_PER_REQUEST);
+      const data = await this.getJSON(
+        `${OPENALEX_API}/works?filter=openalex:${batch.join('|')}&per_page=${batch.length}`
+      );
+      papers.push(...(data?.results || []).map((w: any) => paperFinder.parseOpenAlexWork(w)));
+    }
+
+    return papers;
+  }
+
+  private async fetchCitedBy(workId: string): Promise<PaperResult[]> {
+    if (this.config.maxCitedBy === 0) return [];
+
+    const data = await this.getJSON(
+      `${OPENALEX_API}/works?filter=cites:${workId}&sort=cited_by_count:desc&per_page=${this.config.maxCitedBy}`
+    );
+    return (data?.results || []).map((w: any) => paperFinder.parseOpenAlexWork(w));
+  }
+
+  private async getJSON(url: string, source: CacheSource = 'openalex'): Promise<any | null> {
+    const separator = url.includes('?') ? '&' : '?';
+    const response = await httpCache.fetch(source, `${url}${separator}mailto=${OPENALEX_MAILTO}`, {
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      if (response.status !== 404) console.log(`   ⚠️ OpenAlex returned ${response.status}`);
+      return null;
+    }
+
+    return response.json();
+  }
+}
+
+export const citationGraph = new CitationGraph();
@@ -0,0 +1,308 @@
+/**
+ * Claim Results
+ * Writes verification results to the Supabase `claims` table.
+ *
+ * Every run is appended to the claim's verdict_history, and a verdict that
+ * differs from the previous run is recorded as a flip (previous_verdict,
+ * verdict_changed_at), so re-verification can show what changed.
+ *
+ * Each run is also recorded in full in `claim_verifications` (papers, model,
+ * prompt version, pipeline config) as an audit trail.
+ */
+const HISTORY_LIMIT = 50; // Entries kept per claim
+// Verdicts that count against the speaker in speaker stats
+const UNSUPPORTED_VERDICTS = new Set(['contradicted', 'no_paper_found']);
+export class ClaimResultStore {
+    supabase;
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+    /**
+     * Store one verification run on the claim row
+     */
+    async saveVerification(claimId, verified, trigger) {
+        const { data: current, error: selectError } = await this.supabase
+            .from('claims')
+            .select('verification_verdict, verdict_history')
+            .eq('claim_id', claimId)
+            .maybeSingle();
+        if (selectError)
+            throw new Error(`claims select failed: ${selectError.message}`);
+        const { best_paper: paper, result, synthesis } = verified.verification;
+        const verdict = result?.verdict || 'no_paper_found';
+        const verifiedAt = verified.verification.verified_at || new Date().toISOString();
+        const previousVerdict = current?.verification_verdict || null;
+        const flipped = previousVerdict !== null && previousVerdict !== verdict;
+        const entry = {
+            verdict,
+            confidence: result?.confidence || null,
+            evidence_summary: synthesis?.summary || null,
+            paper_title: paper?.title || null,
+            paper_url: paper?.url || null,
+            trigger,
+            verified_at: verifiedAt
+        };
+        const updateData = {
+            verified_at: verifiedAt,
+            verification_verdict: verdict,
+            verification_explanation: result?.explanation || null,
+            // Full evidence set so the UI can show consensus, not just the top paper
+            evidence: verified.verification.evidence,
+            evidence_summary: synthesis?.summary || null,
+            verdict_history: [...(current?.verdict_history || []), entry].slice(-HISTORY_LIMIT),
+            verification_prompt_id: verified.verification.prompt_id,
+            verification_prompt_version: verified.verification.prompt_version
+        };
+        if (paper) {
+            updateData.paper_url = paper.url;
+            updateData.paper_title = paper.title;
+            updateData.paper_authors = paper.authors?.join(', ');
+            updateData.paper_year = paper.year;
+            updateData.paper_abstract = paper.abstract?.slice(0, 1000);
+        }
+        if (flipped) {
+            updateData.previous_verdict = previousVerdict;
+            updateData.verdict_changed_at = verifiedAt;
+        }
+        const { error: updateError } = await this.supabase
+            .from('claims')
+            .update(updateData)
+            .eq('claim_id', claimId);
+        if (updateError)
+            throw new Error(`claims update failed: ${updateError.message}`);
+        // The claim row already holds the verdict; a missing audit row shouldn't fail the run
+        const { error: insertError } = await this.supabase.from('claim_verifications').insert({
+            claim_id: claimId,
+            video_id: verified.video_id,
+            trigger,
+            verdict,
+            confidence: result?.confidence || null,
+            explanation: result?.explanation || null,
+            evidence_summary: synthesis?.summary || null,
+            best_paper: paper ? {
+                title: paper.title,
+                url: paper.url,
+                doi: paper.doi,
+                year: paper.year,
+                match_score: Number(paper.match_score.total_score.toFixed(3))
+            } : null,
+            papers: verified.verification.evidence,
+            models: verified.verification.models,
+            prompt_id: verified.verification.prompt_id,
+            prompt_version: verified.verification.prompt_version,
+            pipeline_config: verified.verification.config,
+            verified_at: verifiedAt
+        });
+        if (insertError) {
+            console.warn(`⚠️ claim_verifications insert failed for ${claimId}:`, insertError.message);
+        }
+        return { claimId, verdict, previousVerdict, flipped };
+    }
+    /**
+     * Store extracted claims (before verification); re-saving a claim keeps
+     * its verification columns
+     */
+    async saveClaims(claims) {
+        for (const claim of claims) {
+            const { error } = await this.supabase
+                .from('claims')
+                .upsert(this.toClaimRow(claim), { onConflict: 'claim_id' });
+            if (error)
+                throw new Error(`claims upsert failed: ${error.message}`);
+        }
+    }
+    /**
+     * Every recorded verification run of a claim, oldest first
+     */
+    async listVerifications(claimId) {
+        const { data, error } = await this.supabase
+            .from('claim_verifications')
+            .select('*')
+            .eq('claim_id', claimId)
+            .order('verified_at', { ascending: true });
+        if (error)
+            throw new Error(`claim_verifications select failed: ${error.message}`);
+        return data || [];
+    }
+    async getClaim(claimId) {
+        const { data, error } = await this.supabase
+            .from('claims')
+            .select('*')
+            .eq('claim_id', claimId)
+            .maybeSingle();
+        if (error)
+            throw new Error(`claims select failed: ${error.message}`);
+        return data;
+    }
+    async listVideoClaims(videoId) {
+        const { data, error } = await this.supabase
+            .from('claims')
+            .select('*')
+            .eq('video_id', videoId)
+            .order('timestamp');
+        if (error)
+            throw new Error(`claims select failed: ${error.message}`);
+        return data || [];
+    }
+    /**
+     * Verified claims whose verdict is older than staleBefore, or whose
+     * inconclusive verdict is older than retryBefore; oldest first
+     */
+    async listDueForReverification(options) {
+        const stale = options.staleBefore.toISOString();
+        const retry = options.retryBefore.toISOString();
+        const { data, error } = await this.supabase
+            .from('claims')
+            .select('*')
+            .not('verified_at', 'is', null)
+            .or(`verified_at.lt.${stale},and(verification_verdict.in.(${options.retryVerdicts.join(',')}),verified_at.lt.${retry})`)
+            .order('verified_at', { ascending: true })
+            .limit(options.limit);
+        if (error)
+            throw new Error(`claims select failed: ${error.message}`);
+        return data || [];
+    }
+    /**
+     * Claim counts and verdict distribution per extraction and verification
+     * prompt version, for comparing A/B revisions
+     */
+    async promptStats() {
+        const { data, error } = await this.supabase
+            .from('claims')
+            .select('video_id, verification_verdict, extraction_prompt_id, extraction_prompt_version, verification_prompt_id, verification_prompt_version');
+        if (error)
+            throw new Error(`claims select failed: ${error.message}`);
+        const groups = new Map();
+        const add = (promptId, version, row) => {
+            if (!promptId || !version)
+                return;
+            const key = `${promptId}@${version}`;
+            let group = groups.get(key);
+            if (!group) {
+                group = { prompt_id: promptId, version, videos: 0, claims: 0, claims_per_video: 0, verdicts: {}, videoIds: new Set() };
+                groups.set(key, group);
+            }
+            group.claims++;
+            group.videoIds.add(row.video_id);
+            const verdict = row.verification_verdict || 'pending';
+            group.verdicts[verdict] = (group.verdicts[verdict] || 0) + 1;
+        };
+        for (const row of data || []) {
+            add(row.extraction_prompt_id, row.extraction_prompt_version, row);
+            add(row.verification_prompt_id, row.verification_prompt_version, row);
+        }
+        return [...groups.values()]
+            .map(({ videoIds, ...group }) => ({
+            ...group,
+            videos: videoIds.size,
+            claims_per_video: Number((group.claims / videoIds.size).toFixed(2))
+        }))
+            .sort((a, b) => a.prompt_id.localeCompare(b.prompt_id) || a.version.localeCompare(b.version, undefined, { numeric: true }));
+    }
+    /**
+     * Per-speaker claim counts and unsupported rate, most unsupported first
+     * @param videoId - Limit to one video
+     */
+    async speakerStats(videoId) {
+        let query = this.supabase
+            .from('claims')
+            .select('video_id, verification_verdict, speaker_label, speaker_name, speaker_role')
+            .not('speaker_label', 'is', null);
+        if (videoId)
+            query = query.eq('video_id', videoId);
+        const { data, error } = await query;
+        if (error)
+            throw new Error(`claims select failed: ${error.message}`);
+        const groups = new Map();
+        for (const row of data || []) {
+            const key = row.speaker_name
+                ? `name:${row.speaker_name.toLowerCase()}`
+                : `label:${row.video_id}:${row.speaker_label}`;
+            let group = groups.get(key);
+            if (!group) {
+                group = {
+                    speaker_name: row.speaker_name || null,
+                    speaker_label: row.speaker_name ? null : row.speaker_label,
+                    video_id: row.speaker_name ? null : row.video_id,
+                    role: row.speaker_role || null,
+                    videos: 0,
+                    claims: 0,
+                    verified: 0,
+                    unsupported: 0,
+                    unsupported_rate: null,
+                    verdicts: {},
+                    videoIds: new Set()
+                };
+                groups.set(key, group);
+            }
+            group.claims++;
+            group.videoIds.add(row.video_id);
+            group.role ??= row.speaker_role || null;
+            const verdict = row.verification_verdict || 'pending';
+            group.verdicts[verdict] = (group.verdicts[verdict] || 0) + 1;
+            if (row.verification_verdict)
+                group.verified++;
+            if (UNSUPPORTED_VERDICTS.has(verdict))
+                group.unsupported++;
+        }
+        return [...groups.values()]
+            .map(({ videoIds, ...group }) => ({
+            ...group,
+            videos: videoIds.size,
+            unsupported_rate: group.verified > 0 ? Number((group.unsupported / group.verified).toFixed(3)) : null
+        }))
+            .sort((a, b) => b.unsupported - a.unsupported || b.claims - a.claims);
+    }
+    /**
+     * claims row for an extracted claim (the extraction columns only)
+     */
+    toClaimRow(claim) {
+        return {
+            claim_id: claim.claim_id,
+            video_id: claim.video_id,
+            timestamp: claim.timestamp,
+            segment_text: claim.segment?.full_text || '',
+            author_mentioned: claim.extraction?.author_mentioned,
+            author_normalized: claim.extraction?.author_normalized,
+            institution_mentioned: claim.extraction?.institution_mentioned,
+            finding_summary: claim.extraction?.finding_summary,
+            confidence: claim.extraction?.confidence,
+            primary_query: claim.search?.primary_query,
+            fallback_queries: claim.search?.fallback_queries || [],
+            extraction_prompt_id: claim.prompt?.id || null,
+            extraction_prompt_version: claim.prompt?.version || null,
+            aligned_start_sec: claim.alignment?.start_sec ?? null,
+            aligned_end_sec: claim.alignment?.end_sec ?? null,
+            alignment_confidence: claim.alignment?.confidence ?? null,
+            alignment_source: claim.alignment?.source || null,
+            speaker_label: claim.speaker?.label || null,
+            speaker_name: claim.speaker?.name || null,
+            speaker_role: claim.speaker?.role || null
+        };
+    }
+    /**
+     * Rebuild the pipeline's claim shape from a claims row
+     */
+    toSynthesizedClaim(row) {
+        return {
+            claim_id: row.claim_id,
+            video_id: row.video_id,
+            segment: {
+                full_text: row.segment_text || '',
+                word_count: row.segment_word_count || (row.segment_text ? row.segment_text.split(' ').length : 0)
+            },
+            extraction: {
+                author_mentioned: row.author_mentioned || null,
+                author_normalized: row.author_normalized || null,
+                author_variants: row.author_variants || [],
+                institution_mentioned: row.institution_mentioned || null,
+                finding_summary: row.finding_summary || '',
+                confidence: row.confidence || 'medium'
+            },
+            search: {
+                primary_query: row.primary_query || '',
+                fallback_queries: row.fallback_queries || []
+            }
+        };
+    }
+}
@@ -1,95 +1,66 @@
 /**
  * Claim Verifier
  * Uses LLM to compare claim against paper abstract
+ * System prompt: verification_system in the prompt registry
  */
 
-import OpenAI from 'openai';
+import { llm, promptRegistry, type PromptTemplate } from '../llm/index.js';
 import type { SynthesizedClaim } from './types.js';
-import type { ScoredPaper, VerificationResult, VerificationVerdict } from './verification-types.js';
-
-// Lazy-init OpenAI client
-let openai: OpenAI | null = null;
-function getOpenAI(): OpenAI {
-  if (!openai) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
-  return openai;
-}
-
-const VERIFICATION_SYSTEM_PROMPT = `
-You are a scientific claim verification system. Your job is to compare a claim made in a podcast against a research paper abstract to determine if the paper supports the claim.
-
-## YOUR TASK
-
-Compare the CLAIM against the PAPER ABSTRACT and determine:
-1. Does this paper support the claim?
-2. Are there any key differences or nuances?
-3. How confident are you in this assessment?
-
-## VERDICTS
-
-- supported: The paper clearly supports the claim as stated
-- partially_supported: The paper supports some aspects but with important caveats/differences
-- contradicted: The paper's findings contradict the claim
-- unverifiable: Cannot determine from the abstract alone (need full paper or abstract is too vague)
-
-## CONFIDENCE LEVELS
-
-- high: Abstract clearly addresses the claim topic with explicit findings
-- medium: Abstract is relevant but findings require some interpretation
-- low: Abstract is tangentially related or lacks specific findings
-
-## OUTPUT FORMAT
-
-Return valid JSON only:
-{
-  "verdict": "supported|partially_supported|contradicted|unverifiable",
-  "confidence": "high|medium|low",
-  "explanation": "2-3 sentence explanation of your assessment",
-  "matching_details": ["detail 1", "detail 2"],  // if supported/partial
-  "key_differences": ["difference 1", "difference 2"]  // if contradicted/partial
-}
-`;
+import type { ScoredPaper, VerificationResult, VerificationSource, VerificationVerdict } from './verification-types.js';
+import type { FullTextPassage } from './full-text.js';
+import { rateLimiter } from './rate-limiter.js';
 
 export class ClaimVerifier {
   
+  /**
+   * Verification prompt revision used for a claim (A/B split per video)
+   */
+  promptFor(claim: SynthesizedClaim): PromptTemplate {
+    return promptRegistry.assign('verification_system', claim.video_id);
+  }
+  
   /**
    * Verify a claim against a paper
+   * Full-text passages (from FullTextFetcher) are used alongside the abstract when given
    */
-  async verify(claim: SynthesizedClaim, paper: ScoredPaper): Promise<VerificationResult> {
-    // If no abstract, we can't verify with LLM
-    if (!paper.abstract) {
+  async verify(claim: SynthesizedClaim, paper: ScoredPaper, passages: FullTextPassage[] = []): Promise<VerificationResult> {
+    // Nothing to read, nothing to verify
+    if (!paper.abstract && passages.length === 0) {
       return {
         verdict: 'unverifiable',
         confidence: 'low',
-        explanation: `Paper "${paper.title}" was found but no abstract is available for verification.`
+        explanation: `Paper "${paper.title}" was found but neither an abstract nor open-access full text is available for verification.`
       };
     }
     
     try {
-      const userMessage = this.buildUserMessage(claim, paper);
+      const userMessage = this.buildUserMessage(claim, paper, passages);
       
-      const response = await getOpenAI().chat.completions.create({
-        model: 'gpt-4o',
+      await rateLimiter.acquire('llm');
+      const response = await llm.complete('verification', {
         messages: [
-          { role: 'system', content: VERIFICATION_SYSTEM_PROMPT },
+          { role: 'system', content: this.promptFor(claim).text },
           { role: 'user', content: userMessage }
         ],
-        response_format: { type: 'json_object' },
+        json: true,
         temperature: 0.1
       });
       
-      const content = response.choices[0].message.content;
-      const parsed = JSON.parse(content || '{}');
-      
-      return {
+      const parsed = response.json || {};
+      const result: VerificationResult = {
         verdict: this.validateVerdict(parsed.verdict),
         confidence: this.validateConfidence(parsed.confidence),
         explanation: parsed.explanation || 'No explanation provided',
         matching_details: parsed.matching_details,
-        key_differences: parsed.key_differences
+        key_differences: parsed.key_differences,
+        model: `${response.provider}/${response.model}`
       };
       
+      const source = this.resolveSource(parsed.source_passage, parsed.quote, paper, passages);
+      if (source) result.source = source;
+      
+      return result;
+      
     } catch (error) {
       console.error('❌ Verification LLM call failed:', error);
       return {
@@ -108,7 +79,7 @@ export class ClaimVerifier {
            paper.match_score.match_quality !== 'none';
   }
   
-  private buildUserMessage(claim: SynthesizedClaim, paper: ScoredPaper): string {
+  private buildUserMessage(claim: SynthesizedClaim, paper: ScoredPaper, passages: FullTextPassage[]): string {
     return `
 ## CLAIM (from podcast)
 
@@ -126,8 +97,8 @@ Year: ${paper.year || 'Unknown'}
 Venue: ${paper.venue || 'Unknown'}
 
 Abstract:
-${paper.abstract}
-
+${paper.abstract || 'Not available'}
+${paper.primary_study ? this.buildPrimaryStudySection(paper.primary_study) : ''}${passages.length > 0 ? this.buildPassagesSection(passages) : ''}
 ## MATCH QUALITY
 
 Our automated scoring found:
@@ -139,6 +110,62 @@ Please verify if this paper supports the claim.
 `;
   }
   
+  /**
+   * The review is what the speaker named; the primary study is what they quoted
+   */
+  private buildPrimaryStudySection(study: ScoredPaper): string {
+    return `
+## PRIMARY STUDY (cited by the paper above)
+
+The speaker appears to be quoting this specific study from the review.
+Judge the claimed finding primarily against this study's result.
+
+Title: ${study.title}
+Authors: ${study.authors.slice(0, 5).join(', ')}
+Year: ${study.year || 'Unknown'}
+
+Abstract:
+${study.abstract || 'Not available'}
+`;
+  }
+  
+  private buildPassagesSection(passages: FullTextPassage[]): string {
+    const excerpts = passages
+      .map((p, i) => `[P${i + 1}] (${p.section})\n${p.text}`)
+      .join('\n\n');
+    
+    return `
+## FULL TEXT EXCERPTS
+
+Passages from the open-access full text most related to the claim.
+Prefer these over the abstract when they report the specific result.
+
+${excerpts}
+`;
+  }
+  
+  /**
+   * Map the model's "source_passage" back to the section and text it names
+   */
+  private resolveSource(
+    label: any,
+    quote: any,
+    paper: ScoredPaper,
+    passages: FullTextPassage[]
+  ): VerificationSource | null {
+    const cleanQuote = typeof quote === 'string' && quote.trim() ? quote.trim() : null;
+    const index = typeof label === 'string' ? Number(label.match(/^P(\d+)$/i)?.[1]) - 1 : NaN;
+    const passage = Number.isInteger(index) ? passages[index] : undefined;
+    
+    if (passage) {
+      return { basis: 'full_text', section: passage.section, passage: cleanQuote || passage.text.slice(0, 500) };
+    }
+    if (paper.abstract) {
+      return { basis: 'abstract', section: 'Abstract', passage: cleanQuote || paper.abstract.slice(0, 500) };
+    }
+    return null;
+  }
+  
   private validateVerdict(verdict: any): VerificationVerdict {
     const valid: VerificationVerdict[] = ['supported', 'partially_supported', 'contradicted', 'unverifiable', 'no_paper_found'];
     return valid.includes(verdict) ? verdict : 'unverifiable';
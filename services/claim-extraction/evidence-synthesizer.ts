@@ -0,0 +1,235 @@
+/**
+ * Evidence Synthesizer
+ * Combines per-paper verdicts into one consensus verdict,
+ * weighting stronger study designs more heavily
+ */
+
+import type {
+  EvidenceStance,
+  EvidenceSynthesis,
+  PaperEvidence,
+  PaperResult,
+  ScoredPaper,
+  StudyType,
+  VerificationResult,
+  VerificationVerdict
+} from './verification-types.js';
+
+// Evidence-hierarchy weights; a meta-analysis outweighs a single mouse study
+const STUDY_WEIGHTS: Record<StudyType, number> = {
+  meta_analysis: 3,
+  systematic_review: 3,
+  rct: 2.5,
+  cohort: 1.5,
+  case_control: 1.2,
+  cross_sectional: 1,
+  review: 1,
+  other: 1,
+  animal: 0.5,
+  in_vitro: 0.4
+};
+
+const CONFIDENCE_WEIGHTS = { high: 1, medium: 0.7, low: 0.4 } as const;
+
+// Checked in order; the first match wins
+const STUDY_PATTERNS: Array<[StudyType, RegExp]> = [
+  ['meta_analysis', /meta-?analys[ie]s|pooled analysis/i],
+  ['systematic_review', /systematic review|umbrella review/i],
+  ['rct', /randomi[sz]ed|controlled trial|\bRCT\b|crossover trial|placebo-controlled/i],
+  ['cohort', /cohort|prospective study|longitudinal/i],
+  ['case_control', /case-control|case control/i],
+  ['cross_sectional', /cross-sectional|survey of/i],
+  ['in_vitro', /in vitro|cell culture|cultured cells/i],
+  ['animal', /\b(mice|mouse|rats?|rodents?|murine|porcine|canine|primates?)\b/i],
+  ['review', /\breview\b/i]
+];
+
+const STUDY_LABELS: Record<StudyType, [string, string]> = {
+  meta_analysis: ['meta-analysis', 'meta-analyses'],
+  systematic_review: ['systematic review', 'systematic reviews'],
+  rct: ['RCT', 'RCTs'],
+  cohort: ['cohort study', 'cohort studies'],
+  case_control: ['case-control study', 'case-control studies'],
+  cross_sectional: ['cross-sectional study', 'cross-sectional studies'],
+  animal: ['animal study', 'animal studies'],
+  in_vitro: ['in-vitro study', 'in-vitro studies'],
+  review: ['review', 'reviews'],
+  other: ['study', 'studies']
+};
+
+const STANCE_LABELS: Record<EvidenceStance, string> = {
+  supports: 'supporting',
+  partially_supports: 'partially supporting',
+  contradicts: 'contradicting',
+  unclear: 'inconclusive'
+};
+
+const STANCE_ORDER: EvidenceStance[] = ['supports', 'partially_supports', 'contradicts', 'unclear'];
+
+export class EvidenceSynthesizer {
+
+  /**
+   * Guess the study design from title + abstract
+   */
+  classifyStudyType(paper: PaperResult): StudyType {
+    // Title is the stronger signal; abstracts often mention other designs in passing
+    const title = paper.title || '';
+    for (const [type, pattern] of STUDY_PATTERNS) {
+      if (pattern.test(title)) return type;
+    }
+
+    const abstract = paper.abstract || '';
+    for (const [type, pattern] of STUDY_PATTERNS) {
+      if (type !== 'review' && pattern.test(abstract)) return type;
+    }
+
+    return 'other';
+  }
+
+  /**
+   * Record one paper's verdict as evidence
+   */
+  toEvidence(paper: ScoredPaper, result: VerificationResult): PaperEvidence {
+    return {
+      paper_id: paper.paper_id,
+      title: paper.title,
+      authors: paper.authors.slice(0, 5),
+      year: paper.year,
+      venue: paper.venue,
+      url: paper.url,
+      doi: paper.doi,
+      match_score: Number(paper.match_score.total_score.toFixed(3)),
+      study_type: this.classifyStudyType(paper),
+      stance: this.toStance(result.verdict),
+      confidence: result.confidence,
+      explanation: result.explanation,
+      source: result.source || null,
+      primary_study: paper.primary_study ? {
+        title: paper.primary_study.title,
+        url: paper.primary_study.url,
+        doi: paper.primary_study.doi,
+        year: paper.primary_study.year,
+        study_type: this.classifyStudyType(paper.primary_study),
+        match_score: Number(paper.primary_study.match_score.total_score.toFixed(3))
+      } : null
+    };
+  }
+
+  /**
+   * Aggregate verdict across all papers
+   */
+  synthesize(evidence: PaperEvidence[]): EvidenceSynthesis {
+    const counts: Record<EvidenceStance, number> = { supports: 0, partially_supports: 0, contradicts: 0, unclear: 0 };
+    let support = 0;
+    let partial = 0;
+    let contra = 0;
+
+    for (const item of evidence) {
+      counts[item.stance]++;
+      const weight = STUDY_WEIGHTS[item.study_type] * CONFIDENCE_WEIGHTS[item.confidence];
+      if (item.stance === 'supports') support += weight;
+      else if (item.stance === 'partially_supports') partial += weight;
+      else if (item.stance === 'contradicts') contra += weight;
+    }
+
+    const verdict = this.decideVerdict(support, partial, contra);
+    const informative = evidence.filter(e => e.stance !== 'unclear');
+    const agreeing = informative.filter(e => this.agreesWith(e.stance, verdict)).length;
+    const agreement = informative.length > 0 ? agreeing / informative.length : 0;
+    const hasStrongStudy = informative.some(e => STUDY_WEIGHTS[e.study_type] >= STUDY_WEIGHTS.rct);
+
+    let confidence: 'high' | 'medium' | 'low' = 'low';
+    if (verdict !== 'unverifiable') {
+      if (informative.length >= 2 && agreement >= 0.8 && hasStrongStudy) confidence = 'high';
+      else if (support + partial + contra >= 2 && agreement >= 0.5) confidence = 'medium';
+    }
+
+    return {
+      verdict,
+      confidence,
+      summary: this.summarize(evidence),
+      counts
+    };
+  }
+
+  /**
+   * Claim-level result for the pipeline: consensus verdict + per-paper details
+   */
+  toResult(synthesis: EvidenceSynthesis, evidence: PaperEvidence[]): VerificationResult {
+    const informative = evidence.filter(e => e.stance !== 'unclear');
+    const lead = informative.find(e => this.agreesWith(e.stance, synthesis.verdict)) || evidence[0];
+
+    const result: VerificationResult = {
+      verdict: synthesis.verdict,
+      confidence: synthesis.confidence,
+      explanation: `Evidence from ${evidence.length} papers: ${synthesis.summary}.${lead ? ` ${lead.explanation}` : ''}`
+    };
+    if (lead?.source) result.source = lead.source;
+
+    const supporting = informative.filter(e => e.stance !== 'contradicts');
+    const contradicting = informative.filter(e => e.stance === 'contradicts');
+    if (supporting.length > 0) {
+      result.matching_details = supporting.map(e => `${e.title} (${STUDY_LABELS[e.study_type][0]}, ${STANCE_LABELS[e.stance]})`);
+    }
+    if (contradicting.length > 0) {
+      result.key_differences = contradicting.map(e => `${e.title} (${STUDY_LABELS[e.study_type][0]}): ${e.explanation}`);
+    }
+
+    return result;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Private helpers
+  // ─────────────────────────────────────────────────────────────
+
+  private toStance(verdict: VerificationVerdict): EvidenceStance {
+    switch (verdict) {
+      case 'supported': return 'supports';
+      case 'partially_supported': return 'partially_supports';
+      case 'contradicted': return 'contradicts';
+      default: return 'unclear';
+    }
+  }
+
+  private decideVerdict(support: number, partial: number, contra: number): VerificationVerdict {
+    const pro = support + partial * 0.5;
+    if (pro === 0 && contra === 0) return 'unverifiable';
+    if (contra === 0) {
+      return support >= partial ? 'supported' : 'partially_supported';
+    }
+    if (pro === 0 || contra >= pro * 3) {
+      return 'contradicted';
+    }
+    // Mixed evidence is at best partial support
+    return 'partially_supported';
+  }
+
+  private agreesWith(stance: EvidenceStance, verdict: VerificationVerdict): boolean {
+    if (verdict === 'contradicted') return stance === 'contradicts';
+    if (verdict === 'supported') return stance === 'supports';
+    if (verdict === 'partially_supported') return stance === 'supports' || stance === 'partially_supports';
+    return false;
+  }
+
+  /**
+   * "2 supporting RCTs, 1 contradicting meta-analysis"
+   */
+  private summarize(evidence: PaperEvidence[]): string {
+    const groups: Map<string, { stance: EvidenceStance; type: StudyType; count: number }> = new Map();
+    for (const item of evidence) {
+      const key = `${item.stance}|${item.study_type}`;
+      const group = groups.get(key) || { stance: item.stance, type: item.study_type, count: 0 };
+      group.count++;
+      groups.set(key, group);
+    }
+
+    return [...groups.values()]
+      .sort((a, b) =>
+        STANCE_ORDER.indexOf(a.stance) - STANCE_ORDER.indexOf(b.stance) ||
+        STUDY_WEIGHTS[b.type] - STUDY_WEIGHTS[a.type])
+      .map(g => `${g.count} ${STANCE_LABELS[g.stance]} ${STUDY_LABELS[g.type][g.count === 1 ? 0 : 1]}`)
+      .join(', ');
+  }
+}
+
+export const evidenceSynthesizer = new EvidenceSynthesizer();
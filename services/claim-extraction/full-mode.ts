@@ -3,58 +3,49 @@
  * Processes complete transcripts in a single pass
  */
 
-import OpenAI from 'openai';
-import { FULL_MODE_SYSTEM_PROMPT } from './prompts.js';
+import { llm, promptRegistry, type PromptTemplate } from '../llm/index.js';
 import { normalizeAuthor } from './author-normalization.js';
+import { DEFAULT_LANGUAGE, detectLanguage, type ContentLanguage } from './language.js';
 import type { ExtractedClaim, SynthesizedClaim, NormalizedAuthor } from './types.js';
 
-// Lazy-init OpenAI client (env must be loaded first)
-let openai: OpenAI | null = null;
-function getOpenAI(): OpenAI {
-  if (!openai) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
-  return openai;
-}
-
 export class FullModeExtractor {
   
   /**
    * Extract and synthesize claims from a complete transcript
+   * (language detected from the transcript unless given)
    */
-  async extract(videoId: string, transcript: string): Promise<SynthesizedClaim[]> {
-    console.log(`🔍 Extracting claims from ${videoId} (${transcript.split(' ').length} words)`);
+  async extract(videoId: string, transcript: string, language?: ContentLanguage): Promise<SynthesizedClaim[]> {
+    const resolved = language || detectLanguage(transcript) || DEFAULT_LANGUAGE;
+    console.log(`🔍 Extracting claims from ${videoId} (${transcript.split(' ').length} words, ${resolved})`);
     
     // Step 1: Call LLM to extract raw claims
-    const extracted = await this.callLLM(transcript);
+    const template = promptRegistry.assign('full_mode_extraction', videoId, resolved);
+    const extracted = await this.callLLM(transcript, template);
     console.log(`📋 Found ${extracted.length} raw claims`);
     
     // Step 2: Synthesize claims with normalized authors and search queries
     const synthesized = extracted.map((claim, idx) => 
-      this.synthesizeClaim(claim, videoId, idx)
+      this.synthesizeClaim(claim, videoId, idx, template)
     );
     
     return synthesized;
   }
   
   /**
-   * Call OpenAI to extract claims from transcript
+   * Call the LLM (full_extraction task) to extract claims from transcript
    */
-  private async callLLM(transcript: string): Promise<ExtractedClaim[]> {
+  private async callLLM(transcript: string, template: PromptTemplate): Promise<ExtractedClaim[]> {
     try {
-      const response = await getOpenAI().chat.completions.create({
-        model: 'gpt-4o',
+      const response = await llm.complete('full_extraction', {
         messages: [
-          { role: 'system', content: FULL_MODE_SYSTEM_PROMPT },
+          { role: 'system', content: template.text },
           { role: 'user', content: `Extract claims from this transcript:\n\n${transcript}` }
         ],
-        response_format: { type: 'json_object' },
+        json: true,
         temperature: 0.1  // Low temperature for consistent extraction
       });
       
-      const content = response.choices[0].message.content;
-      const parsed = JSON.parse(content || '{"claims": []}');
-      return parsed.claims || [];
+      return response.json?.claims || [];
     } catch (error) {
       console.error('❌ LLM call failed:', error);
       return [];
@@ -67,7 +58,8 @@ export class FullModeExtractor {
   private synthesizeClaim(
     claim: ExtractedClaim, 
     videoId: string, 
-    index: number
+    index: number,
+    template: PromptTemplate
   ): SynthesizedClaim {
     const normalized = normalizeAuthor(claim.author_mentioned);
     
@@ -90,6 +82,7 @@ export class FullModeExtractor {
         primary_query: this.buildPrimaryQuery(claim, normalized.normalized),
         fallback_queries: this.buildFallbackQueries(claim, normalized)
       },
+      prompt: { id: template.id, version: template.version },
       created_at: new Date().toISOString()
     };
   }
@@ -0,0 +1,304 @@
+/**
+ * Full-Text Fetcher
+ * Pulls open-access full text so claims can be checked against the actual
+ * results, not just the abstract:
+ * 1. PMC XML (structured sections + tables) when the paper has a PMCID
+ * 2. Open-access PDF (OpenAlex best_oa_location / Semantic Scholar openAccessPdf)
+ *
+ * Sections most likely to hold the quoted result (results, tables, discussion)
+ * are chunked into passages and ranked against the claim's finding.
+ */
+import { extractText, getDocumentProxy } from 'unpdf';
+import { httpCache } from './http-cache.js';
+import { rateLimiter } from './rate-limiter.js';
+const PMC_EFETCH = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi';
+const DEFAULT_CONFIG = {
+    maxPdfBytes: 15 * 1024 * 1024,
+    timeoutMs: 20000,
+    passageChars: 1500,
+    maxPassages: 4
+};
+// Where quoted findings usually live, in order of preference
+const RELEVANT_KINDS = ['results', 'tables', 'discussion', 'conclusion'];
+const SECTION_PATTERNS = [
+    ['results', /results|findings|outcomes/i],
+    ['discussion', /discussion/i],
+    ['conclusion', /conclusion|summary|implications/i],
+    ['methods', /method|materials|participants|design|procedure|statistical/i],
+    ['introduction', /introduction|background/i]
+];
+// Headings on their own line in extracted PDF text
+const PDF_HEADING = /^\s*(?:\d+(?:\.\d+)*\.?\s+)?(abstract|introduction|background|methods?|materials and methods|subjects and methods|results|results and discussion|discussion|conclusions?|references|bibliography|acknowledge?ments)\s*$/gim;
+const STOP_WORDS = new Set([
+    'that', 'this', 'with', 'from', 'have', 'were', 'been', 'they', 'their',
+    'which', 'about', 'more', 'than', 'when', 'what', 'also', 'into', 'study',
+    'studies', 'found', 'shows', 'showed', 'research', 'people', 'those'
+]);
+export class FullTextFetcher {
+    config;
+    ncbiApiKey;
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        this.ncbiApiKey = process.env.NCBI_API_KEY || '';
+    }
+    /**
+     * Best passages from the paper's full text for this claim ([] if no open-access text)
+     */
+    async findPassages(paper, claim) {
+        const doc = await this.fetch(paper);
+        if (!doc)
+            return [];
+        const passages = this.selectPassages(doc, claim, paper.paper_id);
+        console.log(`   📖 Full text via ${doc.source}: ${doc.sections.length} sections, ${passages.length} passages selected`);
+        return passages;
+    }
+    /**
+     * Full text as sections; PMC first (structured), then the open-access PDF
+     * Parsed documents are cached, so PDFs are downloaded once
+     */
+    async fetch(paper) {
+        if (!paper.pmcid && !paper.oa_pdf_url)
+            return null;
+        return httpCache.remember('fulltext', [paper.pmcid || null, paper.oa_pdf_url || null], () => this.load(paper));
+    }
+    async load(paper) {
+        if (paper.pmcid) {
+            const doc = await this.fetchPMC(paper.pmcid);
+            if (doc)
+                return doc;
+        }
+        if (paper.oa_pdf_url) {
+            return this.fetchPDF(paper.oa_pdf_url);
+        }
+        return null;
+    }
+    /**
+     * Chunk the relevant sections and rank chunks by overlap with the finding
+     */
+    selectPassages(doc, claim, paperId) {
+        let sections = doc.sections.filter(s => RELEVANT_KINDS.includes(s.kind));
+        if (sections.length === 0) {
+            // Unlabelled PDF text; search everything but the methods
+            sections = doc.sections.filter(s => s.kind !== 'methods');
+        }
+        const keywords = this.keywords(claim.extraction.finding_summary);
+        const numbers = claim.extraction.finding_summary.match(/\d+(?:\.\d+)?/g) || [];
+        const passages = [];
+        for (const section of sections) {
+            for (const chunk of this.chunk(section.text)) {
+                const lower = chunk.toLowerCase();
+                const hits = keywords.filter(k => lower.includes(k)).length;
+                const numberHits = numbers.filter(n => chunk.includes(n)).length;
+                const score = (keywords.length > 0 ? hits / keywords.length : 0) + numberHits * 0.15;
+                if (score > 0) {
+                    passages.push({ paper_id: paperId, section: section.name, text: chunk, score: Number(score.toFixed(3)) });
+                }
+            }
+        }
+        return passages
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.config.maxPassages);
+    }
+    // ─────────────────────────────────────────────────────────────
+    // PMC XML
+    // ─────────────────────────────────────────────────────────────
+    async fetchPMC(pmcid) {
+        const id = pmcid.replace(/^PMC/i, '');
+        const params = new URLSearchParams({ db: 'pmc', id, retmode: 'xml', tool: 'lumos' });
+        if (this.ncbiApiKey)
+            params.set('api_key', this.ncbiApiKey);
+        const url = `${PMC_EFETCH}?${params}`;
+        try {
+            const response = await rateLimiter.fetch('pubmed', url, { signal: AbortSignal.timeout(this.config.timeoutMs) });
+            if (!response.ok) {
+                console.log(`   ⚠️ PMC efetch returned ${response.status}`);
+                return null;
+            }
+            const xml = await response.text();
+            const body = xml.match(/<body>([\s\S]*?)<\/body>/)?.[1];
+            // Publisher-restricted articles come back without a body
+            if (!body)
+                return null;
+            // Figure captions carry their own <title>s that would read as headings
+            const sections = this.parsePMCBody(body.replace(/<fig\b[\s\S]*?<\/fig>/g, ''));
+            return sections.length > 0 ? { source: 'pmc', url: `https://pmc.ncbi.nlm.nih.gov/articles/PMC${id}/`, sections } : null;
+        }
+        catch (error) {
+            console.warn(`   ⚠️ PMC full text failed for PMC${id}:`, error.message);
+            return null;
+        }
+    }
+    /**
+     * Walk <sec>/<title>/<p> in document order, grouping paragraphs under
+     * their top-level section; tables are collected separately
+     */
+    parsePMCBody(body) {
+        const sections = new Map();
+        const tables = [];
+        const titles = []; // Section heading per nesting level
+        let depth = 0;
+        const append = (text) => {
+            const name = titles[0] || 'Body';
+            const leaf = titles[depth - 1];
+            const section = sections.get(name) || { name, kind: this.classifySection(name, leaf), text: '' };
+            section.text += (section.text ? '\n\n' : '') + text;
+            sections.set(name, section);
+        };
+        const token = /<sec\b[^>]*>|<\/sec>|<title>([\s\S]*?)<\/title>|<p\b[^>]*>([\s\S]*?)<\/p>|<table-wrap\b[\s\S]*?<\/table-wrap>/g;
+        for (const match of body.matchAll(token)) {
+            const tag = match[0];
+            if (tag.startsWith('<sec')) {
+                depth++;
+                titles.length = depth - 1;
+            }
+            else if (tag === '</sec>') {
+                depth = Math.max(0, depth - 1);
+                titles.length = depth;
+            }
+            else if (match[1] !== undefined) {
+                if (depth > 0)
+                    titles[depth - 1] = this.stripTags(match[1]);
+            }
+            else if (match[2] !== undefined) {
+                const text = this.stripTags(match[2]);
+                if (text.length > 0)
+                    append(text);
+            }
+            else if (tag.startsWith('<table-wrap')) {
+                tables.push(this.tableToText(tag));
+            }
+        }
+        const result = [...sections.values()];
+        if (tables.length > 0) {
+            result.push({ name: 'Tables', kind: 'tables', text: tables.join('\n\n') });
+        }
+        return result;
+    }
+    tableToText(tableXml) {
+        const label = this.stripTags(tableXml.match(/<label>([\s\S]*?)<\/label>/)?.[1] || 'Table');
+        const caption = this.stripTags(tableXml.match(/<caption>([\s\S]*?)<\/caption>/)?.[1] || '');
+        const rows = [...tableXml.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/g)].map(row => [...(row[1] || '').matchAll(/<t[dh]\b[^>]*>([\s\S]*?)<\/t[dh]>/g)]
+            .map(cell => this.stripTags(cell[1] || ''))
+            .join(' | '));
+        return [`${label}. ${caption}`.trim(), ...rows].join('\n');
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Open-access PDF
+    // ─────────────────────────────────────────────────────────────
+    async fetchPDF(url) {
+        try {
+            const response = await rateLimiter.fetch('scrape', url, {
+                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LumosBot/1.0)', 'Accept': 'application/pdf' },
+                signal: AbortSignal.timeout(this.config.timeoutMs)
+            });
+            if (!response.ok) {
+                console.log(`   ⚠️ Open-access PDF returned ${response.status}`);
+                return null;
+            }
+            const length = Number(response.headers.get('content-length') || 0);
+            if (length > this.config.maxPdfBytes) {
+                console.log(`   ⚠️ PDF too large (${(length / 1024 / 1024).toFixed(1)} MB), skipping`);
+                return null;
+            }
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            // Landing pages often masquerade as PDF links
+            if (bytes.length > this.config.maxPdfBytes || String.fromCharCode(...bytes.slice(0, 5)) !== '%PDF-') {
+                return null;
+            }
+            const pdf = await getDocumentProxy(bytes);
+            const { text } = await extractText(pdf, { mergePages: true });
+            const sections = this.splitPDFSections(text);
+            return sections.length > 0 ? { source: 'pdf', url, sections } : null;
+        }
+        catch (error) {
+            console.warn(`   ⚠️ PDF full text failed for ${url}:`, error.message);
+            return null;
+        }
+    }
+    /**
+     * Split extracted PDF text on recognisable headings; stops at the references
+     */
+    splitPDFSections(text) {
+        const headings = [...text.matchAll(PDF_HEADING)];
+        if (headings.length === 0) {
+            const body = text.trim();
+            return body ? [{ name: 'Full text', kind: 'other', text: body }] : [];
+        }
+        const sections = [];
+        for (let i = 0; i < headings.length; i++) {
+            const heading = headings[i];
+            const name = (heading[1] || '').trim();
+            if (/references|bibliography|acknowledge?ments/i.test(name))
+                break;
+            if (/abstract/i.test(name))
+                continue;
+            const start = heading.index + heading[0].length;
+            const end = headings[i + 1]?.index ?? text.length;
+            const body = text.slice(start, end).trim();
+            if (body) {
+                sections.push({ name: this.titleCase(name), kind: this.classifySection(name), text: body });
+            }
+        }
+        return sections;
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Helpers
+    // ─────────────────────────────────────────────────────────────
+    classifySection(name, subsection) {
+        for (const [kind, pattern] of SECTION_PATTERNS) {
+            if (pattern.test(name))
+                return kind;
+        }
+        if (subsection) {
+            for (const [kind, pattern] of SECTION_PATTERNS) {
+                if (pattern.test(subsection))
+                    return kind;
+            }
+        }
+        return 'other';
+    }
+    /**
+     * Split on paragraph, then sentence boundaries into ~passageChars chunks
+     */
+    chunk(text) {
+        const units = text
+            .split(/\n{2,}/)
+            .flatMap(p => (p.length > this.config.passageChars ? p.split(/(?<=[.!?])\s+/) : [p]))
+            .map(u => u.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+        const chunks = [];
+        let current = '';
+        for (const unit of units) {
+            if (current && current.length + unit.length + 1 > this.config.passageChars) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? `${current} ${unit}` : unit;
+        }
+        if (current)
+            chunks.push(current);
+        return chunks;
+    }
+    keywords(text) {
+        return [...new Set(text.toLowerCase()
+                .replace(/[^a-z0-9\s-]/g, ' ')
+                .split(/\s+/)
+                .filter(w => w.length > 3 && !STOP_WORDS.has(w)))];
+    }
+    stripTags(xml) {
+        return xml
+            .replace(/<xref\b[^>]*>[\s\S]*?<\/xref>/g, '')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#x2009;|&#8201;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    titleCase(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+    }
+}
+export const fullTextFetcher = new FullTextFetcher();
@@ -7,124 +7,39 @@
  * - 10x cheaper (~$0.05 per video vs $0.50)
  * - Gets timestamps automatically
  * - Simpler architecture
+ *
+ * Model comes from the LLM layer (video_extraction / transcript_extraction tasks),
+ * prompt from the registry (gemini_extraction)
  */
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { normalizeAuthor } from './author-normalization.js';
-// Lazy-init Gemini client
-let genAI = null;
-function getGemini() {
-    if (!genAI) {
-        const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
-        if (!apiKey) {
-            throw new Error('GEMINI_API_KEY or GOOGLE_AI_API_KEY not set');
-        }
-        genAI = new GoogleGenerativeAI(apiKey);
-    }
-    return genAI;
-}
-// ─────────────────────────────────────────────────────────────
-// Prompt
-// ─────────────────────────────────────────────────────────────
-const GEMINI_EXTRACTION_PROMPT = `
-You are a fact-checking assistant. Watch this video and extract claims that reference scientific studies.
-
-## WHAT TO EXTRACT
-
-Extract claims containing:
-- Named researchers (Dr., Professor) + their findings
-- Named institutions (University of X, Harvard) + their findings
-- Specific studies ("a 2013 study by Bray...", "meta-analysis of 62 studies...")
-- Study types with specific outcomes ("metabolic ward study found...", "RCT showed...")
-
-## WHAT TO SKIP
-
-Do NOT extract:
-- Personal anecdotes ("I started taking...", "In my experience...")
-- Vague references ("studies show...", "research suggests..." without specifics)
-- Expert opinions/advice (not citing research findings)
-- Hedged claims ("maybe", "probably", "I think")
-- Common knowledge, promotional content, testimonials
-
-## SEARCH QUERY GENERATION (CRITICAL)
-
-For each claim, generate 3 search queries optimized for academic databases:
-- Use scientific/technical terminology (not casual podcast language)
-- Include measurable outcomes and variables
-- Include study type if mentioned (meta-analysis, RCT, systematic review)
-- Keep queries 4-7 words
-- NO filler words (the, a, found that, showed that, study)
-
-Query types:
-1. **primary_query**: Author surname + key scientific terms
-2. **topic_query**: Topic only (no author) - scientific terminology
-3. **broad_query**: Broader fallback - main subject + study type
-
-## CONFIDENCE LEVELS
-
-- high: Named author + specific finding
-- medium: Specific study details but no author, OR author but vague finding
-- low: Vague study reference
-
-## OUTPUT FORMAT (JSON only, no markdown)
-
-{
-  "video_title": "Title of the video",
-  "video_duration": "MM:SS",
-  "claims": [
-    {
-      "timestamp": "MM:SS",
-      "segment": "Exact quote containing the claim",
-      "author_mentioned": "Researcher name or null",
-      "institution_mentioned": "Institution or null",
-      "finding_summary": "What the study reportedly found",
-      "confidence": "high|medium|low",
-      "search_queries": {
-        "primary_query": "author surname + key terms",
-        "topic_query": "scientific terminology only",
-        "broad_query": "broader fallback"
-      }
-    }
-  ]
-}
-
-If no study claims found, return: { "video_title": "...", "claims": [] }
-`;
+import { DEFAULT_LANGUAGE, detectLanguage } from './language.js';
+import { llm, promptRegistry } from '../llm/index.js';
 // ─────────────────────────────────────────────────────────────
 // Extractor
 // ─────────────────────────────────────────────────────────────
 export class GeminiExtractor {
-    modelName = 'gemini-3-flash-preview'; // Latest, Pro-level at Flash price
     /**
      * Extract claims from a YouTube video URL
      * This is the main entry point - one API call does everything!
+     * The model can't be asked the language first, so it's the caller's (default English)
      */
-    async extractFromYouTube(youtubeUrl) {
+    async extractFromYouTube(youtubeUrl, options = {}) {
         const startTime = Date.now();
         console.log(`🎬 Processing YouTube video: ${youtubeUrl}`);
         // Extract video ID for claim IDs
         const videoId = this.extractVideoId(youtubeUrl);
         try {
-            const model = getGemini().getGenerativeModel({ model: this.modelName });
-            // Call Gemini with YouTube URL
-            const result = await model.generateContent([
-                { text: GEMINI_EXTRACTION_PROMPT },
-                {
-                    fileData: {
-                        fileUri: youtubeUrl,
-                        mimeType: 'video/mp4'
-                    }
-                }
-            ]);
-            const responseText = result.response.text();
-            // Parse JSON response (handle markdown code blocks)
-            const jsonText = responseText
-                .replace(/```json\n?/g, '')
-                .replace(/```\n?/g, '')
-                .trim();
-            const parsed = JSON.parse(jsonText);
+            // Call the model with the YouTube URL
+            const template = promptRegistry.assign('gemini_extraction', videoId, options.language || DEFAULT_LANGUAGE);
+            const response = await llm.complete('video_extraction', {
+                messages: [{ role: 'user', content: template.text }],
+                video: { uri: youtubeUrl, mimeType: 'video/mp4' },
+                json: true
+            });
+            const parsed = response.json;
             console.log(`📋 Found ${parsed.claims.length} claims in "${parsed.video_title}"`);
             // Synthesize claims with author normalization
-            const synthesized = parsed.claims.map((claim, idx) => this.synthesizeClaim(claim, videoId, idx));
+            const synthesized = parsed.claims.map((claim, idx) => this.synthesizeClaim(claim, videoId, idx, template));
             const processingTime = Date.now() - startTime;
             return {
                 videoTitle: parsed.video_title,
@@ -133,38 +48,39 @@ export class GeminiExtractor {
             };
         }
         catch (error) {
-            console.error('❌ Gemini extraction failed:', error);
+            console.error('❌ Video extraction failed:', error);
             throw error;
         }
     }
     /**
      * Extract claims from raw transcript text (fallback mode)
+     * Failures yield no claims unless rethrow is set (the evaluation harness
+     * needs to tell a failed call from a transcript without claims).
+     * The language is detected from the transcript unless given.
      */
-    async extractFromTranscript(transcript, videoId) {
-        console.log(`📝 Processing transcript (${transcript.split(' ').length} words)`);
+    async extractFromTranscript(transcript, videoId, options = {}) {
+        const language = options.language || detectLanguage(transcript) || DEFAULT_LANGUAGE;
+        console.log(`📝 Processing transcript (${transcript.split(' ').length} words, ${language})`);
         try {
-            const model = getGemini().getGenerativeModel({ model: this.modelName });
-            const result = await model.generateContent([
-                { text: GEMINI_EXTRACTION_PROMPT },
-                { text: `\n\nTranscript:\n${transcript}` }
-            ]);
-            const responseText = result.response.text();
-            const jsonText = responseText
-                .replace(/```json\n?/g, '')
-                .replace(/```\n?/g, '')
-                .trim();
-            const parsed = JSON.parse(jsonText);
-            return parsed.claims.map((claim, idx) => this.synthesizeClaim(claim, videoId, idx));
+            const template = promptRegistry.assign('gemini_extraction', videoId, language);
+            const response = await llm.complete('transcript_extraction', {
+                messages: [{ role: 'user', content: `${template.text}\n\nTranscript:\n${transcript}` }],
+                json: true
+            });
+            const parsed = response.json;
+            return parsed.claims.map((claim, idx) => this.synthesizeClaim(claim, videoId, idx, template));
         }
         catch (error) {
-            console.error('❌ Gemini transcript extraction failed:', error);
+            console.error('❌ Transcript extraction failed:', error);
+            if (options.rethrow)
+                throw error;
             return [];
         }
     }
     // ─────────────────────────────────────────────────────────────
     // Private helpers
     // ─────────────────────────────────────────────────────────────
-    synthesizeClaim(claim, videoId, index) {
+    synthesizeClaim(claim, videoId, index, template) {
         const normalized = normalizeAuthor(claim.author_mentioned);
         return {
             claim_id: `${videoId}_claim_${index}`,
@@ -190,7 +106,8 @@ export class GeminiExtractor {
                     claim.search_queries.topic_query,
                     claim.search_queries.broad_query
                 ]
-            }
+            },
+            prompt: { id: template.id, version: template.version }
         };
     }
     extractVideoId(url) {
@@ -7,25 +7,16 @@
  * - 10x cheaper (~$0.05 per video vs $0.50)
  * - Gets timestamps automatically
  * - Simpler architecture
+ * 
+ * Model comes from the LLM layer (video_extraction / transcript_extraction tasks),
+ * prompt from the registry (gemini_extraction)
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { normalizeAuthor } from './author-normalization.js';
+import { DEFAULT_LANGUAGE, detectLanguage, type ContentLanguage } from './language.js';
+import { llm, promptRegistry, type PromptTemplate } from '../llm/index.js';
 import type { SynthesizedClaim } from './types.js';
 
-// Lazy-init Gemini client
-let genAI: GoogleGenerativeAI | null = null;
-function getGemini(): GoogleGenerativeAI {
-  if (!genAI) {
-    const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
-    if (!apiKey) {
-      throw new Error('GEMINI_API_KEY or GOOGLE_AI_API_KEY not set');
-    }
-    genAI = new GoogleGenerativeAI(apiKey);
-  }
-  return genAI;
-}
-
 // ─────────────────────────────────────────────────────────────
 // Types
 // ─────────────────────────────────────────────────────────────
@@ -60,87 +51,18 @@ export interface GeminiSynthesizedClaim extends SynthesizedClaim {
   };
 }
 
-// ─────────────────────────────────────────────────────────────
-// Prompt
-// ─────────────────────────────────────────────────────────────
-
-const GEMINI_EXTRACTION_PROMPT = `
-You are a fact-checking assistant. Watch this video and extract claims that reference scientific studies.
-
-## WHAT TO EXTRACT
-
-Extract claims containing:
-- Named researchers (Dr., Professor) + their findings
-- Named institutions (University of X, Harvard) + their findings
-- Specific studies ("a 2013 study by Bray...", "meta-analysis of 62 studies...")
-- Study types with specific outcomes ("metabolic ward study found...", "RCT showed...")
-
-## WHAT TO SKIP
-
-Do NOT extract:
-- Personal anecdotes ("I started taking...", "In my experience...")
-- Vague references ("studies show...", "research suggests..." without specifics)
-- Expert opinions/advice (not citing research findings)
-- Hedged claims ("maybe", "probably", "I think")
-- Common knowledge, promotional content, testimonials
-
-## SEARCH QUERY GENERATION (CRITICAL)
-
-For each claim, generate 3 search queries optimized for academic databases:
-- Use scientific/technical terminology (not casual podcast language)
-- Include measurable outcomes and variables
-- Include study type if mentioned (meta-analysis, RCT, systematic review)
-- Keep queries 4-7 words
-- NO filler words (the, a, found that, showed that, study)
-
-Query types:
-1. **primary_query**: Author surname + key scientific terms
-2. **topic_query**: Topic only (no author) - scientific terminology
-3. **broad_query**: Broader fallback - main subject + study type
-
-## CONFIDENCE LEVELS
-
-- high: Named author + specific finding
-- medium: Specific study details but no author, OR author but vague finding
-- low: Vague study reference
-
-## OUTPUT FORMAT (JSON only, no markdown)
-
-{
-  "video_title": "Title of the video",
-  "video_duration": "MM:SS",
-  "claims": [
-    {
-      "timestamp": "MM:SS",
-      "segment": "Exact quote containing the claim",
-      "author_mentioned": "Researcher name or null",
-      "institution_mentioned": "Institution or null",
-      "finding_summary": "What the study reportedly found",
-      "confidence": "high|medium|low",
-      "search_queries": {
-        "primary_query": "author surname + key terms",
-        "topic_query": "scientific terminology only",
-        "broad_query": "broader fallback"
-      }
-    }
-  ]
-}
-
-If no study claims found, return: { "video_title": "...", "claims": [] }
-`;
-
 // ─────────────────────────────────────────────────────────────
 // Extractor
 // ─────────────────────────────────────────────────────────────
 
 export class GeminiExtractor {
-  private modelName = 'gemini-3-flash-preview'; // Latest, Pro-level at Flash price
   
   /**
    * Extract claims from a YouTube video URL
    * This is the main entry point - one API call does everything!
+   * The model can't be asked the language first, so it's the caller's (default English)
    */
-  async extractFromYouTube(youtubeUrl: string): Promise<{
+  async extractFromYouTube(youtubeUrl: string, options: { language?: ContentLanguage } = {}): Promise<{
     videoTitle: string;
     claims: GeminiSynthesizedClaim[];
     processingTime: number;
@@ -153,34 +75,21 @@ export class GeminiExtractor {
     const videoId = this.extractVideoId(youtubeUrl);
     
     try {
-      const model = getGemini().getGenerativeModel({ model: this.modelName });
+      // Call the model with the YouTube URL
+      const template = promptRegistry.assign('gemini_extraction', videoId, options.language || DEFAULT_LANGUAGE);
+      const response = await llm.complete('video_extraction', {
+        messages: [{ role: 'user', content: template.text }],
+        video: { uri: youtubeUrl, mimeType: 'video/mp4' },
+        json: true
+      });
       
-      // Call Gemini with YouTube URL
-      const result = await model.generateContent([
-        { text: GEMINI_EXTRACTION_PROMPT },
-        {
-          fileData: {
-            fileUri: youtubeUrl,
-            mimeType: 'video/mp4'
-          }
-        }
-      ]);
-      
-      const responseText = result.response.text();
-      
-      // Parse JSON response (handle markdown code blocks)
-      const jsonText = responseText
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
-      
-      const parsed: GeminiResponse = JSON.parse(jsonText);
+      const parsed: GeminiResponse = response.json;
       
       console.log(`📋 Found ${parsed.claims.length} claims in "${parsed.video_title}"`);
       
       // Synthesize claims with author normalization
       const synthesized = parsed.claims.map((claim, idx) => 
-        this.synthesizeClaim(claim, videoId, idx)
+        this.synthesizeClaim(claim, videoId, idx, template)
       );
       
       const processingTime = Date.now() - startTime;
@@ -192,39 +101,41 @@ export class GeminiExtractor {
       };
       
     } catch (error) {
-      console.error('❌ Gemini extraction failed:', error);
+      console.error('❌ Video extraction failed:', error);
       throw error;
     }
   }
   
   /**
    * Extract claims from raw transcript text (fallback mode)
+   * Failures yield no claims unless rethrow is set (the evaluation harness
+   * needs to tell a failed call from a transcript without claims).
+   * The language is detected from the transcript unless given.
    */
-  async extractFromTranscript(transcript: string, videoId: string): Promise<GeminiSynthesizedClaim[]> {
-    console.log(`📝 Processing transcript (${transcript.split(' ').length} words)`);
+  async extractFromTranscript(
+    transcript: string,
+    videoId: string,
+    options: { rethrow?: boolean; language?: ContentLanguage } = {}
+  ): Promise<GeminiSynthesizedClaim[]> {
+    const language = options.language || detectLanguage(transcript) || DEFAULT_LANGUAGE;
+    console.log(`📝 Processing transcript (${transcript.split(' ').length} words, ${language})`);
     
     try {
-      const model = getGemini().getGenerativeModel({ model: this.modelName });
+      const template = promptRegistry.assign('gemini_extraction', videoId, language);
+      const response = await llm.complete('transcript_extraction', {
+        messages: [{ role: 'user', content: `${template.text}\n\nTranscript:\n${transcript}` }],
+        json: true
+      });
       
-      const result = await model.generateContent([
-        { text: GEMINI_EXTRACTION_PROMPT },
-        { text: `\n\nTranscript:\n${transcript}` }
-      ]);
-      
-      const responseText = result.response.text();
-      const jsonText = responseText
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
-      
-      const parsed: GeminiResponse = JSON.parse(jsonText);
+      const parsed: GeminiResponse = response.json;
       
       return parsed.claims.map((claim, idx) => 
-        this.synthesizeClaim(claim, videoId, idx)
+        this.synthesizeClaim(claim, videoId, idx, template)
       );
       
     } catch (error) {
-      console.error('❌ Gemini transcript extraction failed:', error);
+      console.error('❌ Transcript extraction failed:', error);
+      if (options.rethrow) throw error;
       return [];
     }
   }
@@ -236,7 +147,8 @@ export class GeminiExtractor {
   private synthesizeClaim(
     claim: GeminiClaim,
     videoId: string,
-    index: number
+    index: number,
+    template: PromptTemplate
   ): GeminiSynthesizedClaim {
     const normalized = normalizeAuthor(claim.author_mentioned);
     
@@ -264,7 +176,8 @@ export class GeminiExtractor {
           claim.search_queries.topic_query,
           claim.search_queries.broad_query
         ]
-      }
+      },
+      prompt: { id: template.id, version: template.version }
     };
   }
   
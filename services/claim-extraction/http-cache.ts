@@ -0,0 +1,459 @@
+/**
+ * HTTP Cache
+ * Content-addressed cache for academic lookups (OpenAlex, Semantic Scholar,
+ * PubMed, Google CSE), scraped abstracts, DOI metadata, parsed full text,
+ * YouTube caption tracks and translations, so re-processing a video doesn't
+ * repeat the same external calls.
+ *
+ * - fetch(): drop-in for global fetch; only successful responses are stored
+ * - remember(): caches a computed value (e.g. a scraped abstract); null is never stored
+ * - rememberMany(): same for a batch, with one producer call for all the misses
+ *
+ * Entries live in the local SQLite database, or the http_cache table when
+ * Supabase is configured. Set LUMOS_HTTP_CACHE=off to bypass.
+ */
+
+import crypto from 'crypto';
+import { getLocalDb } from './local-db.js';
+import { rateLimiter, type RateLimitedService } from './rate-limiter.js';
+
+// ─────────────────────────────────────────────────────────────
+// Types
+// ─────────────────────────────────────────────────────────────
+
+export type CacheSource =
+  | 'openalex'
+  | 'semantic_scholar'
+  | 'pubmed'
+  | 'google'
+  | 'scrape'
+  | 'doi'
+  | 'fulltext'
+  | 'captions'
+  | 'translation';
+
+export interface CacheEntry {
+  key: string;
+  source: CacheSource;
+  url: string | null;        // Secrets redacted; for debugging only
+  status: number;
+  contentType: string | null;
+  body: string;
+  createdAt: number;
+  expiresAt: number;
+}
+
+export interface CacheSourceStats {
+  source: string;
+  entries: number;
+  bytes: number | null;      // Not tracked by every backend
+}
+
+export interface CacheStore {
+  readonly backend: 'sqlite' | 'supabase';
+  get(key: string): Promise<CacheEntry | null>;
+  set(entry: CacheEntry): Promise<void>;
+  stats(): Promise<CacheSourceStats[]>;
+}
+
+interface HttpCacheConfig {
+  enabled: boolean;
+  ttlHours: Record<CacheSource, number>;
+}
+
+const DEFAULT_CONFIG: HttpCacheConfig = {
+  enabled: process.env.LUMOS_HTTP_CACHE !== 'off',
+  ttlHours: {
+    openalex: 24 * 7,
+    semantic_scholar: 24 * 7,
+    pubmed: 24 * 7,
+    google: 24 * 3,           // Paid quota, but rankings drift
+    scrape: 24 * 30,
+    doi: 24 * 90,             // DOI → work metadata is effectively permanent
+    fulltext: 24 * 90,
+    captions: 24 * 7,         // Auto captions can be replaced by uploaded ones
+    translation: 24 * 90
+  }
+};
+
+const CACHE_SOURCES = Object.keys(DEFAULT_CONFIG.ttlHours) as CacheSource[];
+
+// Misses go out through the rate limiter; DOI lookups hit OpenAlex
+const RATE_LIMITED_AS: Record<CacheSource, RateLimitedService> = {
+  openalex: 'openalex',
+  semantic_scholar: 'semantic_scholar',
+  pubmed: 'pubmed',
+  google: 'google',
+  scrape: 'scrape',
+  doi: 'openalex',
+  fulltext: 'scrape',
+  captions: 'scrape',
+  translation: 'llm'
+};
+const SECRET_PARAM = /key|token|secret/i;
+
+/**
+ * Pick the cache store for the current environment (same rule as the job store)
+ */
+export function createCacheStore(supabase?: any): CacheStore {
+  return supabase ? new SupabaseCacheStore(supabase) : new SqliteCacheStore();
+}
+
+export class HttpCache {
+  private config: HttpCacheConfig;
+  private store: CacheStore | null = null;
+  private counters: Map<CacheSource, { hits: number; misses: number; writes: number }> = new Map();
+
+  constructor(config: Partial<HttpCacheConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Swap the backing store (api-server passes Supabase when configured)
+   */
+  setStore(store: CacheStore): void {
+    this.store = store;
+  }
+
+  /**
+   * Cached, rate-limited fetch; non-2xx responses and non-GET/POST requests aren't cached
+   */
+  async fetch(source: CacheSource, url: string, init: RequestInit = {}): Promise<Response> {
+    const method = (init.method || 'GET').toUpperCase();
+    const body = typeof init.body === 'string' ? init.body : '';
+    if (!this.config.enabled || (method !== 'GET' && method !== 'POST') || (init.body && !body)) {
+      return rateLimiter.fetch(RATE_LIMITED_AS[source], url, init);
+    }
+
+    const key = this.hash(source, `${method} ${url}\n${body}`);
+    const cached = await this.read(source, key);
+    if (cached) {
+      return new Response(cached.body, {
+        status: cached.status,
+        headers: cached.contentType ? { 'content-type': cached.contentType } : {}
+      });
+    }
+
+    const response = await rateLimiter.fetch(RATE_LIMITED_AS[source], url, init);
+    if (response.ok) {
+      const text = await response.clone().text();
+      await this.write(source, key, this.redactUrl(url), response.status, response.headers.get('content-type'), text);
+    }
+    return response;
+  }
+
+  /**
+   * Cache a derived value under an arbitrary key; producers returning null aren't cached
+   */
+  async remember<T>(source: CacheSource, keyParts: unknown, producer: () => Promise<T | null>): Promise<T | null> {
+    if (!this.config.enabled) return producer();
+
+    const key = this.hash(source, JSON.stringify(keyParts));
+    const cached = await this.read(source, key);
+    if (cached) {
+      try {
+        return JSON.parse(cached.body) as T;
+      } catch {}
+    }
+
+    const value = await producer();
+    if (value !== null && value !== undefined) {
+      await this.write(source, key, null, 200, 'application/json', JSON.stringify(value));
+    }
+    return value;
+  }
+
+  /**
+   * Cache several derived values at once; the producer gets only the misses
+   * (in order) and returns a value, or null to leave it uncached, for each
+   */
+  async rememberMany<K, T>(
+    source: CacheSource,
+    keyParts: K[],
+    producer: (missing: K[]) => Promise<Array<T | null>>
+  ): Promise<Array<T | null>> {
+    if (!this.config.enabled) return keyParts.length > 0 ? producer(keyParts) : [];
+
+    const keys = keyParts.map(parts => this.hash(source, JSON.stringify(parts)));
+    const values: Array<T | null> = await Promise.all(keys.map(async key => {
+      const cached = await this.read(source, key);
+      if (!cached) return null;
+      try {
+        return JSON.parse(cached.body) as T;
+      } catch {
+        return null;
+      }
+    }));
+
+    const missing = keyParts.map((_, i) => i).filter(i => values[i] === null);
+    if (missing.length === 0) return values;
+
+    const produced = await producer(missing.map(i => keyParts[i]!));
+    await Promise.all(missing.map(async (index, i) => {
+      const value = produced[i] ?? null;
+      values[index] = value;
+      if (value !== null) {
+        await this.write(source, keys[index]!, null, 200, 'application/json', JSON.stringify(value));
+      }
+    }));
+    return values;
+  }
+
+  /**
+   * Stored entries per source plus hit/miss counts since process start
+   */
+  async getStats(): Promise<{
+    enabled: boolean;
+    backend: string;
+    sources: Array<CacheSourceStats & { ttl_hours: number; hits: number; misses: number; writes: number; hit_rate: number | null }>;
+  }> {
+    let stored: CacheSourceStats[] = [];
+    try {
+      stored = await this.getStore().stats();
+    } catch (error: any) {
+      console.warn('⚠️ Cache stats failed:', error.message);
+    }
+
+    return {
+      enabled: this.config.enabled,
+      backend: this.getStore().backend,
+      sources: CACHE_SOURCES.map(source => {
+        const row = stored.find(s => s.source === source);
+        const counter = this.counter(source);
+        const lookups = counter.hits + counter.misses;
+        return {
+          source,
+          entries: row?.entries || 0,
+          bytes: row ? row.bytes : 0,
+          ttl_hours: this.config.ttlHours[source],
+          ...counter,
+          hit_rate: lookups > 0 ? Number((counter.hits / lookups).toFixed(3)) : null
+        };
+      })
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Private helpers
+  // ─────────────────────────────────────────────────────────────
+
+  private getStore(): CacheStore {
+    if (!this.store) this.store = new SqliteCacheStore();
+    return this.store;
+  }
+
+  private async read(source: CacheSource, key: string): Promise<CacheEntry | null> {
+    const counter = this.counter(source);
+    try {
+      const entry = await this.getStore().get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        counter.hits++;
+        return entry;
+      }
+    } catch (error: any) {
+      console.warn(`⚠️ Cache read failed (${source}):`, error.message);
+    }
+    counter.misses++;
+    return null;
+  }
+
+  private async write(
+    source: CacheSource,
+    key: string,
+    url: string | null,
+    status: number,
+    contentType: string | null,
+    body: string
+  ): Promise<void> {
+    const now = Date.now();
+    try {
+      await this.getStore().set({
+        key,
+        source,
+        url,
+        status,
+        contentType,
+        body,
+        createdAt: now,
+        expiresAt: now + this.config.ttlHours[source] * 60 * 60 * 1000
+      });
+      this.counter(source).writes++;
+    } catch (error: any) {
+      console.warn(`⚠️ Cache write failed (${source}):`, error.message);
+    }
+  }
+
+  private counter(source: CacheSource) {
+    let counter = this.counters.get(source);
+    if (!counter) {
+      counter = { hits: 0, misses: 0, writes: 0 };
+      this.counters.set(source, counter);
+    }
+    return counter;
+  }
+
+  private hash(source: CacheSource, content: string): string {
+    return crypto.createHash('sha256').update(`${source}\n${content}`).digest('hex');
+  }
+
+  private redactUrl(url: string): string {
+    try {
+      const parsed = new URL(url);
+      for (const name of [...parsed.searchParams.keys()]) {
+        if (SECRET_PARAM.test(name)) parsed.searchParams.set(name, 'REDACTED');
+      }
+      return parsed.toString();
+    } catch {
+      return url;
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Supabase
+// ─────────────────────────────────────────────────────────────
+
+export class SupabaseCacheStore implements CacheStore {
+  readonly backend = 'supabase' as const;
+
+  constructor(private supabase: any) {}
+
+  async get(key: string): Promise<CacheEntry | null> {
+    const { data, error } = await this.supabase
+      .from('http_cache')
+      .select('*')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw new Error(`http_cache select failed: ${error.message}`);
+    if (!data) return null;
+
+    return {
+      key: data.key,
+      source: data.source,
+      url: data.url,
+      status: data.status,
+      contentType: data.content_type,
+      body: data.body,
+      createdAt: new Date(data.created_at).getTime(),
+      expiresAt: new Date(data.expires_at).getTime()
+    };
+  }
+
+  async set(entry: CacheEntry): Promise<void> {
+    const { error } = await this.supabase.from('http_cache').upsert({
+      key: entry.key,
+      source: entry.source,
+      url: entry.url,
+      status: entry.status,
+      content_type: entry.contentType,
+      body: entry.body,
+      size_bytes: Buffer.byteLength(entry.body),
+      created_at: new Date(entry.createdAt).toISOString(),
+      expires_at: new Date(entry.expiresAt).toISOString()
+    }, { onConflict: 'key' });
+
+    if (error) throw new Error(`http_cache upsert failed: ${error.message}`);
+  }
+
+  async stats(): Promise<CacheSourceStats[]> {
+    const now = new Date().toISOString();
+    return Promise.all(CACHE_SOURCES.map(async source => {
+      const { count, error } = await this.supabase
+        .from('http_cache')
+        .select('key', { count: 'exact', head: true })
+        .eq('source', source)
+        .gt('expires_at', now);
+
+      if (error) throw new Error(`http_cache count failed: ${error.message}`);
+      return { source, entries: count || 0, bytes: null };
+    }));
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// SQLite
+// ─────────────────────────────────────────────────────────────
+
+export class SqliteCacheStore implements CacheStore {
+  readonly backend = 'sqlite' as const;
+  private initialized = false;
+
+  async get(key: string): Promise<CacheEntry | null> {
+    const row: any = this.db().prepare('SELECT * FROM http_cache WHERE key = ?').get(key);
+    if (!row) return null;
+
+    return {
+      key: row.key,
+      source: row.source,
+      url: row.url,
+      status: row.status,
+      contentType: row.content_type,
+      body: row.body,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  async set(entry: CacheEntry): Promise<void> {
+    this.db().prepare(`
+      INSERT INTO http_cache (key, source, url, status, content_type, body, size_bytes, created_at, expires_at)
+      VALUES (@key, @source, @url, @status, @content_type, @body, @size_bytes, @created_at, @expires_at)
+      ON CONFLICT(key) DO UPDATE SET
+        url = excluded.url,
+        status = excluded.status,
+        content_type = excluded.content_type,
+        body = excluded.body,
+        size_bytes = excluded.size_bytes,
+        created_at = excluded.created_at,
+        expires_at = excluded.expires_at
+    `).run({
+      key: entry.key,
+      source: entry.source,
+      url: entry.url,
+      status: entry.status,
+      content_type: entry.contentType,
+      body: entry.body,
+      size_bytes: Buffer.byteLength(entry.body),
+      created_at: entry.createdAt,
+      expires_at: entry.expiresAt
+    });
+  }
+
+  async stats(): Promise<CacheSourceStats[]> {
+    const rows = this.db().prepare(`
+      SELECT source, COUNT(*) AS entries, SUM(size_bytes) AS bytes
+      FROM http_cache
+      WHERE expires_at > ?
+      GROUP BY source
+    `).all(Date.now()) as { source: string; entries: number; bytes: number }[];
+    return rows.map(r => ({ source: r.source, entries: r.entries, bytes: r.bytes || 0 }));
+  }
+
+  private db() {
+    const db = getLocalDb();
+    if (!this.initialized) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS http_cache (
+          key TEXT PRIMARY KEY,
+          source TEXT NOT NULL,
+          url TEXT,
+          status INTEGER NOT NULL,
+          content_type TEXT,
+          body TEXT NOT NULL,
+          size_bytes INTEGER NOT NULL DEFAULT 0,
+          created_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_http_cache_source ON http_cache(source);
+      `);
+      // Expired entries are never served; drop them once per process
+      const { changes } = db.prepare('DELETE FROM http_cache WHERE expires_at <= ?').run(Date.now());
+      if (changes > 0) console.log(`🧹 Purged ${changes} expired cache entries`);
+      this.initialized = true;
+    }
+    return db;
+  }
+}
+
+export const httpCache = new HttpCache();
@@ -4,138 +4,211 @@
  * Two-track processing for real-time alerts:
  * 1. Fast Track: Process first 10 minutes immediately (~1-2 min)
  * 2. Background: Process full video (~10-15 min for 2hr podcast)
+ *    in overlapping chapter-aligned segments, a few at a time
  *
  * Claims are deduplicated and alerts triggered based on timestamps.
+ *
+ * Caption-first: when the video has YouTube captions, both tracks extract
+ * from the caption text (transcript_extraction, same prompt and JSON schema)
+ * with timestamps taken from the caption timings; Gemini video ingestion is
+ * only used for videos without captions.
+ *
+ * Caption-extracted claims are then aligned: each quote is located in the
+ * caption lines (timestamp-alignment.ts) for a precise start/end time, which
+ * alerts use instead of the model's "MM:SS". Claims extracted from the video
+ * itself have no timed transcript and keep the model's timestamp.
+ *
+ * With a diarization backend configured, the audio is diarized while the
+ * full track runs and every claim gets the speaker who made it (from its
+ * aligned time, else its timestamp) before the job completes.
+ *
+ * Each job resolves its spoken language once (caption track language, else
+ * yt-dlp metadata, else a guess from the title and description) and uses
+ * that language's extraction prompt: quotes stay in the original language,
+ * finding summaries and search queries come back in English.
+ *
+ * Podcast episodes (RSS enclosures or direct audio URLs, "pod-" ids, see
+ * sources.ts) have no captions and can't be ingested by Gemini: their audio
+ * is downloaded and transcribed with the injected `transcribe` (Whisper via
+ * AudioProcessor) and the transcript takes the caption track's place.
  */
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { normalizeAuthor } from './author-normalization.js';
 import { VerificationPipeline } from './verification-pipeline.js';
-// Lazy-init Gemini client
-let genAI = null;
-function getGemini() {
-    if (!genAI) {
-        const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
-        if (!apiKey)
-            throw new Error('GEMINI_API_KEY not set');
-        genAI = new GoogleGenerativeAI(apiKey);
-    }
-    return genAI;
-}
+import { createJobStore } from './job-store.js';
+import { jobEvents, toClaimPayload } from './job-events.js';
+import { verificationQueue } from './verification-queue.js';
+import { ClaimResultStore } from './claim-results.js';
+import { downloadAudio, fetchVideoMetadata, mapWithConcurrency, planSegments } from './video-segments.js';
+import { CaptionsUnavailableError, fetchCaptions, formatTranscript } from './captions.js';
+import { timestampAligner } from './timestamp-alignment.js';
+import { sourceIdFor, sourceKind } from './sources.js';
+import { downloadEnclosure, transcribeEpisode } from './podcast-feed.js';
+import { DEFAULT_LANGUAGE, detectLanguage, languageName, normalizeLanguage } from './language.js';
+import { llm, promptRegistry } from '../llm/index.js';
+import { diarizer } from '../diarization/index.js';
 const DEFAULT_CONFIG = {
     fastTrackMinutes: 10,
-    modelName: 'gemini-3-flash-preview'
+    segmentMinutes: 20,
+    segmentOverlapSeconds: 30,
+    maxConcurrentSegments: 3,
+    captionsFirst: process.env.LUMOS_CAPTIONS !== 'off',
+    captionLanguage: process.env.CAPTIONS_LANG || null,
+    alignTimestamps: process.env.LUMOS_ALIGN_TIMESTAMPS !== 'off',
+    language: normalizeLanguage(process.env.LUMOS_LANGUAGE)
 };
 // ─────────────────────────────────────────────────────────────
-// Prompt
-// ─────────────────────────────────────────────────────────────
-const EXTRACTION_PROMPT = `
-You are a strict fact-checking assistant. Extract ONLY verifiable scientific claims.
-
-## STRICT REQUIREMENTS - A claim MUST have AT LEAST ONE of:
-1. A NAMED researcher (e.g., "Dr. Layne Norton", "Jose Antonio", "Chris Barakat")
-2. A NAMED institution (e.g., "Harvard", "University of Sydney", "ISSN")
-3. A SPECIFIC study reference (e.g., "a 2019 meta-analysis", "a metabolic ward study with 20 subjects")
-
-## ABSOLUTELY SKIP (do NOT extract):
-- Intro teasers/highlights in first 60 seconds that preview later content
-- Vague claims: "studies show...", "research suggests...", "science says..." (NO specifics = NO extraction)
-- Host opinions without citations
-- General statements: "protein builds muscle", "calories matter"
-- Sponsor segments, ads
-- Questions being asked (only extract answers with citations)
-
-## EXAMPLES OF WHAT NOT TO EXTRACT:
-❌ "Caloric deficit is not required" - no author, no study
-❌ "The answer is yes" - not a claim
-❌ "Studies have shown recomp is possible" - no specific study
-❌ "It's possible to gain muscle and lose fat" - general statement
-
-## EXAMPLES OF WHAT TO EXTRACT:
-✅ "Chris Barakat compiled 10 studies showing recomposition phenomenon" - named researcher + specific count
-✅ "Jose Antonio's 2014 study found subjects eating 800 extra calories from protein..." - named researcher + specific study
-✅ "A metabolic ward study at NIH found..." - specific study type + institution
-
-## OUTPUT FORMAT (JSON only, empty array if no valid claims)
-
-{
-  "claims": [
-    {
-      "timestamp": "MM:SS",
-      "segment": "Exact quote from video",
-      "author_mentioned": "Full researcher name or null",
-      "institution_mentioned": "Institution name or null", 
-      "finding_summary": "Specific finding with numbers/details",
-      "confidence": "high|medium|low",
-      "search_queries": {
-        "primary_query": "author surname + key finding terms",
-        "topic_query": "scientific terminology",
-        "broad_query": "broader topic"
-      }
-    }
-  ]
-}
-
-Remember: Quality over quantity. Only extract claims that can actually be verified against real papers.
-`;
-// ─────────────────────────────────────────────────────────────
 // Processor
 // ─────────────────────────────────────────────────────────────
 export class HybridProcessor {
     config;
     processingJobs = new Map();
+    jobStore;
+    claimResults = null;
+    captionLoads = new Map(); // Shared by both tracks of a job
+    speakerLoads = new Map();
+    languageLoads = new Map();
     constructor(config = {}) {
         this.config = { ...DEFAULT_CONFIG, ...config };
+        this.jobStore = this.config.jobStore || createJobStore(this.config.supabase);
     }
     /**
-     * Start hybrid processing for a video
+     * Start hybrid processing for a YouTube video or a podcast episode's audio URL
      * Returns immediately with job ID, processes in background
+     *
+     * @param videoId - Defaults to the URL's id; feed episodes pass their "pod-" id
      */
-    async startProcessing(youtubeUrl, videoTitle) {
-        const videoId = this.extractVideoId(youtubeUrl);
+    async startProcessing(youtubeUrl, videoTitle, videoId = sourceIdFor(youtubeUrl)) {
         // Check if already processing
         const existing = this.processingJobs.get(videoId);
         if (existing && existing.status !== 'error') {
             console.log(`⏳ Video ${videoId} already processing`);
             return videoId;
         }
+        // Pick up a job stored before the last restart
+        const stored = existing ? null : await this.loadStatus(videoId);
+        if (stored && stored.status !== 'error') {
+            console.log(`♻️ Video ${videoId} restored from job store`);
+            this.resumeJob(stored);
+            return videoId;
+        }
         // Initialize job
+        const now = Date.now();
         const job = {
             videoId,
             videoUrl: youtubeUrl,
             videoTitle: videoTitle || null,
             status: 'processing',
+            fastTrackStatus: 'pending',
+            fullTrackStatus: 'pending',
             fastTrackClaims: [],
             allClaims: [],
+            segments: [],
+            extractionSource: null,
+            language: null,
+            verificationStatus: 'pending',
+            verifications: [],
             fastTrackCompletedAt: null,
-            fullProcessingCompletedAt: null
+            fullProcessingCompletedAt: null,
+            createdAt: now,
+            updatedAt: now
         };
         this.processingJobs.set(videoId, job);
+        await this.persistJob(job);
         console.log(`🚀 Starting hybrid processing for ${videoId}`);
         // Start both tracks in parallel
         this.runFastTrack(videoId, youtubeUrl);
         this.runFullProcessing(videoId, youtubeUrl);
         return videoId;
     }
+    /**
+     * Resume jobs that were mid-flight when the server last stopped
+     * Call once on boot
+     */
+    async resumeInterruptedJobs() {
+        let jobs;
+        try {
+            jobs = await this.jobStore.listInterrupted();
+        }
+        catch (error) {
+            console.warn('⚠️ Could not load interrupted jobs:', error.message);
+            return 0;
+        }
+        for (const job of jobs) {
+            if (this.processingJobs.has(job.videoId))
+                continue;
+            this.resumeJob(job);
+        }
+        if (jobs.length > 0) {
+            console.log(`♻️ Resumed ${jobs.length} interrupted job(s)`);
+        }
+        return jobs.length;
+    }
     /**
      * Get current processing status and claims
      */
     getStatus(videoId) {
         return this.processingJobs.get(videoId) || null;
     }
+    /**
+     * Get status from memory, falling back to the job store
+     * (e.g. a job that finished before the last restart)
+     */
+    async loadStatus(videoId) {
+        const inMemory = this.processingJobs.get(videoId);
+        if (inMemory)
+            return inMemory;
+        try {
+            const stored = await this.jobStore.get(videoId);
+            if (stored && !this.isInterrupted(stored)) {
+                this.processingJobs.set(videoId, stored);
+            }
+            return stored;
+        }
+        catch (error) {
+            console.warn(`⚠️ Job store lookup failed for ${videoId}:`, error.message);
+            return null;
+        }
+    }
+    /**
+     * Re-run a single failed full-track segment in the background
+     * Returns false if there is no such failed segment or the full track is still running
+     */
+    async retrySegment(videoId, index) {
+        const job = await this.loadStatus(videoId);
+        const segment = job?.segments.find(s => s.index === index);
+        if (!job || !segment || segment.status !== 'error' || job.fullTrackStatus === 'running') {
+            return false;
+        }
+        console.log(`🔁 Retrying segment ${this.segmentLabel(segment)} of ${videoId}`);
+        this.processingJobs.set(videoId, job);
+        job.fullTrackStatus = 'running';
+        segment.status = 'pending';
+        await this.persistJob(job);
+        (async () => {
+            const added = await this.runSegment(job, segment);
+            await this.finishFullTrack(job);
+            // Verify only what the retry found; the rest was verified already
+            if (added.length > 0) {
+                await this.saveToDatabase(videoId, job.videoUrl, added, true);
+            }
+        })().catch(err => console.warn(`⚠️ Segment retry failed for ${videoId}:`, err.message));
+        return true;
+    }
     /**
      * Get claims that should be shown up to a given timestamp
+     * (from the job store too, e.g. an interrupted job not resumed yet)
      */
-    getClaimsUpTo(videoId, currentTimestamp) {
-        const job = this.processingJobs.get(videoId);
+    async getClaimsUpTo(videoId, currentTimestamp) {
+        const job = await this.loadStatus(videoId);
         if (!job)
             return [];
         const currentSeconds = this.timestampToSeconds(currentTimestamp);
         // Use allClaims if available, otherwise fastTrackClaims
         const claims = job.allClaims.length > 0 ? job.allClaims : job.fastTrackClaims;
-        return claims.filter(claim => {
-            const claimSeconds = this.timestampToSeconds(claim.timestamp);
-            return claimSeconds <= currentSeconds;
-        });
+        return claims.filter(claim => this.claimSeconds(claim) <= currentSeconds);
     }
     // ─────────────────────────────────────────────────────────────
     // Fast Track (first N minutes)
@@ -147,14 +220,30 @@ export class HybridProcessor {
         try {
             console.log(`⚡ Fast track: Processing first ${this.config.fastTrackMinutes} minutes`);
             const startTime = Date.now();
-            const prompt = `${EXTRACTION_PROMPT}
-
-IMPORTANT: Only analyze the FIRST ${this.config.fastTrackMinutes} MINUTES of this video.
+            job.fastTrackStatus = 'running';
+            await this.persistJob(job);
+            const captions = await this.loadCaptions(job);
+            const language = await this.loadLanguage(job);
+            let claims;
+            if (captions) {
+                claims = await this.callTranscriptExtractor(captions, videoId, language, 0, this.config.fastTrackMinutes * 60);
+            }
+            else {
+                const instructions = `IMPORTANT: Only analyze the FIRST ${this.config.fastTrackMinutes} MINUTES of this video.
 Stop analyzing after the ${this.config.fastTrackMinutes}:00 mark.`;
-            const claims = await this.callGemini(youtubeUrl, prompt, videoId);
+                claims = await this.callExtractor(youtubeUrl, instructions, videoId, language);
+            }
             job.fastTrackClaims = claims;
             job.fastTrackCompletedAt = Date.now();
-            job.status = 'fast_track_complete';
+            job.fastTrackStatus = 'complete';
+            if (job.status === 'processing') {
+                job.status = 'fast_track_complete';
+            }
+            await this.persistJob(job);
+            for (const claim of claims) {
+                jobEvents.publish(videoId, 'claim_extracted', { claim: toClaimPayload(claim) });
+            }
+            jobEvents.publish(videoId, 'fast_track_complete', { status: job.status, claims_count: claims.length });
             // Save to database
             await this.saveToDatabase(videoId, youtubeUrl, claims);
             const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -163,6 +252,10 @@ Stop analyzing after the ${this.config.fastTrackMinutes}:00 mark.`;
         catch (error) {
             console.error(`❌ Fast track failed:`, error.message);
             // Don't fail the whole job, full processing might still work
+            job.fastTrackStatus = 'error';
+            job.fastTrackError = error.message;
+            await this.persistJob(job);
+            jobEvents.publish(videoId, 'job_error', { track: 'fast', status: job.status, message: error.message });
         }
     }
     // ─────────────────────────────────────────────────────────────
@@ -175,14 +268,19 @@ Stop analyzing after the ${this.config.fastTrackMinutes}:00 mark.`;
         try {
             console.log(`🎬 Full processing: Analyzing entire video`);
             const startTime = Date.now();
-            const prompt = `${EXTRACTION_PROMPT}
-
-Analyze the ENTIRE video from start to finish.`;
-            const claims = await this.callGemini(youtubeUrl, prompt, videoId);
-            // Deduplicate with fast track claims
-            job.allClaims = this.deduplicateClaims([...job.fastTrackClaims, ...claims]);
-            job.fullProcessingCompletedAt = Date.now();
-            job.status = 'complete';
+            job.fullTrackStatus = 'running';
+            if (job.segments.length === 0) {
+                job.segments = await this.planFullTrack(job, await this.loadCaptions(job));
+            }
+            await this.persistJob(job);
+            // Diarize alongside extraction; claims are attributed once both are done
+            const speakers = this.loadSpeakers(job);
+            // Segments finished before a restart are kept
+            const remaining = job.segments.filter(s => s.status !== 'complete');
+            console.log(`🎬 Full processing: ${remaining.length}/${job.segments.length} segments, ${this.config.maxConcurrentSegments} at a time`);
+            await mapWithConcurrency(remaining, this.config.maxConcurrentSegments, segment => this.runSegment(job, segment));
+            await this.attributeSpeakers(job, await speakers);
+            await this.finishFullTrack(job);
             // Save all claims to database and trigger verification
             await this.saveToDatabase(videoId, youtubeUrl, job.allClaims, true);
             const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -190,47 +288,430 @@ Analyze the ENTIRE video from start to finish.`;
         }
         catch (error) {
             console.error(`❌ Full processing failed:`, error.message);
+            this.captionLoads.delete(videoId);
+            this.speakerLoads.delete(videoId);
+            this.languageLoads.delete(videoId);
             job.error = error.message;
+            job.fullTrackStatus = 'error';
             if (job.fastTrackClaims.length === 0) {
                 job.status = 'error';
             }
             // If fast track succeeded, we still have some claims
+            await this.persistJob(job);
+            jobEvents.publish(videoId, 'job_error', { track: 'full', status: job.status, message: error.message });
+        }
+    }
+    /**
+     * Split the video into windows; uses the caption track's length when
+     * yt-dlp is unavailable (and always for podcasts, planned from their
+     * transcript), and falls back to one whole-video segment (endSec = 0)
+     * when the duration can't be read at all
+     */
+    async planFullTrack(job, captions) {
+        if (sourceKind(job.videoId) === 'youtube') {
+            try {
+                const metadata = await fetchVideoMetadata(job.videoUrl);
+                if (metadata.durationSec > 0) {
+                    const segments = planSegments(metadata, {
+                        segmentMinutes: this.config.segmentMinutes,
+                        overlapSeconds: this.config.segmentOverlapSeconds
+                    });
+                    console.log(`✂️ ${Math.round(metadata.durationSec / 60)} min video → ${segments.length} segments (${metadata.chapters.length} chapters)`);
+                    return segments;
+                }
+            }
+            catch (error) {
+                console.warn(`⚠️ Could not read video metadata${captions ? ', planning from captions' : ', processing in one call'}:`, error.message);
+            }
+        }
+        if (captions && captions.durationSec > 0) {
+            return planSegments({ durationSec: Math.ceil(captions.durationSec), chapters: [] }, {
+                segmentMinutes: this.config.segmentMinutes,
+                overlapSeconds: this.config.segmentOverlapSeconds
+            });
+        }
+        return [{ index: 0, startSec: 0, endSec: 0, chapterTitle: null, status: 'pending', claimsCount: 0, completedAt: null }];
+    }
+    /**
+     * Extract one segment and merge its claims into the job
+     * Never throws; failures are recorded on the segment. Returns the newly added claims.
+     * Claims shown before that lose the dedupe to a segment's version are superseded:
+     * removed from the database so they don't sit there unverified.
+     */
+    async runSegment(job, segment) {
+        const label = this.segmentLabel(segment);
+        segment.status = 'running';
+        delete segment.error;
+        try {
+            const captions = await this.loadCaptions(job);
+            const language = await this.loadLanguage(job);
+            const claims = captions
+                ? await this.callTranscriptExtractor(captions, job.videoId, language, segment.startSec, segment.endSec > segment.startSec ? segment.endSec : Infinity, segment)
+                : await this.callExtractor(job.videoUrl, this.segmentInstructions(segment), job.videoId, language, segment);
+            // Merge with fast track + earlier segments (overlaps produce duplicates)
+            const shown = job.allClaims.length > 0 ? job.allClaims : job.fastTrackClaims;
+            job.allClaims = this.deduplicateClaims([...job.fastTrackClaims, ...job.allClaims, ...claims]);
+            const kept = new Set(job.allClaims.map(claim => claim.claim_id));
+            const shownIds = new Set(shown.map(claim => claim.claim_id));
+            const added = job.allClaims.filter(claim => !shownIds.has(claim.claim_id));
+            const superseded = shown.filter(claim => !kept.has(claim.claim_id));
+            segment.status = 'complete';
+            segment.claimsCount = claims.length;
+            segment.completedAt = Date.now();
+            await this.persistJob(job);
+            for (const claim of superseded) {
+                jobEvents.publish(job.videoId, 'claim_superseded', { claim_id: claim.claim_id });
+            }
+            for (const claim of added) {
+                jobEvents.publish(job.videoId, 'claim_extracted', { claim: toClaimPayload(claim) });
+            }
+            // Store progressively; verification waits for the whole track
+            if (superseded.length > 0) {
+                await this.removeFromDatabase(superseded.map(claim => claim.claim_id));
+            }
+            if (added.length > 0) {
+                await this.saveToDatabase(job.videoId, job.videoUrl, added);
+            }
+            const replaced = superseded.length > 0 ? `, ${superseded.length} superseded` : '';
+            console.log(`   ✅ Segment ${label}: ${claims.length} claims (${added.length} new${replaced})`);
+            return added;
+        }
+        catch (error) {
+            console.warn(`   ❌ Segment ${label} failed:`, error.message);
+            segment.status = 'error';
+            segment.error = error.message;
+            await this.persistJob(job);
+            return [];
+        }
+    }
+    /**
+     * Settle job/track status once no segment is running
+     */
+    async finishFullTrack(job) {
+        const failed = job.segments.filter(s => s.status === 'error');
+        job.fullProcessingCompletedAt = Date.now();
+        this.captionLoads.delete(job.videoId);
+        this.speakerLoads.delete(job.videoId);
+        this.languageLoads.delete(job.videoId);
+        if (failed.length === 0) {
+            job.fullTrackStatus = 'complete';
+            job.status = 'complete';
+            delete job.error;
+        }
+        else {
+            job.fullTrackStatus = 'error';
+            job.error = `${failed.length} of ${job.segments.length} segments failed (${failed.map(s => s.index).join(', ')})`;
+            // Partial results are still results
+            job.status = job.allClaims.length > 0 || job.fastTrackClaims.length > 0 ? 'complete' : 'error';
+        }
+        await this.persistJob(job);
+        if (failed.length > 0) {
+            jobEvents.publish(job.videoId, 'job_error', {
+                track: 'full',
+                status: job.status,
+                message: job.error,
+                failed_segments: failed.map(s => s.index)
+            });
+        }
+        if (job.status === 'complete') {
+            const claims = job.allClaims.length > 0 ? job.allClaims : job.fastTrackClaims;
+            jobEvents.publish(job.videoId, 'job_complete', {
+                status: job.status,
+                claims_count: claims.length,
+                claims: claims.map(toClaimPayload)
+            });
+        }
+    }
+    segmentInstructions(segment) {
+        if (segment.endSec <= segment.startSec) {
+            return `Analyze the ENTIRE video from start to finish.`;
+        }
+        const chapter = segment.chapterTitle ? ` (chapter: "${segment.chapterTitle}")` : '';
+        return `IMPORTANT: Only analyze the section from ${this.secondsToTimestamp(segment.startSec)} to ${this.secondsToTimestamp(segment.endSec)}${chapter}.
+Report every timestamp as its position in the FULL video, not relative to this section.`;
+    }
+    segmentLabel(segment) {
+        if (segment.endSec <= segment.startSec)
+            return `#${segment.index} (whole video)`;
+        return `#${segment.index} (${this.secondsToTimestamp(segment.startSec)}-${this.secondsToTimestamp(segment.endSec)})`;
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Job persistence
+    // ─────────────────────────────────────────────────────────────
+    isInterrupted(job) {
+        return job.status === 'processing' || job.status === 'fast_track_complete';
+    }
+    /**
+     * Re-run whichever tracks had not finished for a stored job
+     */
+    resumeJob(job) {
+        this.processingJobs.set(job.videoId, job);
+        if (!this.isInterrupted(job)) {
+            // Both tracks finished; only verification was cut off
+            if (job.verificationStatus === 'running')
+                this.resumeVerification(job);
+            return;
+        }
+        // Only tracks cut off mid-run; a track that failed outright stays failed
+        const unfinished = (status) => status === 'pending' || status === 'running';
+        const needsFastTrack = unfinished(job.fastTrackStatus) && job.fullTrackStatus !== 'complete';
+        const needsFullTrack = unfinished(job.fullTrackStatus);
+        console.log(`♻️ Resuming ${job.videoId} (fast: ${job.fastTrackStatus}, full: ${job.fullTrackStatus})`);
+        if (needsFastTrack) {
+            job.fastTrackStatus = 'pending';
+            this.runFastTrack(job.videoId, job.videoUrl);
+        }
+        if (needsFullTrack) {
+            job.fullTrackStatus = 'pending';
+            this.runFullProcessing(job.videoId, job.videoUrl);
+        }
+    }
+    async persistJob(job) {
+        job.updatedAt = Date.now();
+        try {
+            await this.jobStore.save(job);
+        }
+        catch (error) {
+            console.warn(`⚠️ Failed to persist job ${job.videoId}:`, error.message);
+        }
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Captions
+    // ─────────────────────────────────────────────────────────────
+    /**
+     * The job's caption track, fetched once and shared by both tracks
+     * null means extract from the video
+     */
+    loadCaptions(job) {
+        let load = this.captionLoads.get(job.videoId);
+        if (!load) {
+            load = this.fetchJobCaptions(job);
+            this.captionLoads.set(job.videoId, load);
         }
+        return load;
+    }
+    /**
+     * Decide the extraction source on first use and record it on the job
+     */
+    async fetchJobCaptions(job) {
+        if (sourceKind(job.videoId) === 'podcast') {
+            return this.transcribeJob(job);
+        }
+        if (!this.config.captionsFirst || job.extractionSource === 'video') {
+            await this.setExtractionSource(job, 'video');
+            return null;
+        }
+        try {
+            const captions = await fetchCaptions(job.videoUrl, this.config.captionLanguage);
+            if (job.extractionSource !== 'captions') {
+                console.log(`📝 Extracting ${job.videoId} from captions (${captions.language || 'unknown language'}, ${captions.lines.length} lines)`);
+            }
+            await this.setExtractionSource(job, 'captions');
+            return captions;
+        }
+        catch (error) {
+            if (error instanceof CaptionsUnavailableError) {
+                console.log(`🎬 ${error.message}; extracting from the video`);
+            }
+            else {
+                console.warn(`⚠️ Caption fetch failed for ${job.videoId}, extracting from the video:`, error.message);
+            }
+            await this.setExtractionSource(job, 'video');
+            return null;
+        }
+    }
+    /**
+     * Podcast audio → Whisper transcript; failures fail the job (there is no
+     * video to fall back to)
+     */
+    async transcribeJob(job) {
+        if (!this.config.transcribe) {
+            throw new Error('Podcast episodes need a transcriber (HybridProcessor `transcribe`)');
+        }
+        const transcript = await transcribeEpisode(job.videoId, job.videoUrl, this.config.transcribe);
+        console.log(`🎙️ Extracting ${job.videoId} from its transcript (${transcript.language || 'unknown language'}, ${transcript.lines.length} segments)`);
+        await this.setExtractionSource(job, 'audio');
+        return transcript;
+    }
+    async setExtractionSource(job, source) {
+        if (job.extractionSource === source)
+            return;
+        job.extractionSource = source;
+        await this.persistJob(job);
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Language
+    // ─────────────────────────────────────────────────────────────
+    /**
+     * The job's spoken language, resolved once and recorded on the job
+     */
+    loadLanguage(job) {
+        if (job.language)
+            return Promise.resolve(job.language);
+        let load = this.languageLoads.get(job.videoId);
+        if (!load) {
+            load = this.resolveLanguage(job);
+            this.languageLoads.set(job.videoId, load);
+        }
+        return load;
+    }
+    async resolveLanguage(job) {
+        let language = this.config.language;
+        let source = 'LUMOS_LANGUAGE';
+        if (!language) {
+            const captions = await this.loadCaptions(job);
+            language = normalizeLanguage(captions?.language);
+            source = 'captions';
+        }
+        if (!language) {
+            const metadata = sourceKind(job.videoId) === 'youtube'
+                ? await fetchVideoMetadata(job.videoUrl).catch(() => null)
+                : null;
+            language = normalizeLanguage(metadata?.language)
+                || detectLanguage([metadata?.title || job.videoTitle, metadata?.description].filter(Boolean).join('\n'));
+            source = 'video metadata';
+        }
+        if (!language) {
+            language = DEFAULT_LANGUAGE;
+            source = 'default';
+        }
+        console.log(`🌐 ${job.videoId} is in ${languageName(language)} (${source})`);
+        job.language = language;
+        await this.persistJob(job);
+        return language;
     }
     // ─────────────────────────────────────────────────────────────
-    // Gemini API Call
+    // Speakers
     // ─────────────────────────────────────────────────────────────
-    async callGemini(youtubeUrl, prompt, videoId) {
-        const model = getGemini().getGenerativeModel({
-            model: this.config.modelName,
-            generationConfig: {
-                responseMimeType: "application/json"
+    /**
+     * The job's diarization (audio downloaded once); null when diarization is
+     * off or failed, in which case claims simply have no speaker
+     */
+    loadSpeakers(job) {
+        if (!diarizer.enabled)
+            return Promise.resolve(null);
+        let load = this.speakerLoads.get(job.videoId);
+        if (!load) {
+            load = this.diarizeJob(job);
+            this.speakerLoads.set(job.videoId, load);
+        }
+        return load;
+    }
+    async diarizeJob(job) {
+        const audioPath = path.join(os.tmpdir(), `lumos-${job.videoId}-${Date.now()}.mp3`);
+        try {
+            const podcast = sourceKind(job.videoId) === 'podcast';
+            const [metadata, captions] = await Promise.all([
+                podcast ? null : fetchVideoMetadata(job.videoUrl).catch(() => null),
+                this.loadCaptions(job)
+            ]);
+            console.log(`🗣️ Downloading audio of ${job.videoId} for diarization`);
+            if (podcast) {
+                await downloadEnclosure(job.videoUrl, audioPath);
             }
-        });
-        const result = await model.generateContent([
-            { text: prompt + "\n\nRespond ONLY with valid JSON, no other text." },
-            {
-                fileData: {
-                    fileUri: youtubeUrl,
-                    mimeType: 'video/mp4'
-                }
+            else {
+                await downloadAudio(job.videoUrl, audioPath);
             }
-        ]);
-        const responseText = result.response.text();
-        const jsonText = responseText
-            .replace(/```json\n?/g, '')
-            .replace(/```\n?/g, '')
-            .trim();
-        const parsed = JSON.parse(jsonText);
-        return (parsed.claims || []).map((claim, idx) => this.synthesizeClaim(claim, videoId, idx));
+            return await diarizer.diarize(fs.readFileSync(audioPath), `${job.videoId}.mp3`, {
+                title: metadata?.title || job.videoTitle || null,
+                uploader: metadata?.uploader || null,
+                description: metadata?.description || null,
+                segments: captions?.lines || []
+            });
+        }
+        catch (error) {
+            console.warn(`⚠️ Diarization failed for ${job.videoId}, claims will have no speaker:`, error.message);
+            return null;
+        }
+        finally {
+            fs.rmSync(audioPath, { force: true });
+        }
+    }
+    /**
+     * Set the speaker of every claim in the job (aligned window when there is one)
+     */
+    async attributeSpeakers(job, speakers) {
+        if (!speakers)
+            return;
+        const claims = new Set([...job.fastTrackClaims, ...job.allClaims]);
+        let attributed = 0;
+        for (const claim of claims) {
+            claim.speaker = claim.alignment
+                ? diarizer.speakerAt(speakers, claim.alignment.start_sec, claim.alignment.end_sec)
+                : diarizer.speakerAt(speakers, this.timestampToSeconds(claim.timestamp));
+            if (claim.speaker)
+                attributed++;
+        }
+        console.log(`🗣️ Attributed ${attributed}/${claims.size} claims to ${speakers.speakers.length} speakers`);
+        await this.persistJob(job);
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Extraction Call (video_extraction task, Gemini by default)
+    // ─────────────────────────────────────────────────────────────
+    /**
+     * Extraction prompt (A/B-assigned per video, in the video's language)
+     * followed by track/segment instructions
+     */
+    async callExtractor(youtubeUrl, instructions, videoId, language, segment) {
+        const template = promptRegistry.assign('hybrid_extraction', videoId, language);
+        const prompt = `${template.text}
+
+${instructions}`;
+        const video = { uri: youtubeUrl, mimeType: 'video/mp4' };
+        if (segment && segment.endSec > segment.startSec) {
+            video.startSec = segment.startSec;
+            video.endSec = segment.endSec;
+        }
+        const response = await llm.complete('video_extraction', {
+            messages: [{ role: 'user', content: prompt + "\n\nRespond ONLY with valid JSON, no other text." }],
+            video,
+            json: true
+        });
+        return this.toClaims(response.json, videoId, template, segment);
+    }
+    /**
+     * Same prompt and JSON schema on caption text for [fromSec, toSec)
+     * (transcript_extraction task); timestamps come from the caption timings
+     * (a podcast's Whisper transcript is read the same way)
+     */
+    async callTranscriptExtractor(captions, videoId, language, fromSec, toSec, segment) {
+        const transcript = formatTranscript(captions, fromSec, toSec);
+        if (!transcript)
+            return [];
+        const template = promptRegistry.assign('hybrid_extraction', videoId, language);
+        const chapter = segment?.chapterTitle ? ` (chapter: "${segment.chapterTitle}")` : '';
+        const podcast = sourceKind(videoId) === 'podcast';
+        const reading = podcast ? "the episode's audio transcript" : "the video's captions";
+        const prompt = `${template.text}
+
+You are reading ${reading}${chapter} instead of ${podcast ? 'listening to' : 'watching'} it. Each line starts with [MM:SS], its position in the full ${podcast ? 'episode' : 'video'}.
+Use the timestamp of the line where the claim is made, and quote the ${podcast ? 'transcript' : 'captions'} for "segment".
+
+TRANSCRIPT:
+${transcript}`;
+        const response = await llm.complete('transcript_extraction', {
+            messages: [{ role: 'user', content: prompt + "\n\nRespond ONLY with valid JSON, no other text." }],
+            json: true
+        });
+        const claims = this.toClaims(response.json, videoId, template, segment);
+        if (this.config.alignTimestamps && claims.length > 0) {
+            const aligned = timestampAligner.alignClaims(claims, captions.lines, podcast ? 'whisper' : 'captions');
+            console.log(`🎯 Aligned ${aligned}/${claims.length} claims to ${podcast ? 'transcript' : 'caption'} timings`);
+        }
+        return claims;
+    }
+    toClaims(parsed, videoId, template, segment) {
+        // Segment claims get their own id space so parallel segments don't collide
+        const idPrefix = segment ? `${videoId}_s${segment.index}` : videoId;
+        return (parsed?.claims || []).map((claim, idx) => this.synthesizeClaim(claim, idPrefix, videoId, idx, template));
     }
     // ─────────────────────────────────────────────────────────────
     // Helpers
     // ─────────────────────────────────────────────────────────────
-    synthesizeClaim(claim, videoId, index) {
+    synthesizeClaim(claim, idPrefix, videoId, index, template) {
         const normalized = normalizeAuthor(claim.author_mentioned);
         return {
-            claim_id: `${videoId}_claim_${index}`,
+            claim_id: `${idPrefix}_claim_${index}`,
             video_id: videoId,
             timestamp: claim.timestamp || '0:00',
             segment: {
@@ -253,7 +734,8 @@ Analyze the ENTIRE video from start to finish.`;
                     claim.search_queries?.topic_query,
                     claim.search_queries?.broad_query
                 ].filter(Boolean)
-            }
+            },
+            prompt: { id: template.id, version: template.version }
         };
     }
     deduplicateClaims(claims) {
@@ -289,8 +771,14 @@ Analyze the ENTIRE video from start to finish.`;
                 }
             }
         }
-        // Sort by timestamp
-        return [...seen.values()].sort((a, b) => this.timestampToSeconds(a.timestamp) - this.timestampToSeconds(b.timestamp));
+        // Sort by when the claim is made
+        return [...seen.values()].sort((a, b) => this.claimSeconds(a) - this.claimSeconds(b));
+    }
+    /**
+     * Aligned start when the quote was found in the captions, else the model's timestamp
+     */
+    claimSeconds(claim) {
+        return claim.alignment?.start_sec ?? this.timestampToSeconds(claim.timestamp);
     }
     timestampToSeconds(timestamp) {
         const parts = timestamp.split(':').map(Number);
@@ -302,9 +790,12 @@ Analyze the ENTIRE video from start to finish.`;
         }
         return 0;
     }
-    extractVideoId(url) {
-        const match = url.match(/(?:v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
-        return match ? `yt-${match[1]}` : `yt-${Date.now()}`;
+    secondsToTimestamp(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const mins = Math.floor((totalSeconds % 3600) / 60);
+        const secs = Math.floor(totalSeconds % 60);
+        const mmss = `${mins.toString().padStart(hours > 0 ? 2 : 1, '0')}:${secs.toString().padStart(2, '0')}`;
+        return hours > 0 ? `${hours}:${mmss}` : mmss;
     }
     // ─────────────────────────────────────────────────────────────
     // Database Persistence
@@ -325,28 +816,17 @@ Analyze the ENTIRE video from start to finish.`;
                 id: videoId,
                 title: videoTitle,
                 url: youtubeUrl,
-                claims_count: claims.length,
+                claims_count: job?.allClaims.length || claims.length,
                 first_analyzed_at: new Date().toISOString()
             }, { onConflict: 'id' });
             // Upsert claims
             for (const claim of claims) {
-                await supabase.from('claims').upsert({
-                    claim_id: claim.claim_id,
-                    video_id: claim.video_id,
-                    timestamp: claim.timestamp,
-                    segment_text: claim.segment?.full_text || '',
-                    author_mentioned: claim.extraction?.author_mentioned,
-                    author_normalized: claim.extraction?.author_normalized,
-                    institution_mentioned: claim.extraction?.institution_mentioned,
-                    finding_summary: claim.extraction?.finding_summary,
-                    confidence: claim.extraction?.confidence,
-                    primary_query: claim.search?.primary_query
-                }, { onConflict: 'claim_id' });
+                await supabase.from('claims').upsert(this.getClaimResults().toClaimRow(claim), { onConflict: 'claim_id' });
             }
             console.log(`💾 Saved ${claims.length} claims to database`);
             // Only trigger verification after full processing (not fast track)
             if (triggerVerification) {
-                this.runBackgroundVerification(claims).catch(err => {
+                this.runBackgroundVerification(videoId, claims).catch(err => {
                     console.warn('⚠️ Background verification failed:', err.message);
                 });
             }
@@ -355,73 +835,147 @@ Analyze the ENTIRE video from start to finish.`;
             console.warn('⚠️ Database save failed:', error.message);
         }
     }
+    /**
+     * Drop claims superseded by a later segment's version (their verifications cascade)
+     */
+    async removeFromDatabase(claimIds) {
+        const supabase = this.config.supabase;
+        if (!supabase)
+            return;
+        const { error } = await supabase.from('claims').delete().in('claim_id', claimIds);
+        if (error) {
+            console.warn('⚠️ Superseded claims not removed:', error.message);
+        }
+    }
     // ─────────────────────────────────────────────────────────────
     // Background Verification
     // ─────────────────────────────────────────────────────────────
-    async runBackgroundVerification(claims) {
+    /**
+     * Queue claims for verification; claims already verified for this job are skipped.
+     * Progress is persisted per claim so a restart picks up where it stopped.
+     */
+    async runBackgroundVerification(videoId, claims) {
         const supabase = this.config.supabase;
         if (!supabase)
             return;
-        console.log(`🔬 Starting background verification for ${claims.length} claims...`);
+        const job = this.processingJobs.get(videoId);
+        const remaining = claims.filter(claim => {
+            if (!job)
+                return true;
+            const entry = this.verificationEntry(job, claim.claim_id);
+            if (entry.status === 'complete')
+                return false;
+            entry.status = 'pending';
+            return true;
+        });
+        if (remaining.length === 0)
+            return;
+        console.log(`🔬 Queued ${remaining.length} claims for verification (${verificationQueue.getStats().queued} already waiting)`);
+        if (job) {
+            job.verificationStatus = 'running';
+            await this.persistJob(job);
+        }
         const verifier = new VerificationPipeline();
-        for (const claim of claims) {
-            try {
-                // Convert to SynthesizedClaim format for verification pipeline
-                const synthClaim = {
-                    claim_id: claim.claim_id,
-                    video_id: claim.video_id,
-                    segment: {
-                        full_text: claim.segment?.full_text || '',
-                        word_count: claim.segment?.word_count || 0
-                    },
-                    extraction: {
-                        author_mentioned: claim.extraction?.author_mentioned || null,
-                        author_normalized: claim.extraction?.author_normalized || null,
-                        author_variants: [],
-                        institution_mentioned: claim.extraction?.institution_mentioned || null,
-                        finding_summary: claim.extraction?.finding_summary || '',
-                        confidence: claim.extraction?.confidence || 'medium'
-                    },
-                    search: {
-                        primary_query: claim.search?.primary_query || '',
-                        fallback_queries: claim.search?.fallback_queries || []
-                    }
-                };
-                // Run verification
-                const verified = await verifier.verifyClaim(synthClaim);
-                // Update claim in database
-                const updateData = {
-                    verified_at: new Date().toISOString()
-                };
-                if (verified.verification.best_paper) {
-                    updateData.paper_url = verified.verification.best_paper.url;
-                    updateData.paper_title = verified.verification.best_paper.title;
-                    updateData.paper_authors = verified.verification.best_paper.authors?.join(', ');
-                    updateData.paper_year = verified.verification.best_paper.year;
-                    updateData.paper_abstract = verified.verification.best_paper.abstract?.slice(0, 1000);
-                }
-                if (verified.verification.result) {
-                    updateData.verification_verdict = verified.verification.result.verdict;
-                    updateData.verification_explanation = verified.verification.result.explanation;
-                }
-                const { error: updateError } = await supabase
-                    .from('claims')
-                    .update(updateData)
-                    .eq('claim_id', claim.claim_id);
-                if (updateError) {
-                    console.warn(`⚠️ DB update failed for ${claim.claim_id}:`, updateError.message);
-                }
-                else {
-                    console.log(`✅ Verified: ${claim.claim_id} → ${verified.verification.result?.verdict || 'no_paper_found'}`);
+        await Promise.all(remaining.map(claim => verificationQueue.add('video', claim.claim_id, () => this.verifyAndStore(verifier, claim, job))));
+        if (job)
+            await this.finishVerification(job);
+        console.log(`🔬 Background verification complete`);
+    }
+    /**
+     * Re-queue claims whose verification was pending or running when the server stopped
+     */
+    resumeVerification(job) {
+        const unfinished = new Set(job.verifications.filter(v => v.status === 'pending' || v.status === 'running').map(v => v.claimId));
+        const byId = new Map([...job.fastTrackClaims, ...job.allClaims].map(claim => [claim.claim_id, claim]));
+        const claims = [...unfinished].flatMap(id => byId.get(id) || []);
+        console.log(`♻️ Resuming verification of ${job.videoId}: ${claims.length}/${job.verifications.length} claims left`);
+        const run = claims.length > 0
+            ? this.runBackgroundVerification(job.videoId, claims)
+            : this.finishVerification(job);
+        run.catch(err => console.warn(`⚠️ Verification resume failed for ${job.videoId}:`, err.message));
+    }
+    /**
+     * Verify one claim and write the result to the claims table
+     * Never throws; failures are recorded on the claim's progress entry
+     */
+    async verifyAndStore(verifier, claim, job) {
+        const entry = job ? this.verificationEntry(job, claim.claim_id) : null;
+        if (entry) {
+            entry.status = 'running';
+            entry.attempts++;
+            delete entry.error;
+        }
+        try {
+            // Convert to SynthesizedClaim format for verification pipeline
+            const synthClaim = {
+                claim_id: claim.claim_id,
+                video_id: claim.video_id,
+                segment: {
+                    full_text: claim.segment?.full_text || '',
+                    word_count: claim.segment?.word_count || 0
+                },
+                extraction: {
+                    author_mentioned: claim.extraction?.author_mentioned || null,
+                    author_normalized: claim.extraction?.author_normalized || null,
+                    author_variants: [],
+                    institution_mentioned: claim.extraction?.institution_mentioned || null,
+                    finding_summary: claim.extraction?.finding_summary || '',
+                    confidence: claim.extraction?.confidence || 'medium'
+                },
+                search: {
+                    primary_query: claim.search?.primary_query || '',
+                    fallback_queries: claim.search?.fallback_queries || []
                 }
-                // Small delay to avoid rate limits
-                await new Promise(r => setTimeout(r, 1000));
+            };
+            // Run verification
+            const verified = await verifier.verifyClaim(synthClaim);
+            // Update claim in database (starts its verdict history)
+            const { verdict } = await this.getClaimResults().saveVerification(claim.claim_id, verified, 'initial');
+            console.log(`✅ Verified: ${claim.claim_id} → ${verdict}`);
+            if (entry) {
+                entry.status = 'complete';
+                entry.verdict = verdict;
+                entry.completedAt = Date.now();
             }
-            catch (err) {
-                console.warn(`⚠️ Verification failed for ${claim.claim_id}:`, err.message);
+        }
+        catch (err) {
+            console.warn(`⚠️ Verification failed for ${claim.claim_id}:`, err.message);
+            if (entry) {
+                entry.status = 'error';
+                entry.error = err.message;
             }
         }
-        console.log(`🔬 Background verification complete`);
+        if (job)
+            await this.persistJob(job);
+    }
+    /**
+     * Settle the job's verification status once nothing is queued for it
+     * (a segment retry may have queued more claims in the meantime)
+     */
+    async finishVerification(job) {
+        if (job.verifications.some(v => v.status === 'pending' || v.status === 'running'))
+            return;
+        const failed = job.verifications.filter(v => v.status === 'error').length;
+        job.verificationStatus = failed > 0 ? 'error' : 'complete';
+        await this.persistJob(job);
+        jobEvents.publish(job.videoId, 'verification_complete', {
+            status: job.verificationStatus,
+            verified_count: job.verifications.length - failed,
+            failed_count: failed
+        });
+    }
+    getClaimResults() {
+        if (!this.claimResults)
+            this.claimResults = new ClaimResultStore(this.config.supabase);
+        return this.claimResults;
+    }
+    verificationEntry(job, claimId) {
+        let entry = job.verifications.find(v => v.claimId === claimId);
+        if (!entry) {
+            entry = { claimId, status: 'pending', verdict: null, attempts: 0, completedAt: null };
+            job.verifications.push(entry);
+        }
+        return entry;
     }
 }
 export const hybridProcessor = new HybridProcessor();
@@ -4,108 +4,97 @@
  * Two-track processing for real-time alerts:
  * 1. Fast Track: Process first 10 minutes immediately (~1-2 min)
  * 2. Background: Process full video (~10-15 min for 2hr podcast)
+ *    in overlapping chapter-aligned segments, a few at a time
  * 
  * Claims are deduplicated and alerts triggered based on timestamps.
+ *
+ * Caption-first: when the video has YouTube captions, both tracks extract
+ * from the caption text (transcript_extraction, same prompt and JSON schema)
+ * with timestamps taken from the caption timings; Gemini video ingestion is
+ * only used for videos without captions.
+ *
+ * Caption-extracted claims are then aligned: each quote is located in the
+ * caption lines (timestamp-alignment.ts) for a precise start/end time, which
+ * alerts use instead of the model's "MM:SS". Claims extracted from the video
+ * itself have no timed transcript and keep the model's timestamp.
+ *
+ * With a diarization backend configured, the audio is diarized while the
+ * full track runs and every claim gets the speaker who made it (from its
+ * aligned time, else its timestamp) before the job completes.
+ *
+ * Each job resolves its spoken language once (caption track language, else
+ * yt-dlp metadata, else a guess from the title and description) and uses
+ * that language's extraction prompt: quotes stay in the original language,
+ * finding summaries and search queries come back in English.
+ *
+ * Podcast episodes (RSS enclosures or direct audio URLs, "pod-" ids, see
+ * sources.ts) have no captions and can't be ingested by Gemini: their audio
+ * is downloaded and transcribed with the injected `transcribe` (Whisper via
+ * AudioProcessor) and the transcript takes the caption track's place.
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { normalizeAuthor } from './author-normalization.js';
 import type { GeminiSynthesizedClaim } from './gemini-extractor.js';
 import { VerificationPipeline } from './verification-pipeline.js';
+import {
+  createJobStore,
+  type ClaimVerificationStatus,
+  type ExtractionSource,
+  type JobStore,
+  type ProcessingStatus,
+  type SegmentStatus
+} from './job-store.js';
+import { jobEvents, toClaimPayload } from './job-events.js';
+import { verificationQueue } from './verification-queue.js';
+import { ClaimResultStore } from './claim-results.js';
+import { downloadAudio, fetchVideoMetadata, mapWithConcurrency, planSegments } from './video-segments.js';
+import { CaptionsUnavailableError, fetchCaptions, formatTranscript, type CaptionTrack } from './captions.js';
+import { timestampAligner } from './timestamp-alignment.js';
+import { sourceIdFor, sourceKind } from './sources.js';
+import { downloadEnclosure, transcribeEpisode, type AudioTranscriber } from './podcast-feed.js';
+import {
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  languageName,
+  normalizeLanguage,
+  type ContentLanguage
+} from './language.js';
+import { llm, promptRegistry, type LLMVideoPart, type PromptTemplate } from '../llm/index.js';
+import { diarizer, type DiarizedSpeakers } from '../diarization/index.js';
 import type { SynthesizedClaim } from './types.js';
 
-// Lazy-init Gemini client
-let genAI: GoogleGenerativeAI | null = null;
-function getGemini(): GoogleGenerativeAI {
-  if (!genAI) {
-    const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
-    if (!apiKey) throw new Error('GEMINI_API_KEY not set');
-    genAI = new GoogleGenerativeAI(apiKey);
-  }
-  return genAI;
-}
-
 // ─────────────────────────────────────────────────────────────
 // Types
 // ─────────────────────────────────────────────────────────────
 
-interface ProcessingStatus {
-  videoId: string;
-  videoUrl: string;
-  videoTitle: string | null;
-  status: 'processing' | 'fast_track_complete' | 'complete' | 'error';
-  fastTrackClaims: GeminiSynthesizedClaim[];
-  allClaims: GeminiSynthesizedClaim[];
-  fastTrackCompletedAt: number | null;
-  fullProcessingCompletedAt: number | null;
-  error?: string;
-}
-
 interface HybridConfig {
   fastTrackMinutes: number;  // How many minutes to process quickly (default: 10)
-  modelName: string;
+  segmentMinutes: number;  // Full track window length (default: 20)
+  segmentOverlapSeconds: number;  // Padding on each side of a window (default: 30)
+  maxConcurrentSegments: number;  // Extraction calls in flight for the full track (default: 3)
+  captionsFirst: boolean;  // Extract from YouTube captions when available (LUMOS_CAPTIONS=off disables)
+  captionLanguage: string | null;  // Preferred caption track (CAPTIONS_LANG; default: the first track)
+  alignTimestamps: boolean;  // Align caption-extracted claims to line timings (LUMOS_ALIGN_TIMESTAMPS=off disables)
+  language: ContentLanguage | null;  // Force one spoken language (LUMOS_LANGUAGE); null detects per video
   supabase?: any;  // Optional supabase client for persistence
+  jobStore?: JobStore;  // Defaults to Supabase processing_jobs, or local SQLite
+  transcribe?: AudioTranscriber;  // Whisper for podcast audio (AudioProcessor); podcast jobs fail without it
 }
 
 const DEFAULT_CONFIG: HybridConfig = {
   fastTrackMinutes: 10,
-  modelName: 'gemini-3-flash-preview'
+  segmentMinutes: 20,
+  segmentOverlapSeconds: 30,
+  maxConcurrentSegments: 3,
+  captionsFirst: process.env.LUMOS_CAPTIONS !== 'off',
+  captionLanguage: process.env.CAPTIONS_LANG || null,
+  alignTimestamps: process.env.LUMOS_ALIGN_TIMESTAMPS !== 'off',
+  language: normalizeLanguage(process.env.LUMOS_LANGUAGE)
 };
 
-// ─────────────────────────────────────────────────────────────
-// Prompt
-// ─────────────────────────────────────────────────────────────
-
-const EXTRACTION_PROMPT = `
-You are a strict fact-checking assistant. Extract ONLY verifiable scientific claims.
-
-## STRICT REQUIREMENTS - A claim MUST have AT LEAST ONE of:
-1. A NAMED researcher (e.g., "Dr. Layne Norton", "Jose Antonio", "Chris Barakat")
-2. A NAMED institution (e.g., "Harvard", "University of Sydney", "ISSN")
-3. A SPECIFIC study reference (e.g., "a 2019 meta-analysis", "a metabolic ward study with 20 subjects")
-
-## ABSOLUTELY SKIP (do NOT extract):
-- Intro teasers/highlights in first 60 seconds that preview later content
-- Vague claims: "studies show...", "research suggests...", "science says..." (NO specifics = NO extraction)
-- Host opinions without citations
-- General statements: "protein builds muscle", "calories matter"
-- Sponsor segments, ads
-- Questions being asked (only extract answers with citations)
-
-## EXAMPLES OF WHAT NOT TO EXTRACT:
-❌ "Caloric deficit is not required" - no author, no study
-❌ "The answer is yes" - not a claim
-❌ "Studies have shown recomp is possible" - no specific study
-❌ "It's possible to gain muscle and lose fat" - general statement
-
-## EXAMPLES OF WHAT TO EXTRACT:
-✅ "Chris Barakat compiled 10 studies showing recomposition phenomenon" - named researcher + specific count
-✅ "Jose Antonio's 2014 study found subjects eating 800 extra calories from protein..." - named researcher + specific study
-✅ "A metabolic ward study at NIH found..." - specific study type + institution
-
-## OUTPUT FORMAT (JSON only, empty array if no valid claims)
-
-{
-  "claims": [
-    {
-      "timestamp": "MM:SS",
-      "segment": "Exact quote from video",
-      "author_mentioned": "Full researcher name or null",
-      "institution_mentioned": "Institution name or null", 
-      "finding_summary": "Specific finding with numbers/details",
-      "confidence": "high|medium|low",
-      "search_queries": {
-        "primary_query": "author surname + key finding terms",
-        "topic_query": "scientific terminology",
-        "broad_query": "broader topic"
-      }
-    }
-  ]
-}
-
-Remember: Quality over quantity. Only extract claims that can actually be verified against real papers.
-`;
-
 // ─────────────────────────────────────────────────────────────
 // Processor
 // ─────────────────────────────────────────────────────────────
@@ -113,18 +102,24 @@ Remember: Quality over quantity. Only extract claims that can actually be verifi
 export class HybridProcessor {
   private config: HybridConfig;
   private processingJobs: Map<string, ProcessingStatus> = new Map();
+  private jobStore: JobStore;
+  private claimResults: ClaimResultStore | null = null;
+  private captionLoads: Map<string, Promise<CaptionTrack | null>> = new Map();  // Shared by both tracks of a job
+  private speakerLoads: Map<string, Promise<DiarizedSpeakers | null>> = new Map();
+  private languageLoads: Map<string, Promise<ContentLanguage>> = new Map();
   
   constructor(config: Partial<HybridConfig> = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
+    this.jobStore = this.config.jobStore || createJobStore(this.config.supabase);
   }
   
   /**
-   * Start hybrid processing for a video
+   * Start hybrid processing for a YouTube video or a podcast episode's audio URL
    * Returns immediately with job ID, processes in background
+   *
+   * @param videoId - Defaults to the URL's id; feed episodes pass their "pod-" id
    */
-  async startProcessing(youtubeUrl: string, videoTitle?: string): Promise<string> {
-    const videoId = this.extractVideoId(youtubeUrl);
-    
+  async startProcessing(youtubeUrl: string, videoTitle?: string, videoId: string = sourceIdFor(youtubeUrl)): Promise<string> {
     // Check if already processing
     const existing = this.processingJobs.get(videoId);
     if (existing && existing.status !== 'error') {
@@ -132,18 +127,37 @@ export class HybridProcessor {
       return videoId;
     }
     
+    // Pick up a job stored before the last restart
+    const stored = existing ? null : await this.loadStatus(videoId);
+    if (stored && stored.status !== 'error') {
+      console.log(`♻️ Video ${videoId} restored from job store`);
+      this.resumeJob(stored);
+      return videoId;
+    }
+    
     // Initialize job
+    const now = Date.now();
     const job: ProcessingStatus = {
       videoId,
       videoUrl: youtubeUrl,
       videoTitle: videoTitle || null,
       status: 'processing',
+      fastTrackStatus: 'pending',
+      fullTrackStatus: 'pending',
       fastTrackClaims: [],
       allClaims: [],
+      segments: [],
+      extractionSource: null,
+      language: null,
+      verificationStatus: 'pending',
+      verifications: [],
       fastTrackCompletedAt: null,
-      fullProcessingCompletedAt: null
+      fullProcessingCompletedAt: null,
+      createdAt: now,
+      updatedAt: now
     };
     this.processingJobs.set(videoId, job);
+    await this.persistJob(job);
     
     console.log(`🚀 Starting hybrid processing for ${videoId}`);
     
@@ -154,6 +168,30 @@ export class HybridProcessor {
     return videoId;
   }
   
+  /**
+   * Resume jobs that were mid-flight when the server last stopped
+   * Call once on boot
+   */
+  async resumeInterruptedJobs(): Promise<number> {
+    let jobs: ProcessingStatus[];
+    try {
+      jobs = await this.jobStore.listInterrupted();
+    } catch (error: any) {
+      console.warn('⚠️ Could not load interrupted jobs:', error.message);
+      return 0;
+    }
+    
+    for (const job of jobs) {
+      if (this.processingJobs.has(job.videoId)) continue;
+      this.resumeJob(job);
+    }
+    
+    if (jobs.length > 0) {
+      console.log(`♻️ Resumed ${jobs.length} interrupted job(s)`);
+    }
+    return jobs.length;
+  }
+  
   /**
    * Get current processing status and claims
    */
@@ -161,11 +199,61 @@ export class HybridProcessor {
     return this.processingJobs.get(videoId) || null;
   }
   
+  /**
+   * Get status from memory, falling back to the job store
+   * (e.g. a job that finished before the last restart)
+   */
+  async loadStatus(videoId: string): Promise<ProcessingStatus | null> {
+    const inMemory = this.processingJobs.get(videoId);
+    if (inMemory) return inMemory;
+    
+    try {
+      const stored = await this.jobStore.get(videoId);
+      if (stored && !this.isInterrupted(stored)) {
+        this.processingJobs.set(videoId, stored);
+      }
+      return stored;
+    } catch (error: any) {
+      console.warn(`⚠️ Job store lookup failed for ${videoId}:`, error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Re-run a single failed full-track segment in the background
+   * Returns false if there is no such failed segment or the full track is still running
+   */
+  async retrySegment(videoId: string, index: number): Promise<boolean> {
+    const job = await this.loadStatus(videoId);
+    const segment = job?.segments.find(s => s.index === index);
+    if (!job || !segment || segment.status !== 'error' || job.fullTrackStatus === 'running') {
+      return false;
+    }
+    
+    console.log(`🔁 Retrying segment ${this.segmentLabel(segment)} of ${videoId}`);
+    this.processingJobs.set(videoId, job);
+    job.fullTrackStatus = 'running';
+    segment.status = 'pending';
+    await this.persistJob(job);
+    
+    (async () => {
+      const added = await this.runSegment(job, segment);
+      await this.finishFullTrack(job);
+      // Verify only what the retry found; the rest was verified already
+      if (added.length > 0) {
+        await this.saveToDatabase(videoId, job.videoUrl, added, true);
+      }
+    })().catch(err => console.warn(`⚠️ Segment retry failed for ${videoId}:`, err.message));
+    
+    return true;
+  }
+  
   /**
    * Get claims that should be shown up to a given timestamp
+   * (from the job store too, e.g. an interrupted job not resumed yet)
    */
-  getClaimsUpTo(videoId: string, currentTimestamp: string): GeminiSynthesizedClaim[] {
-    const job = this.processingJobs.get(videoId);
+  async getClaimsUpTo(videoId: string, currentTimestamp: string): Promise<GeminiSynthesizedClaim[]> {
+    const job = await this.loadStatus(videoId);
     if (!job) return [];
     
     const currentSeconds = this.timestampToSeconds(currentTimestamp);
@@ -173,10 +261,7 @@ export class HybridProcessor {
     // Use allClaims if available, otherwise fastTrackClaims
     const claims = job.allClaims.length > 0 ? job.allClaims : job.fastTrackClaims;
     
-    return claims.filter(claim => {
-      const claimSeconds = this.timestampToSeconds(claim.timestamp);
-      return claimSeconds <= currentSeconds;
-    });
+    return claims.filter(claim => this.claimSeconds(claim) <= currentSeconds);
   }
   
   // ─────────────────────────────────────────────────────────────
@@ -190,17 +275,32 @@ export class HybridProcessor {
     try {
       console.log(`⚡ Fast track: Processing first ${this.config.fastTrackMinutes} minutes`);
       const startTime = Date.now();
+      job.fastTrackStatus = 'running';
+      await this.persistJob(job);
       
-      const prompt = `${EXTRACTION_PROMPT}
-
-IMPORTANT: Only analyze the FIRST ${this.config.fastTrackMinutes} MINUTES of this video.
+      const captions = await this.loadCaptions(job);
+      const language = await this.loadLanguage(job);
+      let claims: GeminiSynthesizedClaim[];
+      if (captions) {
+        claims = await this.callTranscriptExtractor(captions, videoId, language, 0, this.config.fastTrackMinutes * 60);
+      } else {
+        const instructions = `IMPORTANT: Only analyze the FIRST ${this.config.fastTrackMinutes} MINUTES of this video.
 Stop analyzing after the ${this.config.fastTrackMinutes}:00 mark.`;
-      
-      const claims = await this.callGemini(youtubeUrl, prompt, videoId);
+        claims = await this.callExtractor(youtubeUrl, instructions, videoId, language);
+      }
       
       job.fastTrackClaims = claims;
       job.fastTrackCompletedAt = Date.now();
-      job.status = 'fast_track_complete';
+      job.fastTrackStatus = 'complete';
+      if (job.status === 'processing') {
+        job.status = 'fast_track_complete';
+      }
+      await this.persistJob(job);
+      
+      for (const claim of claims) {
+        jobEvents.publish(videoId, 'claim_extracted', { claim: toClaimPayload(claim) });
+      }
+      jobEvents.publish(videoId, 'fast_track_complete', { status: job.status, claims_count: claims.length });
       
       // Save to database
       await this.saveToDatabase(videoId, youtubeUrl, claims);
@@ -211,6 +311,10 @@ Stop analyzing after the ${this.config.fastTrackMinutes}:00 mark.`;
     } catch (error: any) {
       console.error(`❌ Fast track failed:`, error.message);
       // Don't fail the whole job, full processing might still work
+      job.fastTrackStatus = 'error';
+      job.fastTrackError = error.message;
+      await this.persistJob(job);
+      jobEvents.publish(videoId, 'job_error', { track: 'fast', status: job.status, message: error.message });
     }
   }
   
@@ -225,17 +329,24 @@ Stop analyzing after the ${this.config.fastTrackMinutes}:00 mark.`;
     try {
       console.log(`🎬 Full processing: Analyzing entire video`);
       const startTime = Date.now();
+      job.fullTrackStatus = 'running';
+      if (job.segments.length === 0) {
+        job.segments = await this.planFullTrack(job, await this.loadCaptions(job));
+      }
+      await this.persistJob(job);
       
-      const prompt = `${EXTRACTION_PROMPT}
-
-Analyze the ENTIRE video from start to finish.`;
+      // Diarize alongside extraction; claims are attributed once both are done
+      const speakers = this.loadSpeakers(job);
       
-      const claims = await this.callGemini(youtubeUrl, prompt, videoId);
+      // Segments finished before a restart are kept
+      const remaining = job.segments.filter(s => s.status !== 'complete');
+      console.log(`🎬 Full processing: ${remaining.length}/${job.segments.length} segments, ${this.config.maxConcurrentSegments} at a time`);
       
-      // Deduplicate with fast track claims
-      job.allClaims = this.deduplicateClaims([...job.fastTrackClaims, ...claims]);
-      job.fullProcessingCompletedAt = Date.now();
-      job.status = 'complete';
+      await mapWithConcurrency(remaining, this.config.maxConcurrentSegments, segment =>
+        this.runSegment(job, segment)
+      );
+      await this.attributeSpeakers(job, await speakers);
+      await this.finishFullTrack(job);
       
       // Save all claims to database and trigger verification
       await this.saveToDatabase(videoId, youtubeUrl, job.allClaims, true);
@@ -245,50 +356,486 @@ Analyze the ENTIRE video from start to finish.`;
       
     } catch (error: any) {
       console.error(`❌ Full processing failed:`, error.message);
+      this.captionLoads.delete(videoId);
+      this.speakerLoads.delete(videoId);
+      this.languageLoads.delete(videoId);
       job.error = error.message;
+      job.fullTrackStatus = 'error';
       if (job.fastTrackClaims.length === 0) {
         job.status = 'error';
       }
       // If fast track succeeded, we still have some claims
+      await this.persistJob(job);
+      jobEvents.publish(videoId, 'job_error', { track: 'full', status: job.status, message: error.message });
+    }
+  }
+  
+  /**
+   * Split the video into windows; uses the caption track's length when
+   * yt-dlp is unavailable (and always for podcasts, planned from their
+   * transcript), and falls back to one whole-video segment (endSec = 0)
+   * when the duration can't be read at all
+   */
+  private async planFullTrack(job: ProcessingStatus, captions: CaptionTrack | null): Promise<SegmentStatus[]> {
+    if (sourceKind(job.videoId) === 'youtube') {
+      try {
+        const metadata = await fetchVideoMetadata(job.videoUrl);
+        if (metadata.durationSec > 0) {
+          const segments = planSegments(metadata, {
+            segmentMinutes: this.config.segmentMinutes,
+            overlapSeconds: this.config.segmentOverlapSeconds
+          });
+          console.log(`✂️ ${Math.round(metadata.durationSec / 60)} min video → ${segments.length} segments (${metadata.chapters.length} chapters)`);
+          return segments;
+        }
+      } catch (error: any) {
+        console.warn(`⚠️ Could not read video metadata${captions ? ', planning from captions' : ', processing in one call'}:`, error.message);
+      }
+    }
+    
+    if (captions && captions.durationSec > 0) {
+      return planSegments({ durationSec: Math.ceil(captions.durationSec), chapters: [] }, {
+        segmentMinutes: this.config.segmentMinutes,
+        overlapSeconds: this.config.segmentOverlapSeconds
+      });
+    }
+    
+    return [{ index: 0, startSec: 0, endSec: 0, chapterTitle: null, status: 'pending', claimsCount: 0, completedAt: null }];
+  }
+  
+  /**
+   * Extract one segment and merge its claims into the job
+   * Never throws; failures are recorded on the segment. Returns the newly added claims.
+   * Claims shown before that lose the dedupe to a segment's version are superseded:
+   * removed from the database so they don't sit there unverified.
+   */
+  private async runSegment(job: ProcessingStatus, segment: SegmentStatus): Promise<GeminiSynthesizedClaim[]> {
+    const label = this.segmentLabel(segment);
+    segment.status = 'running';
+    delete segment.error;
+    
+    try {
+      const captions = await this.loadCaptions(job);
+      const language = await this.loadLanguage(job);
+      const claims = captions
+        ? await this.callTranscriptExtractor(
+            captions,
+            job.videoId,
+            language,
+            segment.startSec,
+            segment.endSec > segment.startSec ? segment.endSec : Infinity,
+            segment
+          )
+        : await this.callExtractor(job.videoUrl, this.segmentInstructions(segment), job.videoId, language, segment);
+      
+      // Merge with fast track + earlier segments (overlaps produce duplicates)
+      const shown = job.allClaims.length > 0 ? job.allClaims : job.fastTrackClaims;
+      job.allClaims = this.deduplicateClaims([...job.fastTrackClaims, ...job.allClaims, ...claims]);
+      const kept = new Set(job.allClaims.map(claim => claim.claim_id));
+      const shownIds = new Set(shown.map(claim => claim.claim_id));
+      const added = job.allClaims.filter(claim => !shownIds.has(claim.claim_id));
+      const superseded = shown.filter(claim => !kept.has(claim.claim_id));
+      
+      segment.status = 'complete';
+      segment.claimsCount = claims.length;
+      segment.completedAt = Date.now();
+      await this.persistJob(job);
+      
+      for (const claim of superseded) {
+        jobEvents.publish(job.videoId, 'claim_superseded', { claim_id: claim.claim_id });
+      }
+      for (const claim of added) {
+        jobEvents.publish(job.videoId, 'claim_extracted', { claim: toClaimPayload(claim) });
+      }
+      
+      // Store progressively; verification waits for the whole track
+      if (superseded.length > 0) {
+        await this.removeFromDatabase(superseded.map(claim => claim.claim_id));
+      }
+      if (added.length > 0) {
+        await this.saveToDatabase(job.videoId, job.videoUrl, added);
+      }
+      
+      const replaced = superseded.length > 0 ? `, ${superseded.length} superseded` : '';
+      console.log(`   ✅ Segment ${label}: ${claims.length} claims (${added.length} new${replaced})`);
+      return added;
+      
+    } catch (error: any) {
+      console.warn(`   ❌ Segment ${label} failed:`, error.message);
+      segment.status = 'error';
+      segment.error = error.message;
+      await this.persistJob(job);
+      return [];
+    }
+  }
+  
+  /**
+   * Settle job/track status once no segment is running
+   */
+  private async finishFullTrack(job: ProcessingStatus): Promise<void> {
+    const failed = job.segments.filter(s => s.status === 'error');
+    job.fullProcessingCompletedAt = Date.now();
+    this.captionLoads.delete(job.videoId);
+    this.speakerLoads.delete(job.videoId);
+    this.languageLoads.delete(job.videoId);
+    
+    if (failed.length === 0) {
+      job.fullTrackStatus = 'complete';
+      job.status = 'complete';
+      delete job.error;
+    } else {
+      job.fullTrackStatus = 'error';
+      job.error = `${failed.length} of ${job.segments.length} segments failed (${failed.map(s => s.index).join(', ')})`;
+      // Partial results are still results
+      job.status = job.allClaims.length > 0 || job.fastTrackClaims.length > 0 ? 'complete' : 'error';
+    }
+    await this.persistJob(job);
+    
+    if (failed.length > 0) {
+      jobEvents.publish(job.videoId, 'job_error', {
+        track: 'full',
+        status: job.status,
+        message: job.error,
+        failed_segments: failed.map(s => s.index)
+      });
+    }
+    if (job.status === 'complete') {
+      const claims = job.allClaims.length > 0 ? job.allClaims : job.fastTrackClaims;
+      jobEvents.publish(job.videoId, 'job_complete', {
+        status: job.status,
+        claims_count: claims.length,
+        claims: claims.map(toClaimPayload)
+      });
+    }
+  }
+  
+  private segmentInstructions(segment: SegmentStatus): string {
+    if (segment.endSec <= segment.startSec) {
+      return `Analyze the ENTIRE video from start to finish.`;
+    }
+    
+    const chapter = segment.chapterTitle ? ` (chapter: "${segment.chapterTitle}")` : '';
+    return `IMPORTANT: Only analyze the section from ${this.secondsToTimestamp(segment.startSec)} to ${this.secondsToTimestamp(segment.endSec)}${chapter}.
+Report every timestamp as its position in the FULL video, not relative to this section.`;
+  }
+  
+  private segmentLabel(segment: SegmentStatus): string {
+    if (segment.endSec <= segment.startSec) return `#${segment.index} (whole video)`;
+    return `#${segment.index} (${this.secondsToTimestamp(segment.startSec)}-${this.secondsToTimestamp(segment.endSec)})`;
+  }
+  
+  // ─────────────────────────────────────────────────────────────
+  // Job persistence
+  // ─────────────────────────────────────────────────────────────
+  
+  private isInterrupted(job: ProcessingStatus): boolean {
+    return job.status === 'processing' || job.status === 'fast_track_complete';
+  }
+  
+  /**
+   * Re-run whichever tracks had not finished for a stored job
+   */
+  private resumeJob(job: ProcessingStatus): void {
+    this.processingJobs.set(job.videoId, job);
+    if (!this.isInterrupted(job)) {
+      // Both tracks finished; only verification was cut off
+      if (job.verificationStatus === 'running') this.resumeVerification(job);
+      return;
+    }
+    
+    // Only tracks cut off mid-run; a track that failed outright stays failed
+    const unfinished = (status: string) => status === 'pending' || status === 'running';
+    const needsFastTrack = unfinished(job.fastTrackStatus) && job.fullTrackStatus !== 'complete';
+    const needsFullTrack = unfinished(job.fullTrackStatus);
+    console.log(`♻️ Resuming ${job.videoId} (fast: ${job.fastTrackStatus}, full: ${job.fullTrackStatus})`);
+    
+    if (needsFastTrack) {
+      job.fastTrackStatus = 'pending';
+      this.runFastTrack(job.videoId, job.videoUrl);
+    }
+    if (needsFullTrack) {
+      job.fullTrackStatus = 'pending';
+      this.runFullProcessing(job.videoId, job.videoUrl);
+    }
+  }
+  
+  private async persistJob(job: ProcessingStatus): Promise<void> {
+    job.updatedAt = Date.now();
+    try {
+      await this.jobStore.save(job);
+    } catch (error: any) {
+      console.warn(`⚠️ Failed to persist job ${job.videoId}:`, error.message);
+    }
+  }
+  
+  // ─────────────────────────────────────────────────────────────
+  // Captions
+  // ─────────────────────────────────────────────────────────────
+  
+  /**
+   * The job's caption track, fetched once and shared by both tracks
+   * null means extract from the video
+   */
+  private loadCaptions(job: ProcessingStatus): Promise<CaptionTrack | null> {
+    let load = this.captionLoads.get(job.videoId);
+    if (!load) {
+      load = this.fetchJobCaptions(job);
+      this.captionLoads.set(job.videoId, load);
+    }
+    return load;
+  }
+  
+  /**
+   * Decide the extraction source on first use and record it on the job
+   */
+  private async fetchJobCaptions(job: ProcessingStatus): Promise<CaptionTrack | null> {
+    if (sourceKind(job.videoId) === 'podcast') {
+      return this.transcribeJob(job);
+    }
+    
+    if (!this.config.captionsFirst || job.extractionSource === 'video') {
+      await this.setExtractionSource(job, 'video');
+      return null;
+    }
+    
+    try {
+      const captions = await fetchCaptions(job.videoUrl, this.config.captionLanguage);
+      if (job.extractionSource !== 'captions') {
+        console.log(`📝 Extracting ${job.videoId} from captions (${captions.language || 'unknown language'}, ${captions.lines.length} lines)`);
+      }
+      await this.setExtractionSource(job, 'captions');
+      return captions;
+    } catch (error: any) {
+      if (error instanceof CaptionsUnavailableError) {
+        console.log(`🎬 ${error.message}; extracting from the video`);
+      } else {
+        console.warn(`⚠️ Caption fetch failed for ${job.videoId}, extracting from the video:`, error.message);
+      }
+      await this.setExtractionSource(job, 'video');
+      return null;
+    }
+  }
+  
+  /**
+   * Podcast audio → Whisper transcript; failures fail the job (there is no
+   * video to fall back to)
+   */
+  private async transcribeJob(job: ProcessingStatus): Promise<CaptionTrack> {
+    if (!this.config.transcribe) {
+      throw new Error('Podcast episodes need a transcriber (HybridProcessor `transcribe`)');
+    }
+    
+    const transcript = await transcribeEpisode(job.videoId, job.videoUrl, this.config.transcribe);
+    console.log(`🎙️ Extracting ${job.videoId} from its transcript (${transcript.language || 'unknown language'}, ${transcript.lines.length} segments)`);
+    await this.setExtractionSource(job, 'audio');
+    return transcript;
+  }
+  
+  private async setExtractionSource(job: ProcessingStatus, source: ExtractionSource): Promise<void> {
+    if (job.extractionSource === source) return;
+    job.extractionSource = source;
+    await this.persistJob(job);
+  }
+  
+  // ─────────────────────────────────────────────────────────────
+  // Language
+  // ─────────────────────────────────────────────────────────────
+  
+  /**
+   * The job's spoken language, resolved once and recorded on the job
+   */
+  private loadLanguage(job: ProcessingStatus): Promise<ContentLanguage> {
+    if (job.language) return Promise.resolve(job.language);
+    
+    let load = this.languageLoads.get(job.videoId);
+    if (!load) {
+      load = this.resolveLanguage(job);
+      this.languageLoads.set(job.videoId, load);
+    }
+    return load;
+  }
+  
+  private async resolveLanguage(job: ProcessingStatus): Promise<ContentLanguage> {
+    let language = this.config.language;
+    let source = 'LUMOS_LANGUAGE';
+    
+    if (!language) {
+      const captions = await this.loadCaptions(job);
+      language = normalizeLanguage(captions?.language);
+      source = 'captions';
+    }
+    if (!language) {
+      const metadata = sourceKind(job.videoId) === 'youtube'
+        ? await fetchVideoMetadata(job.videoUrl).catch(() => null)
+        : null;
+      language = normalizeLanguage(metadata?.language)
+        || detectLanguage([metadata?.title || job.videoTitle, metadata?.description].filter(Boolean).join('\n'));
+      source = 'video metadata';
     }
+    if (!language) {
+      language = DEFAULT_LANGUAGE;
+      source = 'default';
+    }
+    
+    console.log(`🌐 ${job.videoId} is in ${languageName(language)} (${source})`);
+    job.language = language;
+    await this.persistJob(job);
+    return language;
   }
   
   // ─────────────────────────────────────────────────────────────
-  // Gemini API Call
+  // Speakers
   // ─────────────────────────────────────────────────────────────
   
-  private async callGemini(
+  /**
+   * The job's diarization (audio downloaded once); null when diarization is
+   * off or failed, in which case claims simply have no speaker
+   */
+  private loadSpeakers(job: ProcessingStatus): Promise<DiarizedSpeakers | null> {
+    if (!diarizer.enabled) return Promise.resolve(null);
+    
+    let load = this.speakerLoads.get(job.videoId);
+    if (!load) {
+      load = this.diarizeJob(job);
+      this.speakerLoads.set(job.videoId, load);
+    }
+    return load;
+  }
+  
+  private async diarizeJob(job: ProcessingStatus): Promise<DiarizedSpeakers | null> {
+    const audioPath = path.join(os.tmpdir(), `lumos-${job.videoId}-${Date.now()}.mp3`);
+    try {
+      const podcast = sourceKind(job.videoId) === 'podcast';
+      const [metadata, captions] = await Promise.all([
+        podcast ? null : fetchVideoMetadata(job.videoUrl).catch(() => null),
+        this.loadCaptions(job)
+      ]);
+      
+      console.log(`🗣️ Downloading audio of ${job.videoId} for diarization`);
+      if (podcast) {
+        await downloadEnclosure(job.videoUrl, audioPath);
+      } else {
+        await downloadAudio(job.videoUrl, audioPath);
+      }
+      return await diarizer.diarize(fs.readFileSync(audioPath), `${job.videoId}.mp3`, {
+        title: metadata?.title || job.videoTitle || null,
+        uploader: metadata?.uploader || null,
+        description: metadata?.description || null,
+        segments: captions?.lines || []
+      });
+    } catch (error: any) {
+      console.warn(`⚠️ Diarization failed for ${job.videoId}, claims will have no speaker:`, error.message);
+      return null;
+    } finally {
+      fs.rmSync(audioPath, { force: true });
+    }
+  }
+  
+  /**
+   * Set the speaker of every claim in the job (aligned window when there is one)
+   */
+  private async attributeSpeakers(job: ProcessingStatus, speakers: DiarizedSpeakers | null): Promise<void> {
+    if (!speakers) return;
+    
+    const claims = new Set([...job.fastTrackClaims, ...job.allClaims]);
+    let attributed = 0;
+    for (const claim of claims) {
+      claim.speaker = claim.alignment
+        ? diarizer.speakerAt(speakers, claim.alignment.start_sec, claim.alignment.end_sec)
+        : diarizer.speakerAt(speakers, this.timestampToSeconds(claim.timestamp));
+      if (claim.speaker) attributed++;
+    }
+    
+    console.log(`🗣️ Attributed ${attributed}/${claims.size} claims to ${speakers.speakers.length} speakers`);
+    await this.persistJob(job);
+  }
+  
+  // ─────────────────────────────────────────────────────────────
+  // Extraction Call (video_extraction task, Gemini by default)
+  // ─────────────────────────────────────────────────────────────
+  
+  /**
+   * Extraction prompt (A/B-assigned per video, in the video's language)
+   * followed by track/segment instructions
+   */
+  private async callExtractor(
     youtubeUrl: string, 
-    prompt: string, 
-    videoId: string
+    instructions: string, 
+    videoId: string,
+    language: ContentLanguage,
+    segment?: SegmentStatus
   ): Promise<GeminiSynthesizedClaim[]> {
-    const model = getGemini().getGenerativeModel({ 
-      model: this.config.modelName,
-      generationConfig: {
-        responseMimeType: "application/json"
-      }
+    const template = promptRegistry.assign('hybrid_extraction', videoId, language);
+    const prompt = `${template.text}
+
+${instructions}`;
+
+    const video: LLMVideoPart = { uri: youtubeUrl, mimeType: 'video/mp4' };
+    if (segment && segment.endSec > segment.startSec) {
+      video.startSec = segment.startSec;
+      video.endSec = segment.endSec;
+    }
+    
+    const response = await llm.complete('video_extraction', {
+      messages: [{ role: 'user', content: prompt + "\n\nRespond ONLY with valid JSON, no other text." }],
+      video,
+      json: true
     });
     
-    const result = await model.generateContent([
-      { text: prompt + "\n\nRespond ONLY with valid JSON, no other text." },
-      {
-        fileData: {
-          fileUri: youtubeUrl,
-          mimeType: 'video/mp4'
-        }
-      }
-    ]);
+    return this.toClaims(response.json, videoId, template, segment);
+  }
+  
+  /**
+   * Same prompt and JSON schema on caption text for [fromSec, toSec)
+   * (transcript_extraction task); timestamps come from the caption timings
+   * (a podcast's Whisper transcript is read the same way)
+   */
+  private async callTranscriptExtractor(
+    captions: CaptionTrack,
+    videoId: string,
+    language: ContentLanguage,
+    fromSec: number,
+    toSec: number,
+    segment?: SegmentStatus
+  ): Promise<GeminiSynthesizedClaim[]> {
+    const transcript = formatTranscript(captions, fromSec, toSec);
+    if (!transcript) return [];
     
-    const responseText = result.response.text();
-    const jsonText = responseText
-      .replace(/```json\n?/g, '')
-      .replace(/```\n?/g, '')
-      .trim();
+    const template = promptRegistry.assign('hybrid_extraction', videoId, language);
+    const chapter = segment?.chapterTitle ? ` (chapter: "${segment.chapterTitle}")` : '';
+    const podcast = sourceKind(videoId) === 'podcast';
+    const reading = podcast ? "the episode's audio transcript" : "the video's captions";
+    const prompt = `${template.text}
+
+You are reading ${reading}${chapter} instead of ${podcast ? 'listening to' : 'watching'} it. Each line starts with [MM:SS], its position in the full ${podcast ? 'episode' : 'video'}.
+Use the timestamp of the line where the claim is made, and quote the ${podcast ? 'transcript' : 'captions'} for "segment".
+
+TRANSCRIPT:
+${transcript}`;
     
-    const parsed = JSON.parse(jsonText);
+    const response = await llm.complete('transcript_extraction', {
+      messages: [{ role: 'user', content: prompt + "\n\nRespond ONLY with valid JSON, no other text." }],
+      json: true
+    });
     
-    return (parsed.claims || []).map((claim: any, idx: number) => 
-      this.synthesizeClaim(claim, videoId, idx)
+    const claims = this.toClaims(response.json, videoId, template, segment);
+    if (this.config.alignTimestamps && claims.length > 0) {
+      const aligned = timestampAligner.alignClaims(claims, captions.lines, podcast ? 'whisper' : 'captions');
+      console.log(`🎯 Aligned ${aligned}/${claims.length} claims to ${podcast ? 'transcript' : 'caption'} timings`);
+    }
+    return claims;
+  }
+  
+  private toClaims(
+    parsed: any,
+    videoId: string,
+    template: PromptTemplate,
+    segment?: SegmentStatus
+  ): GeminiSynthesizedClaim[] {
+    // Segment claims get their own id space so parallel segments don't collide
+    const idPrefix = segment ? `${videoId}_s${segment.index}` : videoId;
+    return (parsed?.claims || []).map((claim: any, idx: number) => 
+      this.synthesizeClaim(claim, idPrefix, videoId, idx, template)
     );
   }
   
@@ -296,11 +843,17 @@ Analyze the ENTIRE video from start to finish.`;
   // Helpers
   // ─────────────────────────────────────────────────────────────
   
-  private synthesizeClaim(claim: any, videoId: string, index: number): GeminiSynthesizedClaim {
+  private synthesizeClaim(
+    claim: any,
+    idPrefix: string,
+    videoId: string,
+    index: number,
+    template: PromptTemplate
+  ): GeminiSynthesizedClaim {
     const normalized = normalizeAuthor(claim.author_mentioned);
     
     return {
-      claim_id: `${videoId}_claim_${index}`,
+      claim_id: `${idPrefix}_claim_${index}`,
       video_id: videoId,
       timestamp: claim.timestamp || '0:00',
       segment: {
@@ -323,7 +876,8 @@ Analyze the ENTIRE video from start to finish.`;
           claim.search_queries?.topic_query,
           claim.search_queries?.broad_query
         ].filter(Boolean)
-      }
+      },
+      prompt: { id: template.id, version: template.version }
     };
   }
   
@@ -362,10 +916,15 @@ Analyze the ENTIRE video from start to finish.`;
       }
     }
     
-    // Sort by timestamp
-    return [...seen.values()].sort((a, b) => 
-      this.timestampToSeconds(a.timestamp) - this.timestampToSeconds(b.timestamp)
-    );
+    // Sort by when the claim is made
+    return [...seen.values()].sort((a, b) => this.claimSeconds(a) - this.claimSeconds(b));
+  }
+  
+  /**
+   * Aligned start when the quote was found in the captions, else the model's timestamp
+   */
+  private claimSeconds(claim: GeminiSynthesizedClaim): number {
+    return claim.alignment?.start_sec ?? this.timestampToSeconds(claim.timestamp);
   }
   
   private timestampToSeconds(timestamp: string): number {
@@ -378,9 +937,12 @@ Analyze the ENTIRE video from start to finish.`;
     return 0;
   }
   
-  private extractVideoId(url: string): string {
-    const match = url.match(/(?:v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
-    return match ? `yt-${match[1]}` : `yt-${Date.now()}`;
+  private secondsToTimestamp(totalSeconds: number): string {
+    const hours = Math.floor(totalSeconds / 3600);
+    const mins = Math.floor((totalSeconds % 3600) / 60);
+    const secs = Math.floor(totalSeconds % 60);
+    const mmss = `${mins.toString().padStart(hours > 0 ? 2 : 1, '0')}:${secs.toString().padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
   }
   
   // ─────────────────────────────────────────────────────────────
@@ -409,31 +971,20 @@ Analyze the ENTIRE video from start to finish.`;
         id: videoId,
         title: videoTitle,
         url: youtubeUrl,
-        claims_count: claims.length,
+        claims_count: job?.allClaims.length || claims.length,
         first_analyzed_at: new Date().toISOString()
       }, { onConflict: 'id' });
       
       // Upsert claims
       for (const claim of claims) {
-        await supabase.from('claims').upsert({
-          claim_id: claim.claim_id,
-          video_id: claim.video_id,
-          timestamp: claim.timestamp,
-          segment_text: claim.segment?.full_text || '',
-          author_mentioned: claim.extraction?.author_mentioned,
-          author_normalized: claim.extraction?.author_normalized,
-          institution_mentioned: claim.extraction?.institution_mentioned,
-          finding_summary: claim.extraction?.finding_summary,
-          confidence: claim.extraction?.confidence,
-          primary_query: claim.search?.primary_query
-        }, { onConflict: 'claim_id' });
+        await supabase.from('claims').upsert(this.getClaimResults().toClaimRow(claim), { onConflict: 'claim_id' });
       }
       
       console.log(`💾 Saved ${claims.length} claims to database`);
       
       // Only trigger verification after full processing (not fast track)
       if (triggerVerification) {
-        this.runBackgroundVerification(claims).catch(err => {
+        this.runBackgroundVerification(videoId, claims).catch(err => {
           console.warn('⚠️ Background verification failed:', err.message);
         });
       }
@@ -443,83 +994,165 @@ Analyze the ENTIRE video from start to finish.`;
     }
   }
   
+  /**
+   * Drop claims superseded by a later segment's version (their verifications cascade)
+   */
+  private async removeFromDatabase(claimIds: string[]): Promise<void> {
+    const supabase = this.config.supabase;
+    if (!supabase) return;
+    
+    const { error } = await supabase.from('claims').delete().in('claim_id', claimIds);
+    if (error) {
+      console.warn('⚠️ Superseded claims not removed:', error.message);
+    }
+  }
+  
   // ─────────────────────────────────────────────────────────────
   // Background Verification
   // ─────────────────────────────────────────────────────────────
   
-  private async runBackgroundVerification(claims: GeminiSynthesizedClaim[]): Promise<void> {
+  /**
+   * Queue claims for verification; claims already verified for this job are skipped.
+   * Progress is persisted per claim so a restart picks up where it stopped.
+   */
+  private async runBackgroundVerification(videoId: string, claims: GeminiSynthesizedClaim[]): Promise<void> {
     const supabase = this.config.supabase;
     if (!supabase) return;
     
-    console.log(`🔬 Starting background verification for ${claims.length} claims...`);
+    const job = this.processingJobs.get(videoId);
+    const remaining = claims.filter(claim => {
+      if (!job) return true;
+      const entry = this.verificationEntry(job, claim.claim_id);
+      if (entry.status === 'complete') return false;
+      entry.status = 'pending';
+      return true;
+    });
+    if (remaining.length === 0) return;
+    
+    console.log(`🔬 Queued ${remaining.length} claims for verification (${verificationQueue.getStats().queued} already waiting)`);
+    if (job) {
+      job.verificationStatus = 'running';
+      await this.persistJob(job);
+    }
     
     const verifier = new VerificationPipeline();
+    await Promise.all(remaining.map(claim =>
+      verificationQueue.add('video', claim.claim_id, () => this.verifyAndStore(verifier, claim, job))
+    ));
     
-    for (const claim of claims) {
-      try {
-        // Convert to SynthesizedClaim format for verification pipeline
-        const synthClaim: SynthesizedClaim = {
-          claim_id: claim.claim_id,
-          video_id: claim.video_id,
-          segment: {
-            full_text: claim.segment?.full_text || '',
-            word_count: claim.segment?.word_count || 0
-          },
-          extraction: {
-            author_mentioned: claim.extraction?.author_mentioned || null,
-            author_normalized: claim.extraction?.author_normalized || null,
-            author_variants: [],
-            institution_mentioned: claim.extraction?.institution_mentioned || null,
-            finding_summary: claim.extraction?.finding_summary || '',
-            confidence: (claim.extraction?.confidence as 'high' | 'medium' | 'low') || 'medium'
-          },
-          search: {
-            primary_query: claim.search?.primary_query || '',
-            fallback_queries: claim.search?.fallback_queries || []
-          }
-        };
-        
-        // Run verification
-        const verified = await verifier.verifyClaim(synthClaim);
-        
-        // Update claim in database
-        const updateData: any = {
-          verified_at: new Date().toISOString()
-        };
-        
-        if (verified.verification.best_paper) {
-          updateData.paper_url = verified.verification.best_paper.url;
-          updateData.paper_title = verified.verification.best_paper.title;
-          updateData.paper_authors = verified.verification.best_paper.authors?.join(', ');
-          updateData.paper_year = verified.verification.best_paper.year;
-          updateData.paper_abstract = verified.verification.best_paper.abstract?.slice(0, 1000);
-        }
-        
-        if (verified.verification.result) {
-          updateData.verification_verdict = verified.verification.result.verdict;
-          updateData.verification_explanation = verified.verification.result.explanation;
-        }
-        
-        const { error: updateError } = await supabase
-          .from('claims')
-          .update(updateData)
-          .eq('claim_id', claim.claim_id);
-        
-        if (updateError) {
-          console.warn(`⚠️ DB update failed for ${claim.claim_id}:`, updateError.message);
-        } else {
-          console.log(`✅ Verified: ${claim.claim_id} → ${verified.verification.result?.verdict || 'no_paper_found'}`);
+    if (job) await this.finishVerification(job);
+    console.log(`🔬 Background verification complete`);
+  }
+  
+  /**
+   * Re-queue claims whose verification was pending or running when the server stopped
+   */
+  private resumeVerification(job: ProcessingStatus): void {
+    const unfinished = new Set(
+      job.verifications.filter(v => v.status === 'pending' || v.status === 'running').map(v => v.claimId)
+    );
+    const byId = new Map([...job.fastTrackClaims, ...job.allClaims].map(claim => [claim.claim_id, claim]));
+    const claims = [...unfinished].flatMap(id => byId.get(id) || []);
+    
+    console.log(`♻️ Resuming verification of ${job.videoId}: ${claims.length}/${job.verifications.length} claims left`);
+    const run = claims.length > 0
+      ? this.runBackgroundVerification(job.videoId, claims)
+      : this.finishVerification(job);
+    run.catch(err => console.warn(`⚠️ Verification resume failed for ${job.videoId}:`, err.message));
+  }
+  
+  /**
+   * Verify one claim and write the result to the claims table
+   * Never throws; failures are recorded on the claim's progress entry
+   */
+  private async verifyAndStore(
+    verifier: VerificationPipeline,
+    claim: GeminiSynthesizedClaim,
+    job: ProcessingStatus | undefined
+  ): Promise<void> {
+    const entry = job ? this.verificationEntry(job, claim.claim_id) : null;
+    if (entry) {
+      entry.status = 'running';
+      entry.attempts++;
+      delete entry.error;
+    }
+    
+    try {
+      // Convert to SynthesizedClaim format for verification pipeline
+      const synthClaim: SynthesizedClaim = {
+        claim_id: claim.claim_id,
+        video_id: claim.video_id,
+        segment: {
+          full_text: claim.segment?.full_text || '',
+          word_count: claim.segment?.word_count || 0
+        },
+        extraction: {
+          author_mentioned: claim.extraction?.author_mentioned || null,
+          author_normalized: claim.extraction?.author_normalized || null,
+          author_variants: [],
+          institution_mentioned: claim.extraction?.institution_mentioned || null,
+          finding_summary: claim.extraction?.finding_summary || '',
+          confidence: (claim.extraction?.confidence as 'high' | 'medium' | 'low') || 'medium'
+        },
+        search: {
+          primary_query: claim.search?.primary_query || '',
+          fallback_queries: claim.search?.fallback_queries || []
         }
-        
-        // Small delay to avoid rate limits
-        await new Promise(r => setTimeout(r, 1000));
-        
-      } catch (err: any) {
-        console.warn(`⚠️ Verification failed for ${claim.claim_id}:`, err.message);
+      };
+      
+      // Run verification
+      const verified = await verifier.verifyClaim(synthClaim);
+      
+      // Update claim in database (starts its verdict history)
+      const { verdict } = await this.getClaimResults().saveVerification(claim.claim_id, verified, 'initial');
+      console.log(`✅ Verified: ${claim.claim_id} → ${verdict}`);
+      if (entry) {
+        entry.status = 'complete';
+        entry.verdict = verdict;
+        entry.completedAt = Date.now();
+      }
+      
+    } catch (err: any) {
+      console.warn(`⚠️ Verification failed for ${claim.claim_id}:`, err.message);
+      if (entry) {
+        entry.status = 'error';
+        entry.error = err.message;
       }
     }
     
-    console.log(`🔬 Background verification complete`);
+    if (job) await this.persistJob(job);
+  }
+  
+  /**
+   * Settle the job's verification status once nothing is queued for it
+   * (a segment retry may have queued more claims in the meantime)
+   */
+  private async finishVerification(job: ProcessingStatus): Promise<void> {
+    if (job.verifications.some(v => v.status === 'pending' || v.status === 'running')) return;
+    
+    const failed = job.verifications.filter(v => v.status === 'error').length;
+    job.verificationStatus = failed > 0 ? 'error' : 'complete';
+    await this.persistJob(job);
+    
+    jobEvents.publish(job.videoId, 'verification_complete', {
+      status: job.verificationStatus,
+      verified_count: job.verifications.length - failed,
+      failed_count: failed
+    });
+  }
+  
+  private getClaimResults(): ClaimResultStore {
+    if (!this.claimResults) this.claimResults = new ClaimResultStore(this.config.supabase);
+    return this.claimResults;
+  }
+  
+  private verificationEntry(job: ProcessingStatus, claimId: string): ClaimVerificationStatus {
+    let entry = job.verifications.find(v => v.claimId === claimId);
+    if (!entry) {
+      entry = { claimId, status: 'pending', verdict: null, attempts: 0, completedAt: null };
+      job.verifications.push(entry);
+    }
+    return entry;
   }
 }
 
@@ -9,7 +9,6 @@
 
 export * from './types.js';
 export * from './author-normalization.js';
-export * from './prompts.js';
 
 // Gemini 3 Flash - Direct YouTube URL processing (10x cheaper!)
 export { GeminiExtractor, geminiExtractor, type GeminiSynthesizedClaim } from './gemini-extractor.js';
@@ -18,13 +17,75 @@ export { GeminiExtractor, geminiExtractor, type GeminiSynthesizedClaim } from '.
 export { FullModeExtractor, fullModeExtractor } from './full-mode.js';
 export { LiveModeExtractor, liveModeExtractor } from './live-mode.js';
 export { RollingBuffer } from './rolling-buffer.js';
+export { TimestampAligner, timestampAligner, type TimedSegment } from './timestamp-alignment.js';
+export {
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  isStopWord,
+  languageName,
+  normalizeLanguage,
+  tokenize,
+  type ContentLanguage
+} from './language.js';
+export { Localizer, localizer } from './localizer.js';
+export {
+  LiveStitcher,
+  liveStitcher,
+  type ChunkSegment,
+  type StitchedSegment,
+  type StitchResult
+} from './live-stitcher.js';
+export { LiveSessions, type LiveClaim, type LiveVideoInfo } from './live-sessions.js';
+export {
+  LiveStreamProcessor,
+  type LiveAudioHandler,
+  type LiveSource,
+  type LiveStreamStatus
+} from './live-stream.js';
 export { ClaimDeduplicator } from './deduplicator.js';
 
+// Sources: YouTube videos and podcast episodes (RSS enclosures)
+export { podcastEpisodeId, sourceIdFor, sourceKind, youtubeSourceId, type SourceKind } from './sources.js';
+export {
+  downloadEnclosure,
+  fetchFeed,
+  parseFeed,
+  transcribeEpisode,
+  type AudioTranscriber,
+  type AudioTranscription,
+  type PodcastEpisode,
+  type PodcastFeed
+} from './podcast-feed.js';
+export {
+  ChannelPoller,
+  fetchUploads,
+  parseYouTubeFeed,
+  resolveFeed,
+  type ChannelUpload,
+  type SubscribeOptions,
+  type UploadHandler
+} from './channel-poller.js';
+export {
+  createSubscriptionStore,
+  SqliteSubscriptionStore,
+  SupabaseSubscriptionStore,
+  type ChannelSubscription,
+  type SubscriptionStore
+} from './subscription-store.js';
+
 // Phase 3: Verification
 export * from './verification-types.js';
 export { AcademicSearcher, academicSearcher } from './academic-searcher.js';
 export { PaperFinder, paperFinder } from './paper-finder.js';
+export { CitationGraph, citationGraph } from './citation-graph.js';
+export { FullTextFetcher, fullTextFetcher } from './full-text.js';
+export { HttpCache, httpCache, createCacheStore } from './http-cache.js';
+export { RateLimiter, rateLimiter } from './rate-limiter.js';
+export { VerificationQueue, verificationQueue } from './verification-queue.js';
+export { ClaimResultStore, type ClaimVerificationRecord, type VerificationTrigger } from './claim-results.js';
+export { Reverifier } from './reverification.js';
 export { MatchScorer, matchScorer } from './match-scorer.js';
 export { ClaimVerifier, claimVerifier } from './claim-verifier.js';
+export { EvidenceSynthesizer, evidenceSynthesizer } from './evidence-synthesizer.js';
 export { VerificationPipeline, verificationPipeline } from './verification-pipeline.js';
 
@@ -0,0 +1,118 @@
+/**
+ * Job Event Bus
+ * In-process pub/sub for claim/job updates, consumed by the SSE endpoint.
+ *
+ * Keeps a short per-video history so a reconnecting client can replay
+ * everything after its Last-Event-ID instead of re-fetching. A video's
+ * history is dropped a while after its job ends (or failed, or finished
+ * verifying), and only the most recently active videos keep one, so
+ * polled channels and live captures don't grow it for the process lifetime.
+ */
+import { EventEmitter } from 'events';
+const DEFAULT_CONFIG = {
+    historyLimit: 500,
+    maxVideos: 200,
+    historyTtlMs: 30 * 60 * 1000
+};
+// Events after which a video's history may expire; later events push expiry back
+const TERMINAL_EVENTS = ['job_complete', 'job_error', 'verification_complete'];
+// ─────────────────────────────────────────────────────────────
+// Bus
+// ─────────────────────────────────────────────────────────────
+export class JobEventBus {
+    config;
+    emitter = new EventEmitter();
+    history = new Map(); // Insertion order = least recently active first
+    expiries = new Map();
+    // Seeded from the clock so ids keep increasing across restarts
+    lastId = Date.now();
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        // One listener per open SSE connection
+        this.emitter.setMaxListeners(0);
+    }
+    publish(videoId, type, data = {}) {
+        const event = {
+            id: ++this.lastId,
+            videoId,
+            type,
+            data,
+            createdAt: Date.now()
+        };
+        const events = this.history.get(videoId) || [];
+        events.push(event);
+        if (events.length > this.config.historyLimit)
+            events.shift();
+        this.history.delete(videoId);
+        this.history.set(videoId, events);
+        for (const oldest of this.history.keys()) {
+            if (this.history.size <= this.config.maxVideos)
+                break;
+            this.forget(oldest);
+        }
+        if (TERMINAL_EVENTS.includes(type) || this.expiries.has(videoId)) {
+            this.scheduleExpiry(videoId);
+        }
+        this.emitter.emit(videoId, event);
+        return event;
+    }
+    /**
+     * Listen for new events on a video; returns an unsubscribe function
+     */
+    subscribe(videoId, listener) {
+        this.emitter.on(videoId, listener);
+        return () => {
+            this.emitter.off(videoId, listener);
+        };
+    }
+    /**
+     * Events after the given id (0 = full history)
+     */
+    replay(videoId, afterId = 0) {
+        return (this.history.get(videoId) || []).filter(event => event.id > afterId);
+    }
+    /**
+     * Videos that currently have a replay history
+     */
+    trackedVideos() {
+        return [...this.history.keys()];
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Private helpers
+    // ─────────────────────────────────────────────────────────────
+    scheduleExpiry(videoId) {
+        clearTimeout(this.expiries.get(videoId));
+        const timer = setTimeout(() => this.forget(videoId), this.config.historyTtlMs);
+        timer.unref();
+        this.expiries.set(videoId, timer);
+    }
+    forget(videoId) {
+        clearTimeout(this.expiries.get(videoId));
+        this.expiries.delete(videoId);
+        this.history.delete(videoId);
+    }
+}
+// ─────────────────────────────────────────────────────────────
+// Payloads
+// ─────────────────────────────────────────────────────────────
+/**
+ * Claim shape sent to the extension (matches /api/video/claims)
+ */
+export function toClaimPayload(claim) {
+    return {
+        claim_id: claim.claim_id,
+        timestamp: claim.timestamp,
+        segment: claim.segment?.full_text || '',
+        author: claim.extraction?.author_normalized || claim.extraction?.author_mentioned,
+        finding: claim.extraction?.finding_summary,
+        confidence: claim.extraction?.confidence,
+        search_queries: claim.search,
+        aligned_start_sec: claim.alignment?.start_sec ?? null,
+        aligned_end_sec: claim.alignment?.end_sec ?? null,
+        alignment_confidence: claim.alignment?.confidence ?? null,
+        speaker_label: claim.speaker?.label || null,
+        speaker_name: claim.speaker?.name || null,
+        speaker_role: claim.speaker?.role || null
+    };
+}
+export const jobEvents = new JobEventBus();
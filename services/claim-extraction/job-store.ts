@@ -0,0 +1,327 @@
+/**
+ * Processing Job Store
+ * Durable record of HybridProcessor jobs so work survives a server restart.
+ *
+ * - Supabase `processing_jobs` table when a client is configured
+ * - Local SQLite (data/lumos.db) otherwise
+ */
+
+import type { GeminiSynthesizedClaim } from './gemini-extractor.js';
+import type { ContentLanguage } from './language.js';
+import { getLocalDb } from './local-db.js';
+
+// ─────────────────────────────────────────────────────────────
+// Types
+// ─────────────────────────────────────────────────────────────
+
+export type JobStatus = 'processing' | 'fast_track_complete' | 'complete' | 'error';
+export type TrackStatus = 'pending' | 'running' | 'complete' | 'error';
+/** Captions when the video has them, otherwise the video itself (Gemini); podcasts: transcribed audio */
+export type ExtractionSource = 'captions' | 'video' | 'audio';
+
+/** One window of the full track (see video-segments.ts) */
+export interface SegmentStatus {
+  index: number;
+  startSec: number;
+  endSec: number;
+  chapterTitle: string | null;
+  status: TrackStatus;
+  claimsCount: number;
+  completedAt: number | null;
+  error?: string;
+}
+
+/** Verification progress for one claim, so a restart resumes at the right claim */
+export interface ClaimVerificationStatus {
+  claimId: string;
+  status: TrackStatus;
+  verdict: string | null;
+  attempts: number;
+  completedAt: number | null;
+  error?: string;
+}
+
+export interface ProcessingStatus {
+  videoId: string;
+  videoUrl: string;
+  videoTitle: string | null;
+  status: JobStatus;
+  fastTrackStatus: TrackStatus;
+  fullTrackStatus: TrackStatus;
+  fastTrackClaims: GeminiSynthesizedClaim[];
+  allClaims: GeminiSynthesizedClaim[];
+  segments: SegmentStatus[];  // Full track windows; empty until planned
+  extractionSource: ExtractionSource | null;  // null until the first track has looked for captions
+  language: ContentLanguage | null;           // Spoken language; null until the first track has resolved it
+  verificationStatus: TrackStatus;
+  verifications: ClaimVerificationStatus[];  // One entry per claim queued for verification
+  fastTrackCompletedAt: number | null;
+  fullProcessingCompletedAt: number | null;
+  fastTrackError?: string;
+  error?: string;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface JobStore {
+  save(job: ProcessingStatus): Promise<void>;
+  get(videoId: string): Promise<ProcessingStatus | null>;
+  /** Jobs whose fast track, full track or verification never finished (server stopped mid-run) */
+  listInterrupted(): Promise<ProcessingStatus[]>;
+}
+
+const INTERRUPTED_STATUSES: JobStatus[] = ['processing', 'fast_track_complete'];
+
+/**
+ * Pick the job store for the current environment
+ */
+export function createJobStore(supabase?: any): JobStore {
+  return supabase ? new SupabaseJobStore(supabase) : new SqliteJobStore();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Supabase
+// ─────────────────────────────────────────────────────────────
+
+export class SupabaseJobStore implements JobStore {
+  constructor(private supabase: any) {}
+
+  async save(job: ProcessingStatus): Promise<void> {
+    const { error } = await this.supabase.from('processing_jobs').upsert({
+      video_id: job.videoId,
+      video_url: job.videoUrl,
+      video_title: job.videoTitle,
+      status: job.status,
+      fast_track_status: job.fastTrackStatus,
+      full_track_status: job.fullTrackStatus,
+      fast_track_claims: job.fastTrackClaims,
+      all_claims: job.allClaims,
+      segments: job.segments,
+      extraction_source: job.extractionSource,
+      language: job.language,
+      verification_status: job.verificationStatus,
+      verifications: job.verifications,
+      fast_track_completed_at: toIso(job.fastTrackCompletedAt),
+      full_processing_completed_at: toIso(job.fullProcessingCompletedAt),
+      fast_track_error: job.fastTrackError ?? null,
+      error: job.error ?? null,
+      created_at: toIso(job.createdAt),
+      updated_at: toIso(job.updatedAt)
+    }, { onConflict: 'video_id' });
+
+    if (error) throw new Error(`processing_jobs upsert failed: ${error.message}`);
+  }
+
+  async get(videoId: string): Promise<ProcessingStatus | null> {
+    const { data, error } = await this.supabase
+      .from('processing_jobs')
+      .select('*')
+      .eq('video_id', videoId)
+      .maybeSingle();
+
+    if (error) throw new Error(`processing_jobs select failed: ${error.message}`);
+    return data ? this.fromRow(data) : null;
+  }
+
+  async listInterrupted(): Promise<ProcessingStatus[]> {
+    const { data, error } = await this.supabase
+      .from('processing_jobs')
+      .select('*')
+      .or(`status.in.(${INTERRUPTED_STATUSES.join(',')}),verification_status.eq.running`);
+
+    if (error) throw new Error(`processing_jobs select failed: ${error.message}`);
+    return (data || []).map((row: any) => this.fromRow(row));
+  }
+
+  private fromRow(row: any): ProcessingStatus {
+    const job: ProcessingStatus = {
+      videoId: row.video_id,
+      videoUrl: row.video_url,
+      videoTitle: row.video_title,
+      status: row.status,
+      fastTrackStatus: row.fast_track_status,
+      fullTrackStatus: row.full_track_status,
+      fastTrackClaims: row.fast_track_claims || [],
+      allClaims: row.all_claims || [],
+      segments: row.segments || [],
+      extractionSource: row.extraction_source || null,
+      language: row.language || null,
+      verificationStatus: row.verification_status || 'pending',
+      verifications: row.verifications || [],
+      fastTrackCompletedAt: fromIso(row.fast_track_completed_at),
+      fullProcessingCompletedAt: fromIso(row.full_processing_completed_at),
+      createdAt: fromIso(row.created_at) ?? Date.now(),
+      updatedAt: fromIso(row.updated_at) ?? Date.now()
+    };
+    if (row.fast_track_error) job.fastTrackError = row.fast_track_error;
+    if (row.error) job.error = row.error;
+    return job;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// SQLite
+// ─────────────────────────────────────────────────────────────
+
+export class SqliteJobStore implements JobStore {
+  private initialized = false;
+
+  async save(job: ProcessingStatus): Promise<void> {
+    this.db().prepare(`
+      INSERT INTO processing_jobs (
+        video_id, video_url, video_title, status, fast_track_status, full_track_status,
+        fast_track_claims, all_claims, segments, extraction_source, language, verification_status, verifications,
+        fast_track_completed_at, full_processing_completed_at, fast_track_error, error, created_at, updated_at
+      ) VALUES (
+        @video_id, @video_url, @video_title, @status, @fast_track_status, @full_track_status,
+        @fast_track_claims, @all_claims, @segments, @extraction_source, @language, @verification_status, @verifications,
+        @fast_track_completed_at, @full_processing_completed_at,
+        @fast_track_error, @error, @created_at, @updated_at
+      )
+      ON CONFLICT(video_id) DO UPDATE SET
+        video_url = excluded.video_url,
+        video_title = excluded.video_title,
+        status = excluded.status,
+        fast_track_status = excluded.fast_track_status,
+        full_track_status = excluded.full_track_status,
+        fast_track_claims = excluded.fast_track_claims,
+        all_claims = excluded.all_claims,
+        segments = excluded.segments,
+        extraction_source = excluded.extraction_source,
+        language = excluded.language,
+        verification_status = excluded.verification_status,
+        verifications = excluded.verifications,
+        fast_track_completed_at = excluded.fast_track_completed_at,
+        full_processing_completed_at = excluded.full_processing_completed_at,
+        fast_track_error = excluded.fast_track_error,
+        error = excluded.error,
+        updated_at = excluded.updated_at
+    `).run({
+      video_id: job.videoId,
+      video_url: job.videoUrl,
+      video_title: job.videoTitle,
+      status: job.status,
+      fast_track_status: job.fastTrackStatus,
+      full_track_status: job.fullTrackStatus,
+      fast_track_claims: JSON.stringify(job.fastTrackClaims),
+      all_claims: JSON.stringify(job.allClaims),
+      segments: JSON.stringify(job.segments),
+      extraction_source: job.extractionSource,
+      language: job.language,
+      verification_status: job.verificationStatus,
+      verifications: JSON.stringify(job.verifications),
+      fast_track_completed_at: job.fastTrackCompletedAt,
+      full_processing_completed_at: job.fullProcessingCompletedAt,
+      fast_track_error: job.fastTrackError ?? null,
+      error: job.error ?? null,
+      created_at: job.createdAt,
+      updated_at: job.updatedAt
+    });
+  }
+
+  async get(videoId: string): Promise<ProcessingStatus | null> {
+    const row = this.db()
+      .prepare('SELECT * FROM processing_jobs WHERE video_id = ?')
+      .get(videoId);
+    return row ? this.fromRow(row) : null;
+  }
+
+  async listInterrupted(): Promise<ProcessingStatus[]> {
+    const placeholders = INTERRUPTED_STATUSES.map(() => '?').join(', ');
+    const rows = this.db()
+      .prepare(`SELECT * FROM processing_jobs WHERE status IN (${placeholders}) OR verification_status = 'running'`)
+      .all(...INTERRUPTED_STATUSES);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  private db() {
+    const db = getLocalDb();
+    if (!this.initialized) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS processing_jobs (
+          video_id TEXT PRIMARY KEY,
+          video_url TEXT NOT NULL,
+          video_title TEXT,
+          status TEXT NOT NULL,
+          fast_track_status TEXT NOT NULL DEFAULT 'pending',
+          full_track_status TEXT NOT NULL DEFAULT 'pending',
+          fast_track_claims TEXT NOT NULL DEFAULT '[]',
+          all_claims TEXT NOT NULL DEFAULT '[]',
+          segments TEXT NOT NULL DEFAULT '[]',
+          extraction_source TEXT,
+          language TEXT,
+          verification_status TEXT NOT NULL DEFAULT 'pending',
+          verifications TEXT NOT NULL DEFAULT '[]',
+          fast_track_completed_at INTEGER,
+          full_processing_completed_at INTEGER,
+          fast_track_error TEXT,
+          error TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_processing_jobs_status ON processing_jobs(status);
+      `);
+      // Databases created before segmented full-track processing
+      const columns = db.prepare('PRAGMA table_info(processing_jobs)').all() as { name: string }[];
+      if (!columns.some(c => c.name === 'segments')) {
+        db.exec(`ALTER TABLE processing_jobs ADD COLUMN segments TEXT NOT NULL DEFAULT '[]'`);
+      }
+      // ...and before verification progress was tracked
+      if (!columns.some(c => c.name === 'verifications')) {
+        db.exec(`
+          ALTER TABLE processing_jobs ADD COLUMN verification_status TEXT NOT NULL DEFAULT 'pending';
+          ALTER TABLE processing_jobs ADD COLUMN verifications TEXT NOT NULL DEFAULT '[]';
+        `);
+      }
+      // ...and before caption-first extraction
+      if (!columns.some(c => c.name === 'extraction_source')) {
+        db.exec(`ALTER TABLE processing_jobs ADD COLUMN extraction_source TEXT`);
+      }
+      // ...and before language detection
+      if (!columns.some(c => c.name === 'language')) {
+        db.exec(`ALTER TABLE processing_jobs ADD COLUMN language TEXT`);
+      }
+      this.initialized = true;
+    }
+    return db;
+  }
+
+  private fromRow(row: any): ProcessingStatus {
+    const job: ProcessingStatus = {
+      videoId: row.video_id,
+      videoUrl: row.video_url,
+      videoTitle: row.video_title,
+      status: row.status,
+      fastTrackStatus: row.fast_track_status,
+      fullTrackStatus: row.full_track_status,
+      fastTrackClaims: JSON.parse(row.fast_track_claims || '[]'),
+      allClaims: JSON.parse(row.all_claims || '[]'),
+      segments: JSON.parse(row.segments || '[]'),
+      extractionSource: row.extraction_source || null,
+      language: row.language || null,
+      verificationStatus: row.verification_status || 'pending',
+      verifications: JSON.parse(row.verifications || '[]'),
+      fastTrackCompletedAt: row.fast_track_completed_at,
+      fullProcessingCompletedAt: row.full_processing_completed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+    if (row.fast_track_error) job.fastTrackError = row.fast_track_error;
+    if (row.error) job.error = row.error;
+    return job;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────
+
+function toIso(ms: number | null): string | null {
+  return ms === null ? null : new Date(ms).toISOString();
+}
+
+function fromIso(value: string | null | undefined): number | null {
+  if (!value) return null;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
@@ -0,0 +1,111 @@
+/**
+ * Content Language
+ * Which language a video is spoken in, and the word handling that has to
+ * work for it. Extraction picks localized prompts by this; keyword scoring
+ * and timestamp alignment tokenize with it.
+ *
+ * Only languages with extraction prompts are listed; anything else is
+ * treated as English (the English prompts still return English summaries
+ * and queries, just with a less faithful quote).
+ */
+export const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_NAMES = {
+    en: 'English',
+    pl: 'Polish'
+};
+// Whisper reports full names, yt-dlp/captions ISO codes (sometimes with a region)
+const ALIASES = {
+    en: 'en', eng: 'en', english: 'en',
+    pl: 'pl', pol: 'pl', polish: 'pl', polski: 'pl'
+};
+/**
+ * "pl", "pl-PL", "polish", "Polski" → 'pl'; null for unknown or unsupported
+ */
+export function normalizeLanguage(code) {
+    if (!code)
+        return null;
+    const base = code.trim().toLowerCase().split(/[-_]/)[0] || '';
+    return ALIASES[base] || null;
+}
+export function languageName(language) {
+    return LANGUAGE_NAMES[language];
+}
+// ─────────────────────────────────────────────────────────────
+// Stop words
+// ─────────────────────────────────────────────────────────────
+const EN_STOP_WORDS = [
+    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+    'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
+    'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+    'should', 'may', 'might', 'must', 'shall', 'can', 'need', 'that', 'this',
+    'these', 'those', 'it', 'its', 'they', 'their', 'them', 'we', 'our', 'you',
+    'your', 'he', 'she', 'his', 'her', 'more', 'most', 'other', 'some', 'such',
+    'than', 'too', 'very', 'just', 'only', 'also', 'into', 'over', 'after',
+    'before', 'between', 'under', 'above', 'up', 'down', 'out', 'off', 'about',
+    'what', 'which', 'who', 'like', 'really', 'then', 'there', 'not', 'all', 'one'
+];
+const PL_STOP_WORDS = [
+    'i', 'a', 'w', 'z', 'o', 'u', 'na', 'do', 'od', 'po', 'za', 'ze', 'we', 'że',
+    'to', 'ten', 'ta', 'te', 'tego', 'tej', 'tym', 'tych', 'jest', 'są', 'był',
+    'była', 'było', 'były', 'byli', 'być', 'się', 'nie', 'tak', 'jak', 'ale',
+    'lub', 'albo', 'oraz', 'czy', 'co', 'który', 'która', 'które', 'którzy',
+    'których', 'jego', 'jej', 'ich', 'on', 'ona', 'ono', 'oni', 'one', 'my', 'wy',
+    'ja', 'ty', 'mnie', 'nam', 'wam', 'im', 'go', 'mu', 'już', 'jeszcze', 'tylko',
+    'także', 'też', 'bardzo', 'więc', 'bo', 'gdy', 'kiedy', 'gdzie', 'tam', 'tu',
+    'tutaj', 'przez', 'przy', 'pod', 'nad', 'dla', 'bez', 'między', 'może', 'można',
+    'jakby', 'no', 'właśnie', 'naprawdę', 'wiesz', 'jakiś', 'jakieś', 'taki', 'takie'
+];
+const STOP_WORDS = {
+    en: new Set(EN_STOP_WORDS),
+    pl: new Set(PL_STOP_WORDS)
+};
+/**
+ * Stop word in any supported language unless one is given; claim text mixes
+ * languages (Polish quote, English summary), so the default checks both
+ */
+export function isStopWord(word, language) {
+    if (language)
+        return STOP_WORDS[language].has(word);
+    return STOP_WORDS.en.has(word) || STOP_WORDS.pl.has(word);
+}
+/**
+ * Lowercased words, keeping letters outside a-z ("białko" stays whole
+ * instead of becoming "biako"); URLs and punctuation dropped
+ */
+export function tokenize(text) {
+    return text
+        .toLowerCase()
+        .replace(/https?:\S+/g, ' ')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+// ─────────────────────────────────────────────────────────────
+// Detection
+// ─────────────────────────────────────────────────────────────
+const POLISH_LETTERS = /[ąćęłńóśźż]/gi;
+/**
+ * Best guess from a sample of text (title, description, transcript).
+ * Polish diacritics or Polish function words outnumbering English ones
+ * mean Polish; too little text to tell returns null.
+ */
+export function detectLanguage(text) {
+    const words = tokenize((text || '').slice(0, 5000));
+    if (words.length < 5)
+        return null;
+    let english = 0;
+    let polish = 0;
+    for (const word of words) {
+        if (STOP_WORDS.en.has(word))
+            english++;
+        if (STOP_WORDS.pl.has(word))
+            polish++;
+    }
+    const diacritics = ((text || '').slice(0, 5000).match(POLISH_LETTERS) || []).length;
+    // Single letters ("a", "i", "w") are stop words in both; diacritics settle it
+    if (polish + diacritics / 2 > english)
+        return 'pl';
+    if (english > 0)
+        return 'en';
+    return null;
+}
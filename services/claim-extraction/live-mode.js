@@ -0,0 +1,241 @@
+/**
+ * Live Mode Claim Extractor
+ * Processes streaming transcript chunks with rolling buffer and deduplication
+ *
+ * The session's language picks the prompt; when startSession isn't told, it
+ * is detected from the first window.
+ *
+ * Claim ids carry a per-session key as well as the window: a video can have
+ * several live sessions (capture restarted, server restarted), and claims
+ * are stored by id.
+ */
+import crypto from 'crypto';
+import { llm, promptRegistry } from '../llm/index.js';
+import { normalizeAuthor } from './author-normalization.js';
+import { RollingBuffer } from './rolling-buffer.js';
+import { ClaimDeduplicator } from './deduplicator.js';
+import { DEFAULT_LANGUAGE, detectLanguage } from './language.js';
+// Sponsor/ad detection patterns
+const SPONSOR_SIGNALS = [
+    'sponsor', 'discount code', 'link in description',
+    'use code', 'promo', 'check out', 'brought to you by',
+    'affiliate', 'coupon'
+];
+export class LiveModeExtractor {
+    buffer = new RollingBuffer();
+    deduplicator = new ClaimDeduplicator();
+    pending = null;
+    windowId = 0;
+    sessionKey = crypto.randomUUID().slice(0, 8);
+    videoId = '';
+    prompt = null;
+    language = null;
+    allClaims = [];
+    /**
+     * Start a new extraction session
+     */
+    startSession(videoId, language = null) {
+        this.videoId = videoId;
+        this.windowId = 0;
+        this.sessionKey = crypto.randomUUID().slice(0, 8);
+        this.pending = null;
+        this.buffer.clear();
+        this.deduplicator.clear();
+        this.allClaims = [];
+        this.language = language;
+        this.prompt = language ? promptRegistry.assign('live_mode_extraction', videoId, language) : null;
+        console.log(`🎬 Started live session for ${videoId}${language ? ` (${language})` : ''}`);
+    }
+    /**
+     * Process a new transcript chunk
+     * Returns any new claims found in this window
+     * @param timing - Video time the chunk covers (live capture); claims' approximate
+     *   timestamps fall back to 10s-per-window without it
+     */
+    async processChunk(chunk, timing = null) {
+        this.windowId++;
+        // Skip sponsor content
+        if (this.isSponsorContent(chunk)) {
+            console.log(`⏭️  Window ${this.windowId}: Skipping sponsor content`);
+            return [];
+        }
+        // Build transcript from rolling buffer
+        const transcript = this.buffer.addChunk(chunk, timing);
+        if (!this.language) {
+            this.language = detectLanguage(transcript) || DEFAULT_LANGUAGE;
+            console.log(`🌐 Live session ${this.videoId} language: ${this.language}`);
+        }
+        // Call LLM
+        const input = {
+            mode: 'live',
+            window_id: this.windowId,
+            transcript,
+            previous_pending: this.pending,
+            recent_claims: this.deduplicator.getRecentSummaries()
+        };
+        const output = await this.callLLM(input);
+        // Update pending state
+        this.pending = output.pending;
+        // Process and deduplicate claims
+        const results = [];
+        for (const claim of output.claims) {
+            if (this.deduplicator.isDuplicate(claim, this.windowId)) {
+                console.log(`🔄 Window ${this.windowId}: Skipping duplicate claim`);
+                continue;
+            }
+            this.deduplicator.add(claim, this.windowId);
+            const synthesized = this.synthesizeClaim(claim, results.length);
+            results.push(synthesized);
+            this.allClaims.push(synthesized);
+        }
+        if (results.length > 0) {
+            console.log(`📋 Window ${this.windowId}: Found ${results.length} new claim(s)`);
+        }
+        return results;
+    }
+    /**
+     * Get all claims found in the session so far
+     */
+    getAllClaims() {
+        return this.allClaims;
+    }
+    /**
+     * Get current session stats
+     */
+    getSessionStats() {
+        return {
+            videoId: this.videoId,
+            language: this.language,
+            windowId: this.windowId,
+            totalClaims: this.allClaims.length,
+            pendingClaim: this.pending !== null,
+            bufferInfo: this.buffer.getInfo()
+        };
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Private methods
+    // ─────────────────────────────────────────────────────────────
+    async callLLM(input) {
+        const userMessage = this.buildUserMessage(input);
+        const prompt = this.getPrompt();
+        try {
+            const response = await llm.complete('live_extraction', {
+                messages: [
+                    { role: 'system', content: prompt.text },
+                    { role: 'user', content: userMessage }
+                ],
+                json: true,
+                temperature: 0.1
+            });
+            const parsed = response.json || { claims: [], pending: null };
+            return {
+                window_id: input.window_id,
+                claims: parsed.claims || [],
+                pending: parsed.pending || null
+            };
+        }
+        catch (error) {
+            console.error(`❌ LLM call failed for window ${input.window_id}:`, error);
+            return {
+                window_id: input.window_id,
+                claims: [],
+                pending: this.pending
+            };
+        }
+    }
+    buildUserMessage(input) {
+        let message = `Window ${input.window_id}:\n${input.transcript}\n`;
+        if (input.previous_pending) {
+            message += `\nPrevious pending claim:\n${JSON.stringify(input.previous_pending, null, 2)}\n`;
+        }
+        if (input.recent_claims?.length) {
+            message += `\nRecent claims (do not re-extract):\n`;
+            message += input.recent_claims
+                .map(c => `- Window ${c.window}: ${c.author || 'unnamed'} - ${c.topic}`)
+                .join('\n');
+        }
+        return message;
+    }
+    synthesizeClaim(claim, index) {
+        const timestamps = this.buffer.getTimestamps(this.windowId);
+        const normalized = normalizeAuthor(claim.author_mentioned);
+        return {
+            claim_id: `${this.videoId}_live_${this.sessionKey}_${this.windowId}_${index}`,
+            video_id: this.videoId,
+            detection: {
+                started_window: this.windowId - 1,
+                completed_window: this.windowId,
+                latency_windows: 1
+            },
+            segment: {
+                full_text: claim.segment,
+                word_count: claim.segment.split(' ').length,
+                approximate_timestamp_start: timestamps.start,
+                approximate_timestamp_end: timestamps.end
+            },
+            extraction: {
+                author_mentioned: claim.author_mentioned,
+                author_normalized: normalized.normalized,
+                author_variants: normalized.variants,
+                institution_mentioned: claim.institution_mentioned,
+                finding_summary: claim.finding_summary,
+                confidence: claim.confidence
+            },
+            search: {
+                primary_query: this.buildPrimaryQuery(claim, normalized.normalized),
+                fallback_queries: this.buildFallbackQueries(claim, normalized)
+            },
+            prompt: { id: this.getPrompt().id, version: this.getPrompt().version }
+        };
+    }
+    /**
+     * Prompt assigned at session start or first window (active English version
+     * if no session was started)
+     */
+    getPrompt() {
+        if (!this.prompt) {
+            this.prompt = promptRegistry.assign('live_mode_extraction', this.videoId || undefined, this.language || DEFAULT_LANGUAGE);
+        }
+        return this.prompt;
+    }
+    buildPrimaryQuery(claim, normalizedAuthor) {
+        if (normalizedAuthor) {
+            const surname = normalizedAuthor.split(' ').pop();
+            const topicWords = claim.query.split(' ').slice(0, 3).join(' ');
+            return `${surname} ${topicWords}`;
+        }
+        return claim.query;
+    }
+    buildFallbackQueries(claim, normalized) {
+        const fallbacks = [];
+        if (normalized.variants.length > 0 && normalized.normalized) {
+            const surname = normalized.normalized.split(' ').pop() || '';
+            for (const variant of normalized.variants.slice(0, 2)) {
+                if (variant.toLowerCase() !== surname.toLowerCase()) {
+                    fallbacks.push(claim.query.replace(new RegExp(surname, 'i'), variant));
+                }
+            }
+        }
+        if (claim.institution_mentioned) {
+            const topicWords = claim.query.split(' ')
+                .filter(w => !w.toLowerCase().includes((normalized.normalized?.split(' ').pop() || 'xxxxx').toLowerCase()))
+                .slice(0, 2)
+                .join(' ');
+            fallbacks.push(`${claim.institution_mentioned} ${topicWords}`);
+        }
+        const topicOnly = claim.query.split(' ')
+            .filter(w => w.length > 3)
+            .slice(0, 4)
+            .join(' ');
+        if (topicOnly !== claim.query) {
+            fallbacks.push(topicOnly);
+        }
+        return fallbacks.slice(0, 3);
+    }
+    isSponsorContent(chunk) {
+        const lower = chunk.toLowerCase();
+        return SPONSOR_SIGNALS.some(signal => lower.includes(signal));
+    }
+}
+// Export singleton instance
+export const liveModeExtractor = new LiveModeExtractor();
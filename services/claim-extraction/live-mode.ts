@@ -1,13 +1,21 @@
 /**
  * Live Mode Claim Extractor
  * Processes streaming transcript chunks with rolling buffer and deduplication
+ *
+ * The session's language picks the prompt; when startSession isn't told, it
+ * is detected from the first window.
+ *
+ * Claim ids carry a per-session key as well as the window: a video can have
+ * several live sessions (capture restarted, server restarted), and claims
+ * are stored by id.
  */
 
-import OpenAI from 'openai';
-import { LIVE_MODE_SYSTEM_PROMPT } from './prompts.js';
+import crypto from 'crypto';
+import { llm, promptRegistry, type PromptTemplate } from '../llm/index.js';
 import { normalizeAuthor } from './author-normalization.js';
-import { RollingBuffer } from './rolling-buffer.js';
+import { RollingBuffer, type ChunkTiming } from './rolling-buffer.js';
 import { ClaimDeduplicator } from './deduplicator.js';
+import { DEFAULT_LANGUAGE, detectLanguage, type ContentLanguage } from './language.js';
 import type { 
   ExtractedClaim, 
   LiveModeInput, 
@@ -17,15 +25,6 @@ import type {
   NormalizedAuthor
 } from './types.js';
 
-// Lazy-init OpenAI client
-let openai: OpenAI | null = null;
-function getOpenAI(): OpenAI {
-  if (!openai) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
-  return openai;
-}
-
 // Sponsor/ad detection patterns
 const SPONSOR_SIGNALS = [
   'sponsor', 'discount code', 'link in description', 
@@ -38,27 +37,35 @@ export class LiveModeExtractor {
   private deduplicator = new ClaimDeduplicator();
   private pending: PendingClaim | null = null;
   private windowId = 0;
+  private sessionKey = crypto.randomUUID().slice(0, 8);
   private videoId: string = '';
+  private prompt: PromptTemplate | null = null;
+  private language: ContentLanguage | null = null;
   private allClaims: LiveSynthesizedClaim[] = [];
   
   /**
    * Start a new extraction session
    */
-  startSession(videoId: string): void {
+  startSession(videoId: string, language: ContentLanguage | null = null): void {
     this.videoId = videoId;
     this.windowId = 0;
+    this.sessionKey = crypto.randomUUID().slice(0, 8);
     this.pending = null;
     this.buffer.clear();
     this.deduplicator.clear();
     this.allClaims = [];
-    console.log(`🎬 Started live session for ${videoId}`);
+    this.language = language;
+    this.prompt = language ? promptRegistry.assign('live_mode_extraction', videoId, language) : null;
+    console.log(`🎬 Started live session for ${videoId}${language ? ` (${language})` : ''}`);
   }
   
   /**
    * Process a new transcript chunk
    * Returns any new claims found in this window
+   * @param timing - Video time the chunk covers (live capture); claims' approximate
+   *   timestamps fall back to 10s-per-window without it
    */
-  async processChunk(chunk: string): Promise<LiveSynthesizedClaim[]> {
+  async processChunk(chunk: string, timing: ChunkTiming | null = null): Promise<LiveSynthesizedClaim[]> {
     this.windowId++;
     
     // Skip sponsor content
@@ -68,7 +75,11 @@ export class LiveModeExtractor {
     }
     
     // Build transcript from rolling buffer
-    const transcript = this.buffer.addChunk(chunk);
+    const transcript = this.buffer.addChunk(chunk, timing);
+    if (!this.language) {
+      this.language = detectLanguage(transcript) || DEFAULT_LANGUAGE;
+      console.log(`🌐 Live session ${this.videoId} language: ${this.language}`);
+    }
     
     // Call LLM
     const input: LiveModeInput = {
@@ -94,7 +105,7 @@ export class LiveModeExtractor {
       }
       
       this.deduplicator.add(claim, this.windowId);
-      const synthesized = this.synthesizeClaim(claim);
+      const synthesized = this.synthesizeClaim(claim, results.length);
       results.push(synthesized);
       this.allClaims.push(synthesized);
     }
@@ -118,6 +129,7 @@ export class LiveModeExtractor {
    */
   getSessionStats(): {
     videoId: string;
+    language: ContentLanguage | null;
     windowId: number;
     totalClaims: number;
     pendingClaim: boolean;
@@ -125,6 +137,7 @@ export class LiveModeExtractor {
   } {
     return {
       videoId: this.videoId,
+      language: this.language,
       windowId: this.windowId,
       totalClaims: this.allClaims.length,
       pendingClaim: this.pending !== null,
@@ -138,20 +151,19 @@ export class LiveModeExtractor {
   
   private async callLLM(input: LiveModeInput): Promise<LiveModeOutput> {
     const userMessage = this.buildUserMessage(input);
+    const prompt = this.getPrompt();
     
     try {
-      const response = await getOpenAI().chat.completions.create({
-        model: 'gpt-4o',
+      const response = await llm.complete('live_extraction', {
         messages: [
-          { role: 'system', content: LIVE_MODE_SYSTEM_PROMPT },
+          { role: 'system', content: prompt.text },
           { role: 'user', content: userMessage }
         ],
-        response_format: { type: 'json_object' },
+        json: true,
         temperature: 0.1
       });
       
-      const content = response.choices[0].message.content;
-      const parsed = JSON.parse(content || '{"claims":[],"pending":null}');
+      const parsed = response.json || { claims: [], pending: null };
       
       return {
         window_id: input.window_id,
@@ -185,12 +197,12 @@ export class LiveModeExtractor {
     return message;
   }
   
-  private synthesizeClaim(claim: ExtractedClaim): LiveSynthesizedClaim {
+  private synthesizeClaim(claim: ExtractedClaim, index: number): LiveSynthesizedClaim {
     const timestamps = this.buffer.getTimestamps(this.windowId);
     const normalized = normalizeAuthor(claim.author_mentioned);
     
     return {
-      claim_id: `${this.videoId}_live_${this.windowId}_${Date.now()}`,
+      claim_id: `${this.videoId}_live_${this.sessionKey}_${this.windowId}_${index}`,
       video_id: this.videoId,
       detection: {
         started_window: this.windowId - 1,
@@ -214,10 +226,22 @@ export class LiveModeExtractor {
       search: {
         primary_query: this.buildPrimaryQuery(claim, normalized.normalized),
         fallback_queries: this.buildFallbackQueries(claim, normalized)
-      }
+      },
+      prompt: { id: this.getPrompt().id, version: this.getPrompt().version }
     };
   }
   
+  /**
+   * Prompt assigned at session start or first window (active English version
+   * if no session was started)
+   */
+  private getPrompt(): PromptTemplate {
+    if (!this.prompt) {
+      this.prompt = promptRegistry.assign('live_mode_extraction', this.videoId || undefined, this.language || DEFAULT_LANGUAGE);
+    }
+    return this.prompt;
+  }
+  
   private buildPrimaryQuery(claim: ExtractedClaim, normalizedAuthor: string | null): string {
     if (normalizedAuthor) {
       const surname = normalizedAuthor.split(' ').pop();
@@ -0,0 +1,152 @@
+/**
+ * Live Sessions
+ * Server side of tab-capture live mode: one LiveModeExtractor per video,
+ * fed the stitched transcript from /api/live/chunk (live-stitcher.ts).
+ *
+ * Claims found in a window get the same treatment as HybridProcessor's:
+ * the quote is aligned against the stitched Whisper segments for a precise
+ * time, the claim is saved to the `claims` table, published as
+ * claim_extracted, and queued for background verification. Live streams,
+ * which Gemini can't ingest by URL, end up with the same claim model.
+ *
+ *   LIVE_VERIFY=off   extract and store live claims without verifying them
+ */
+import { LiveModeExtractor } from './live-mode.js';
+import { ClaimResultStore } from './claim-results.js';
+import { VerificationPipeline } from './verification-pipeline.js';
+import { verificationQueue } from './verification-queue.js';
+import { jobEvents, toClaimPayload } from './job-events.js';
+import { timestampAligner } from './timestamp-alignment.js';
+import { formatSeconds } from './captions.js';
+import { normalizeLanguage } from './language.js';
+const DEFAULT_CONFIG = {
+    language: normalizeLanguage(process.env.LUMOS_LANGUAGE),
+    verify: process.env.LIVE_VERIFY !== 'off',
+    transcriptSeconds: 5 * 60,
+    sessionTtlMs: 10 * 60 * 1000
+};
+// ─────────────────────────────────────────────────────────────
+// Sessions
+// ─────────────────────────────────────────────────────────────
+export class LiveSessions {
+    config;
+    sessions = new Map();
+    claimResults = null;
+    verifier = null;
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+    /**
+     * Extract claims from newly stitched transcript; claims are stored and
+     * queued for verification before this resolves (verification itself runs
+     * in the background). Extraction failures resolve to no claims.
+     *
+     * @param videoId - Claims' video_id (e.g. "yt-<id>")
+     */
+    async processTranscript(videoId, text, segments, video = {}) {
+        this.prune();
+        if (!text.trim())
+            return [];
+        const session = this.session(videoId);
+        session.lastSeenAt = Date.now();
+        const run = session.queue.then(() => this.runWindow(session, videoId, text, segments, video));
+        session.queue = run.catch(() => undefined);
+        return run;
+    }
+    /**
+     * Drop a video's session (capture stopped); stored claims keep verifying
+     */
+    end(videoId) {
+        if (this.sessions.delete(videoId)) {
+            console.log(`🛑 Ended live session for ${videoId}`);
+        }
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Private helpers
+    // ─────────────────────────────────────────────────────────────
+    session(videoId) {
+        let session = this.sessions.get(videoId);
+        if (!session) {
+            const extractor = new LiveModeExtractor();
+            extractor.startSession(videoId, this.config.language);
+            session = { extractor, segments: [], queue: Promise.resolve(), lastSeenAt: Date.now() };
+            this.sessions.set(videoId, session);
+        }
+        return session;
+    }
+    prune() {
+        const cutoff = Date.now() - this.config.sessionTtlMs;
+        for (const [videoId, session] of this.sessions) {
+            if (session.lastSeenAt < cutoff)
+                this.sessions.delete(videoId);
+        }
+    }
+    async runWindow(session, videoId, text, segments, video) {
+        // Keep the last few minutes of stitched transcript to align quotes against
+        session.segments.push(...segments);
+        const keepFrom = (segments[segments.length - 1]?.endSec ?? 0) - this.config.transcriptSeconds;
+        session.segments = session.segments.filter(segment => segment.endSec >= keepFrom);
+        const timing = segments.length > 0
+            ? { startSec: segments[0].startSec, endSec: segments[segments.length - 1].endSec }
+            : null;
+        const extracted = await session.extractor.processChunk(text, timing);
+        if (extracted.length === 0)
+            return [];
+        const claims = extracted.map(claim => {
+            const hintSec = timing?.startSec ?? null;
+            const alignment = timestampAligner.align(claim.segment.full_text, session.segments, 'whisper', hintSec);
+            return {
+                ...claim,
+                alignment,
+                timestamp: formatSeconds(alignment?.start_sec ?? hintSec ?? 0)
+            };
+        });
+        for (const claim of claims) {
+            jobEvents.publish(videoId, 'claim_extracted', { claim: toClaimPayload(claim) });
+        }
+        await this.saveClaims(session, videoId, claims, video);
+        return claims;
+    }
+    /**
+     * Store claims and queue their verification (best-effort; without a
+     * database, claims are only published)
+     */
+    async saveClaims(session, videoId, claims, video) {
+        const supabase = this.config.supabase;
+        if (!supabase)
+            return;
+        try {
+            await supabase.from('videos').upsert({
+                id: videoId,
+                ...(video.title ? { title: video.title } : {}),
+                url: video.url || null,
+                claims_count: session.extractor.getAllClaims().length,
+                first_analyzed_at: new Date().toISOString()
+            }, { onConflict: 'id' });
+            await this.getClaimResults().saveClaims(claims);
+            console.log(`💾 Saved ${claims.length} live claims for ${videoId}`);
+        }
+        catch (error) {
+            console.warn(`⚠️ Saving live claims for ${videoId} failed:`, error.message);
+            return;
+        }
+        if (!this.config.verify)
+            return;
+        for (const claim of claims) {
+            verificationQueue.add('live', claim.claim_id, () => this.verifyAndStore(claim))
+                .catch(error => console.warn(`⚠️ Verification failed for ${claim.claim_id}:`, error.message));
+        }
+    }
+    async verifyAndStore(claim) {
+        if (!this.verifier)
+            this.verifier = new VerificationPipeline();
+        const verified = await this.verifier.verifyClaim(claim);
+        const { verdict } = await this.getClaimResults().saveVerification(claim.claim_id, verified, 'initial');
+        console.log(`✅ Verified: ${claim.claim_id} → ${verdict}`);
+    }
+    getClaimResults() {
+        if (!this.claimResults)
+            this.claimResults = new ClaimResultStore(this.config.supabase);
+        return this.claimResults;
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * Live Sessions
+ * Server side of tab-capture live mode: one LiveModeExtractor per video,
+ * fed the stitched transcript from /api/live/chunk (live-stitcher.ts).
+ *
+ * Claims found in a window get the same treatment as HybridProcessor's:
+ * the quote is aligned against the stitched Whisper segments for a precise
+ * time, the claim is saved to the `claims` table, published as
+ * claim_extracted, and queued for background verification. Live streams,
+ * which Gemini can't ingest by URL, end up with the same claim model.
+ *
+ *   LIVE_VERIFY=off   extract and store live claims without verifying them
+ */
+
+import { LiveModeExtractor } from './live-mode.js';
+import { ClaimResultStore } from './claim-results.js';
+import { VerificationPipeline } from './verification-pipeline.js';
+import { verificationQueue } from './verification-queue.js';
+import { jobEvents, toClaimPayload } from './job-events.js';
+import { timestampAligner, type TimedSegment } from './timestamp-alignment.js';
+import { formatSeconds } from './captions.js';
+import { normalizeLanguage, type ContentLanguage } from './language.js';
+import type { LiveSynthesizedClaim } from './types.js';
+
+// ─────────────────────────────────────────────────────────────
+// Types
+// ─────────────────────────────────────────────────────────────
+
+/** Live claim with the video time it was said at */
+export interface LiveClaim extends LiveSynthesizedClaim {
+  timestamp: string;
+}
+
+export interface LiveVideoInfo {
+  url?: string;
+  title?: string;
+}
+
+interface LiveSessionsConfig {
+  supabase?: any;                    // Optional supabase client for persistence
+  language: ContentLanguage | null;  // Force one spoken language (LUMOS_LANGUAGE); null detects per session
+  verify: boolean;                   // Queue live claims for verification (LIVE_VERIFY=off disables)
+  transcriptSeconds: number;         // Stitched transcript kept for aligning quotes
+  sessionTtlMs: number;              // Forget videos with no chunk for this long
+}
+
+interface LiveSession {
+  extractor: LiveModeExtractor;
+  segments: TimedSegment[];
+  queue: Promise<unknown>;           // Windows are processed one at a time, in arrival order
+  lastSeenAt: number;
+}
+
+const DEFAULT_CONFIG: LiveSessionsConfig = {
+  language: normalizeLanguage(process.env.LUMOS_LANGUAGE),
+  verify: process.env.LIVE_VERIFY !== 'off',
+  transcriptSeconds: 5 * 60,
+  sessionTtlMs: 10 * 60 * 1000
+};
+
+// ─────────────────────────────────────────────────────────────
+// Sessions
+// ─────────────────────────────────────────────────────────────
+
+export class LiveSessions {
+  private config: LiveSessionsConfig;
+  private sessions: Map<string, LiveSession> = new Map();
+  private claimResults: ClaimResultStore | null = null;
+  private verifier: VerificationPipeline | null = null;
+
+  constructor(config: Partial<LiveSessionsConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Extract claims from newly stitched transcript; claims are stored and
+   * queued for verification before this resolves (verification itself runs
+   * in the background). Extraction failures resolve to no claims.
+   *
+   * @param videoId - Claims' video_id (e.g. "yt-<id>")
+   */
+  async processTranscript(
+    videoId: string,
+    text: string,
+    segments: TimedSegment[],
+    video: LiveVideoInfo = {}
+  ): Promise<LiveClaim[]> {
+    this.prune();
+    if (!text.trim()) return [];
+
+    const session = this.session(videoId);
+    session.lastSeenAt = Date.now();
+
+    const run = session.queue.then(() => this.runWindow(session, videoId, text, segments, video));
+    session.queue = run.catch(() => undefined);
+    return run;
+  }
+
+  /**
+   * Drop a video's session (capture stopped); stored claims keep verifying
+   */
+  end(videoId: string): void {
+    if (this.sessions.delete(videoId)) {
+      console.log(`🛑 Ended live session for ${videoId}`);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Private helpers
+  // ─────────────────────────────────────────────────────────────
+
+  private session(videoId: string): LiveSession {
+    let session = this.sessions.get(videoId);
+    if (!session) {
+      const extractor = new LiveModeExtractor();
+      extractor.startSession(videoId, this.config.language);
+      session = { extractor, segments: [], queue: Promise.resolve(), lastSeenAt: Date.now() };
+      this.sessions.set(videoId, session);
+    }
+    return session;
+  }
+
+  private prune(): void {
+    const cutoff = Date.now() - this.config.sessionTtlMs;
+    for (const [videoId, session] of this.sessions) {
+      if (session.lastSeenAt < cutoff) this.sessions.delete(videoId);
+    }
+  }
+
+  private async runWindow(
+    session: LiveSession,
+    videoId: string,
+    text: string,
+    segments: TimedSegment[],
+    video: LiveVideoInfo
+  ): Promise<LiveClaim[]> {
+    // Keep the last few minutes of stitched transcript to align quotes against
+    session.segments.push(...segments);
+    const keepFrom = (segments[segments.length - 1]?.endSec ?? 0) - this.config.transcriptSeconds;
+    session.segments = session.segments.filter(segment => segment.endSec >= keepFrom);
+
+    const timing = segments.length > 0
+      ? { startSec: segments[0]!.startSec, endSec: segments[segments.length - 1]!.endSec }
+      : null;
+    const extracted = await session.extractor.processChunk(text, timing);
+    if (extracted.length === 0) return [];
+
+    const claims: LiveClaim[] = extracted.map(claim => {
+      const hintSec = timing?.startSec ?? null;
+      const alignment = timestampAligner.align(claim.segment.full_text, session.segments, 'whisper', hintSec);
+      return {
+        ...claim,
+        alignment,
+        timestamp: formatSeconds(alignment?.start_sec ?? hintSec ?? 0)
+      };
+    });
+
+    for (const claim of claims) {
+      jobEvents.publish(videoId, 'claim_extracted', { claim: toClaimPayload(claim) });
+    }
+
+    await this.saveClaims(session, videoId, claims, video);
+    return claims;
+  }
+
+  /**
+   * Store claims and queue their verification (best-effort; without a
+   * database, claims are only published)
+   */
+  private async saveClaims(session: LiveSession, videoId: string, claims: LiveClaim[], video: LiveVideoInfo): Promise<void> {
+    const supabase = this.config.supabase;
+    if (!supabase) return;
+
+    try {
+      await supabase.from('videos').upsert({
+        id: videoId,
+        ...(video.title ? { title: video.title } : {}),
+        url: video.url || null,
+        claims_count: session.extractor.getAllClaims().length,
+        first_analyzed_at: new Date().toISOString()
+      }, { onConflict: 'id' });
+
+      await this.getClaimResults().saveClaims(claims);
+      console.log(`💾 Saved ${claims.length} live claims for ${videoId}`);
+    } catch (error: any) {
+      console.warn(`⚠️ Saving live claims for ${videoId} failed:`, error.message);
+      return;
+    }
+
+    if (!this.config.verify) return;
+    for (const claim of claims) {
+      verificationQueue.add('live', claim.claim_id, () => this.verifyAndStore(claim))
+        .catch(error => console.warn(`⚠️ Verification failed for ${claim.claim_id}:`, error.message));
+    }
+  }
+
+  private async verifyAndStore(claim: LiveClaim): Promise<void> {
+    if (!this.verifier) this.verifier = new VerificationPipeline();
+    const verified = await this.verifier.verifyClaim(claim);
+    const { verdict } = await this.getClaimResults().saveVerification(claim.claim_id, verified, 'initial');
+    console.log(`✅ Verified: ${claim.claim_id} → ${verdict}`);
+  }
+
+  private getClaimResults(): ClaimResultStore {
+    if (!this.claimResults) this.claimResults = new ClaimResultStore(this.config.supabase);
+    return this.claimResults;
+  }
+}
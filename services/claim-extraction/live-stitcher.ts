@@ -0,0 +1,306 @@
+/**
+ * Live Transcript Stitcher
+ * Turns overlapping tab-capture chunks (each transcribed on its own) into one
+ * clean running transcript per video, on the video's own clock.
+ *
+ * The extension records ~25s chunks that overlap by a few seconds and sends
+ * the video time each chunk started at. Words near a chunk's end are held
+ * back: the next chunk heard them with context on both sides. When it
+ * arrives, its opening words are aligned against the held-back tail
+ * (longest run of identical words) and the duplicate copy is dropped. With
+ * no usable match (silence, or the ASR disagrees) the overlap falls back to
+ * timing: the newer chunk wins from its start time on.
+ *
+ * Committed text is released sentence by sentence, so downstream fact
+ * checking never sees half a claim; a sentence still open after
+ * maxHoldSeconds is released anyway.
+ */
+
+import { formatSeconds } from './captions.js';
+
+// ─────────────────────────────────────────────────────────────
+// Types
+// ─────────────────────────────────────────────────────────────
+
+/** Whisper segment timing, relative to the chunk */
+export interface ChunkSegment {
+  start: number;
+  end: number;
+  text: string;
+}
+
+export interface StitchedWord {
+  text: string;
+  startSec: number;   // Video time
+  endSec: number;
+}
+
+export interface StitchedSegment {
+  startSec: number;
+  endSec: number;
+  text: string;
+}
+
+export interface StitchResult {
+  text: string;                   // Newly released sentences ('' when nothing completed yet)
+  segments: StitchedSegment[];    // Same text, one entry per sentence, with video times
+  transcript: string;             // Running "[MM:SS] sentence" lines released so far
+  duplicateWords: number;         // Overlap words dropped from this chunk
+  aligned: boolean;               // Overlap matched by words rather than timing
+}
+
+interface LiveSession {
+  committed: StitchedWord[];
+  pending: StitchedWord[];        // Tail of the last chunk, waiting for the next one
+  released: number;               // committed[0..released) already emitted
+  lines: string[];                // Released "[MM:SS] sentence" lines
+  lastChunkEndSec: number;
+  lastSeenAt: number;
+}
+
+interface LiveStitcherConfig {
+  overlapSeconds: number;         // Held-back tail; matches the extension's chunk overlap
+  maxHoldSeconds: number;         // Release an unfinished sentence after this long
+  minMatchWords: number;          // Shortest word run accepted as the overlap
+  seekToleranceSeconds: number;   // A chunk starting further than this from the last one is a seek
+  sessionTtlMs: number;           // Forget videos with no chunk for this long
+  maxLines: number;               // Running transcript kept in memory per video
+}
+
+const DEFAULT_CONFIG: LiveStitcherConfig = {
+  overlapSeconds: parseFloat(process.env.LIVE_CHUNK_OVERLAP_SEC || '4'),
+  maxHoldSeconds: 30,
+  minMatchWords: 2,
+  seekToleranceSeconds: 15,
+  sessionTtlMs: 10 * 60 * 1000,
+  maxLines: 2000
+};
+
+const SENTENCE_END = /[.?!…]["')\]]*$/;
+
+// ─────────────────────────────────────────────────────────────
+// Stitcher
+// ─────────────────────────────────────────────────────────────
+
+export class LiveStitcher {
+  private config: LiveStitcherConfig;
+  private sessions: Map<string, LiveSession> = new Map();
+
+  constructor(config: Partial<LiveStitcherConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Add one transcribed chunk that started at `chunkStartSec` of the video
+   */
+  add(videoId: string, segments: ChunkSegment[], chunkStartSec: number, chunkDurationSec?: number): StitchResult {
+    this.prune();
+
+    const session = this.session(videoId);
+    const words = toWords(segments, chunkStartSec);
+    const lastWordEndSec = words[words.length - 1]?.endSec ?? chunkStartSec;
+    const chunkEndSec = Math.max(chunkStartSec + (chunkDurationSec || 0), lastWordEndSec);
+
+    // Seeked (or a chunk went missing): nothing to align against
+    const continuous = session.lastChunkEndSec >= 0
+      && Math.abs(chunkStartSec - session.lastChunkEndSec) <= this.config.seekToleranceSeconds + this.config.overlapSeconds;
+
+    let fresh = words;
+    let duplicateWords = 0;
+    let aligned = false;
+
+    if (!continuous) {
+      session.committed.push(...session.pending);
+    } else {
+      const match = this.findOverlap(session.pending, words);
+      if (match) {
+        // Pending words before the match weren't heard by the new chunk; the rest were
+        session.committed.push(...session.pending.slice(0, match.pendingIndex));
+        fresh = words.slice(match.wordIndex);
+        duplicateWords = match.wordIndex + (session.pending.length - match.pendingIndex);
+        aligned = true;
+      } else {
+        // Timing fallback: the new chunk covers everything from its start
+        const before = session.pending.filter(w => w.startSec < chunkStartSec);
+        session.committed.push(...before);
+        duplicateWords = session.pending.length - before.length;
+        fresh = words.filter(w => w.startSec >= (before[before.length - 1]?.endSec ?? -Infinity) - 0.05);
+        duplicateWords += words.length - fresh.length;
+      }
+    }
+
+    // Hold back the new chunk's own tail for the next chunk to confirm
+    const holdFrom = chunkEndSec - this.config.overlapSeconds;
+    session.pending = fresh.filter(w => w.startSec >= holdFrom);
+    session.committed.push(...fresh.filter(w => w.startSec < holdFrom));
+    session.lastChunkEndSec = chunkEndSec;
+    session.lastSeenAt = Date.now();
+
+    const segmentsOut = this.release(session, false);
+    return this.result(session, segmentsOut, duplicateWords, aligned);
+  }
+
+  /**
+   * Release everything held back (capture stopped) and forget the video
+   */
+  end(videoId: string): StitchResult | null {
+    const session = this.sessions.get(videoId);
+    if (!session) return null;
+
+    session.committed.push(...session.pending);
+    session.pending = [];
+    const segments = this.release(session, true);
+    this.sessions.delete(videoId);
+    return this.result(session, segments, 0, false);
+  }
+
+  /**
+   * Running transcript released so far ("[MM:SS] sentence" lines)
+   */
+  getTranscript(videoId: string): string {
+    return this.sessions.get(videoId)?.lines.join('\n') || '';
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Private helpers
+  // ─────────────────────────────────────────────────────────────
+
+  private session(videoId: string): LiveSession {
+    let session = this.sessions.get(videoId);
+    if (!session) {
+      session = { committed: [], pending: [], released: 0, lines: [], lastChunkEndSec: -1, lastSeenAt: Date.now() };
+      this.sessions.set(videoId, session);
+    }
+    return session;
+  }
+
+  private prune(): void {
+    const cutoff = Date.now() - this.config.sessionTtlMs;
+    for (const [videoId, session] of this.sessions) {
+      if (session.lastSeenAt < cutoff) this.sessions.delete(videoId);
+    }
+  }
+
+  /**
+   * Longest run of identical words between the held-back tail and the new
+   * chunk's opening; ties go to the latest position in the tail
+   */
+  private findOverlap(
+    pending: StitchedWord[],
+    words: StitchedWord[]
+  ): { pendingIndex: number; wordIndex: number; length: number } | null {
+    if (pending.length === 0 || words.length === 0) return null;
+
+    const head = words.slice(0, pending.length + 10).map(w => normalize(w.text));
+    const tail = pending.map(w => normalize(w.text));
+    let best: { pendingIndex: number; wordIndex: number; length: number } | null = null;
+
+    for (let i = 0; i < tail.length; i++) {
+      for (let j = 0; j < head.length; j++) {
+        let length = 0;
+        while (i + length < tail.length && j + length < head.length && tail[i + length] && tail[i + length] === head[j + length]) {
+          length++;
+        }
+        if (length > 0 && (!best || length >= best.length)) {
+          best = { pendingIndex: i, wordIndex: j, length };
+        }
+      }
+    }
+
+    return best && best.length >= Math.min(this.config.minMatchWords, tail.length) ? best : null;
+  }
+
+  /**
+   * Emit committed words up to the last sentence end (or everything, when
+   * flushing or a sentence has been open too long)
+   */
+  private release(session: LiveSession, flush: boolean): StitchedSegment[] {
+    const open = session.committed.slice(session.released);
+    if (open.length === 0) return [];
+
+    let upTo = -1;
+    for (let i = open.length - 1; i >= 0; i--) {
+      if (SENTENCE_END.test(open[i]!.text)) {
+        upTo = i;
+        break;
+      }
+    }
+    const overdue = open[open.length - 1]!.endSec - open[0]!.startSec > this.config.maxHoldSeconds;
+    if (flush || (upTo < 0 && overdue)) upTo = open.length - 1;
+    if (upTo < 0) return [];
+
+    const words = open.slice(0, upTo + 1);
+    session.released += words.length;
+
+    // Drop released words so long sessions stay small
+    session.committed = session.committed.slice(session.released);
+    session.released = 0;
+
+    const segments = splitSentences(words);
+    session.lines.push(...segments.map(s => `[${formatSeconds(s.startSec)}] ${s.text}`));
+    if (session.lines.length > this.config.maxLines) {
+      session.lines.splice(0, session.lines.length - this.config.maxLines);
+    }
+    return segments;
+  }
+
+  private result(session: LiveSession, segments: StitchedSegment[], duplicateWords: number, aligned: boolean): StitchResult {
+    return {
+      text: segments.map(s => s.text).join(' '),
+      segments,
+      transcript: session.lines.join('\n'),
+      duplicateWords,
+      aligned
+    };
+  }
+}
+
+/**
+ * Whisper segments → words on the video clock; times inside a segment are
+ * spread by word length (Whisper only times segments)
+ */
+function toWords(segments: ChunkSegment[], offsetSec: number): StitchedWord[] {
+  const words: StitchedWord[] = [];
+  for (const segment of segments) {
+    const parts = segment.text.trim().split(/\s+/).filter(Boolean);
+    const chars = parts.reduce((sum, part) => sum + part.length + 1, 0);
+    const span = Math.max(0, segment.end - segment.start);
+    let cursor = segment.start;
+    for (const part of parts) {
+      const length = chars > 0 ? span * (part.length + 1) / chars : 0;
+      words.push({ text: part, startSec: round(offsetSec + cursor), endSec: round(offsetSec + cursor + length) });
+      cursor += length;
+    }
+  }
+  return words;
+}
+
+function splitSentences(words: StitchedWord[]): StitchedSegment[] {
+  const segments: StitchedSegment[] = [];
+  let current: StitchedWord[] = [];
+  const flush = () => {
+    if (current.length === 0) return;
+    segments.push({
+      startSec: current[0]!.startSec,
+      endSec: current[current.length - 1]!.endSec,
+      text: current.map(w => w.text).join(' ')
+    });
+    current = [];
+  };
+  for (const word of words) {
+    current.push(word);
+    if (SENTENCE_END.test(word.text)) flush();
+  }
+  flush();
+  return segments;
+}
+
+function normalize(word: string): string {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+export const liveStitcher = new LiveStitcher();
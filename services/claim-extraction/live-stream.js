@@ -0,0 +1,274 @@
+/**
+ * Live Streams
+ * Rolling extraction for YouTube live broadcasts, which have no finished
+ * file for Gemini or yt-dlp to ingest.
+ *
+ * Two audio sources:
+ *   hls - the server resolves the stream's HLS manifest (yt-dlp -g) and
+ *         decodes it with ffmpeg, cutting overlapping windows of
+ *         latencySeconds as they fill
+ *   tab - the extension records the tab (background.js) and posts chunks
+ *         to /api/live/chunk; the job here only tracks the session
+ *
+ * Either way the audio goes through the live path (Whisper → stitcher →
+ * LiveModeExtractor), handed over by the `onAudio` callback. Claims surface
+ * about latencySeconds (plus transcription and extraction time) behind the
+ * live edge. When the broadcast ends ffmpeg exits on its own; the remaining
+ * audio is flushed as a final window and job_complete is published.
+ *
+ *   LIVE_SOURCE=hls | tab   (hls falls back to tab when yt-dlp/ffmpeg can't open the stream)
+ *   LIVE_LATENCY_SEC=30
+ *   LIVE_MAX_HOURS=6
+ */
+import { spawn } from 'child_process';
+import { jobEvents } from './job-events.js';
+const DEFAULT_CONFIG = {
+    source: process.env.LIVE_SOURCE === 'tab' ? 'tab' : 'hls',
+    latencySeconds: Number(process.env.LIVE_LATENCY_SEC) || 30,
+    overlapSeconds: parseFloat(process.env.LIVE_CHUNK_OVERLAP_SEC || '4'),
+    maxDurationMs: (Number(process.env.LIVE_MAX_HOURS) || 6) * 60 * 60 * 1000
+};
+// ffmpeg output: 16 kHz mono 16-bit PCM (what Whisper resamples to anyway)
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+// Shorter tails aren't worth a transcription call
+const MIN_FINAL_SECONDS = 1;
+// ─────────────────────────────────────────────────────────────
+// Processor
+// ─────────────────────────────────────────────────────────────
+export class LiveStreamProcessor {
+    config;
+    jobs = new Map();
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+    /**
+     * Start following a live stream (a running job for the video is returned as is)
+     * @param baseTimeSec - The player's time when the viewer joined, so hls claims
+     *   line up with the video element's clock
+     */
+    async start(videoId, url, options = {}) {
+        const running = this.jobs.get(videoId);
+        if (running?.status.state === 'running')
+            return running.status;
+        const job = {
+            status: {
+                videoId,
+                url,
+                title: options.title || null,
+                source: options.source || this.config.source,
+                state: 'running',
+                latencySeconds: this.config.latencySeconds,
+                baseTimeSec: options.baseTimeSec || 0,
+                audioSeconds: 0,
+                windows: 0,
+                claims: 0,
+                startedAt: Date.now(),
+                endedAt: null
+            },
+            ffmpeg: null,
+            pcm: Buffer.alloc(0),
+            windowStartSec: 0,
+            queue: Promise.resolve(),
+            timer: null,
+            stopping: false
+        };
+        this.jobs.set(videoId, job);
+        if (job.status.source === 'hls') {
+            try {
+                const manifest = await resolveManifest(url);
+                this.startDecoding(job, manifest);
+            }
+            catch (error) {
+                console.warn(`⚠️ Can't pull ${url} over HLS, falling back to tab capture:`, error.message);
+                job.status.source = 'tab';
+            }
+        }
+        job.timer = setTimeout(() => {
+            console.log(`⏱️ Live stream ${videoId} reached the ${this.config.maxDurationMs / 3600000}h limit`);
+            this.stop(videoId);
+        }, this.config.maxDurationMs);
+        job.timer.unref?.();
+        console.log(`📡 Following live stream ${videoId} (${job.status.source}, ~${this.config.latencySeconds}s behind live)`);
+        return job.status;
+    }
+    /**
+     * Stop following a stream (viewer left, or the extension saw it end);
+     * hls audio already decoded is still flushed
+     */
+    stop(videoId) {
+        const job = this.jobs.get(videoId);
+        if (!job)
+            return null;
+        if (job.status.state !== 'running')
+            return job.status;
+        if (job.ffmpeg) {
+            // Its close handler flushes and finishes the job
+            job.stopping = true;
+            job.ffmpeg.kill('SIGTERM');
+        }
+        else {
+            this.finish(job, 'ended');
+        }
+        return job.status;
+    }
+    getStatus(videoId) {
+        return this.jobs.get(videoId)?.status || null;
+    }
+    /**
+     * Count claims produced from tab-captured chunks (hls windows count their own)
+     */
+    recordClaims(videoId, count) {
+        const job = this.jobs.get(videoId);
+        if (job && count > 0)
+            job.status.claims += count;
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Private helpers
+    // ─────────────────────────────────────────────────────────────
+    startDecoding(job, manifest) {
+        const ffmpeg = spawn('ffmpeg', [
+            '-hide_banner', '-loglevel', 'error',
+            '-i', manifest,
+            '-vn', '-ac', '1', '-ar', String(SAMPLE_RATE),
+            '-f', 's16le', 'pipe:1'
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+        job.ffmpeg = ffmpeg;
+        let stderr = '';
+        ffmpeg.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-2000); });
+        ffmpeg.stdout.on('data', (data) => {
+            job.pcm = Buffer.concat([job.pcm, data]);
+            this.cutWindows(job);
+        });
+        ffmpeg.on('close', (code) => {
+            job.ffmpeg = null;
+            // Broadcast over (playlist ended) or stopped by us: both end cleanly;
+            // exiting with an error before any audio means the stream never opened
+            const decodedNothing = job.windowStartSec === 0 && job.pcm.length === 0;
+            const failed = code !== 0 && !job.stopping && decodedNothing;
+            if (failed) {
+                job.status.error = `ffmpeg exited with code ${code}: ${stderr.trim().slice(-500)}`;
+                console.warn(`⚠️ Live stream ${job.status.videoId}: ${job.status.error}`);
+            }
+            this.flush(job).then(() => this.finish(job, failed ? 'error' : 'ended'));
+        });
+        ffmpeg.on('error', (error) => {
+            job.ffmpeg = null;
+            job.status.error = error.message.includes('ENOENT') ? 'ffmpeg is not installed' : error.message;
+            console.warn(`⚠️ Live stream ${job.status.videoId}: ${job.status.error}`);
+            this.finish(job, 'error');
+        });
+    }
+    /**
+     * Hand over every full window; the next window starts overlapSeconds
+     * before this one ends
+     */
+    cutWindows(job) {
+        const windowBytes = this.config.latencySeconds * BYTES_PER_SECOND;
+        const stepSeconds = Math.max(1, this.config.latencySeconds - this.config.overlapSeconds);
+        const stepBytes = stepSeconds * BYTES_PER_SECOND;
+        while (job.pcm.length >= windowBytes) {
+            this.enqueue(job, job.pcm.subarray(0, windowBytes), job.windowStartSec, false);
+            job.pcm = job.pcm.subarray(stepBytes);
+            job.windowStartSec += stepSeconds;
+        }
+    }
+    flush(job) {
+        const tail = job.pcm.length >= MIN_FINAL_SECONDS * BYTES_PER_SECOND ? job.pcm : null;
+        job.pcm = Buffer.alloc(0);
+        return this.enqueue(job, tail, job.windowStartSec, true);
+    }
+    enqueue(job, pcm, startSec, final) {
+        const onAudio = this.config.onAudio;
+        if (!onAudio)
+            return job.queue;
+        const audio = pcm ? toWav(pcm) : null;
+        const seconds = pcm ? pcm.length / BYTES_PER_SECOND : 0;
+        job.queue = job.queue
+            .then(async () => {
+            const claims = await onAudio(job.status.videoId, audio, job.status.baseTimeSec + startSec, final);
+            job.status.windows++;
+            job.status.audioSeconds = Math.round(startSec + seconds);
+            job.status.claims += claims;
+        })
+            .catch((error) => {
+            console.warn(`⚠️ Live window at ${Math.round(startSec)}s of ${job.status.videoId} failed:`, error.message);
+        });
+        return job.queue;
+    }
+    finish(job, state) {
+        if (job.status.state !== 'running')
+            return;
+        if (job.timer)
+            clearTimeout(job.timer);
+        job.status.state = state;
+        job.status.endedAt = Date.now();
+        const minutes = ((job.status.endedAt - job.status.startedAt) / 60000).toFixed(1);
+        console.log(`🏁 Live stream ${job.status.videoId} ${state} after ${minutes} min: ${job.status.claims} claims`);
+        if (state === 'error') {
+            jobEvents.publish(job.status.videoId, 'job_error', {
+                status: 'error',
+                track: 'live',
+                message: job.status.error || 'Live stream failed'
+            });
+        }
+        else {
+            jobEvents.publish(job.status.videoId, 'job_complete', {
+                status: 'complete',
+                live: true,
+                claims_count: job.status.claims,
+                ended_at: job.status.endedAt
+            });
+        }
+    }
+}
+/**
+ * HLS manifest of a live broadcast (yt-dlp -g); throws when the video isn't
+ * live or yt-dlp isn't installed
+ */
+function resolveManifest(url) {
+    return new Promise((resolve, reject) => {
+        const ytdlp = spawn('yt-dlp', ['-g', '-f', 'bestaudio/worst', '--no-warnings', url], {
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let stdout = '';
+        let stderr = '';
+        ytdlp.stdout.on('data', (data) => { stdout += data.toString(); });
+        ytdlp.stderr.on('data', (data) => { stderr += data.toString(); });
+        ytdlp.on('close', (code) => {
+            const manifest = stdout.split('\n').map(line => line.trim()).find(Boolean);
+            if (code !== 0 || !manifest) {
+                reject(new Error(`yt-dlp failed with code ${code}: ${stderr.trim().slice(-500)}`));
+            }
+            else if (!/\.m3u8|manifest/.test(manifest)) {
+                reject(new Error('Not a live stream (no HLS manifest)'));
+            }
+            else {
+                resolve(manifest);
+            }
+        });
+        ytdlp.on('error', (error) => {
+            reject(error.message.includes('ENOENT') ? new Error('yt-dlp is not installed') : error);
+        });
+    });
+}
+/**
+ * 16-bit mono PCM → WAV file
+ */
+function toWav(pcm) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16); // PCM chunk size
+    header.writeUInt16LE(1, 20); // PCM format
+    header.writeUInt16LE(1, 22); // Mono
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(BYTES_PER_SECOND, 28);
+    header.writeUInt16LE(2, 32); // Block align
+    header.writeUInt16LE(16, 34); // Bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
@@ -0,0 +1,25 @@
+/**
+ * Local SQLite Database
+ * Fallback persistence used when Supabase is not configured
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+
+let db: Database.Database | null = null;
+
+/**
+ * Open the local database (once per process)
+ * Defaults to ./data/lumos.db, override with LUMOS_DB_PATH
+ */
+export function getLocalDb(): Database.Database {
+  if (!db) {
+    const dbPath = process.env.LUMOS_DB_PATH || path.join(process.cwd(), 'data', 'lumos.db');
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    console.log(`🗃️  Local database opened: ${dbPath}`);
+  }
+  return db;
+}
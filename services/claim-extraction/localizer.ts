@@ -0,0 +1,158 @@
+/**
+ * Localizer
+ * Translates what Lumos writes about a claim (finding summary, verification
+ * explanation, evidence summary) into the reader's language when a claim is
+ * read. These are generated in English whatever the video's language, since
+ * they are matched against English abstracts; the quoted segment is never
+ * translated and stays in the language it was said in.
+ *
+ * Each text is translated once per language (translation task, gpt-4o-mini
+ * by default) and cached in the http cache (source "translation").
+ *
+ *   LUMOS_LOCALIZE=off   serve everything in English
+ */
+
+import { llm, promptRegistry } from '../llm/index.js';
+import { httpCache } from './http-cache.js';
+
+interface LocalizerConfig {
+  enabled: boolean;
+  maxBatch: number;   // Texts per translation call
+}
+
+const DEFAULT_CONFIG: LocalizerConfig = {
+  enabled: process.env.LUMOS_LOCALIZE !== 'off',
+  maxBatch: 40
+};
+
+// Stored claim text is written in this language
+const SOURCE_LANGUAGE = 'en';
+
+// Claim payload fields (API responses, SSE events) that are generated text
+const LOCALIZED_FIELDS = ['finding', 'verification_explanation', 'explanation', 'evidence_summary'];
+
+export class Localizer {
+  private config: LocalizerConfig;
+
+  constructor(config: Partial<LocalizerConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Reader language from ?lang= or an Accept-Language header ("pl-PL,pl;q=0.9,en");
+   * null when it's English, missing or not a language code
+   */
+  targetLanguage(requested?: string | null, acceptLanguage?: string | null): string | null {
+    if (!this.config.enabled) return null;
+
+    const preferred = requested || acceptLanguage?.split(',')[0]?.split(';')[0] || '';
+    const code = preferred.trim().toLowerCase().split(/[-_]/)[0] || '';
+    if (!/^[a-z]{2,3}$/.test(code) || code === SOURCE_LANGUAGE) return null;
+    return code;
+  }
+
+  /**
+   * Copy of a claim payload (or an event carrying `claim` / `claims`) with
+   * its generated text in `language`; the original on any failure
+   */
+  async localizePayload<T extends Record<string, any>>(payload: T, language: string | null): Promise<T> {
+    const [localized] = await this.localizeClaims([payload], language);
+    return localized!;
+  }
+
+  async localizeClaims<T extends Record<string, any>>(claims: T[], language: string | null): Promise<T[]> {
+    if (!language || claims.length === 0) return claims;
+
+    const objects = claims.flatMap(claim => [
+      claim,
+      ...(claim.claim && typeof claim.claim === 'object' ? [claim.claim] : []),
+      ...(Array.isArray(claim.claims) ? claim.claims : [])
+    ]);
+    const texts = [...new Set(objects.flatMap(object =>
+      LOCALIZED_FIELDS.map(field => object[field]).filter((v): v is string => typeof v === 'string' && v.trim() !== '')
+    ))];
+    if (texts.length === 0) return claims;
+
+    let translated: Map<string, string>;
+    try {
+      translated = await this.translate(texts, language);
+    } catch (error: any) {
+      console.warn(`⚠️ Localizing ${texts.length} texts into ${language} failed, serving English:`, error.message);
+      return claims;
+    }
+
+    const localize = (object: Record<string, any>) => {
+      const copy = { ...object };
+      for (const field of LOCALIZED_FIELDS) {
+        if (typeof copy[field] === 'string') copy[field] = translated.get(copy[field]) ?? copy[field];
+      }
+      return copy;
+    };
+
+    return claims.map(claim => {
+      const copy: Record<string, any> = localize(claim);
+      if (claim.claim && typeof claim.claim === 'object') copy.claim = localize(claim.claim);
+      if (Array.isArray(claim.claims)) copy.claims = claim.claims.map(localize);
+      return copy as T;
+    });
+  }
+
+  /**
+   * Text → translation for every text (cached ones without an LLM call)
+   */
+  async translate(texts: string[], language: string): Promise<Map<string, string>> {
+    const results = await httpCache.rememberMany<{ language: string; text: string }, string>(
+      'translation',
+      texts.map(text => ({ language, text })),
+      async missing => {
+        const out: Array<string | null> = [];
+        for (let i = 0; i < missing.length; i += this.config.maxBatch) {
+          out.push(...await this.callTranslation(missing.slice(i, i + this.config.maxBatch).map(m => m.text), language));
+        }
+        return out;
+      }
+    );
+
+    return new Map(texts.map((text, i) => [text, results[i] ?? text]));
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Private helpers
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * One translation call; entries the model drops or mangles come back null
+   * (served in English, retried next time)
+   */
+  private async callTranslation(texts: string[], language: string): Promise<Array<string | null>> {
+    const template = promptRegistry.get('translation');
+    const response = await llm.complete('translation', {
+      messages: [
+        { role: 'system', content: template.text },
+        {
+          role: 'user',
+          content: `Target language: ${languageDisplayName(language)} (${language})\n\nTexts:\n${JSON.stringify(texts, null, 2)}`
+        }
+      ],
+      json: true,
+      temperature: 0
+    });
+
+    const translations = response.json?.translations;
+    if (!Array.isArray(translations) || translations.length !== texts.length) {
+      console.warn(`⚠️ Translation into ${language} returned ${translations?.length ?? 'no'} texts for ${texts.length}`);
+      return texts.map(() => null);
+    }
+    return translations.map(t => (typeof t === 'string' && t.trim() ? t.trim() : null));
+  }
+}
+
+function languageDisplayName(code: string): string {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+export const localizer = new Localizer();
@@ -2,6 +2,12 @@
  * Match Scorer
  * Scores how well a found paper matches the original claim
  */
+import { isStopWord, tokenize } from './language.js';
+// Words every study claim and abstract share
+const STUDY_WORDS = new Set([
+    'found', 'study', 'studies', 'research', 'showed', 'shows', 'show',
+    'badanie', 'badania', 'badań', 'wykazało', 'wykazały', 'pokazało', 'pokazały'
+]);
 export class MatchScorer {
     /**
      * Score a paper against a claim
@@ -123,22 +129,10 @@ export class MatchScorer {
         return 'none';
     }
     extractKeywords(text) {
-        // Common stop words to filter out
-        const stopWords = new Set([
-            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-            'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
-            'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-            'should', 'may', 'might', 'must', 'shall', 'can', 'need', 'that', 'this',
-            'these', 'those', 'it', 'its', 'they', 'their', 'them', 'we', 'our', 'you',
-            'your', 'he', 'she', 'his', 'her', 'more', 'most', 'other', 'some', 'such',
-            'than', 'too', 'very', 'just', 'only', 'also', 'into', 'over', 'after',
-            'before', 'between', 'under', 'above', 'up', 'down', 'out', 'off', 'about',
-            'found', 'study', 'studies', 'research', 'showed', 'shows', 'show'
-        ]);
-        return text.toLowerCase()
-            .replace(/[^a-z0-9\s]/g, '')
-            .split(/\s+/)
-            .filter(w => w.length > 3 && !stopWords.has(w));
+        // Claim text can mix languages (Polish quote, English summary), so drop
+        // stop words of every supported language plus study boilerplate
+        return tokenize(text)
+            .filter(w => w.length > 3 && !isStopWord(w) && !STUDY_WORDS.has(w));
     }
 }
 export const matchScorer = new MatchScorer();
@@ -1,16 +1,25 @@
 /**
  * Hybrid Paper Finder
  * 1. OpenAlex (free, has abstracts, no rate limits)
- * 2. Google Custom Search + page scraping fallback
+ * 2. Semantic Scholar Graph API + PubMed E-utilities (toggled by VerificationConfig)
+ * 3. Google Custom Search + page scraping fallback
  */
 import { matchScorer } from './match-scorer.js';
+import { httpCache } from './http-cache.js';
+import { rateLimiter } from './rate-limiter.js';
 const OPENALEX_API = 'https://api.openalex.org';
+const SEMANTIC_SCHOLAR_API = 'https://api.semanticscholar.org/graph/v1';
+const PUBMED_API = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
 export class PaperFinder {
     googleApiKey;
     googleSearchEngineId;
+    semanticScholarApiKey;
+    ncbiApiKey;
     constructor() {
         this.googleApiKey = process.env.GOOGLE_SEARCH_API_KEY || '';
         this.googleSearchEngineId = process.env.GOOGLE_SEARCH_ENGINE_ID || '';
+        this.semanticScholarApiKey = process.env.SEMANTIC_SCHOLAR_API_KEY || '';
+        this.ncbiApiKey = process.env.NCBI_API_KEY || '';
     }
     /**
      * Find the best matching paper for a claim
@@ -65,6 +74,55 @@ export class PaperFinder {
         console.log(`   ❌ No matching paper found`);
         return { source: null, paper: null, attempts };
     }
+    /**
+     * Gather the top K papers across all query strategies and sources (for evidence synthesis)
+     * Results are merged by DOI/PMID before ranking; Google is only consulted
+     * while the free sources haven't produced K relevant papers
+     */
+    async findTopK(claim, options) {
+        const k = options.max_papers;
+        const queries = this.buildSearchQueries(claim);
+        const attempts = [];
+        const pool = new PaperPool();
+        const authorName = claim.extraction.author_normalized;
+        console.log(`   📝 Gathering top ${k} papers from ${queries.length} query strategies...`);
+        const record = (query, source, results) => {
+            attempts.push({
+                query,
+                source,
+                results_count: results.length,
+                top_result: results[0] || null
+            });
+            pool.addAll(results);
+        };
+        const relevantCount = () => matchScorer
+            .rankPapers(pool.papers(), claim)
+            .filter(p => p.match_score.total_score >= options.min_match_score).length;
+        for (const query of queries) {
+            console.log(`   🔍 OpenAlex: "${query.slice(0, 50)}..."`);
+            record(query, 'openalex', await this.searchOpenAlex(query, authorName));
+            if (options.use_semantic_scholar) {
+                console.log(`   🔍 Semantic Scholar: "${query.slice(0, 40)}..."`);
+                record(query, 'semantic_scholar', await this.searchSemanticScholar(query));
+            }
+            if (options.use_pubmed) {
+                console.log(`   🔍 PubMed: "${query.slice(0, 40)}..."`);
+                record(query, 'pubmed', await this.searchPubMed(query));
+            }
+        }
+        if (options.use_google && relevantCount() < k && this.googleApiKey && this.googleSearchEngineId) {
+            for (const query of queries) {
+                console.log(`   🔍 Google: "${query.slice(0, 40)}..."`);
+                const googleResults = await this.searchGoogle(query);
+                record(query, 'google', googleResults.length > 0 ? await this.enrichWithScraping(googleResults) : []);
+                if (relevantCount() >= k)
+                    break;
+            }
+        }
+        const papers = matchScorer.rankPapers(pool.papers(), claim).slice(0, k);
+        console.log(`   📚 ${pool.size} unique papers found, keeping top ${papers.length}`);
+        return { papers, attempts };
+    }
     // ─────────────────────────────────────────────────────────────
     // OpenAlex Search
     // ─────────────────────────────────────────────────────────────
@@ -74,7 +132,7 @@ export class PaperFinder {
             let searchUrl = `${OPENALEX_API}/works?search=${encodeURIComponent(query)}&per_page=5`;
             // Request polite pool (no rate limits with email)
             searchUrl += '&mailto=lumos@example.com';
-            const response = await fetch(searchUrl, {
+            const response = await httpCache.fetch('openalex', searchUrl, {
                 headers: { 'Accept': 'application/json' }
             });
             if (!response.ok) {
@@ -85,28 +143,37 @@ export class PaperFinder {
             if (!data.results || data.results.length === 0) {
                 return [];
             }
-            return data.results.map((work) => ({
-                paper_id: `oa_${work.id?.replace('https://openalex.org/', '')}`,
-                title: work.title || 'Untitled',
-                authors: (work.authorships || [])
-                    .map((a) => a.author?.display_name)
-                    .filter(Boolean),
-                year: work.publication_year,
-                venue: work.primary_location?.source?.display_name || null,
-                abstract: this.reconstructAbstract(work.abstract_inverted_index),
-                url: work.doi ? `https://doi.org/${work.doi.replace('https://doi.org/', '')}` :
-                    work.primary_location?.landing_page_url ||
-                        `https://openalex.org/${work.id}`,
-                doi: work.doi?.replace('https://doi.org/', '') || null,
-                citation_count: work.cited_by_count,
-                source: 'openalex'
-            }));
+            return data.results.map((work) => this.parseOpenAlexWork(work));
         }
         catch (error) {
             console.error('   ❌ OpenAlex search failed:', error);
             return [];
         }
     }
+    /**
+     * Map an OpenAlex work object to a PaperResult (also used by the citation graph)
+     */
+    parseOpenAlexWork(work) {
+        return {
+            paper_id: `oa_${work.id?.replace('https://openalex.org/', '')}`,
+            title: work.title || 'Untitled',
+            authors: (work.authorships || [])
+                .map((a) => a.author?.display_name)
+                .filter(Boolean),
+            year: work.publication_year,
+            venue: work.primary_location?.source?.display_name || null,
+            abstract: this.reconstructAbstract(work.abstract_inverted_index),
+            url: work.doi ? `https://doi.org/${work.doi.replace('https://doi.org/', '')}` :
+                work.primary_location?.landing_page_url ||
+                    `https://openalex.org/${work.id}`,
+            doi: work.doi?.replace('https://doi.org/', '') || null,
+            pmid: work.ids?.pmid?.replace('https://pubmed.ncbi.nlm.nih.gov/', '') || null,
+            pmcid: this.normalizePmcid(work.ids?.pmcid),
+            oa_pdf_url: work.best_oa_location?.pdf_url || null,
+            citation_count: work.cited_by_count,
+            source: 'openalex'
+        };
+    }
     /**
      * Reconstruct abstract from OpenAlex inverted index format
      */
@@ -123,6 +190,146 @@ export class PaperFinder {
         return words.map(w => w[0]).join(' ');
     }
     // ─────────────────────────────────────────────────────────────
+    // Semantic Scholar Search
+    // ─────────────────────────────────────────────────────────────
+    async searchSemanticScholar(query) {
+        try {
+            const params = new URLSearchParams({
+                query,
+                limit: '5',
+                fields: 'paperId,title,authors,year,venue,abstract,url,externalIds,citationCount,openAccessPdf'
+            });
+            const headers = { 'Accept': 'application/json' };
+            if (this.semanticScholarApiKey)
+                headers['x-api-key'] = this.semanticScholarApiKey;
+            const response = await httpCache.fetch('semantic_scholar', `${SEMANTIC_SCHOLAR_API}/paper/search?${params}`, { headers });
+            if (!response.ok) {
+                // The keyless pool is shared and 429s often; other sources still cover the query
+                console.log(`   ⚠️ Semantic Scholar returned ${response.status}`);
+                return [];
+            }
+            const data = await response.json();
+            return (data.data || []).map((paper) => ({
+                paper_id: `ss_${paper.paperId}`,
+                title: paper.title || 'Untitled',
+                authors: (paper.authors || []).map((a) => a.name).filter(Boolean),
+                year: paper.year || null,
+                venue: paper.venue || null,
+                abstract: paper.abstract || null,
+                url: paper.externalIds?.DOI ? `https://doi.org/${paper.externalIds.DOI}` :
+                    paper.url || `https://www.semanticscholar.org/paper/${paper.paperId}`,
+                doi: paper.externalIds?.DOI || null,
+                pmid: paper.externalIds?.PubMed || null,
+                pmcid: this.normalizePmcid(paper.externalIds?.PubMedCentral),
+                oa_pdf_url: paper.openAccessPdf?.url || null,
+                citation_count: paper.citationCount ?? null,
+                source: 'semantic_scholar'
+            }));
+        }
+        catch (error) {
+            console.error('   ❌ Semantic Scholar search failed:', error);
+            return [];
+        }
+    }
+    // ─────────────────────────────────────────────────────────────
+    // PubMed Search (esearch → esummary, abstracts via efetch)
+    // ─────────────────────────────────────────────────────────────
+    async searchPubMed(query) {
+        try {
+            const searchResponse = await httpCache.fetch('pubmed', this.eutilsUrl('esearch', { term: query, retmax: '5', retmode: 'json' }));
+            if (!searchResponse.ok) {
+                console.log(`   ⚠️ PubMed esearch returned ${searchResponse.status}`);
+                return [];
+            }
+            const searchData = await searchResponse.json();
+            const ids = searchData.esearchresult?.idlist || [];
+            if (ids.length === 0)
+                return [];
+            const summaryResponse = await httpCache.fetch('pubmed', this.eutilsUrl('esummary', { id: ids.join(','), retmode: 'json' }));
+            if (!summaryResponse.ok) {
+                console.log(`   ⚠️ PubMed esummary returned ${summaryResponse.status}`);
+                return [];
+            }
+            const summaryData = await summaryResponse.json();
+            // esummary has no abstracts; one batched efetch fills them in
+            const abstracts = await this.fetchPubMedAbstracts(ids);
+            const results = [];
+            for (const id of ids) {
+                const article = summaryData.result?.[id];
+                if (!article || article.error)
+                    continue;
+                const articleIds = article.articleids || [];
+                const doi = articleIds.find(a => a.idtype === 'doi')?.value || null;
+                const pmcid = articleIds.find(a => a.idtype === 'pmc')?.value || null;
+                results.push({
+                    paper_id: `pm_${id}`,
+                    title: (article.title || 'Untitled').replace(/\.$/, ''),
+                    authors: (article.authors || []).map((a) => a.name).filter(Boolean),
+                    year: this.extractYearFromText(article.pubdate || ''),
+                    venue: article.fulljournalname || article.source || null,
+                    abstract: abstracts.get(id) || null,
+                    url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
+                    doi,
+                    pmid: id,
+                    pmcid: this.normalizePmcid(pmcid),
+                    citation_count: null,
+                    source: 'pubmed'
+                });
+            }
+            return results;
+        }
+        catch (error) {
+            console.error('   ❌ PubMed search failed:', error);
+            return [];
+        }
+    }
+    /**
+     * Abstracts for several PMIDs in one efetch call (PMID → abstract)
+     */
+    async fetchPubMedAbstracts(ids) {
+        const abstracts = new Map();
+        try {
+            const response = await httpCache.fetch('pubmed', this.eutilsUrl('efetch', { id: ids.join(','), rettype: 'abstract', retmode: 'xml' }));
+            if (!response.ok)
+                return abstracts;
+            const xml = await response.text();
+            const articles = xml.split(/<PubmedArticle>/).slice(1);
+            for (const article of articles) {
+                const pmid = article.match(/<PMID[^>]*>(\d+)<\/PMID>/)?.[1];
+                if (!pmid)
+                    continue;
+                // Structured abstracts come as several labelled sections
+                const sections = [...article.matchAll(/<AbstractText([^>]*)>([\s\S]*?)<\/AbstractText>/g)]
+                    .map(m => {
+                    const label = m[1]?.match(/Label="([^"]+)"/)?.[1];
+                    const text = this.decodeXml((m[2] || '').replace(/<[^>]+>/g, '')).trim();
+                    return label ? `${label}: ${text}` : text;
+                })
+                    .filter(Boolean);
+                if (sections.length > 0)
+                    abstracts.set(pmid, sections.join(' '));
+            }
+        }
+        catch (error) {
+            console.warn('   ⚠️ PubMed efetch failed:', error.message);
+        }
+        return abstracts;
+    }
+    eutilsUrl(endpoint, params) {
+        const query = new URLSearchParams({ db: 'pubmed', tool: 'lumos', ...params });
+        if (this.ncbiApiKey)
+            query.set('api_key', this.ncbiApiKey);
+        return `${PUBMED_API}/${endpoint}.fcgi?${query}`;
+    }
+    decodeXml(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+    // ─────────────────────────────────────────────────────────────
     // Google Custom Search
     // ─────────────────────────────────────────────────────────────
     async searchGoogle(query) {
@@ -136,7 +343,7 @@ export class PaperFinder {
                 q: fullQuery,
                 num: '5'
             });
-            const response = await fetch(`https://www.googleapis.com/customsearch/v1?${params}`);
+            const response = await httpCache.fetch('google', `https://www.googleapis.com/customsearch/v1?${params}`);
             if (!response.ok) {
                 console.log(`   ⚠️ Google returned ${response.status}`);
                 return [];
@@ -167,7 +374,7 @@ export class PaperFinder {
         const enriched = [];
         for (const result of results.slice(0, 3)) {
             try {
-                const scraped = await this.scrapePage(result.url);
+                const scraped = await httpCache.remember('scrape', result.url, () => this.scrapePage(result.url));
                 if (scraped) {
                     enriched.push({ ...result, ...scraped });
                 }
@@ -196,7 +403,7 @@ export class PaperFinder {
     }
     async scrapeGeneric(url) {
         try {
-            const response = await fetch(url, {
+            const response = await rateLimiter.fetch('scrape', url, {
                 headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LumosBot/1.0)' }
             });
             if (!response.ok)
@@ -233,7 +440,7 @@ export class PaperFinder {
                 return null;
             const pmid = pmidMatch[1];
             // Fetch abstract via efetch API
-            const response = await fetch(`https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi?db=pubmed&id=${pmid}&rettype=abstract&retmode=text`);
+            const response = await rateLimiter.fetch('pubmed', `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi?db=pubmed&id=${pmid}&rettype=abstract&retmode=text`);
             if (!response.ok)
                 return null;
             const text = await response.text();
@@ -257,7 +464,7 @@ export class PaperFinder {
                 return null;
             const pmcid = pmcMatch[1];
             // Try to get abstract via PMC API
-            const response = await fetch(`https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi?db=pmc&id=${pmcid}&rettype=abstract`);
+            const response = await rateLimiter.fetch('pubmed', `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi?db=pmc&id=${pmcid}&rettype=abstract`);
             if (!response.ok)
                 return null;
             const text = await response.text();
@@ -375,6 +582,13 @@ export class PaperFinder {
         }
         return unique.slice(0, 8).join(' ');
     }
+    /**
+     * "PMC123", "123" or a PMC article URL → "PMC123"
+     */
+    normalizePmcid(value) {
+        const digits = value ? String(value).match(/(\d+)\/?$/)?.[1] : null;
+        return digits ? `PMC${digits}` : null;
+    }
     extractYearFromText(text) {
         const match = text.match(/\b(19|20)\d{2}\b/);
         return match ? parseInt(match[0]) : null;
@@ -393,4 +607,69 @@ export class PaperFinder {
             .slice(0, 10);
     }
 }
+// ─────────────────────────────────────────────────────────────
+// Cross-source deduplication
+// ─────────────────────────────────────────────────────────────
+/**
+ * Papers keyed by DOI, PMID and normalized title; the same study found by
+ * several sources is merged into one entry, filling in missing fields
+ */
+class PaperPool {
+    entries = [];
+    index = new Map();
+    get size() {
+        return this.entries.length;
+    }
+    papers() {
+        return [...this.entries];
+    }
+    addAll(results) {
+        for (const paper of results)
+            this.add(paper);
+    }
+    add(paper) {
+        const keys = this.keysFor(paper);
+        const existing = keys.map(k => this.index.get(k)).find(Boolean);
+        if (!existing) {
+            const entry = { ...paper };
+            this.entries.push(entry);
+            for (const key of keys)
+                this.index.set(key, entry);
+            return;
+        }
+        // Prefer whichever copy has the data
+        if (!existing.abstract && paper.abstract)
+            existing.abstract = paper.abstract;
+        if (!existing.doi && paper.doi)
+            existing.doi = paper.doi;
+        if (!existing.pmid && paper.pmid)
+            existing.pmid = paper.pmid;
+        if (!existing.pmcid && paper.pmcid)
+            existing.pmcid = paper.pmcid;
+        if (!existing.oa_pdf_url && paper.oa_pdf_url)
+            existing.oa_pdf_url = paper.oa_pdf_url;
+        if (existing.authors.length === 0)
+            existing.authors = paper.authors;
+        if (!existing.year)
+            existing.year = paper.year;
+        if (!existing.venue)
+            existing.venue = paper.venue;
+        if (paper.citation_count !== null && (existing.citation_count === null || paper.citation_count > existing.citation_count)) {
+            existing.citation_count = paper.citation_count;
+        }
+        for (const key of this.keysFor(existing))
+            this.index.set(key, existing);
+    }
+    keysFor(paper) {
+        const keys = [];
+        if (paper.doi)
+            keys.push(`doi:${paper.doi.toLowerCase()}`);
+        if (paper.pmid)
+            keys.push(`pmid:${paper.pmid}`);
+        const title = paper.title.toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (title.length > 20)
+            keys.push(`title:${title}`);
+        return keys.length > 0 ? keys : [`id:${paper.paper_id}`];
+    }
+}
 export const paperFinder = new PaperFinder();
@@ -1,14 +1,19 @@
 /**
  * Hybrid Paper Finder
  * 1. OpenAlex (free, has abstracts, no rate limits)
- * 2. Google Custom Search + page scraping fallback
+ * 2. Semantic Scholar Graph API + PubMed E-utilities (toggled by VerificationConfig)
+ * 3. Google Custom Search + page scraping fallback
  */
 
 import type { SynthesizedClaim } from './types.js';
-import type { PaperResult, SearchAttempt } from './verification-types.js';
+import type { PaperResult, ScoredPaper, SearchAttempt, VerificationConfig } from './verification-types.js';
 import { matchScorer } from './match-scorer.js';
+import { httpCache } from './http-cache.js';
+import { rateLimiter } from './rate-limiter.js';
 
 const OPENALEX_API = 'https://api.openalex.org';
+const SEMANTIC_SCHOLAR_API = 'https://api.semanticscholar.org/graph/v1';
+const PUBMED_API = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
 
 interface PaperSearchResult {
   source: 'openalex' | 'google' | null;
@@ -16,13 +21,27 @@ interface PaperSearchResult {
   attempts: SearchAttempt[];
 }
 
+type TopKOptions = Pick<
+  VerificationConfig,
+  'max_papers' | 'min_match_score' | 'use_semantic_scholar' | 'use_pubmed' | 'use_google'
+>;
+
+interface PaperCandidatesResult {
+  papers: ScoredPaper[];        // Best first
+  attempts: SearchAttempt[];
+}
+
 export class PaperFinder {
   private googleApiKey: string;
   private googleSearchEngineId: string;
+  private semanticScholarApiKey: string;
+  private ncbiApiKey: string;
   
   constructor() {
     this.googleApiKey = process.env.GOOGLE_SEARCH_API_KEY || '';
     this.googleSearchEngineId = process.env.GOOGLE_SEARCH_ENGINE_ID || '';
+    this.semanticScholarApiKey = process.env.SEMANTIC_SCHOLAR_API_KEY || '';
+    this.ncbiApiKey = process.env.NCBI_API_KEY || '';
   }
   
   /**
@@ -88,6 +107,63 @@ export class PaperFinder {
     console.log(`   ❌ No matching paper found`);
     return { source: null, paper: null, attempts };
   }
+
+  /**
+   * Gather the top K papers across all query strategies and sources (for evidence synthesis)
+   * Results are merged by DOI/PMID before ranking; Google is only consulted
+   * while the free sources haven't produced K relevant papers
+   */
+  async findTopK(claim: SynthesizedClaim, options: TopKOptions): Promise<PaperCandidatesResult> {
+    const k = options.max_papers;
+    const queries = this.buildSearchQueries(claim);
+    const attempts: SearchAttempt[] = [];
+    const pool = new PaperPool();
+    const authorName = claim.extraction.author_normalized;
+    console.log(`   📝 Gathering top ${k} papers from ${queries.length} query strategies...`);
+
+    const record = (query: string, source: string, results: PaperResult[]) => {
+      attempts.push({
+        query,
+        source,
+        results_count: results.length,
+        top_result: results[0] || null
+      });
+      pool.addAll(results);
+    };
+
+    const relevantCount = () => matchScorer
+      .rankPapers(pool.papers(), claim)
+      .filter(p => p.match_score.total_score >= options.min_match_score).length;
+
+    for (const query of queries) {
+      console.log(`   🔍 OpenAlex: "${query.slice(0, 50)}..."`);
+      record(query, 'openalex', await this.searchOpenAlex(query, authorName));
+
+      if (options.use_semantic_scholar) {
+        console.log(`   🔍 Semantic Scholar: "${query.slice(0, 40)}..."`);
+        record(query, 'semantic_scholar', await this.searchSemanticScholar(query));
+      }
+
+      if (options.use_pubmed) {
+        console.log(`   🔍 PubMed: "${query.slice(0, 40)}..."`);
+        record(query, 'pubmed', await this.searchPubMed(query));
+      }
+    }
+
+    if (options.use_google && relevantCount() < k && this.googleApiKey && this.googleSearchEngineId) {
+      for (const query of queries) {
+        console.log(`   🔍 Google: "${query.slice(0, 40)}..."`);
+        const googleResults = await this.searchGoogle(query);
+        record(query, 'google', googleResults.length > 0 ? await this.enrichWithScraping(googleResults) : []);
+
+        if (relevantCount() >= k) break;
+      }
+    }
+
+    const papers = matchScorer.rankPapers(pool.papers(), claim).slice(0, k);
+    console.log(`   📚 ${pool.size} unique papers found, keeping top ${papers.length}`);
+    return { papers, attempts };
+  }
   
   // ─────────────────────────────────────────────────────────────
   // OpenAlex Search
@@ -101,7 +177,7 @@ export class PaperFinder {
       // Request polite pool (no rate limits with email)
       searchUrl += '&mailto=lumos@example.com';
       
-      const response = await fetch(searchUrl, {
+      const response = await httpCache.fetch('openalex', searchUrl, {
         headers: { 'Accept': 'application/json' }
       });
       
@@ -116,22 +192,7 @@ export class PaperFinder {
         return [];
       }
       
-      return data.results.map((work: any) => ({
-        paper_id: `oa_${work.id?.replace('https://openalex.org/', '')}`,
-        title: work.title || 'Untitled',
-        authors: (work.authorships || [])
-          .map((a: any) => a.author?.display_name)
-          .filter(Boolean),
-        year: work.publication_year,
-        venue: work.primary_location?.source?.display_name || null,
-        abstract: this.reconstructAbstract(work.abstract_inverted_index),
-        url: work.doi ? `https://doi.org/${work.doi.replace('https://doi.org/', '')}` : 
-             work.primary_location?.landing_page_url || 
-             `https://openalex.org/${work.id}`,
-        doi: work.doi?.replace('https://doi.org/', '') || null,
-        citation_count: work.cited_by_count,
-        source: 'openalex' as const
-      }));
+      return data.results.map((work: any) => this.parseOpenAlexWork(work));
       
     } catch (error) {
       console.error('   ❌ OpenAlex search failed:', error);
@@ -139,6 +200,31 @@ export class PaperFinder {
     }
   }
   
+  /**
+   * Map an OpenAlex work object to a PaperResult (also used by the citation graph)
+   */
+  parseOpenAlexWork(work: any): PaperResult {
+    return {
+      paper_id: `oa_${work.id?.replace('https://openalex.org/', '')}`,
+      title: work.title || 'Untitled',
+      authors: (work.authorships || [])
+        .map((a: any) => a.author?.display_name)
+        .filter(Boolean),
+      year: work.publication_year,
+      venue: work.primary_location?.source?.display_name || null,
+      abstract: this.reconstructAbstract(work.abstract_inverted_index),
+      url: work.doi ? `https://doi.org/${work.doi.replace('https://doi.org/', '')}` : 
+           work.primary_location?.landing_page_url || 
+           `https://openalex.org/${work.id}`,
+      doi: work.doi?.replace('https://doi.org/', '') || null,
+      pmid: work.ids?.pmid?.replace('https://pubmed.ncbi.nlm.nih.gov/', '') || null,
+      pmcid: this.normalizePmcid(work.ids?.pmcid),
+      oa_pdf_url: work.best_oa_location?.pdf_url || null,
+      citation_count: work.cited_by_count,
+      source: 'openalex'
+    };
+  }
+  
   /**
    * Reconstruct abstract from OpenAlex inverted index format
    */
@@ -156,6 +242,165 @@ export class PaperFinder {
     return words.map(w => w[0]).join(' ');
   }
   
+  // ─────────────────────────────────────────────────────────────
+  // Semantic Scholar Search
+  // ─────────────────────────────────────────────────────────────
+  
+  private async searchSemanticScholar(query: string): Promise<PaperResult[]> {
+    try {
+      const params = new URLSearchParams({
+        query,
+        limit: '5',
+        fields: 'paperId,title,authors,year,venue,abstract,url,externalIds,citationCount,openAccessPdf'
+      });
+      
+      const headers: Record<string, string> = { 'Accept': 'application/json' };
+      if (this.semanticScholarApiKey) headers['x-api-key'] = this.semanticScholarApiKey;
+      
+      const response = await httpCache.fetch('semantic_scholar', `${SEMANTIC_SCHOLAR_API}/paper/search?${params}`, { headers });
+      
+      if (!response.ok) {
+        // The keyless pool is shared and 429s often; other sources still cover the query
+        console.log(`   ⚠️ Semantic Scholar returned ${response.status}`);
+        return [];
+      }
+      
+      const data = await response.json();
+      
+      return (data.data || []).map((paper: any) => ({
+        paper_id: `ss_${paper.paperId}`,
+        title: paper.title || 'Untitled',
+        authors: (paper.authors || []).map((a: any) => a.name).filter(Boolean),
+        year: paper.year || null,
+        venue: paper.venue || null,
+        abstract: paper.abstract || null,
+        url: paper.externalIds?.DOI ? `https://doi.org/${paper.externalIds.DOI}` :
+             paper.url || `https://www.semanticscholar.org/paper/${paper.paperId}`,
+        doi: paper.externalIds?.DOI || null,
+        pmid: paper.externalIds?.PubMed || null,
+        pmcid: this.normalizePmcid(paper.externalIds?.PubMedCentral),
+        oa_pdf_url: paper.openAccessPdf?.url || null,
+        citation_count: paper.citationCount ?? null,
+        source: 'semantic_scholar' as const
+      }));
+      
+    } catch (error) {
+      console.error('   ❌ Semantic Scholar search failed:', error);
+      return [];
+    }
+  }
+  
+  // ─────────────────────────────────────────────────────────────
+  // PubMed Search (esearch → esummary, abstracts via efetch)
+  // ─────────────────────────────────────────────────────────────
+  
+  private async searchPubMed(query: string): Promise<PaperResult[]> {
+    try {
+      const searchResponse = await httpCache.fetch('pubmed', this.eutilsUrl('esearch', { term: query, retmax: '5', retmode: 'json' }));
+      
+      if (!searchResponse.ok) {
+        console.log(`   ⚠️ PubMed esearch returned ${searchResponse.status}`);
+        return [];
+      }
+      
+      const searchData = await searchResponse.json();
+      const ids: string[] = searchData.esearchresult?.idlist || [];
+      if (ids.length === 0) return [];
+      
+      const summaryResponse = await httpCache.fetch('pubmed', this.eutilsUrl('esummary', { id: ids.join(','), retmode: 'json' }));
+      
+      if (!summaryResponse.ok) {
+        console.log(`   ⚠️ PubMed esummary returned ${summaryResponse.status}`);
+        return [];
+      }
+      
+      const summaryData = await summaryResponse.json();
+      // esummary has no abstracts; one batched efetch fills them in
+      const abstracts = await this.fetchPubMedAbstracts(ids);
+      const results: PaperResult[] = [];
+      
+      for (const id of ids) {
+        const article = summaryData.result?.[id];
+        if (!article || article.error) continue;
+        
+        const articleIds: any[] = article.articleids || [];
+        const doi = articleIds.find(a => a.idtype === 'doi')?.value || null;
+        const pmcid = articleIds.find(a => a.idtype === 'pmc')?.value || null;
+        
+        results.push({
+          paper_id: `pm_${id}`,
+          title: (article.title || 'Untitled').replace(/\.$/, ''),
+          authors: (article.authors || []).map((a: any) => a.name).filter(Boolean),
+          year: this.extractYearFromText(article.pubdate || ''),
+          venue: article.fulljournalname || article.source || null,
+          abstract: abstracts.get(id) || null,
+          url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
+          doi,
+          pmid: id,
+          pmcid: this.normalizePmcid(pmcid),
+          citation_count: null,
+          source: 'pubmed' as const
+        });
+      }
+      
+      return results;
+      
+    } catch (error) {
+      console.error('   ❌ PubMed search failed:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Abstracts for several PMIDs in one efetch call (PMID → abstract)
+   */
+  private async fetchPubMedAbstracts(ids: string[]): Promise<Map<string, string>> {
+    const abstracts: Map<string, string> = new Map();
+    
+    try {
+      const response = await httpCache.fetch('pubmed', this.eutilsUrl('efetch', { id: ids.join(','), rettype: 'abstract', retmode: 'xml' }));
+      if (!response.ok) return abstracts;
+      
+      const xml = await response.text();
+      const articles = xml.split(/<PubmedArticle>/).slice(1);
+      
+      for (const article of articles) {
+        const pmid = article.match(/<PMID[^>]*>(\d+)<\/PMID>/)?.[1];
+        if (!pmid) continue;
+        
+        // Structured abstracts come as several labelled sections
+        const sections = [...article.matchAll(/<AbstractText([^>]*)>([\s\S]*?)<\/AbstractText>/g)]
+          .map(m => {
+            const label = m[1]?.match(/Label="([^"]+)"/)?.[1];
+            const text = this.decodeXml((m[2] || '').replace(/<[^>]+>/g, '')).trim();
+            return label ? `${label}: ${text}` : text;
+          })
+          .filter(Boolean);
+        
+        if (sections.length > 0) abstracts.set(pmid, sections.join(' '));
+      }
+    } catch (error: any) {
+      console.warn('   ⚠️ PubMed efetch failed:', error.message);
+    }
+    
+    return abstracts;
+  }
+  
+  private eutilsUrl(endpoint: 'esearch' | 'esummary' | 'efetch', params: Record<string, string>): string {
+    const query = new URLSearchParams({ db: 'pubmed', tool: 'lumos', ...params });
+    if (this.ncbiApiKey) query.set('api_key', this.ncbiApiKey);
+    return `${PUBMED_API}/${endpoint}.fcgi?${query}`;
+  }
+  
+  private decodeXml(text: string): string {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+  
   // ─────────────────────────────────────────────────────────────
   // Google Custom Search
   // ─────────────────────────────────────────────────────────────
@@ -173,7 +418,7 @@ export class PaperFinder {
         num: '5'
       });
       
-      const response = await fetch(`https://www.googleapis.com/customsearch/v1?${params}`);
+      const response = await httpCache.fetch('google', `https://www.googleapis.com/customsearch/v1?${params}`);
       
       if (!response.ok) {
         console.log(`   ⚠️ Google returned ${response.status}`);
@@ -210,7 +455,7 @@ export class PaperFinder {
     
     for (const result of results.slice(0, 3)) {
       try {
-        const scraped = await this.scrapePage(result.url);
+        const scraped = await httpCache.remember('scrape', result.url, () => this.scrapePage(result.url));
         if (scraped) {
           enriched.push({ ...result, ...scraped });
         } else {
@@ -240,7 +485,7 @@ export class PaperFinder {
   
   private async scrapeGeneric(url: string): Promise<Partial<PaperResult> | null> {
     try {
-      const response = await fetch(url, {
+      const response = await rateLimiter.fetch('scrape', url, {
         headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LumosBot/1.0)' }
       });
       if (!response.ok) return null;
@@ -281,7 +526,8 @@ export class PaperFinder {
       const pmid = pmidMatch[1];
       
       // Fetch abstract via efetch API
-      const response = await fetch(
+      const response = await rateLimiter.fetch(
+        'pubmed',
         `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi?db=pubmed&id=${pmid}&rettype=abstract&retmode=text`
       );
       
@@ -312,7 +558,8 @@ export class PaperFinder {
       const pmcid = pmcMatch[1];
       
       // Try to get abstract via PMC API
-      const response = await fetch(
+      const response = await rateLimiter.fetch(
+        'pubmed',
         `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi?db=pmc&id=${pmcid}&rettype=abstract`
       );
       
@@ -455,6 +702,14 @@ export class PaperFinder {
     return unique.slice(0, 8).join(' ');
   }
   
+  /**
+   * "PMC123", "123" or a PMC article URL → "PMC123"
+   */
+  private normalizePmcid(value: string | null | undefined): string | null {
+    const digits = value ? String(value).match(/(\d+)\/?$/)?.[1] : null;
+    return digits ? `PMC${digits}` : null;
+  }
+  
   private extractYearFromText(text: string): number | null {
     const match = text.match(/\b(19|20)\d{2}\b/);
     return match ? parseInt(match[0]) : null;
@@ -476,5 +731,66 @@ export class PaperFinder {
   }
 }
 
+// ─────────────────────────────────────────────────────────────
+// Cross-source deduplication
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Papers keyed by DOI, PMID and normalized title; the same study found by
+ * several sources is merged into one entry, filling in missing fields
+ */
+class PaperPool {
+  private entries: PaperResult[] = [];
+  private index: Map<string, PaperResult> = new Map();
+  
+  get size(): number {
+    return this.entries.length;
+  }
+  
+  papers(): PaperResult[] {
+    return [...this.entries];
+  }
+  
+  addAll(results: PaperResult[]): void {
+    for (const paper of results) this.add(paper);
+  }
+  
+  private add(paper: PaperResult): void {
+    const keys = this.keysFor(paper);
+    const existing = keys.map(k => this.index.get(k)).find(Boolean);
+    
+    if (!existing) {
+      const entry = { ...paper };
+      this.entries.push(entry);
+      for (const key of keys) this.index.set(key, entry);
+      return;
+    }
+    
+    // Prefer whichever copy has the data
+    if (!existing.abstract && paper.abstract) existing.abstract = paper.abstract;
+    if (!existing.doi && paper.doi) existing.doi = paper.doi;
+    if (!existing.pmid && paper.pmid) existing.pmid = paper.pmid;
+    if (!existing.pmcid && paper.pmcid) existing.pmcid = paper.pmcid;
+    if (!existing.oa_pdf_url && paper.oa_pdf_url) existing.oa_pdf_url = paper.oa_pdf_url;
+    if (existing.authors.length === 0) existing.authors = paper.authors;
+    if (!existing.year) existing.year = paper.year;
+    if (!existing.venue) existing.venue = paper.venue;
+    if (paper.citation_count !== null && (existing.citation_count === null || paper.citation_count > existing.citation_count)) {
+      existing.citation_count = paper.citation_count;
+    }
+    
+    for (const key of this.keysFor(existing)) this.index.set(key, existing);
+  }
+  
+  private keysFor(paper: PaperResult): string[] {
+    const keys: string[] = [];
+    if (paper.doi) keys.push(`doi:${paper.doi.toLowerCase()}`);
+    if (paper.pmid) keys.push(`pmid:${paper.pmid}`);
+    const title = paper.title.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (title.length > 20) keys.push(`title:${title}`);
+    return keys.length > 0 ? keys : [`id:${paper.paper_id}`];
+  }
+}
+
 export const paperFinder = new PaperFinder();
 
@@ -0,0 +1,282 @@
+/**
+ * Podcast Feeds
+ * RSS ingestion for audio-only shows: parse a feed's episodes, download an
+ * episode's audio enclosure, and transcribe it into a timed transcript.
+ *
+ * The transcript has the same shape as a YouTube caption track, so
+ * HybridProcessor extracts, aligns and verifies podcast episodes exactly
+ * like captioned videos. Whisper only takes ~5 minute files, so the audio
+ * is split with ffmpeg and each piece is transcribed on its own; segment
+ * times are shifted by the length of the pieces before it.
+ *
+ * Transcription is injected (AudioProcessor, with its retries and cost
+ * tracking in api-server.js).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { rateLimiter } from './rate-limiter.js';
+import { mapWithConcurrency } from './video-segments.js';
+import { podcastEpisodeId } from './sources.js';
+import type { CaptionLine, CaptionTrack } from './captions.js';
+
+// ─────────────────────────────────────────────────────────────
+// Types
+// ─────────────────────────────────────────────────────────────
+
+export interface PodcastEpisode {
+  id: string;                   // "pod-<hash>" (feed URL + guid)
+  guid: string;
+  title: string;
+  audioUrl: string;
+  audioType: string | null;     // Enclosure MIME type
+  audioBytes: number | null;    // Enclosure length, when the feed states it
+  publishedAt: string | null;   // ISO date
+  durationSec: number | null;   // itunes:duration
+  description: string | null;
+}
+
+export interface PodcastFeed {
+  feedUrl: string;
+  title: string | null;
+  author: string | null;
+  language: string | null;
+  episodes: PodcastEpisode[];   // Newest first
+}
+
+/** Whisper result for one audio file (AudioProcessor.transcribeAudio) */
+export interface AudioTranscription {
+  text: string;
+  segments: Array<{ start: number; end: number; text: string }>;
+  language: string | null;
+  duration: number;
+}
+
+export type AudioTranscriber = (audio: Buffer, filename: string) => Promise<AudioTranscription>;
+
+// Pieces stay under Whisper's MAX_AUDIO_DURATION (300s) and, at 32 kbps mono, far under 25MB
+const CHUNK_SECONDS = 290;
+const CHUNK_CONCURRENCY = 2;
+const MAX_ENCLOSURE_BYTES = 1024 * 1024 * 1024;
+
+// ─────────────────────────────────────────────────────────────
+// Feeds
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Fetch and parse an RSS feed; items without an audio enclosure are skipped
+ */
+export async function fetchFeed(feedUrl: string): Promise<PodcastFeed> {
+  const response = await rateLimiter.fetch('scrape', feedUrl, {
+    headers: { Accept: 'application/rss+xml, application/xml;q=0.9, */*;q=0.8' }
+  });
+  if (!response.ok) {
+    throw new Error(`Feed request failed with ${response.status} ${response.statusText}`);
+  }
+  return parseFeed(await response.text(), feedUrl);
+}
+
+export function parseFeed(xml: string, feedUrl: string): PodcastFeed {
+  const channel = xml.match(/<channel\b[^>]*>([\s\S]*?)<\/channel>/i)?.[1];
+  if (!channel) throw new Error('Not an RSS feed (no <channel>)');
+
+  const header = channel.split(/<item\b/i)[0] || '';
+  const episodes: PodcastEpisode[] = [];
+
+  for (const [, item] of channel.matchAll(/<item\b[^>]*>([\s\S]*?)<\/item>/gi)) {
+    const enclosure = item!.match(/<enclosure\b([^>]*)>/i)?.[1] || '';
+    const audioUrl = attribute(enclosure, 'url');
+    const audioType = attribute(enclosure, 'type');
+    if (!audioUrl || (audioType && !/^(audio|video)\//i.test(audioType))) continue;
+
+    const guid = tagText(item!, 'guid') || audioUrl;
+    const published = tagText(item!, 'pubDate');
+    const publishedAt = published && !isNaN(Date.parse(published)) ? new Date(published).toISOString() : null;
+    const audioBytes = Number(attribute(enclosure, 'length'));
+
+    episodes.push({
+      id: podcastEpisodeId(feedUrl, guid),
+      guid,
+      title: tagText(item!, 'title') || guid,
+      audioUrl,
+      audioType,
+      audioBytes: audioBytes > 0 ? audioBytes : null,
+      publishedAt,
+      durationSec: parseDuration(tagText(item!, 'itunes:duration')),
+      description: tagText(item!, 'description') || tagText(item!, 'itunes:summary')
+    });
+  }
+
+  episodes.sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+
+  return {
+    feedUrl,
+    title: tagText(header, 'title'),
+    author: tagText(header, 'itunes:author'),
+    language: tagText(header, 'language'),
+    episodes
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Audio
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Download an episode's audio to `filePath` (redirects followed)
+ */
+export async function downloadEnclosure(audioUrl: string, filePath: string): Promise<string> {
+  const response = await fetch(audioUrl, { redirect: 'follow' });
+  if (!response.ok || !response.body) {
+    throw new Error(`Audio download failed with ${response.status} ${response.statusText}`);
+  }
+  const length = Number(response.headers.get('content-length'));
+  if (length > MAX_ENCLOSURE_BYTES) {
+    throw new Error(`Audio file too large: ${length} bytes`);
+  }
+
+  await pipeline(Readable.fromWeb(response.body as any), fs.createWriteStream(filePath));
+  console.log(`✅ Episode audio downloaded: ${filePath}`);
+  return filePath;
+}
+
+/**
+ * Download and transcribe an episode into a caption-style track
+ * (lines on the episode's clock, Whisper's language)
+ */
+export async function transcribeEpisode(
+  episodeId: string,
+  audioUrl: string,
+  transcribe: AudioTranscriber
+): Promise<CaptionTrack> {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `lumos-${episodeId}-`));
+  try {
+    const audioPath = await downloadEnclosure(audioUrl, path.join(workDir, 'episode'));
+    const chunks = await splitAudio(audioPath, workDir);
+    console.log(`🎙️ Transcribing ${episodeId} in ${chunks.length} pieces`);
+
+    const results = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, chunk =>
+      transcribe(fs.readFileSync(chunk), `${episodeId}-${path.basename(chunk)}`)
+    );
+
+    const lines: CaptionLine[] = [];
+    let offsetSec = 0;
+    for (const result of results) {
+      for (const segment of result.segments) {
+        const text = segment.text.replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+        lines.push({ startSec: round(offsetSec + segment.start), endSec: round(offsetSec + segment.end), text });
+      }
+      offsetSec += result.duration || CHUNK_SECONDS;
+    }
+    if (lines.length === 0) throw new Error('Transcription returned no speech');
+
+    return {
+      videoId: episodeId,
+      language: mostCommon(results.map(r => r.language)),
+      durationSec: lines[lines.length - 1]!.endSec,
+      lines
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 16 kHz mono mp3 pieces of CHUNK_SECONDS, in order
+ */
+function splitAudio(audioPath: string, workDir: string): Promise<string[]> {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', audioPath,
+      '-vn', '-ac', '1', '-ar', '16000', '-b:a', '32k',
+      '-f', 'segment', '-segment_time', String(CHUNK_SECONDS), '-reset_timestamps', '1',
+      path.join(workDir, 'chunk-%04d.mp3')
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    ffmpeg.stderr!.on('data', (data) => { stderr = (stderr + data.toString()).slice(-2000); });
+
+    ffmpeg.on('close', (code) => {
+      const chunks = fs.readdirSync(workDir)
+        .filter(name => name.startsWith('chunk-'))
+        .sort()
+        .map(name => path.join(workDir, name));
+      if (code !== 0) {
+        reject(new Error(`ffmpeg failed with code ${code}: ${stderr.trim().slice(-500)}`));
+      } else if (chunks.length === 0) {
+        reject(new Error('ffmpeg produced no audio'));
+      } else {
+        resolve(chunks);
+      }
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(error.message.includes('ENOENT') ? new Error('ffmpeg is not installed') : error);
+    });
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────
+
+function tagText(xml: string, tag: string): string | null {
+  const escaped = tag.replace(':', '\\:');
+  const raw = xml.match(new RegExp(`<${escaped}\\b[^>]*>([\\s\\S]*?)</${escaped}>`, 'i'))?.[1];
+  if (raw === undefined) return null;
+  const text = decodeEntities(raw.replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1'))
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text || null;
+}
+
+function attribute(attributes: string, name: string): string | null {
+  const value = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  const raw = value?.[1] ?? value?.[2];
+  return raw ? decodeEntities(raw).trim() : null;
+}
+
+function decodeEntities(text: string): string {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * itunes:duration is seconds ("3600") or clock time ("1:00:00", "59:30")
+ */
+function parseDuration(value: string | null): number | null {
+  if (!value) return null;
+  const parts = value.split(':').map(Number);
+  if (parts.some(part => !Number.isFinite(part))) return null;
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds > 0 ? seconds : null;
+}
+
+function mostCommon(values: Array<string | null>): string | null {
+  const counts = new Map<string, number>();
+  for (const value of values) {
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let best: string | null = null;
+  for (const [value, count] of counts) {
+    if (!best || count > counts.get(best)!) best = value;
+  }
+  return best;
+}
+
+function round(seconds: number): number {
+  return Math.round(seconds * 100) / 100;
+}
@@ -0,0 +1,135 @@
+/**
+ * Rate Limiter
+ * Token bucket per outbound service, shared by every verification in the process.
+ *
+ * - acquire(): wait for a token (e.g. before an LLM call)
+ * - fetch(): acquire + fetch; on 429 (or 503 with Retry-After) the whole service
+ *   pauses for Retry-After (or exponential backoff) and the request is retried
+ *
+ * Override a rate with RATE_LIMIT_<SERVICE>=<requests per second>,
+ * e.g. RATE_LIMIT_OPENALEX=5
+ */
+const DEFAULT_CONFIG = {
+    buckets: {
+        openalex: { ratePerSec: envRate('openalex', 8), burst: 8 }, // Polite pool allows 10/s
+        semantic_scholar: { ratePerSec: envRate('semantic_scholar', 1), burst: 1 }, // 1/s with an API key
+        pubmed: { ratePerSec: envRate('pubmed', process.env.NCBI_API_KEY ? 9 : 3), burst: 3 },
+        google: { ratePerSec: envRate('google', 1), burst: 2 },
+        scrape: { ratePerSec: envRate('scrape', 2), burst: 4 },
+        llm: { ratePerSec: envRate('llm', 2), burst: 4 }
+    },
+    maxRetries: 3,
+    maxWaitSec: 120,
+    baseBackoffSec: 2
+};
+export class RateLimiter {
+    config;
+    buckets = new Map();
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+    /**
+     * Resolve once a request to the service may be sent
+     */
+    async acquire(service) {
+        const bucket = this.bucket(service);
+        let waited = false;
+        for (;;) {
+            const wait = this.take(bucket);
+            if (wait === 0)
+                return;
+            if (!waited)
+                bucket.waits++;
+            waited = true;
+            await delay(wait);
+        }
+    }
+    /**
+     * Rate-limited fetch that honours Retry-After
+     */
+    async fetch(service, url, init = {}) {
+        for (let attempt = 0;; attempt++) {
+            await this.acquire(service);
+            const response = await fetch(url, init);
+            const retryAfter = this.parseRetryAfter(response.headers.get('retry-after'));
+            const limited = response.status === 429 || (response.status === 503 && retryAfter !== null);
+            if (!limited)
+                return response;
+            const bucket = this.bucket(service);
+            bucket.rateLimited++;
+            const waitSec = retryAfter ?? this.config.baseBackoffSec * 2 ** attempt;
+            if (attempt >= this.config.maxRetries || waitSec > this.config.maxWaitSec) {
+                console.warn(`   ⚠️ ${service} rate limited (${response.status}), giving up after ${attempt + 1} attempt(s)`);
+                return response;
+            }
+            console.log(`   ⏳ ${service} rate limited, pausing ${waitSec}s`);
+            bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + waitSec * 1000);
+            // Free the connection before waiting
+            await response.body?.cancel().catch(() => { });
+        }
+    }
+    /**
+     * Configured rates plus how often each service made us wait since process start
+     */
+    getStats() {
+        const now = Date.now();
+        return Object.keys(this.config.buckets).map(service => {
+            const bucket = this.bucket(service);
+            return {
+                service,
+                rate_per_sec: bucket.ratePerSec,
+                burst: bucket.burst,
+                waits: bucket.waits,
+                rate_limited: bucket.rateLimited,
+                paused_for_ms: Math.max(0, bucket.blockedUntil - now)
+            };
+        });
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Private helpers
+    // ─────────────────────────────────────────────────────────────
+    bucket(service) {
+        let bucket = this.buckets.get(service);
+        if (!bucket) {
+            const config = this.config.buckets[service];
+            bucket = { ...config, tokens: config.burst, refilledAt: Date.now(), blockedUntil: 0, waits: 0, rateLimited: 0 };
+            this.buckets.set(service, bucket);
+        }
+        return bucket;
+    }
+    /**
+     * Take a token if one is available; otherwise ms until the next one
+     */
+    take(bucket) {
+        const now = Date.now();
+        bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.refilledAt) / 1000 * bucket.ratePerSec);
+        bucket.refilledAt = now;
+        if (now < bucket.blockedUntil)
+            return bucket.blockedUntil - now;
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - bucket.tokens) / bucket.ratePerSec * 1000);
+    }
+    /**
+     * Retry-After is either delta-seconds or an HTTP date
+     */
+    parseRetryAfter(header) {
+        if (!header)
+            return null;
+        const seconds = Number(header);
+        if (Number.isFinite(seconds))
+            return Math.max(0, seconds);
+        const date = Date.parse(header);
+        return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+}
+function envRate(service, fallback) {
+    const value = Number(process.env[`RATE_LIMIT_${service.toUpperCase()}`]);
+    return value > 0 ? value : fallback;
+}
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+export const rateLimiter = new RateLimiter();
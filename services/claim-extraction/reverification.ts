@@ -0,0 +1,164 @@
+/**
+ * Re-verification
+ * Re-runs the verification pipeline on claims that already have a verdict:
+ * on request (one claim or a whole video) and on a schedule for verdicts that
+ * are old, or were inconclusive and may resolve as new papers appear.
+ *
+ * Runs go through the shared verification queue; each result is appended to
+ * the claim's verdict history and flips are published as claim_verdict_changed.
+ */
+
+import { VerificationPipeline } from './verification-pipeline.js';
+import { verificationQueue } from './verification-queue.js';
+import { ClaimResultStore, type SavedVerification, type VerificationTrigger } from './claim-results.js';
+import { jobEvents } from './job-events.js';
+
+interface ReverificationConfig {
+  staleDays: number;          // Re-check any verdict older than this
+  retryDays: number;          // Re-check no_paper_found/unverifiable after this
+  retryVerdicts: string[];
+  intervalHours: number;      // Scheduler period; 0 disables the scheduler
+  batchSize: number;          // Claims queued per scheduled run
+}
+
+const DEFAULT_CONFIG: ReverificationConfig = {
+  staleDays: Number(process.env.REVERIFY_STALE_DAYS) || 30,
+  retryDays: Number(process.env.REVERIFY_RETRY_DAYS) || 3,
+  retryVerdicts: ['no_paper_found', 'unverifiable'],
+  intervalHours: Number(process.env.REVERIFY_INTERVAL_HOURS ?? 24),
+  batchSize: 50
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class Reverifier {
+  private config: ReverificationConfig;
+  private results: ClaimResultStore;
+  private pipeline = new VerificationPipeline();
+  private timer: NodeJS.Timeout | null = null;
+  private scheduledRunActive = false;
+
+  constructor(supabase: any, config: Partial<ReverificationConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.results = new ClaimResultStore(supabase);
+  }
+
+  /**
+   * Queue one claim in the background
+   * Returns false if the claim doesn't exist
+   */
+  async reverifyClaim(claimId: string, trigger: VerificationTrigger = 'manual'): Promise<boolean> {
+    const row = await this.results.getClaim(claimId);
+    if (!row) return false;
+
+    console.log(`🔁 Re-verifying ${claimId}`);
+    this.settle([this.enqueue(row, trigger)], claimId)
+      .catch(err => console.warn(`⚠️ Re-verification failed (${claimId}):`, err.message));
+    return true;
+  }
+
+  /**
+   * Queue every stored claim of a video in the background
+   * Returns the number of claims queued (0 if the video has none)
+   */
+  async reverifyVideo(videoId: string, trigger: VerificationTrigger = 'manual'): Promise<number> {
+    const rows = await this.results.listVideoClaims(videoId);
+    if (rows.length === 0) return 0;
+
+    console.log(`🔁 Re-verifying ${rows.length} claims of ${videoId}`);
+    this.settle(rows.map(row => this.enqueue(row, trigger)), videoId)
+      .catch(err => console.warn(`⚠️ Re-verification failed (${videoId}):`, err.message));
+    return rows.length;
+  }
+
+  /**
+   * Queue one batch of stale/inconclusive claims
+   * Returns the number of claims queued
+   */
+  async runScheduled(): Promise<number> {
+    if (this.scheduledRunActive) {
+      console.log('⏭️ Scheduled re-verification still running, skipping');
+      return 0;
+    }
+
+    const now = Date.now();
+    const rows = await this.results.listDueForReverification({
+      staleBefore: new Date(now - this.config.staleDays * DAY_MS),
+      retryBefore: new Date(now - this.config.retryDays * DAY_MS),
+      retryVerdicts: this.config.retryVerdicts,
+      limit: this.config.batchSize
+    });
+
+    if (rows.length === 0) {
+      console.log('🔁 Scheduled re-verification: nothing due');
+      return 0;
+    }
+
+    console.log(`🔁 Scheduled re-verification: ${rows.length} claims due`);
+    this.scheduledRunActive = true;
+    this.settle(rows.map(row => this.enqueue(row, 'scheduled')), 'scheduled run')
+      .catch(err => console.warn('⚠️ Re-verification failed (scheduled run):', err.message))
+      .finally(() => { this.scheduledRunActive = false; });
+    return rows.length;
+  }
+
+  /**
+   * Start the periodic scheduler (no-op when intervalHours is 0)
+   */
+  start(): void {
+    if (this.timer || this.config.intervalHours <= 0) return;
+
+    const run = () => {
+      this.runScheduled().catch(err => console.warn('⚠️ Scheduled re-verification failed:', err.message));
+    };
+    this.timer = setInterval(run, this.config.intervalHours * 60 * 60 * 1000);
+    this.timer.unref();
+    console.log(`⏰ Re-verification scheduled every ${this.config.intervalHours}h (stale after ${this.config.staleDays}d)`);
+    run();
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Private helpers
+  // ─────────────────────────────────────────────────────────────
+
+  private enqueue(row: any, trigger: VerificationTrigger): Promise<SavedVerification> {
+    const claim = this.results.toSynthesizedClaim(row);
+
+    return verificationQueue.add('reverify', claim.claim_id, async () => {
+      const verified = await this.pipeline.verifyClaim(claim);
+      const saved = await this.results.saveVerification(claim.claim_id, verified, trigger);
+
+      if (saved.flipped) {
+        console.log(`🔀 Verdict changed: ${claim.claim_id} ${saved.previousVerdict} → ${saved.verdict}`);
+        jobEvents.publish(claim.video_id, 'claim_verdict_changed', {
+          claim_id: claim.claim_id,
+          previous_verdict: saved.previousVerdict,
+          verification_verdict: saved.verdict,
+          trigger
+        });
+      } else {
+        console.log(`✅ Re-verified: ${claim.claim_id} → ${saved.verdict} (unchanged)`);
+      }
+      return saved;
+    });
+  }
+
+  /**
+   * Log a summary once every queued claim has finished
+   */
+  private async settle(runs: Promise<SavedVerification>[], label: string): Promise<void> {
+    const outcomes = await Promise.allSettled(runs);
+    const failed = outcomes.filter(o => o.status === 'rejected');
+    const flipped = outcomes.filter(o => o.status === 'fulfilled' && o.value?.flipped).length;
+
+    for (const outcome of failed) {
+      console.warn(`⚠️ Re-verification failed (${label}):`, (outcome as PromiseRejectedResult).reason?.message);
+    }
+    console.log(`🔁 Re-verification done (${label}): ${outcomes.length - failed.length} verified, ${flipped} changed, ${failed.length} failed`);
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Rolling Buffer for Live Mode
+ * Maintains a sliding window of transcript chunks for claim extraction
+ *
+ * Chunks from live capture carry their video time; without one, chunks are
+ * assumed to be back-to-back and CHUNK_DURATION_SEC long.
+ */
+export class RollingBuffer {
+    chunks = [];
+    timings = [];
+    BUFFER_SIZE = 3; // 3 chunks
+    CHUNK_DURATION_SEC = 10; // 10 seconds each = 30s window
+    /**
+     * Add a new chunk and return the combined transcript
+     */
+    addChunk(chunk, timing = null) {
+        this.chunks.push(chunk);
+        this.timings.push(timing);
+        if (this.chunks.length > this.BUFFER_SIZE) {
+            this.chunks.shift();
+            this.timings.shift();
+        }
+        return this.chunks.join(' ');
+    }
+    /**
+     * Get current buffer contents without adding
+     */
+    getTranscript() {
+        return this.chunks.join(' ');
+    }
+    /**
+     * Clear the buffer (e.g., on new session)
+     */
+    clear() {
+        this.chunks = [];
+        this.timings = [];
+    }
+    /**
+     * Get approximate timestamps for current window
+     */
+    getTimestamps(windowId) {
+        const { startSec, endSec } = this.getWindowSeconds(windowId);
+        return {
+            start: this.formatTime(startSec),
+            end: this.formatTime(endSec)
+        };
+    }
+    /**
+     * Video time the current window spans (chunk timings when every chunk has one)
+     */
+    getWindowSeconds(windowId) {
+        const first = this.timings[0];
+        const last = this.timings[this.timings.length - 1];
+        if (first && last && this.timings.every(Boolean)) {
+            return { startSec: first.startSec, endSec: last.endSec };
+        }
+        const endSec = windowId * this.CHUNK_DURATION_SEC;
+        return { startSec: Math.max(0, endSec - (this.BUFFER_SIZE * this.CHUNK_DURATION_SEC)), endSec };
+    }
+    /**
+     * Get buffer size info
+     */
+    getInfo() {
+        return {
+            chunks: this.chunks.length,
+            maxChunks: this.BUFFER_SIZE,
+            chunkDuration: this.CHUNK_DURATION_SEC
+        };
+    }
+    formatTime(seconds) {
+        seconds = Math.floor(seconds);
+        const m = Math.floor(seconds / 60);
+        const s = seconds % 60;
+        return `${m}:${s.toString().padStart(2, '0')}`;
+    }
+}
@@ -1,20 +1,31 @@
 /**
  * Rolling Buffer for Live Mode
  * Maintains a sliding window of transcript chunks for claim extraction
+ *
+ * Chunks from live capture carry their video time; without one, chunks are
+ * assumed to be back-to-back and CHUNK_DURATION_SEC long.
  */
 
+export interface ChunkTiming {
+  startSec: number;
+  endSec: number;
+}
+
 export class RollingBuffer {
   private chunks: string[] = [];
+  private timings: Array<ChunkTiming | null> = [];
   private readonly BUFFER_SIZE = 3;          // 3 chunks
   private readonly CHUNK_DURATION_SEC = 10;  // 10 seconds each = 30s window
   
   /**
    * Add a new chunk and return the combined transcript
    */
-  addChunk(chunk: string): string {
+  addChunk(chunk: string, timing: ChunkTiming | null = null): string {
     this.chunks.push(chunk);
+    this.timings.push(timing);
     if (this.chunks.length > this.BUFFER_SIZE) {
       this.chunks.shift();
+      this.timings.shift();
     }
     return this.chunks.join(' ');
   }
@@ -31,20 +42,33 @@ export class RollingBuffer {
    */
   clear(): void {
     this.chunks = [];
+    this.timings = [];
   }
   
   /**
    * Get approximate timestamps for current window
    */
   getTimestamps(windowId: number): { start: string; end: string } {
-    const endSec = windowId * this.CHUNK_DURATION_SEC;
-    const startSec = Math.max(0, endSec - (this.BUFFER_SIZE * this.CHUNK_DURATION_SEC));
+    const { startSec, endSec } = this.getWindowSeconds(windowId);
     return {
       start: this.formatTime(startSec),
       end: this.formatTime(endSec)
     };
   }
   
+  /**
+   * Video time the current window spans (chunk timings when every chunk has one)
+   */
+  getWindowSeconds(windowId: number): ChunkTiming {
+    const first = this.timings[0];
+    const last = this.timings[this.timings.length - 1];
+    if (first && last && this.timings.every(Boolean)) {
+      return { startSec: first.startSec, endSec: last.endSec };
+    }
+    const endSec = windowId * this.CHUNK_DURATION_SEC;
+    return { startSec: Math.max(0, endSec - (this.BUFFER_SIZE * this.CHUNK_DURATION_SEC)), endSec };
+  }
+  
   /**
    * Get buffer size info
    */
@@ -57,6 +81,7 @@ export class RollingBuffer {
   }
   
   private formatTime(seconds: number): string {
+    seconds = Math.floor(seconds);
     const m = Math.floor(seconds / 60);
     const s = seconds % 60;
     return `${m}:${s.toString().padStart(2, '0')}`;
@@ -0,0 +1,46 @@
+/**
+ * Sources
+ * Where an episode comes from, and the id its results are stored under.
+ *
+ * YouTube videos keep "yt-<11-char id>". Podcast episodes (an RSS item's
+ * audio enclosure, or any direct audio URL) get "pod-<hash>": the hash of
+ * the feed URL and the item's guid, so the id survives enclosure URLs that
+ * CDNs and ad inserters rewrite between feed refreshes.
+ *
+ * Everything keyed by video_id (claims, videos, processing_jobs, job
+ * events) works the same for both kinds.
+ */
+
+import crypto from 'crypto';
+
+export type SourceKind = 'youtube' | 'podcast';
+
+const YOUTUBE_ID = /(?:v=|youtu\.be\/|\/live\/|\/shorts\/)([a-zA-Z0-9_-]{11})/;
+
+/**
+ * "yt-<id>" for a YouTube URL, null for anything else
+ */
+export function youtubeSourceId(url: string): string | null {
+  const match = url.match(YOUTUBE_ID);
+  return match ? `yt-${match[1]}` : null;
+}
+
+/**
+ * Id of a podcast episode; without a feed, the audio URL identifies it
+ */
+export function podcastEpisodeId(feedUrl: string | null, guidOrAudioUrl: string): string {
+  const key = feedUrl ? `${feedUrl.trim()}\n${guidOrAudioUrl.trim()}` : guidOrAudioUrl.trim();
+  return `pod-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Id for a URL passed to processing: YouTube videos by their video id,
+ * anything else is treated as a podcast episode's audio
+ */
+export function sourceIdFor(url: string): string {
+  return youtubeSourceId(url) || podcastEpisodeId(null, url);
+}
+
+export function sourceKind(sourceId: string): SourceKind {
+  return sourceId.startsWith('pod-') ? 'podcast' : 'youtube';
+}
@@ -0,0 +1,257 @@
+/**
+ * Subscription Store
+ * Channels and podcast feeds watched for new uploads (channel-poller.ts).
+ *
+ * Subscriptions live in the `whitelist` table: the channel whitelist gains
+ * the resolved feed URL and polling state, so every whitelisted channel is
+ * a subscription. Supabase when configured, local SQLite otherwise.
+ */
+
+import crypto from 'crypto';
+import { getLocalDb } from './local-db.js';
+import type { SourceKind } from './sources.js';
+
+// ─────────────────────────────────────────────────────────────
+// Types
+// ─────────────────────────────────────────────────────────────
+
+export interface ChannelSubscription {
+  id: string;
+  channelIdentifier: string;        // "@handle", channel URL or id, or a podcast feed URL
+  description: string | null;       // config_description
+  kind: SourceKind | null;          // null until the identifier has been resolved
+  feedUrl: string | null;           // YouTube channel Atom feed or podcast RSS
+  autoProcess: boolean;             // Queue new uploads for processing
+  lastUploadAt: number | null;      // Newest upload already seen (publish time); null before the first poll
+  lastPolledAt: number | null;
+  lastError: string | null;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface SubscriptionStore {
+  list(): Promise<ChannelSubscription[]>;
+  get(id: string): Promise<ChannelSubscription | null>;
+  findByIdentifier(channelIdentifier: string): Promise<ChannelSubscription | null>;
+  save(subscription: ChannelSubscription): Promise<void>;
+  /** Returns false when there was no such subscription */
+  remove(id: string): Promise<boolean>;
+}
+
+/**
+ * Pick the subscription store for the current environment
+ */
+export function createSubscriptionStore(supabase?: any): SubscriptionStore {
+  return supabase ? new SupabaseSubscriptionStore(supabase) : new SqliteSubscriptionStore();
+}
+
+/**
+ * A new subscription (not saved yet)
+ */
+export function newSubscription(channelIdentifier: string, description: string | null = null): ChannelSubscription {
+  const now = Date.now();
+  return {
+    id: crypto.randomUUID(),
+    channelIdentifier,
+    description,
+    kind: null,
+    feedUrl: null,
+    autoProcess: true,
+    lastUploadAt: null,
+    lastPolledAt: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Supabase
+// ─────────────────────────────────────────────────────────────
+
+export class SupabaseSubscriptionStore implements SubscriptionStore {
+  constructor(private supabase: any) {}
+
+  async list(): Promise<ChannelSubscription[]> {
+    const { data, error } = await this.supabase
+      .from('whitelist')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`whitelist select failed: ${error.message}`);
+    return (data || []).map((row: any) => this.fromRow(row));
+  }
+
+  async get(id: string): Promise<ChannelSubscription | null> {
+    const { data, error } = await this.supabase.from('whitelist').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`whitelist select failed: ${error.message}`);
+    return data ? this.fromRow(data) : null;
+  }
+
+  async findByIdentifier(channelIdentifier: string): Promise<ChannelSubscription | null> {
+    const { data, error } = await this.supabase
+      .from('whitelist')
+      .select('*')
+      .eq('channel_identifier', channelIdentifier)
+      .maybeSingle();
+
+    if (error) throw new Error(`whitelist select failed: ${error.message}`);
+    return data ? this.fromRow(data) : null;
+  }
+
+  async save(subscription: ChannelSubscription): Promise<void> {
+    subscription.updatedAt = Date.now();
+    const { error } = await this.supabase.from('whitelist').upsert({
+      id: subscription.id,
+      channel_identifier: subscription.channelIdentifier,
+      config_description: subscription.description,
+      source_kind: subscription.kind,
+      feed_url: subscription.feedUrl,
+      auto_process: subscription.autoProcess,
+      last_upload_at: toIso(subscription.lastUploadAt),
+      last_polled_at: toIso(subscription.lastPolledAt),
+      last_error: subscription.lastError,
+      created_at: toIso(subscription.createdAt),
+      updated_at: toIso(subscription.updatedAt)
+    }, { onConflict: 'id' });
+
+    if (error) throw new Error(`whitelist upsert failed: ${error.message}`);
+  }
+
+  async remove(id: string): Promise<boolean> {
+    const { data, error } = await this.supabase.from('whitelist').delete().eq('id', id).select('id');
+    if (error) throw new Error(`whitelist delete failed: ${error.message}`);
+    return (data || []).length > 0;
+  }
+
+  private fromRow(row: any): ChannelSubscription {
+    return {
+      id: row.id,
+      channelIdentifier: row.channel_identifier,
+      description: row.config_description ?? null,
+      kind: row.source_kind ?? null,
+      feedUrl: row.feed_url ?? null,
+      autoProcess: row.auto_process !== false,
+      lastUploadAt: fromIso(row.last_upload_at),
+      lastPolledAt: fromIso(row.last_polled_at),
+      lastError: row.last_error ?? null,
+      createdAt: fromIso(row.created_at) ?? Date.now(),
+      updatedAt: fromIso(row.updated_at) ?? Date.now()
+    };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// SQLite
+// ─────────────────────────────────────────────────────────────
+
+export class SqliteSubscriptionStore implements SubscriptionStore {
+  private initialized = false;
+
+  async list(): Promise<ChannelSubscription[]> {
+    const rows = this.db().prepare('SELECT * FROM whitelist ORDER BY created_at').all();
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async get(id: string): Promise<ChannelSubscription | null> {
+    const row = this.db().prepare('SELECT * FROM whitelist WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  async findByIdentifier(channelIdentifier: string): Promise<ChannelSubscription | null> {
+    const row = this.db().prepare('SELECT * FROM whitelist WHERE channel_identifier = ?').get(channelIdentifier);
+    return row ? this.fromRow(row) : null;
+  }
+
+  async save(subscription: ChannelSubscription): Promise<void> {
+    subscription.updatedAt = Date.now();
+    this.db().prepare(`
+      INSERT INTO whitelist (
+        id, channel_identifier, config_description, source_kind, feed_url, auto_process,
+        last_upload_at, last_polled_at, last_error, created_at, updated_at
+      ) VALUES (
+        @id, @channel_identifier, @config_description, @source_kind, @feed_url, @auto_process,
+        @last_upload_at, @last_polled_at, @last_error, @created_at, @updated_at
+      )
+      ON CONFLICT(id) DO UPDATE SET
+        channel_identifier = excluded.channel_identifier,
+        config_description = excluded.config_description,
+        source_kind = excluded.source_kind,
+        feed_url = excluded.feed_url,
+        auto_process = excluded.auto_process,
+        last_upload_at = excluded.last_upload_at,
+        last_polled_at = excluded.last_polled_at,
+        last_error = excluded.last_error,
+        updated_at = excluded.updated_at
+    `).run({
+      id: subscription.id,
+      channel_identifier: subscription.channelIdentifier,
+      config_description: subscription.description,
+      source_kind: subscription.kind,
+      feed_url: subscription.feedUrl,
+      auto_process: subscription.autoProcess ? 1 : 0,
+      last_upload_at: subscription.lastUploadAt,
+      last_polled_at: subscription.lastPolledAt,
+      last_error: subscription.lastError,
+      created_at: subscription.createdAt,
+      updated_at: subscription.updatedAt
+    });
+  }
+
+  async remove(id: string): Promise<boolean> {
+    return this.db().prepare('DELETE FROM whitelist WHERE id = ?').run(id).changes > 0;
+  }
+
+  private db() {
+    const db = getLocalDb();
+    if (!this.initialized) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS whitelist (
+          id TEXT PRIMARY KEY,
+          channel_identifier TEXT NOT NULL UNIQUE,
+          config_description TEXT,
+          source_kind TEXT,
+          feed_url TEXT,
+          auto_process INTEGER NOT NULL DEFAULT 1,
+          last_upload_at INTEGER,
+          last_polled_at INTEGER,
+          last_error TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+      `);
+      this.initialized = true;
+    }
+    return db;
+  }
+
+  private fromRow(row: any): ChannelSubscription {
+    return {
+      id: row.id,
+      channelIdentifier: row.channel_identifier,
+      description: row.config_description ?? null,
+      kind: row.source_kind ?? null,
+      feedUrl: row.feed_url ?? null,
+      autoProcess: row.auto_process !== 0,
+      lastUploadAt: row.last_upload_at ?? null,
+      lastPolledAt: row.last_polled_at ?? null,
+      lastError: row.last_error ?? null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────
+
+function toIso(ms: number | null): string | null {
+  return ms === null ? null : new Date(ms).toISOString();
+}
+
+function fromIso(value: string | null | undefined): number | null {
+  if (!value) return null;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
@@ -0,0 +1,133 @@
+/**
+ * Timestamp Alignment
+ * Locates a claim's quoted segment in a timed transcript (caption lines or
+ * Whisper segments) to get a precise start/end time. The extractor's
+ * "MM:SS" is often tens of seconds off; the aligned time is what the
+ * extension reveals claims at.
+ *
+ * Every window of consecutive transcript segments a little longer than the
+ * quote is scored by the share of the quote's words it contains; the best
+ * window wins (ties go to the one nearest the extractor's timestamp, then
+ * the shortest). That share of content words is the alignment confidence.
+ */
+import { isStopWord, tokenize } from './language.js';
+const DEFAULT_CONFIG = {
+    minConfidence: parseFloat(process.env.ALIGNMENT_MIN_CONFIDENCE || '0.6'),
+    windowSlack: 1.5,
+    maxWindowSeconds: 45
+};
+// ─────────────────────────────────────────────────────────────
+// Aligner
+// ─────────────────────────────────────────────────────────────
+export class TimestampAligner {
+    config;
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+    /**
+     * Align each claim's segment quote and store the result on the claim
+     * (alignment: null when the quote wasn't found). Returns how many aligned.
+     */
+    alignClaims(claims, segments, source) {
+        const indexed = this.index(segments);
+        let aligned = 0;
+        for (const claim of claims) {
+            const quote = claim.segment?.full_text || claim.extraction?.finding_summary || '';
+            claim.alignment = this.alignIndexed(quote, indexed, source, parseTimestamp(claim.timestamp));
+            if (claim.alignment)
+                aligned++;
+        }
+        return aligned;
+    }
+    /**
+     * Where `quote` was said, or null when no window reaches minConfidence
+     * @param hintSec - The extractor's timestamp, used to break ties between repeats
+     */
+    align(quote, segments, source, hintSec = null) {
+        return this.alignIndexed(quote, this.index(segments), source, hintSec);
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Private helpers
+    // ─────────────────────────────────────────────────────────────
+    index(segments) {
+        return segments.map(segment => ({ ...segment, words: words(segment.text) }));
+    }
+    alignIndexed(quote, segments, source, hintSec) {
+        const quoteWords = words(quote);
+        if (quoteWords.length === 0 || segments.length === 0)
+            return null;
+        const wanted = new Map();
+        for (const word of quoteWords)
+            wanted.set(word, (wanted.get(word) || 0) + 1);
+        const maxWindowWords = Math.ceil(quoteWords.length * this.config.windowSlack) + 5;
+        let best = null;
+        for (let start = 0; start < segments.length; start++) {
+            // Skip windows that can't start on a quote word; they're never the tightest
+            if (!segments[start].words.some(word => wanted.has(word)))
+                continue;
+            const remaining = new Map(wanted);
+            let matched = 0;
+            let windowWords = 0;
+            const windowLimitSec = segments[start].startSec + this.config.maxWindowSeconds;
+            for (let end = start; end < segments.length && windowWords < maxWindowWords; end++) {
+                if (segments[end].endSec > windowLimitSec && end > start)
+                    break;
+                const segmentWords = segments[end].words;
+                let gained = 0;
+                for (const word of segmentWords) {
+                    const left = remaining.get(word);
+                    if (left) {
+                        remaining.set(word, left - 1);
+                        gained++;
+                    }
+                }
+                matched += gained;
+                windowWords += segmentWords.length;
+                // Only windows that end on a matching segment are candidates
+                if (gained > 0 && this.isBetter({ start, end, matched }, best, segments, hintSec)) {
+                    best = { start, end, matched };
+                }
+                if (matched === quoteWords.length)
+                    break;
+            }
+        }
+        if (!best)
+            return null;
+        const confidence = Math.round((best.matched / quoteWords.length) * 100) / 100;
+        if (confidence < this.config.minConfidence)
+            return null;
+        return {
+            start_sec: segments[best.start].startSec,
+            end_sec: segments[best.end].endSec,
+            confidence,
+            source
+        };
+    }
+    isBetter(candidate, best, segments, hintSec) {
+        if (!best)
+            return true;
+        if (candidate.matched !== best.matched)
+            return candidate.matched > best.matched;
+        if (hintSec !== null) {
+            const candidateDistance = Math.abs(segments[candidate.start].startSec - hintSec);
+            const bestDistance = Math.abs(segments[best.start].startSec - hintSec);
+            if (candidateDistance !== bestDistance)
+                return candidateDistance < bestDistance;
+        }
+        return candidate.end - candidate.start < best.end - best.start;
+    }
+}
+function words(text) {
+    // Function words match almost any window, so only content words (and numbers) count
+    return tokenize(text)
+        .filter(word => /^\d+$/.test(word) || (word.length > 2 && !isStopWord(word)));
+}
+/**
+ * "MM:SS" / "HH:MM:SS" → seconds; null for anything else (e.g. ISO dates)
+ */
+function parseTimestamp(timestamp) {
+    if (!timestamp || !/^\d+(:\d{1,2}){1,2}$/.test(timestamp.trim()))
+        return null;
+    return timestamp.trim().split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+}
+export const timestampAligner = new TimestampAligner();
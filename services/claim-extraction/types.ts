@@ -3,6 +3,9 @@
  * Shared types for Full Mode and Live Mode extraction
  */
 
+import type { PromptRef } from '../llm/index.js';
+import type { ClaimSpeaker } from '../diarization/types.js';
+
 // ============ EXTRACTED CLAIM (LLM Output) ============
 
 export interface ExtractedClaim {
@@ -39,9 +42,22 @@ export interface SynthesizedClaim {
     fallback_queries: string[];
   };
   
+  prompt?: PromptRef;   // Extraction prompt revision that produced this claim
+  alignment?: ClaimAlignment | null;   // Quote located in the timed transcript; null when not found
+  speaker?: ClaimSpeaker | null;       // Who in the video said it (diarization); null when unknown
   created_at?: string;
 }
 
+/**
+ * Where the claim's quoted segment was found in caption lines or Whisper segments
+ */
+export interface ClaimAlignment {
+  start_sec: number;
+  end_sec: number;
+  confidence: number;   // Share of the quote's content words found in the window (0-1)
+  source: 'captions' | 'whisper';
+}
+
 // ============ FULL MODE TYPES ============
 
 export interface FullModeInput {
@@ -1,20 +1,29 @@
 /**
  * Verification Pipeline
  * Orchestrates the full claim verification flow:
- * 1. Find papers (OpenAlex → Google+Scrape)
+ * 1. Gather top K papers (OpenAlex → Google+Scrape)
  * 2. Score matches
- * 3. Verify with LLM
+ * 3. Resolve reviews to the primary study quoted (citation graph)
+ * 4. Verify with LLM against each paper (open-access full text when available)
+ * 5. Synthesize a consensus verdict
  */
 
 import type { SynthesizedClaim } from './types.js';
 import type { 
   VerifiedClaim, 
   ScoredPaper, 
-  VerificationConfig
+  VerificationConfig,
+  PaperEvidence,
+  EvidenceSynthesis,
+  VerificationResult
 } from './verification-types.js';
 import { paperFinder } from './paper-finder.js';
-import { matchScorer } from './match-scorer.js';
 import { claimVerifier } from './claim-verifier.js';
+import { evidenceSynthesizer } from './evidence-synthesizer.js';
+import { citationGraph } from './citation-graph.js';
+import { fullTextFetcher } from './full-text.js';
+import { jobEvents } from './job-events.js';
+import { verificationQueue } from './verification-queue.js';
 
 export class VerificationPipeline {
   private config: VerificationConfig;
@@ -23,6 +32,9 @@ export class VerificationPipeline {
     this.config = { 
       max_search_attempts: 3,
       min_match_score: 0.4,
+      max_papers: 3,
+      use_citation_graph: true,
+      use_full_text: true,
       use_semantic_scholar: true,
       use_pubmed: true,
       use_google: true,
@@ -32,16 +44,35 @@ export class VerificationPipeline {
   
   /**
    * Verify a single claim
+   * Publishes a claim_verified event for any listening SSE clients
    */
   async verifyClaim(claim: SynthesizedClaim): Promise<VerifiedClaim> {
+    const verified = await this.runVerification(claim);
+    const paper = verified.verification.best_paper;
+    
+    jobEvents.publish(claim.video_id, 'claim_verified', {
+      claim_id: claim.claim_id,
+      verification_verdict: verified.verification.result?.verdict || null,
+      verification_confidence: verified.verification.result?.confidence || null,
+      verification_explanation: verified.verification.result?.explanation || null,
+      paper_title: paper?.title || null,
+      paper_url: paper?.url || null,
+      evidence_summary: verified.verification.synthesis?.summary || null,
+      evidence: verified.verification.evidence
+    });
+    
+    return verified;
+  }
+  
+  private async runVerification(claim: SynthesizedClaim): Promise<VerifiedClaim> {
     console.log(`🔍 Verifying claim: ${claim.claim_id}`);
     console.log(`   Author: ${claim.extraction.author_normalized || 'unnamed'}`);
     console.log(`   Finding: ${claim.extraction.finding_summary.slice(0, 60)}...`);
     
-    // Step 1: Find best matching paper (OpenAlex → Google+Scrape)
-    const { source, paper, attempts } = await paperFinder.find(claim);
+    // Step 1: Gather top K scored papers across all query strategies and sources
+    const { papers, attempts } = await paperFinder.findTopK(claim, this.config);
     
-    if (!paper) {
+    if (papers.length === 0) {
       console.log(`   ❌ No papers found`);
       return this.createVerifiedClaim(claim, attempts, null, {
         verdict: 'no_paper_found',
@@ -50,44 +81,63 @@ export class VerificationPipeline {
       });
     }
     
-    // Step 2: Score the found paper
-    const scoredPaper = matchScorer.rankPapers([paper], claim)[0];
-    console.log(`   Best match: "${scoredPaper.title.slice(0, 50)}..." (${scoredPaper.match_score.match_quality})`);
+    // Step 2: Keep only papers good enough to verify against
+    const bestPaper = papers[0]!;
+    const relevant = papers.filter(p => claimVerifier.isLikelyRelevant(p, this.config.min_match_score));
+    console.log(`   Best match: "${bestPaper.title.slice(0, 50)}..." (${bestPaper.match_score.match_quality}), ${relevant.length} relevant`);
     
-    // Step 3: Check if paper is good enough
-    if (!claimVerifier.isLikelyRelevant(scoredPaper, this.config.min_match_score)) {
-      console.log(`   ⚠️ Paper below relevance threshold`);
-      return this.createVerifiedClaim(claim, attempts, scoredPaper, {
+    if (relevant.length === 0) {
+      console.log(`   ⚠️ Papers below relevance threshold`);
+      return this.createVerifiedClaim(claim, attempts, bestPaper, {
         verdict: 'unverifiable',
         confidence: 'low',
-        explanation: `Found paper "${scoredPaper.title}" but match quality is ${scoredPaper.match_score.match_quality} (score: ${scoredPaper.match_score.total_score.toFixed(2)}).`
+        explanation: `Found paper "${bestPaper.title}" but match quality is ${bestPaper.match_score.match_quality} (score: ${bestPaper.match_score.total_score.toFixed(2)}).`
       });
     }
     
-    // Step 4: Verify with LLM
-    console.log(`   🤖 Verifying claim against abstract...`);
-    const result = await claimVerifier.verify(claim, scoredPaper);
+    // Step 3: For reviews by the named author, find the primary study actually quoted
+    if (this.config.use_citation_graph) {
+      for (const paper of relevant) {
+        if (!citationGraph.shouldExpand(paper, claim)) continue;
+        const primary = await citationGraph.findPrimaryStudy(paper, claim);
+        if (primary) paper.primary_study = primary;
+      }
+    }
     
-    console.log(`   Verdict: ${result.verdict} (${result.confidence})`);
+    // Step 4: Verify the claim against each paper
+    const evidence: PaperEvidence[] = [];
+    const paperResults: VerificationResult[] = [];
+    for (const paper of relevant) {
+      // Read the primary study's full text when the review points at one
+      const passages = this.config.use_full_text
+        ? await fullTextFetcher.findPassages(paper.primary_study || paper, claim)
+        : [];
+      
+      console.log(`   🤖 Verifying against "${paper.title.slice(0, 40)}..."${passages.length > 0 ? ' (full text)' : ''}`);
+      const paperResult = await claimVerifier.verify(claim, paper, passages);
+      paperResults.push(paperResult);
+      evidence.push(evidenceSynthesizer.toEvidence(paper, paperResult));
+    }
     
-    return this.createVerifiedClaim(claim, attempts, scoredPaper, result);
+    // Step 5: Synthesize a consensus verdict (a single paper keeps its own explanation)
+    const synthesis = evidenceSynthesizer.synthesize(evidence);
+    const result = paperResults.length === 1
+      ? paperResults[0]!
+      : evidenceSynthesizer.toResult(synthesis, evidence);
+    console.log(`   Verdict: ${result.verdict} (${result.confidence}) — ${synthesis.summary}`);
+    
+    const models = [...new Set(paperResults.flatMap(r => r.model ? [r.model] : []))];
+    return this.createVerifiedClaim(claim, attempts, bestPaper, result, evidence, synthesis, models);
   }
   
   /**
-   * Verify multiple claims
+   * Verify multiple claims through the shared verification queue
+   * (concurrency and per-service rate limits are applied there)
    */
   async verifyAll(claims: SynthesizedClaim[]): Promise<VerifiedClaim[]> {
-    const results: VerifiedClaim[] = [];
-    
-    for (const claim of claims) {
-      const verified = await this.verifyClaim(claim);
-      results.push(verified);
-      
-      // Small delay to avoid rate limiting
-      await this.delay(500);
-    }
-    
-    return results;
+    return Promise.all(claims.map(claim =>
+      verificationQueue.add('pipeline', claim.claim_id, () => this.verifyClaim(claim))
+    ));
   }
   
   /**
@@ -115,8 +165,12 @@ export class VerificationPipeline {
     claim: SynthesizedClaim,
     attempts: any[],
     bestPaper: ScoredPaper | null,
-    result: any
+    result: any,
+    evidence: PaperEvidence[] = [],
+    synthesis: EvidenceSynthesis | null = null,
+    models: string[] = []
   ): VerifiedClaim {
+    const prompt = claimVerifier.promptFor(claim);
     return {
       ...claim,
       verification: {
@@ -124,14 +178,16 @@ export class VerificationPipeline {
         attempts,
         best_paper: bestPaper,
         result,
-        verified_at: new Date().toISOString()
+        evidence,
+        synthesis,
+        verified_at: new Date().toISOString(),
+        models,
+        prompt_id: prompt.id,
+        prompt_version: prompt.version,
+        config: { ...this.config }
       }
     };
   }
-  
-  private delay(ms: number): Promise<void> {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 export const verificationPipeline = new VerificationPipeline();
@@ -0,0 +1,68 @@
+/**
+ * Verification Queue
+ * Process-wide work queue for claim verification, so several videos verifying
+ * at once still share one concurrency limit (outbound rates are enforced
+ * separately by the rate limiter).
+ *
+ * Set VERIFICATION_CONCURRENCY to change how many claims verify in parallel.
+ */
+const DEFAULT_CONFIG = {
+    concurrency: Number(process.env.VERIFICATION_CONCURRENCY) || 4
+};
+export class VerificationQueue {
+    config;
+    pending = [];
+    inFlight = new Map();
+    running = 0;
+    completed = 0;
+    failed = 0;
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+    /**
+     * Queue a claim's verification; resolves with the task's result.
+     * A claim already queued or running for the same kind shares the existing promise.
+     */
+    add(kind, claimId, task) {
+        const key = `${kind}:${claimId}`;
+        const existing = this.inFlight.get(key);
+        if (existing)
+            return existing;
+        const promise = new Promise((resolve, reject) => {
+            this.pending.push({
+                claimId,
+                // drain() counts the task's own outcome; the caller's promise follows it
+                run: () => {
+                    const result = Promise.resolve().then(task);
+                    result.then(resolve, reject);
+                    return result;
+                }
+            });
+        }).finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, promise);
+        this.drain();
+        return promise;
+    }
+    getStats() {
+        return {
+            concurrency: this.config.concurrency,
+            running: this.running,
+            queued: this.pending.length,
+            completed: this.completed,
+            failed: this.failed
+        };
+    }
+    drain() {
+        while (this.running < this.config.concurrency && this.pending.length > 0) {
+            const next = this.pending.shift();
+            this.running++;
+            next.run()
+                .then(() => { this.completed++; }, () => { this.failed++; })
+                .finally(() => {
+                this.running--;
+                this.drain();
+            });
+        }
+    }
+}
+export const verificationQueue = new VerificationQueue();
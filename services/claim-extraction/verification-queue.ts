@@ -0,0 +1,91 @@
+/**
+ * Verification Queue
+ * Process-wide work queue for claim verification, so several videos verifying
+ * at once still share one concurrency limit (outbound rates are enforced
+ * separately by the rate limiter).
+ *
+ * Set VERIFICATION_CONCURRENCY to change how many claims verify in parallel.
+ */
+
+interface VerificationQueueConfig {
+  concurrency: number;
+}
+
+const DEFAULT_CONFIG: VerificationQueueConfig = {
+  concurrency: Number(process.env.VERIFICATION_CONCURRENCY) || 4
+};
+
+/**
+ * Who queued a verification. Only tasks of the same kind share an in-flight
+ * run, so a caller always gets back its own task's result type.
+ */
+export type VerificationTaskKind = 'video' | 'live' | 'pipeline' | 'reverify';
+
+interface QueuedTask {
+  claimId: string;
+  run: () => Promise<unknown>;
+}
+
+export class VerificationQueue {
+  private config: VerificationQueueConfig;
+  private pending: QueuedTask[] = [];
+  private inFlight: Map<string, Promise<any>> = new Map();
+  private running = 0;
+  private completed = 0;
+  private failed = 0;
+
+  constructor(config: Partial<VerificationQueueConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Queue a claim's verification; resolves with the task's result.
+   * A claim already queued or running for the same kind shares the existing promise.
+   */
+  add<T>(kind: VerificationTaskKind, claimId: string, task: () => Promise<T>): Promise<T> {
+    const key = `${kind}:${claimId}`;
+    const existing = this.inFlight.get(key);
+    if (existing) return existing;
+
+    const promise = new Promise<T>((resolve, reject) => {
+      this.pending.push({
+        claimId,
+        // drain() counts the task's own outcome; the caller's promise follows it
+        run: () => {
+          const result = Promise.resolve().then(task);
+          result.then(resolve, reject);
+          return result;
+        }
+      });
+    }).finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    this.drain();
+    return promise;
+  }
+
+  getStats(): { concurrency: number; running: number; queued: number; completed: number; failed: number } {
+    return {
+      concurrency: this.config.concurrency,
+      running: this.running,
+      queued: this.pending.length,
+      completed: this.completed,
+      failed: this.failed
+    };
+  }
+
+  private drain(): void {
+    while (this.running < this.config.concurrency && this.pending.length > 0) {
+      const next = this.pending.shift()!;
+      this.running++;
+      next.run()
+        .then(() => { this.completed++; }, () => { this.failed++; })
+        .finally(() => {
+          this.running--;
+          this.drain();
+        });
+    }
+  }
+}
+
+export const verificationQueue = new VerificationQueue();
@@ -5,6 +5,9 @@
 export const DEFAULT_VERIFICATION_CONFIG = {
     max_search_attempts: 3,
     min_match_score: 0.4,
+    max_papers: 3,
+    use_citation_graph: true,
+    use_full_text: true,
     use_semantic_scholar: true,
     use_pubmed: true,
     use_google: true
@@ -16,6 +16,9 @@ export interface PaperResult {
   abstract: string | null;
   url: string;
   doi: string | null;
+  pmid?: string | null;         // PubMed ID, used alongside DOI to merge duplicates across sources
+  pmcid?: string | null;        // PubMed Central ID; full text available as XML
+  oa_pdf_url?: string | null;   // Open-access PDF
   citation_count: number | null;
   source: 'semantic_scholar' | 'pubmed' | 'google' | 'openalex';
 }
@@ -40,6 +43,7 @@ export interface MatchScore {
 
 export interface ScoredPaper extends PaperResult {
   match_score: MatchScore;
+  primary_study?: ScoredPaper;  // For reviews: the cited study the speaker most likely quoted
 }
 
 // ============ VERIFICATION RESULT ============
@@ -51,12 +55,68 @@ export type VerificationVerdict =
   | 'unverifiable'   // Cannot determine from abstract
   | 'no_paper_found'; // No relevant paper found
 
+export interface VerificationSource {
+  basis: 'abstract' | 'full_text';
+  section: string;              // "Abstract", "Results", "Tables", ...
+  passage: string;              // Passage (or quote from it) the verdict relied on
+}
+
 export interface VerificationResult {
   verdict: VerificationVerdict;
   confidence: 'high' | 'medium' | 'low';
   explanation: string;
   key_differences?: string[];   // If contradicted/partial
   matching_details?: string[];  // If supported
+  source?: VerificationSource;
+  model?: string;               // "provider/model" that produced the verdict
+}
+
+// ============ EVIDENCE SYNTHESIS ============
+
+export type EvidenceStance = 'supports' | 'partially_supports' | 'contradicts' | 'unclear';
+
+export type StudyType =
+  | 'meta_analysis'
+  | 'systematic_review'
+  | 'rct'
+  | 'cohort'
+  | 'case_control'
+  | 'cross_sectional'
+  | 'animal'
+  | 'in_vitro'
+  | 'review'
+  | 'other';
+
+// One paper's verdict on the claim (compact, stored on the claim as JSONB)
+export interface PaperEvidence {
+  paper_id: string;
+  title: string;
+  authors: string[];
+  year: number | null;
+  venue: string | null;
+  url: string;
+  doi: string | null;
+  match_score: number;
+  study_type: StudyType;
+  stance: EvidenceStance;
+  confidence: 'high' | 'medium' | 'low';
+  explanation: string;
+  source: VerificationSource | null;
+  primary_study: {
+    title: string;
+    url: string;
+    doi: string | null;
+    year: number | null;
+    study_type: StudyType;
+    match_score: number;
+  } | null;
+}
+
+export interface EvidenceSynthesis {
+  verdict: VerificationVerdict;
+  confidence: 'high' | 'medium' | 'low';
+  summary: string;              // e.g. "2 supporting RCTs, 1 contradicting meta-analysis"
+  counts: Record<EvidenceStance, number>;
 }
 
 // ============ VERIFIED CLAIM ============
@@ -66,8 +126,15 @@ export interface VerifiedClaim extends SynthesizedClaim {
     status: 'verified' | 'pending' | 'failed';
     attempts: SearchAttempt[];
     best_paper: ScoredPaper | null;
-    result: VerificationResult | null;
+    result: VerificationResult | null;    // Aggregate verdict across all evidence
+    evidence: PaperEvidence[];
+    synthesis: EvidenceSynthesis | null;
     verified_at: string | null;
+    // Provenance, recorded per run in claim_verifications
+    models: string[];
+    prompt_id: string;
+    prompt_version: string;
+    config: VerificationConfig;
   };
 }
 
@@ -76,6 +143,9 @@ export interface VerifiedClaim extends SynthesizedClaim {
 export interface VerificationConfig {
   max_search_attempts: number;
   min_match_score: number;
+  max_papers: number;           // Top K papers verified per claim
+  use_citation_graph: boolean;  // Look behind reviews for the primary study
+  use_full_text: boolean;       // Verify against open-access full text when available
   use_semantic_scholar: boolean;
   use_pubmed: boolean;
   use_google: boolean;
@@ -84,6 +154,9 @@ export interface VerificationConfig {
 export const DEFAULT_VERIFICATION_CONFIG: VerificationConfig = {
   max_search_attempts: 3,
   min_match_score: 0.4,
+  max_papers: 3,
+  use_citation_graph: true,
+  use_full_text: true,
   use_semantic_scholar: true,
   use_pubmed: true,
   use_google: true
@@ -0,0 +1,162 @@
+/**
+ * Video Segments
+ * Splits long videos into overlapping windows for the full track.
+ *
+ * Uses yt-dlp metadata for duration + chapters. Window edges snap to a
+ * nearby chapter start so a topic isn't cut in half. Also downloads the
+ * audio track (yt-dlp) for Whisper and diarization.
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+// Snap to a chapter start within this fraction of the segment length
+const CHAPTER_SNAP_RATIO = 0.25;
+// ─────────────────────────────────────────────────────────────
+// Metadata
+// ─────────────────────────────────────────────────────────────
+/**
+ * Duration and chapters from yt-dlp (no download)
+ */
+export function fetchVideoMetadata(youtubeUrl) {
+    return new Promise((resolve, reject) => {
+        const ytdlp = spawn('yt-dlp', ['--dump-json', '--no-download', youtubeUrl], {
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let stdout = '';
+        let stderr = '';
+        ytdlp.stdout.on('data', (data) => { stdout += data.toString(); });
+        ytdlp.stderr.on('data', (data) => { stderr += data.toString(); });
+        ytdlp.on('close', (code) => {
+            if (code !== 0) {
+                reject(new Error(`yt-dlp failed with code ${code}: ${stderr}`));
+                return;
+            }
+            try {
+                const info = JSON.parse(stdout);
+                resolve({
+                    durationSec: Number(info.duration) || 0,
+                    chapters: (info.chapters || []).map((c) => ({
+                        title: c.title || '',
+                        startSec: Number(c.start_time) || 0,
+                        endSec: Number(c.end_time) || 0
+                    })),
+                    title: info.title || null,
+                    uploader: info.uploader || info.channel || null,
+                    description: info.description || null,
+                    language: info.language || null
+                });
+            }
+            catch {
+                reject(new Error('Failed to parse yt-dlp metadata'));
+            }
+        });
+        ytdlp.on('error', (error) => {
+            if (error.message.includes('ENOENT')) {
+                reject(new Error('yt-dlp is not installed. Please install it first: brew install yt-dlp'));
+            }
+            else {
+                reject(error);
+            }
+        });
+    });
+}
+/**
+ * Audio track as 16 kHz mono mp3 (small enough for Whisper's 25MB limit)
+ */
+export function downloadAudio(youtubeUrl, audioPath) {
+    return new Promise((resolve, reject) => {
+        const ytdlp = spawn('yt-dlp', [
+            '--js-runtimes', 'node', // Required for YouTube JS challenges
+            '--extract-audio',
+            '--audio-format', 'mp3',
+            '--audio-quality', '5',
+            '--postprocessor-args', 'ffmpeg:-ar 16000 -ac 1',
+            '--output', audioPath,
+            youtubeUrl
+        ], {
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let stderr = '';
+        ytdlp.stderr.on('data', (data) => { stderr += data.toString(); });
+        ytdlp.on('close', (code) => {
+            if (code !== 0) {
+                reject(new Error(`yt-dlp failed with code ${code}: ${stderr}`));
+            }
+            else if (!fs.existsSync(audioPath)) {
+                reject(new Error('Audio file was not created'));
+            }
+            else {
+                console.log(`✅ Audio extracted successfully: ${audioPath}`);
+                resolve(audioPath);
+            }
+        });
+        ytdlp.on('error', (error) => {
+            if (error.message.includes('ENOENT')) {
+                reject(new Error('yt-dlp is not installed. Please install it first: brew install yt-dlp'));
+            }
+            else {
+                reject(error);
+            }
+        });
+    });
+}
+// ─────────────────────────────────────────────────────────────
+// Planning
+// ─────────────────────────────────────────────────────────────
+/**
+ * Cut [0, duration] into ~segmentMinutes windows, each padded by
+ * overlapSeconds on both sides (claims in the overlap are deduplicated later)
+ */
+export function planSegments(metadata, config) {
+    const { durationSec, chapters } = metadata;
+    const target = config.segmentMinutes * 60;
+    const snapWindow = target * CHAPTER_SNAP_RATIO;
+    const chapterStarts = chapters.map(c => c.startSec).filter(s => s > 0 && s < durationSec);
+    // Boundaries without overlap
+    const cuts = [0];
+    let cursor = 0;
+    while (durationSec - cursor > target + snapWindow) {
+        let next = cursor + target;
+        const nearby = chapterStarts
+            .filter(s => s > cursor + snapWindow && Math.abs(s - next) <= snapWindow)
+            .sort((a, b) => Math.abs(a - next) - Math.abs(b - next));
+        if (nearby.length > 0)
+            next = nearby[0];
+        cuts.push(next);
+        cursor = next;
+    }
+    cuts.push(durationSec);
+    const segments = [];
+    for (let i = 0; i < cuts.length - 1; i++) {
+        const start = cuts[i];
+        const end = cuts[i + 1];
+        segments.push({
+            index: i,
+            startSec: Math.max(0, Math.floor(start - config.overlapSeconds)),
+            endSec: Math.min(durationSec, Math.ceil(end + config.overlapSeconds)),
+            chapterTitle: chapterAt(chapters, start),
+            status: 'pending',
+            claimsCount: 0,
+            completedAt: null
+        });
+    }
+    return segments;
+}
+function chapterAt(chapters, sec) {
+    const chapter = chapters.find(c => sec >= c.startSec && sec < c.endSec);
+    return chapter?.title || null;
+}
+/**
+ * Run tasks with at most `limit` in flight; results keep input order
+ */
+export async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await task(items[i]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    return results;
+}
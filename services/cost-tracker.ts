@@ -1,5 +1,6 @@
 import { AI_CONFIG, COST_ESTIMATES } from '../lib/ai-config.js';
 import type { CostTrackingInfo } from '../lib/ai-types.js';
+import type { LLMUsage } from './llm/index.js';
 
 /**
  * Cost Tracker Service
@@ -33,6 +34,15 @@ export class CostTracker {
     return cost;
   }
 
+  /**
+   * Track an LLM call priced by the provider layer
+   * Booked under 'gpt' so daily totals cover every text model, whichever backend served it
+   */
+  async trackLLMUsage(usage: LLMUsage, operation: string = 'fact-check'): Promise<number> {
+    await this.addCost('gpt', usage.costUsd, operation);
+    return usage.costUsd;
+  }
+
   /**
    * Add cost for a service
    */
@@ -0,0 +1,64 @@
+/**
+ * AssemblyAI Diarization Backend
+ * Uploads the audio, requests a transcript with speaker_labels and polls
+ * until it's done; the utterances become speaker turns.
+ *
+ *   ASSEMBLYAI_API_KEY=...
+ */
+import { DiarizationError } from './types.js';
+const DEFAULT_CONFIG = {
+    apiKey: process.env.ASSEMBLYAI_API_KEY || null,
+    baseUrl: 'https://api.assemblyai.com/v2',
+    pollIntervalMs: 5000,
+    timeoutMs: parseInt(process.env.DIARIZATION_TIMEOUT_MS || '1800000')
+};
+export class AssemblyAIDiarizationBackend {
+    name = 'assemblyai';
+    config;
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+    async diarize(audio, filename) {
+        if (!this.config.apiKey) {
+            throw new DiarizationError('ASSEMBLYAI_API_KEY is not set', 'NOT_CONFIGURED', this.name);
+        }
+        console.log(`🗣️ Uploading ${filename} (${audio.length} bytes) to AssemblyAI for diarization`);
+        const upload = await this.request('/upload', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: new Uint8Array(audio)
+        });
+        const job = await this.request('/transcript', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ audio_url: upload.upload_url, speaker_labels: true })
+        });
+        const deadline = Date.now() + this.config.timeoutMs;
+        while (Date.now() < deadline) {
+            const transcript = await this.request(`/transcript/${job.id}`, { method: 'GET' });
+            if (transcript.status === 'completed') {
+                return (transcript.utterances || []).map((u) => ({
+                    speaker: String(u.speaker),
+                    startSec: u.start / 1000,
+                    endSec: u.end / 1000
+                }));
+            }
+            if (transcript.status === 'error') {
+                throw new DiarizationError(`AssemblyAI transcript failed: ${transcript.error}`, 'BACKEND_ERROR', this.name);
+            }
+            await new Promise(resolve => setTimeout(resolve, this.config.pollIntervalMs));
+        }
+        throw new DiarizationError(`AssemblyAI transcript ${job.id} not done after ${this.config.timeoutMs}ms`, 'TIMEOUT', this.name);
+    }
+    async request(pathname, init) {
+        const response = await fetch(`${this.config.baseUrl}${pathname}`, {
+            ...init,
+            headers: { ...init.headers, Authorization: this.config.apiKey }
+        });
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new DiarizationError(`AssemblyAI ${pathname} returned ${response.status}: ${body.slice(0, 300)}`, 'BACKEND_ERROR', this.name);
+        }
+        return response.json();
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * Diarizer
+ * Splits audio into speaker turns with the configured backend, maps labels
+ * to host/guest (and names, where the video metadata gives them) and
+ * attributes transcript segments and claims to speakers.
+ *
+ *   DIARIZATION_BACKEND=off | local | assemblyai   (default off)
+ *   SPEAKER_NAMING=on | off                        (speaker_identification LLM task)
+ */
+
+import { llm, promptRegistry } from '../llm/index.js';
+import { AssemblyAIDiarizationBackend } from './assemblyai-backend.js';
+import { LocalDiarizationBackend } from './local-backend.js';
+import type {
+  ClaimSpeaker,
+  DiarizationBackend,
+  DiarizationBackendName,
+  DiarizedSpeakers,
+  SpeakerContext,
+  SpeakerProfile,
+  SpeakerTurn
+} from './types.js';
+
+interface DiarizerConfig {
+  backend: DiarizationBackendName | null;   // null = diarization off
+  nameSpeakers: boolean;
+  mergeGapSec: number;                      // Same-speaker turns closer than this are merged
+}
+
+const BACKENDS: DiarizationBackendName[] = ['local', 'assemblyai'];
+
+const DEFAULT_CONFIG: DiarizerConfig = {
+  backend: BACKENDS.find(name => name === process.env.DIARIZATION_BACKEND) || null,
+  nameSpeakers: process.env.SPEAKER_NAMING !== 'off',
+  mergeGapSec: 1
+};
+
+// Lines per speaker shown to the naming model
+const SAMPLE_LINES = 6;
+
+export class Diarizer {
+  private config: DiarizerConfig;
+  private backends: Map<DiarizationBackendName, DiarizationBackend> = new Map();
+
+  constructor(config: Partial<DiarizerConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  get enabled(): boolean {
+    return this.config.backend !== null;
+  }
+
+  /**
+   * Speaker turns and profiles for an audio file; throws DiarizationError
+   * when the backend fails. Naming failures only leave names null.
+   */
+  async diarize(audio: Buffer, filename: string, context: SpeakerContext = {}): Promise<DiarizedSpeakers> {
+    if (!this.config.backend) throw new Error('Diarization is off (set DIARIZATION_BACKEND)');
+
+    const startTime = Date.now();
+    const backend = this.getBackend(this.config.backend);
+    const turns = this.mergeTurns(await backend.diarize(audio, filename));
+    let speakers = this.profiles(turns);
+
+    if (this.config.nameSpeakers && speakers.length > 0) {
+      speakers = await this.nameSpeakers(speakers, turns, context);
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`🗣️ Diarized ${filename}: ${speakers.length} speakers, ${turns.length} turns in ${elapsed}s (${backend.name})`);
+    return { backend: backend.name, turns, speakers };
+  }
+
+  /**
+   * Speaker who talks most over [startSec, endSec]; for a point in time
+   * (or a gap between turns) the nearest turn within a few seconds
+   */
+  speakerAt(diarized: DiarizedSpeakers, startSec: number, endSec: number = startSec): ClaimSpeaker | null {
+    const overlap = new Map<string, number>();
+    for (const turn of diarized.turns) {
+      const shared = Math.min(turn.endSec, endSec) - Math.max(turn.startSec, startSec);
+      if (shared > 0) overlap.set(turn.speaker, (overlap.get(turn.speaker) || 0) + shared);
+    }
+
+    let label = [...overlap.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+    if (!label) {
+      const nearest = diarized.turns
+        .map(turn => ({ turn, distance: Math.max(turn.startSec - endSec, startSec - turn.endSec, 0) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+      if (!nearest || nearest.distance > 5) return null;
+      label = nearest.turn.speaker;
+    }
+
+    const profile = diarized.speakers.find(s => s.label === label);
+    return { label, name: profile?.name || null, role: profile?.role || null };
+  }
+
+  /**
+   * Copy of the segments with the speaker of each one
+   */
+  labelSegments<T extends { start: number; end: number }>(
+    segments: T[],
+    diarized: DiarizedSpeakers
+  ): Array<T & { speaker?: string }> {
+    return segments.map(segment => {
+      const speaker = this.speakerAt(diarized, segment.start, segment.end);
+      return speaker ? { ...segment, speaker: speaker.label } : segment;
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Private helpers
+  // ─────────────────────────────────────────────────────────────
+
+  private getBackend(name: DiarizationBackendName): DiarizationBackend {
+    let backend = this.backends.get(name);
+    if (!backend) {
+      backend = name === 'local' ? new LocalDiarizationBackend() : new AssemblyAIDiarizationBackend();
+      this.backends.set(name, backend);
+    }
+    return backend;
+  }
+
+  private mergeTurns(turns: SpeakerTurn[]): SpeakerTurn[] {
+    const merged: SpeakerTurn[] = [];
+    for (const turn of [...turns].sort((a, b) => a.startSec - b.startSec)) {
+      const last = merged[merged.length - 1];
+      if (last && last.speaker === turn.speaker && turn.startSec - last.endSec <= this.config.mergeGapSec) {
+        last.endSec = Math.max(last.endSec, turn.endSec);
+      } else {
+        merged.push({ ...turn });
+      }
+    }
+    return merged;
+  }
+
+  private profiles(turns: SpeakerTurn[]): SpeakerProfile[] {
+    const talk = new Map<string, number>();
+    for (const turn of turns) {
+      talk.set(turn.speaker, (talk.get(turn.speaker) || 0) + turn.endSec - turn.startSec);
+    }
+    return [...talk.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([label, talkSec]) => ({ label, name: null, role: null, talkSec: Math.round(talkSec) }));
+  }
+
+  /**
+   * Ask the speaker_identification task who each label is; labels it can't
+   * place keep name/role null
+   */
+  private async nameSpeakers(
+    speakers: SpeakerProfile[],
+    turns: SpeakerTurn[],
+    context: SpeakerContext
+  ): Promise<SpeakerProfile[]> {
+    const diarized: DiarizedSpeakers = { backend: this.config.backend!, turns, speakers };
+    const samples = new Map<string, string[]>();
+    for (const segment of context.segments || []) {
+      const label = this.speakerAt(diarized, segment.startSec, segment.endSec)?.label;
+      if (!label) continue;
+      const lines = samples.get(label) || [];
+      if (lines.length < SAMPLE_LINES && segment.text.trim().split(/\s+/).length >= 5) {
+        lines.push(segment.text.trim());
+        samples.set(label, lines);
+      }
+    }
+
+    const description = (context.description || '').slice(0, 1500);
+    const speakerList = speakers.map(s => {
+      const lines = (samples.get(s.label) || []).map(line => `  - "${line}"`).join('\n');
+      return `${s.label} (${Math.round(s.talkSec / 60)} min of talk)${lines ? `:\n${lines}` : ''}`;
+    }).join('\n\n');
+
+    try {
+      const template = promptRegistry.get('speaker_identification');
+      const response = await llm.complete('speaker_identification', {
+        messages: [
+          { role: 'system', content: template.text },
+          {
+            role: 'user',
+            content: `TITLE: ${context.title || 'unknown'}
+CHANNEL: ${context.uploader || 'unknown'}
+DESCRIPTION:
+${description || '(none)'}
+
+SPEAKERS:
+${speakerList}`
+          }
+        ],
+        json: true
+      });
+
+      const named = new Map<string, any>((response.json?.speakers || []).map((s: any) => [s.label, s]));
+      return speakers.map(speaker => {
+        const match = named.get(speaker.label);
+        return {
+          ...speaker,
+          name: typeof match?.name === 'string' && match.name.trim() ? match.name.trim() : null,
+          role: match?.role === 'host' || match?.role === 'guest' ? match.role : null
+        };
+      });
+    } catch (error: any) {
+      console.warn('⚠️ Speaker naming failed, keeping labels only:', error.message);
+      return speakers;
+    }
+  }
+}
+
+export const diarizer = new Diarizer();
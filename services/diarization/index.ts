@@ -0,0 +1,15 @@
+/**
+ * Speaker Diarization
+ *
+ * Usage:
+ *   import { diarizer } from '../diarization/index.js';
+ *   if (diarizer.enabled) {
+ *     const diarized = await diarizer.diarize(audioBuffer, 'episode.mp3', { title, uploader, segments });
+ *     diarizer.speakerAt(diarized, claimStartSec, claimEndSec)  // { label, name, role }
+ *   }
+ */
+
+export * from './types.js';
+export { Diarizer, diarizer } from './diarizer.js';
+export { LocalDiarizationBackend } from './local-backend.js';
+export { AssemblyAIDiarizationBackend } from './assemblyai-backend.js';
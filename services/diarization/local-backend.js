@@ -0,0 +1,91 @@
+/**
+ * Local Diarization Backend
+ * Runs a diarization command on this machine (default: scripts/diarize.py,
+ * pyannote.audio) with the audio file as its last argument. The command
+ * prints JSON turns to stdout:
+ *
+ *   [{ "speaker": "SPEAKER_00", "start": 0.5, "end": 12.3 }, ...]
+ *
+ *   DIARIZATION_LOCAL_COMMAND="python3 scripts/diarize.py"
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DiarizationError } from './types.js';
+const DEFAULT_CONFIG = {
+    command: process.env.DIARIZATION_LOCAL_COMMAND || 'python3 scripts/diarize.py',
+    timeoutMs: parseInt(process.env.DIARIZATION_TIMEOUT_MS || '1800000') // 30 min; CPU pyannote is slow
+};
+export class LocalDiarizationBackend {
+    name = 'local';
+    config;
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+    async diarize(audio, filename) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-diarize-'));
+        const audioPath = path.join(dir, path.basename(filename) || 'audio');
+        try {
+            fs.writeFileSync(audioPath, audio);
+            const stdout = await this.run(audioPath);
+            return parseTurns(stdout);
+        }
+        finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+    run(audioPath) {
+        const [program, ...args] = this.config.command.split(/\s+/).filter(Boolean);
+        if (!program) {
+            return Promise.reject(new DiarizationError('DIARIZATION_LOCAL_COMMAND is empty', 'NOT_CONFIGURED', this.name));
+        }
+        return new Promise((resolve, reject) => {
+            const child = spawn(program, [...args, audioPath], { stdio: ['ignore', 'pipe', 'pipe'] });
+            let stdout = '';
+            let stderr = '';
+            child.stdout.on('data', (data) => { stdout += data.toString(); });
+            child.stderr.on('data', (data) => { stderr += data.toString(); });
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new DiarizationError(`Diarization timed out after ${this.config.timeoutMs}ms`, 'TIMEOUT', this.name));
+            }, this.config.timeoutMs);
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve(stdout);
+                }
+                else {
+                    reject(new DiarizationError(`${program} failed with code ${code}: ${stderr.slice(-500)}`, 'BACKEND_ERROR', this.name));
+                }
+            });
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                const message = error.message.includes('ENOENT')
+                    ? `${program} not found (set DIARIZATION_LOCAL_COMMAND)`
+                    : error.message;
+                reject(new DiarizationError(message, 'NOT_CONFIGURED', this.name));
+            });
+        });
+    }
+}
+function parseTurns(stdout) {
+    let parsed;
+    try {
+        parsed = JSON.parse(stdout);
+    }
+    catch {
+        throw new DiarizationError('Diarization command did not print JSON', 'INVALID_OUTPUT', 'local');
+    }
+    const rows = Array.isArray(parsed) ? parsed : parsed?.turns;
+    if (!Array.isArray(rows)) {
+        throw new DiarizationError('Expected a JSON array of { speaker, start, end }', 'INVALID_OUTPUT', 'local');
+    }
+    return rows
+        .map((row) => ({
+        speaker: String(row.speaker ?? ''),
+        startSec: Number(row.start),
+        endSec: Number(row.end)
+    }))
+        .filter(turn => turn.speaker && Number.isFinite(turn.startSec) && turn.endSec > turn.startSec);
+}
@@ -0,0 +1,14 @@
+/**
+ * Diarization Types
+ * Speaker turns from a diarization backend and the speakers they map to
+ */
+export class DiarizationError extends Error {
+    code;
+    backend;
+    constructor(message, code, backend) {
+        super(message);
+        this.name = 'DiarizationError';
+        this.code = code;
+        this.backend = backend;
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * Diarization Types
+ * Speaker turns from a diarization backend and the speakers they map to
+ */
+
+// ─────────────────────────────────────────────────────────────
+// Turns & Speakers
+// ─────────────────────────────────────────────────────────────
+
+export type DiarizationBackendName = 'local' | 'assemblyai';
+
+/**
+ * One stretch of audio attributed to a single speaker
+ */
+export interface SpeakerTurn {
+  speaker: string;      // Backend label, e.g. "SPEAKER_00" or "A"
+  startSec: number;
+  endSec: number;
+}
+
+export type SpeakerRole = 'host' | 'guest';
+
+export interface SpeakerProfile {
+  label: string;
+  name: string | null;        // Only when the video metadata names them
+  role: SpeakerRole | null;
+  talkSec: number;
+}
+
+export interface DiarizedSpeakers {
+  backend: DiarizationBackendName;
+  turns: SpeakerTurn[];
+  speakers: SpeakerProfile[];  // Most talk time first
+}
+
+/**
+ * Who in the video made a claim (not the researcher it cites)
+ */
+export interface ClaimSpeaker {
+  label: string;
+  name: string | null;
+  role: SpeakerRole | null;
+}
+
+/**
+ * What speaker naming can use; everything is optional
+ */
+export interface SpeakerContext {
+  title?: string | null;
+  uploader?: string | null;
+  description?: string | null;
+  segments?: Array<{ startSec: number; endSec: number; text: string }>;  // Timed transcript for sample lines
+}
+
+// ─────────────────────────────────────────────────────────────
+// Backends
+// ─────────────────────────────────────────────────────────────
+
+export interface DiarizationBackend {
+  readonly name: DiarizationBackendName;
+  diarize(audio: Buffer, filename: string): Promise<SpeakerTurn[]>;
+}
+
+export type DiarizationErrorCode = 'NOT_CONFIGURED' | 'BACKEND_ERROR' | 'INVALID_OUTPUT' | 'TIMEOUT';
+
+export class DiarizationError extends Error {
+  code: DiarizationErrorCode;
+  backend: DiarizationBackendName;
+
+  constructor(message: string, code: DiarizationErrorCode, backend: DiarizationBackendName) {
+    super(message);
+    this.name = 'DiarizationError';
+    this.code = code;
+    this.backend = backend;
+  }
+}
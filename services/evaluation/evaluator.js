@@ -0,0 +1,184 @@
+/**
+ * Evaluator
+ * Runs the extraction + verification pipeline over a labelled dataset and
+ * scores the output against the labels (see metrics.ts).
+ *
+ * - Video items go through the Gemini video extractor, transcript items
+ *   through the transcript extractor; both use the prompt registry as usual
+ * - Claims are verified one at a time so replayed fixtures are consumed in
+ *   the order they were recorded
+ *
+ * Live/record/replay is the fetch layer's job (services/replay); the caller
+ * installs it and passes the mode through for the report.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { geminiExtractor } from '../claim-extraction/gemini-extractor.js';
+import { normalizeLanguage } from '../claim-extraction/language.js';
+import { VerificationPipeline } from '../claim-extraction/verification-pipeline.js';
+import { computeMetrics, parseTimestamp, scoreItem } from './metrics.js';
+const DEFAULT_CONFIG = {
+    mode: 'live',
+    verify: true,
+    matchThreshold: 0.35,
+    timestampToleranceSec: 30,
+    verification: {}
+};
+export class DatasetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DatasetError';
+    }
+}
+/**
+ * Read and validate a dataset file; transcript_file paths resolve against it
+ */
+export function loadDataset(file) {
+    let raw;
+    let dataset;
+    try {
+        raw = fs.readFileSync(file, 'utf8');
+        dataset = JSON.parse(raw);
+    }
+    catch (error) {
+        throw new DatasetError(`Could not read dataset ${file}: ${error.message}`);
+    }
+    if (!dataset.name || !Array.isArray(dataset.items)) {
+        throw new DatasetError(`${file}: expected { name, items: [...] }`);
+    }
+    const ids = new Set();
+    for (const item of dataset.items) {
+        if (!item.id)
+            throw new DatasetError(`${file}: every item needs an id`);
+        if (ids.has(item.id))
+            throw new DatasetError(`${file}: duplicate item id ${item.id}`);
+        ids.add(item.id);
+        if (item.transcript_file) {
+            item.transcript = fs.readFileSync(path.resolve(path.dirname(file), item.transcript_file), 'utf8');
+        }
+        if (!item.youtube_url && !item.transcript) {
+            throw new DatasetError(`${file}: item ${item.id} needs youtube_url, transcript or transcript_file`);
+        }
+        if (!Array.isArray(item.expected_claims)) {
+            throw new DatasetError(`${file}: item ${item.id} needs expected_claims`);
+        }
+    }
+    return { dataset, sha1: crypto.createHash('sha1').update(raw).digest('hex') };
+}
+export class Evaluator {
+    config;
+    pipeline;
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        this.pipeline = new VerificationPipeline(this.config.verification);
+    }
+    /**
+     * Evaluate every item; a failing item is reported with its error and
+     * counts as zero extracted claims
+     */
+    async run(dataset, file, sha1) {
+        const startedAt = new Date();
+        const items = [];
+        let pipelineConfig = null;
+        console.log(`🧪 Evaluating "${dataset.name}" (${dataset.items.length} items, ${this.config.mode} mode)`);
+        for (const item of dataset.items) {
+            const { report, config } = await this.evaluateItem(item);
+            pipelineConfig ??= config;
+            items.push(report);
+            const { precision, recall } = report.metrics.extraction;
+            console.log(`   ${report.error ? '❌' : '✅'} ${item.id}: ${report.matches.length}/${item.expected_claims.length} matched, precision ${precision ?? '-'}, recall ${recall ?? '-'}`);
+        }
+        return {
+            report_version: 1,
+            dataset: {
+                name: dataset.name,
+                file,
+                sha1,
+                items: dataset.items.length,
+                expected_claims: dataset.items.reduce((total, item) => total + item.expected_claims.length, 0)
+            },
+            run: {
+                mode: this.config.mode,
+                verify: this.config.verify,
+                started_at: startedAt.toISOString(),
+                duration_ms: Date.now() - startedAt.getTime(),
+                match_threshold: this.config.matchThreshold,
+                timestamp_tolerance_sec: this.config.timestampToleranceSec,
+                pipeline_config: pipelineConfig
+            },
+            metrics: computeMetrics(items.map((report, i) => ({
+                expected: dataset.items[i].expected_claims.length,
+                extracted: report.metrics.extraction.extracted,
+                matches: report.matches
+            })), this.config.verify, this.config.timestampToleranceSec),
+            items
+        };
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Private helpers
+    // ─────────────────────────────────────────────────────────────
+    async evaluateItem(item) {
+        const startTime = Date.now();
+        const source = item.youtube_url ? 'video' : 'transcript';
+        let videoId = item.video_id || item.id;
+        let claims = [];
+        let config = null;
+        const prompts = new Set();
+        let error = null;
+        try {
+            const language = normalizeLanguage(item.language);
+            let extracted;
+            if (item.youtube_url) {
+                extracted = (await geminiExtractor.extractFromYouTube(item.youtube_url, language ? { language } : {})).claims;
+                videoId = item.video_id || extracted[0]?.video_id || videoId;
+            }
+            else {
+                extracted = await geminiExtractor.extractFromTranscript(item.transcript, videoId, {
+                    rethrow: true,
+                    ...(language && { language })
+                });
+            }
+            for (const claim of extracted) {
+                if (claim.prompt)
+                    prompts.add(`${claim.prompt.id}@${claim.prompt.version}`);
+                let verified = null;
+                if (this.config.verify) {
+                    verified = await this.pipeline.verifyClaim(claim);
+                    prompts.add(`${verified.verification.prompt_id}@${verified.verification.prompt_version}`);
+                    config ??= verified.verification.config;
+                }
+                claims.push(this.toEvaluatedClaim(claim, verified));
+            }
+        }
+        catch (err) {
+            console.warn(`⚠️ Evaluation item ${item.id} failed:`, err.message);
+            error = err.message;
+            claims = [];
+        }
+        const scored = scoreItem(item.expected_claims, claims, this.config);
+        const metrics = computeMetrics([{ expected: item.expected_claims.length, extracted: claims.length, matches: scored.matches }], this.config.verify, this.config.timestampToleranceSec);
+        return {
+            report: {
+                id: item.id,
+                video_id: videoId,
+                source,
+                prompts: [...prompts].sort(),
+                duration_ms: Date.now() - startTime,
+                error,
+                metrics,
+                ...scored
+            },
+            config
+        };
+    }
+    toEvaluatedClaim(claim, verified) {
+        return {
+            claim_id: claim.claim_id,
+            finding: claim.extraction.finding_summary,
+            author: claim.extraction.author_normalized || claim.extraction.author_mentioned,
+            timestamp: parseTimestamp(claim.timestamp),
+            verification: verified?.verification || null
+        };
+    }
+}
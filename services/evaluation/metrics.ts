@@ -0,0 +1,327 @@
+/**
+ * Evaluation Metrics
+ * Matches extracted claims to labelled ones and scores extraction, timestamps,
+ * paper matching and verdicts. Pure functions; no pipeline or network access.
+ *
+ * Claims are paired greedily by finding similarity (keyword Dice overlap, with
+ * a bonus for the same author surname and a close timestamp); a pair needs at
+ * least `matchThreshold` similarity to count as the same claim.
+ */
+
+import type { VerifiedClaim } from '../claim-extraction/verification-types.js';
+import type {
+  ClaimMatch,
+  EvaluationMetrics,
+  EvaluationReport,
+  ExpectedClaim,
+  ExpectedPaper,
+  ItemReport,
+  MetricDelta,
+  VerdictMetrics
+} from './types.js';
+
+// ─────────────────────────────────────────────────────────────
+// Types
+// ─────────────────────────────────────────────────────────────
+
+/** What the pipeline produced for one claim, in the shape the scorer needs */
+export interface EvaluatedClaim {
+  claim_id: string;
+  finding: string;
+  author: string | null;
+  timestamp: number | null;
+  verification: VerifiedClaim['verification'] | null;
+}
+
+export interface MatchOptions {
+  matchThreshold: number;
+  timestampToleranceSec: number;
+}
+
+export interface ScoredItem {
+  matches: ClaimMatch[];
+  missed: ItemReport['missed'];
+  spurious: ItemReport['spurious'];
+}
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of',
+  'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been', 'be', 'have',
+  'has', 'had', 'that', 'this', 'these', 'those', 'it', 'its', 'they', 'their',
+  'than', 'more', 'less', 'into', 'over', 'about', 'study', 'studies', 'found',
+  'showed', 'shows', 'show', 'people', 'can', 'may', 'does', 'not', 'no'
+]);
+
+const PAPER_TITLE_THRESHOLD = 0.8;
+
+// ─────────────────────────────────────────────────────────────
+// Matching
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Pair labelled claims with extracted ones and record per-pair outcomes
+ */
+export function scoreItem(
+  expected: ExpectedClaim[],
+  claims: EvaluatedClaim[],
+  options: MatchOptions
+): ScoredItem {
+  const candidates: Array<{ e: number; c: number; similarity: number }> = [];
+  expected.forEach((exp, e) => {
+    claims.forEach((claim, c) => {
+      const similarity = claimSimilarity(exp, claim, options.timestampToleranceSec);
+      if (similarity >= options.matchThreshold) candidates.push({ e, c, similarity });
+    });
+  });
+  candidates.sort((a, b) => b.similarity - a.similarity);
+
+  const usedExpected = new Set<number>();
+  const usedClaims = new Set<number>();
+  const matches: ClaimMatch[] = [];
+
+  for (const { e, c, similarity } of candidates) {
+    if (usedExpected.has(e) || usedClaims.has(c)) continue;
+    usedExpected.add(e);
+    usedClaims.add(c);
+    matches.push(buildMatch(expected[e]!, expectedId(expected[e]!, e), claims[c]!, similarity));
+  }
+
+  return {
+    matches,
+    missed: expected
+      .map((exp, e) => ({ exp, e }))
+      .filter(({ e }) => !usedExpected.has(e))
+      .map(({ exp, e }) => ({ expected_id: expectedId(exp, e), finding: exp.finding })),
+    spurious: claims
+      .filter((_, c) => !usedClaims.has(c))
+      .map(claim => ({ claim_id: claim.claim_id, finding: claim.finding, timestamp: claim.timestamp }))
+  };
+}
+
+function buildMatch(exp: ExpectedClaim, id: string, claim: EvaluatedClaim, similarity: number): ClaimMatch {
+  const expectedTimestamp = parseTimestamp(exp.timestamp);
+  const verification = claim.verification;
+  const best = verification?.best_paper || null;
+  const predictedVerdict = verification?.result?.verdict || null;
+
+  let paperCorrect: boolean | null = null;
+  let paperInEvidence: boolean | null = null;
+  if (verification && exp.paper !== undefined) {
+    if (exp.paper === null) {
+      paperCorrect = !best || predictedVerdict === 'no_paper_found';
+    } else {
+      const candidates = [best, best?.primary_study].filter(p => !!p) as Array<{ title: string; doi: string | null; pmid?: string | null }>;
+      paperCorrect = candidates.some(p => paperMatches(exp.paper!, p));
+      paperInEvidence = paperCorrect || verification.evidence.some(p => paperMatches(exp.paper!, p));
+    }
+  }
+
+  return {
+    expected_id: id,
+    claim_id: claim.claim_id,
+    similarity: round(similarity),
+    expected_timestamp: expectedTimestamp,
+    predicted_timestamp: claim.timestamp,
+    timestamp_error_sec: expectedTimestamp !== null && claim.timestamp !== null
+      ? Math.abs(expectedTimestamp - claim.timestamp)
+      : null,
+    expected_paper: exp.paper,
+    predicted_paper: best ? { title: best.title, doi: best.doi, url: best.url } : null,
+    paper_correct: paperCorrect,
+    paper_in_evidence: paperInEvidence,
+    expected_verdict: exp.verdict || null,
+    predicted_verdict: verification ? predictedVerdict : null
+  };
+}
+
+function claimSimilarity(exp: ExpectedClaim, claim: EvaluatedClaim, toleranceSec: number): number {
+  let score = textSimilarity(exp.finding, claim.finding);
+
+  const expectedSurname = surname(exp.author);
+  if (expectedSurname && expectedSurname === surname(claim.author)) score += 0.15;
+
+  const expectedTimestamp = parseTimestamp(exp.timestamp);
+  if (expectedTimestamp !== null && claim.timestamp !== null &&
+      Math.abs(expectedTimestamp - claim.timestamp) <= toleranceSec) {
+    score += 0.1;
+  }
+
+  return Math.min(1, score);
+}
+
+/**
+ * Dice coefficient over content words
+ */
+export function textSimilarity(a: string, b: string): number {
+  const wordsA = keywords(a);
+  const wordsB = keywords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+export function paperMatches(
+  expected: ExpectedPaper,
+  paper: { title: string; doi: string | null; pmid?: string | null }
+): boolean {
+  if (expected.doi && paper.doi) return normalizeDoi(expected.doi) === normalizeDoi(paper.doi);
+  if (expected.pmid && paper.pmid) return expected.pmid === paper.pmid;
+  if (expected.title) return textSimilarity(expected.title, paper.title) >= PAPER_TITLE_THRESHOLD;
+  return false;
+}
+
+/**
+ * "MM:SS", "HH:MM:SS" or seconds
+ */
+export function parseTimestamp(value: string | number | null | undefined): number | null {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const parts = value.trim().split(':').map(Number);
+  if (parts.some(p => Number.isNaN(p))) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Aggregation
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Metrics over one item or a whole run (counts are summed, not averaged per item)
+ */
+export function computeMetrics(
+  items: Array<{ expected: number; extracted: number; matches: ClaimMatch[] }>,
+  verify: boolean,
+  timestampToleranceSec: number
+): EvaluationMetrics {
+  const expected = sum(items.map(i => i.expected));
+  const extracted = sum(items.map(i => i.extracted));
+  const matches = items.flatMap(i => i.matches);
+
+  const precision = ratio(matches.length, extracted);
+  const recall = ratio(matches.length, expected);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? round((2 * precision * recall) / (precision + recall))
+    : null;
+
+  const errors = matches
+    .map(m => m.timestamp_error_sec)
+    .filter((e): e is number => e !== null)
+    .sort((a, b) => a - b);
+
+  const metrics: EvaluationMetrics = {
+    extraction: { expected, extracted, matched: matches.length, precision, recall, f1 },
+    timestamps: {
+      pairs: errors.length,
+      mean_abs_error_sec: errors.length > 0 ? round(sum(errors) / errors.length) : null,
+      median_abs_error_sec: errors.length > 0 ? median(errors) : null,
+      within_tolerance: ratio(errors.filter(e => e <= timestampToleranceSec).length, errors.length)
+    },
+    papers: null,
+    verdicts: null
+  };
+
+  if (verify) {
+    const paperLabelled = matches.filter(m => m.paper_correct !== null);
+    metrics.papers = {
+      labelled: paperLabelled.length,
+      correct: paperLabelled.filter(m => m.paper_correct).length,
+      in_evidence: paperLabelled.filter(m => m.paper_in_evidence).length,
+      accuracy: ratio(paperLabelled.filter(m => m.paper_correct).length, paperLabelled.length)
+    };
+    metrics.verdicts = verdictMetrics(matches);
+  }
+
+  return metrics;
+}
+
+function verdictMetrics(matches: ClaimMatch[]): VerdictMetrics {
+  const labelled = matches.filter(m => m.expected_verdict !== null);
+  const confusion: Record<string, Record<string, number>> = {};
+
+  for (const match of labelled) {
+    const row = (confusion[match.expected_verdict!] ??= {});
+    const predicted = match.predicted_verdict || 'none';
+    row[predicted] = (row[predicted] || 0) + 1;
+  }
+
+  const agreed = labelled.filter(m => m.predicted_verdict === m.expected_verdict).length;
+  return { labelled: labelled.length, agreed, agreement: ratio(agreed, labelled.length), confusion };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Comparison
+// ─────────────────────────────────────────────────────────────
+
+const HEADLINE_METRICS: Array<[string, (m: EvaluationMetrics) => number | null | undefined]> = [
+  ['extraction.precision', m => m.extraction.precision],
+  ['extraction.recall', m => m.extraction.recall],
+  ['extraction.f1', m => m.extraction.f1],
+  ['timestamps.mean_abs_error_sec', m => m.timestamps.mean_abs_error_sec],
+  ['timestamps.within_tolerance', m => m.timestamps.within_tolerance],
+  ['papers.accuracy', m => m.papers?.accuracy],
+  ['verdicts.agreement', m => m.verdicts?.agreement]
+];
+
+/**
+ * Headline metrics of two reports side by side (current minus baseline)
+ */
+export function compareReports(baseline: EvaluationReport, current: EvaluationReport): MetricDelta[] {
+  return HEADLINE_METRICS.map(([metric, pick]) => {
+    const before = pick(baseline.metrics) ?? null;
+    const after = pick(current.metrics) ?? null;
+    return {
+      metric,
+      baseline: before,
+      current: after,
+      delta: before !== null && after !== null ? round(after - before) : null
+    };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────
+
+function keywords(text: string): Set<string> {
+  return new Set(
+    text.toLowerCase()
+      .replace(/[^a-z0-9%.\s]/g, ' ')
+      .split(/\s+/)
+      .map(w => w.replace(/\.$/, ''))
+      .filter(w => w.length > 2 && !STOP_WORDS.has(w))
+  );
+}
+
+function surname(author: string | null | undefined): string | null {
+  return author?.trim().split(/\s+/).pop()?.toLowerCase() || null;
+}
+
+function normalizeDoi(doi: string): string {
+  return doi.toLowerCase().replace(/^https?:\/\/(dx\.)?doi\.org\//, '').replace(/^doi:/, '').trim();
+}
+
+function expectedId(claim: ExpectedClaim, index: number): string {
+  return claim.id || `expected_${index}`;
+}
+
+function ratio(numerator: number, denominator: number): number | null {
+  return denominator > 0 ? round(numerator / denominator) : null;
+}
+
+function median(sorted: number[]): number {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid]! : round((sorted[mid - 1]! + sorted[mid]!) / 2);
+}
+
+function sum(values: number[]): number {
+  return values.reduce((total, v) => total + v, 0);
+}
+
+function round(value: number): number {
+  return Number(value.toFixed(3));
+}
@@ -0,0 +1,150 @@
+/**
+ * Evaluation Types
+ * Labelled datasets for the evaluation harness and the report it writes
+ */
+
+import type { VerificationVerdict } from '../claim-extraction/verification-types.js';
+
+// ─────────────────────────────────────────────────────────────
+// Dataset
+// ─────────────────────────────────────────────────────────────
+
+export interface EvaluationDataset {
+  name: string;
+  description?: string;
+  items: EvaluationItem[];
+}
+
+/**
+ * One video or transcript with its hand-labelled claims.
+ * Video items are extracted from the YouTube URL, transcript items from the text.
+ */
+export interface EvaluationItem {
+  id: string;
+  video_id?: string;               // Defaults to yt-<id> from the URL, else the item id
+  youtube_url?: string;
+  transcript?: string;
+  transcript_file?: string;        // Relative to the dataset file
+  language?: string;               // Spoken language ("pl"); transcripts are detected when omitted
+  expected_claims: ExpectedClaim[];
+}
+
+export interface ExpectedClaim {
+  id?: string;
+  timestamp?: string | number;     // "MM:SS", "HH:MM:SS" or seconds
+  finding: string;
+  author?: string | null;
+  // Paper the claim refers to; null when no such paper exists, omitted when unlabelled
+  paper?: ExpectedPaper | null;
+  verdict?: VerificationVerdict;   // Omitted when unlabelled
+}
+
+export interface ExpectedPaper {
+  doi?: string;
+  pmid?: string;
+  title?: string;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Metrics
+// ─────────────────────────────────────────────────────────────
+
+export interface ExtractionMetrics {
+  expected: number;
+  extracted: number;
+  matched: number;
+  precision: number | null;
+  recall: number | null;
+  f1: number | null;
+}
+
+export interface TimestampMetrics {
+  pairs: number;                   // Matched claims where both sides have a timestamp
+  mean_abs_error_sec: number | null;
+  median_abs_error_sec: number | null;
+  within_tolerance: number | null; // Share of pairs within timestampToleranceSec
+}
+
+export interface PaperMatchMetrics {
+  labelled: number;                // Matched claims with a labelled paper (or labelled as none)
+  correct: number;                 // Best paper (or its primary study) is the expected one
+  in_evidence: number;             // Expected paper is anywhere in the verified top K
+  accuracy: number | null;
+}
+
+export interface VerdictMetrics {
+  labelled: number;
+  agreed: number;
+  agreement: number | null;
+  confusion: Record<string, Record<string, number>>;  // expected → predicted → count
+}
+
+export interface EvaluationMetrics {
+  extraction: ExtractionMetrics;
+  timestamps: TimestampMetrics;
+  papers: PaperMatchMetrics | null;     // null when verification was skipped
+  verdicts: VerdictMetrics | null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Report
+// ─────────────────────────────────────────────────────────────
+
+export type EvaluationMode = 'live' | 'record' | 'replay';
+
+export interface ClaimMatch {
+  expected_id: string;
+  claim_id: string;
+  similarity: number;
+  expected_timestamp: number | null;
+  predicted_timestamp: number | null;
+  timestamp_error_sec: number | null;
+  expected_paper: ExpectedPaper | null | undefined;
+  predicted_paper: { title: string; doi: string | null; url: string } | null;
+  paper_correct: boolean | null;
+  paper_in_evidence: boolean | null;
+  expected_verdict: VerificationVerdict | null;
+  predicted_verdict: VerificationVerdict | null;
+}
+
+export interface ItemReport {
+  id: string;
+  video_id: string;
+  source: 'video' | 'transcript';
+  prompts: string[];               // "id@version" of every prompt that produced the item's claims
+  duration_ms: number;
+  error: string | null;
+  metrics: EvaluationMetrics;
+  matches: ClaimMatch[];
+  missed: Array<{ expected_id: string; finding: string }>;
+  spurious: Array<{ claim_id: string; finding: string; timestamp: number | null }>;
+}
+
+export interface EvaluationReport {
+  report_version: 1;
+  dataset: {
+    name: string;
+    file: string;
+    sha1: string;                  // Reports are only comparable on the same dataset
+    items: number;
+    expected_claims: number;
+  };
+  run: {
+    mode: EvaluationMode;
+    verify: boolean;
+    started_at: string;
+    duration_ms: number;
+    match_threshold: number;
+    timestamp_tolerance_sec: number;
+    pipeline_config: Record<string, any> | null;
+  };
+  metrics: EvaluationMetrics;
+  items: ItemReport[];
+}
+
+export interface MetricDelta {
+  metric: string;
+  baseline: number | null;
+  current: number | null;
+  delta: number | null;
+}
@@ -1,10 +1,9 @@
-import OpenAI from 'openai';
-import { AI_CONFIG } from '../lib/ai-config.js';
 import { CostTracker } from './cost-tracker.js';
 import { RetryHandler, CircuitBreaker } from './retry-handler.js';
 import { AcademicSearchService } from './academic-search.js';
 import { AcademicAnalyzerService } from './academic-analyzer.js';
 import { ClaimBuilder, type CanonicalClaim } from './claim-builder.js';
+import { llm, promptRegistry } from './llm/index.js';
 import { GPTError, FactCheckResult, FactCheckAnalysis, Claim, Source, GPTErrorCode } from '../lib/ai-types.js';
 
 /**
@@ -12,7 +11,6 @@ import { GPTError, FactCheckResult, FactCheckAnalysis, Claim, Source, GPTErrorCo
  * Analyzes transcriptions for factual claims and provides fact-checking analysis
  */
 export class FactChecker {
-  private openai: OpenAI;
   private costTracker: CostTracker;
   private gptCircuitBreaker: CircuitBreaker;
   private academicSearch: AcademicSearchService;
@@ -20,15 +18,6 @@ export class FactChecker {
   private claimBuilder: ClaimBuilder;
 
   constructor(costTracker: CostTracker) {
-    const openaiConfig: any = {
-      apiKey: AI_CONFIG.openai.apiKey,
-    };
-    
-    if (AI_CONFIG.openai.organization) {
-      openaiConfig.organization = AI_CONFIG.openai.organization;
-    }
-    
-    this.openai = new OpenAI(openaiConfig);
     this.costTracker = costTracker;
     this.gptCircuitBreaker = new CircuitBreaker(
       3, // failure threshold
@@ -67,7 +56,7 @@ export class FactChecker {
   }
 
   /**
-   * Perform the actual fact-checking using GPT (Responses API with web_search, fallback to chat.completions)
+   * Perform the actual fact-checking (fact_check task with web search, fallback to fact_check_fallback)
    */
   private async performFactCheck(transcription: string, videoId: string): Promise<FactCheckResult> {
     return await RetryHandler.withCircuitBreaker(
@@ -75,60 +64,41 @@ export class FactChecker {
         const startTime = Date.now();
         
         try {
-          // Preferred path: Responses API with web_search tool on GPT-5
-          const input = `${this.getSystemPrompt()}\n\nUSER TASK:\nPlease analyze the following transcription for factual claims and provide a comprehensive fact-checking analysis. Use only real, verifiable sources found via web search. If you cannot verify a source, leave sources empty.\n\nTRANSCRIPTION:\n${transcription}`;
-
-          const respAny: any = await (this.openai as any).responses.create({
-            model: 'gpt-5',
-            tools: [ { type: 'web_search' } ],
-            input,
-            // temperature not supported by this model in Responses API
-            max_output_tokens: 4000
+          // Preferred path: web search (GPT-5 Responses API by default)
+          const response = await llm.complete('fact_check', {
+            messages: [
+              { role: 'system', content: this.getSystemPrompt(videoId) },
+              { role: 'user', content: `Please analyze the following transcription for factual claims and provide a comprehensive fact-checking analysis. Use only real, verifiable sources found via web search. If you cannot verify a source, leave sources empty.\n\nTRANSCRIPTION:\n${transcription}` }
+            ],
+            webSearch: true,
+            maxTokens: 4000
           });
 
           const duration = Date.now() - startTime;
-          const totalTokens: number = (respAny.usage?.total_tokens)
-            || ((respAny.usage?.input_tokens || 0) + (respAny.usage?.output_tokens || 0))
-            || 0;
-          const promptTokens: number = (respAny.usage?.input_tokens) || (respAny.usage?.prompt_tokens) || 0;
-          const completionTokens: number = (respAny.usage?.output_tokens) || (respAny.usage?.completion_tokens) || 0;
-          const cost = this.calculateGPTCost(totalTokens);
-
-          // Track cost using whichever fields are available
-          this.costTracker.trackGPTCost(promptTokens, completionTokens);
-
-          const content: string = respAny.output_text
-            || (respAny.output?.[0]?.content?.[0]?.text?.value)
-            || '';
+          const cost = response.usage.costUsd;
+          await this.costTracker.trackLLMUsage(response.usage);
 
-          if (!content) {
-            throw new Error('No response content from GPT-5 (Responses API)');
-          }
-
-          console.log(`✅ GPT-5 (responses) fact-check completed in ${duration}ms, cost: $${cost.toFixed(4)}`);
-          return await this.parseFactCheckResponse(content, videoId, cost);
+          console.log(`✅ ${response.provider}/${response.model} fact-check completed in ${duration}ms, cost: $${cost.toFixed(4)}`);
+          return await this.parseFactCheckResponse(response.text, videoId, cost);
         } catch (primaryError) {
-          // Fallback: legacy Chat Completions (gpt-4o)
-          console.warn('⚠️ Falling back to chat.completions due to Responses API error:', (primaryError as Error)?.message || primaryError);
+          // Fallback: plain completion without web search (gpt-4o by default)
+          console.warn('⚠️ Falling back to fact_check_fallback due to error:', (primaryError as Error)?.message || primaryError);
           try {
-            const response = await this.openai.chat.completions.create({
-              model: 'gpt-4o',
+            const response = await llm.complete('fact_check_fallback', {
               messages: [
-                { role: 'system', content: this.getSystemPrompt() },
+                { role: 'system', content: this.getSystemPrompt(videoId) },
                 { role: 'user', content: `Please analyze the following transcription for factual claims and provide a comprehensive fact-checking analysis. Use only real, verifiable sources. If you cannot verify a source, leave sources empty.\n\n${transcription}` }
               ],
               temperature: 0.3,
-              max_tokens: 4000
+              maxTokens: 4000
             });
 
             const duration = Date.now() - startTime;
-            const cost = this.calculateGPTCost(response.usage?.total_tokens || 0);
-            this.costTracker.trackGPTCost(response.usage?.prompt_tokens || 0, response.usage?.completion_tokens || 0);
+            const cost = response.usage.costUsd;
+            await this.costTracker.trackLLMUsage(response.usage);
 
-            console.log(`✅ GPT-4o (fallback) fact-check completed in ${duration}ms, cost: $${cost.toFixed(4)}`);
-            const content = response.choices[0]?.message?.content || '';
-            if (!content) throw new Error('No response content from fallback model');
-            return await this.parseFactCheckResponse(content, videoId, cost);
+            console.log(`✅ ${response.provider}/${response.model} (fallback) fact-check completed in ${duration}ms, cost: $${cost.toFixed(4)}`);
+            return await this.parseFactCheckResponse(response.text, videoId, cost);
           } catch (fallbackError) {
             const duration = Date.now() - startTime;
             console.error(`❌ Fact-check failed after ${duration}ms (both paths):`, fallbackError);
@@ -141,47 +111,10 @@ export class FactChecker {
   }
 
   /**
-   * Get the system prompt for fact-checking
+   * Get the system prompt for fact-checking (fact_check_system in the prompt registry)
    */
-  private getSystemPrompt(): string {
-    return `You are an expert fact-checker and researcher. Your task is to analyze transcriptions for factual claims and provide a comprehensive fact-checking analysis.
-
-IMPORTANT INSTRUCTIONS:
-1. Identify specific factual claims made in the transcription
-2. For each claim, determine if it's verifiable, partially verifiable, or unverifiable
-3. Provide evidence-based analysis for each claim
-4. Rate the overall credibility of the content
-5. Use web search to find real academic sources and studies that support or refute the claims
-6. Only include sources that you can verify exist and are accessible through web search
-
-RESPONSE FORMAT (OUTPUT ONLY JSON, NO PROSE, NO MARKDOWN):
-Return a JSON object with the following structure:
-{
-  "overallCredibility": "high|medium|low",
-  "confidence": 0.0-1.0,
-  "claims": [
-    {
-      "text": "exact quote from transcription",
-      "type": "factual|opinion|speculation|anecdotal",
-      "verifiability": "verifiable|partially_verifiable|unverifiable",
-      "credibility": "high|medium|low",
-      "analysis": "detailed analysis of the claim",
-      "sources": [
-        {
-          "title": "actual study title or source name",
-          "url": "real URL to the study or source",
-          "credibility": "high|medium|low",
-          "type": "academic|news|government|expert|other"
-        }
-      ],
-      "timestamp": "approximate time in transcription"
-    }
-  ],
-  "summary": "overall summary of fact-checking findings",
-  "recommendations": ["recommendation 1", "recommendation 2"]
-}
-
-Be thorough but concise. Only return the JSON object and nothing else.`;
+  private getSystemPrompt(videoId: string): string {
+    return promptRegistry.assign('fact_check_system', videoId).text;
   }
 
   /**
@@ -309,16 +242,6 @@ Be thorough but concise. Only return the JSON object and nothing else.`;
     }
   }
 
-  /**
-   * Calculate GPT-4 cost based on token usage
-   */
-  private calculateGPTCost(tokens: number): number {
-    // GPT-4 pricing: $0.03 per 1K input tokens, $0.06 per 1K output tokens
-    // Using average of input/output for estimation
-    const costPerToken = 0.045 / 1000; // $0.045 per 1K tokens
-    return tokens * costPerToken;
-  }
-
   /**
    * Get circuit breaker status
    */
@@ -0,0 +1,65 @@
+/**
+ * Gemini Provider
+ * Google Generative AI adapter; the only backend that reads YouTube URLs directly
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LLMError, type LLMProvider, type LLMRequest, type ProviderResult } from './types.js';
+
+export class GeminiProvider implements LLMProvider {
+  readonly name = 'gemini' as const;
+  private client: GoogleGenerativeAI | null = null;
+
+  async complete(model: string, request: LLMRequest): Promise<ProviderResult> {
+    const generationConfig: any = {};
+    if (request.json) generationConfig.responseMimeType = 'application/json';
+    if (request.temperature !== undefined) generationConfig.temperature = request.temperature;
+    if (request.maxTokens !== undefined) generationConfig.maxOutputTokens = request.maxTokens;
+
+    const modelParams: any = { model, generationConfig };
+    const system = request.messages.filter(m => m.role === 'system').map(m => m.content);
+    if (system.length > 0) modelParams.systemInstruction = system.join('\n\n');
+
+    // Conversation turns; the video rides along with the last user turn
+    const contents: any[] = request.messages
+      .filter(m => m.role !== 'system')
+      .map(m => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: m.content }]
+      }));
+
+    if (request.video) {
+      const videoPart: any = {
+        fileData: { fileUri: request.video.uri, mimeType: request.video.mimeType }
+      };
+      const { startSec, endSec } = request.video;
+      if (startSec !== undefined && endSec !== undefined && endSec > startSec) {
+        // Server-side clipping; not in the SDK's Part type yet
+        videoPart.videoMetadata = { startOffset: `${startSec}s`, endOffset: `${endSec}s` };
+      }
+      const lastUser = [...contents].reverse().find(c => c.role === 'user');
+      if (lastUser) lastUser.parts.push(videoPart);
+      else contents.push({ role: 'user', parts: [videoPart] });
+    }
+
+    const result = await this.getClient().getGenerativeModel(modelParams).generateContent({ contents });
+    const usage = result.response.usageMetadata;
+
+    return {
+      text: result.response.text(),
+      inputTokens: usage?.promptTokenCount || 0,
+      outputTokens: usage?.candidatesTokenCount || 0
+    };
+  }
+
+  private getClient(): GoogleGenerativeAI {
+    if (!this.client) {
+      const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY;
+      if (!apiKey) {
+        throw new LLMError('GEMINI_API_KEY or GOOGLE_AI_API_KEY not set', 'NOT_CONFIGURED', this.name);
+      }
+      this.client = new GoogleGenerativeAI(apiKey);
+    }
+    return this.client;
+  }
+}
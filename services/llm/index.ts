@@ -0,0 +1,22 @@
+/**
+ * LLM Provider Layer
+ *
+ * Usage:
+ *   import { llm } from '../llm/index.js';
+ *   const res = await llm.complete('verification', { messages, json: true });
+ *   res.json, res.usage.costUsd
+ */
+
+export * from './types.js';
+export { LLMClient, llm } from './llm-client.js';
+export { OpenAICompatibleProvider } from './openai-provider.js';
+export { GeminiProvider } from './gemini-provider.js';
+export { estimateCost } from './pricing.js';
+export {
+  PromptRegistry,
+  promptRegistry,
+  PromptError,
+  type PromptRef,
+  type PromptTemplate,
+  type PromptInfo
+} from './prompt-registry.js';
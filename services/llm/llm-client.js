@@ -0,0 +1,168 @@
+/**
+ * LLM Client
+ * Routes each pipeline task to a provider/model, parses JSON replies
+ * and reports token usage + cost.
+ *
+ * Routing (per task, falls back to DEFAULT_ROUTES):
+ *   LLM_VERIFICATION_PROVIDER=openrouter
+ *   LLM_VERIFICATION_MODEL=anthropic/claude-sonnet-4
+ */
+import { GeminiProvider } from './gemini-provider.js';
+import { createLocalProvider, createOpenAIProvider, createOpenRouterProvider } from './openai-provider.js';
+import { estimateCost } from './pricing.js';
+import { LLMError } from './types.js';
+const DEFAULT_ROUTES = {
+    video_extraction: { provider: 'gemini', model: 'gemini-3-flash-preview' },
+    transcript_extraction: { provider: 'gemini', model: 'gemini-3-flash-preview' },
+    full_extraction: { provider: 'openai', model: 'gpt-4o' },
+    live_extraction: { provider: 'openai', model: 'gpt-4o' },
+    verification: { provider: 'openai', model: 'gpt-4o' },
+    fact_check: { provider: 'openai', model: 'gpt-5' },
+    fact_check_fallback: { provider: 'openai', model: 'gpt-4o' },
+    claim_canonicalization: { provider: 'openai', model: 'gpt-5' },
+    academic_analysis: { provider: 'openai', model: 'gpt-4o-mini' },
+    speaker_identification: { provider: 'openai', model: 'gpt-4o-mini' },
+    translation: { provider: 'openai', model: 'gpt-4o-mini' }
+};
+const PROVIDER_NAMES = ['openai', 'gemini', 'openrouter', 'local'];
+export class LLMClient {
+    providers = new Map();
+    listeners = [];
+    totals = new Map(); // "task|provider|model" → totals
+    /**
+     * Provider/model for a task (env override, then default)
+     */
+    getRoute(task) {
+        const prefix = `LLM_${task.toUpperCase()}`;
+        const fallback = DEFAULT_ROUTES[task];
+        const envProvider = process.env[`${prefix}_PROVIDER`];
+        const provider = envProvider && PROVIDER_NAMES.includes(envProvider) ? envProvider : fallback.provider;
+        // A provider override without a model can't reuse the default model name
+        const model = process.env[`${prefix}_MODEL`]
+            || (provider === fallback.provider ? fallback.model : '');
+        if (!model) {
+            throw new LLMError(`${prefix}_MODEL must be set when ${prefix}_PROVIDER=${provider}`, 'NOT_CONFIGURED', provider);
+        }
+        return { provider, model };
+    }
+    /**
+     * Run a task on its configured backend
+     */
+    async complete(task, request) {
+        const route = this.getRoute(task);
+        const provider = this.getProvider(route.provider);
+        const startTime = Date.now();
+        let result;
+        try {
+            result = await provider.complete(route.model, request);
+        }
+        catch (error) {
+            if (error instanceof LLMError)
+                throw error;
+            const status = error?.status ?? error?.response?.status;
+            const retryable = status === 429 || (typeof status === 'number' && status >= 500);
+            throw new LLMError(`${route.provider}/${route.model} failed: ${error?.message || error}`, 'PROVIDER_ERROR', route.provider, retryable);
+        }
+        if (!result.text) {
+            throw new LLMError(`Empty response from ${route.provider}/${route.model}`, 'EMPTY_RESPONSE', route.provider, true);
+        }
+        const response = {
+            task,
+            provider: route.provider,
+            model: route.model,
+            text: result.text,
+            json: request.json ? this.parseJSON(result.text, route.provider) : null,
+            usage: {
+                inputTokens: result.inputTokens,
+                outputTokens: result.outputTokens,
+                totalTokens: result.inputTokens + result.outputTokens,
+                costUsd: result.costUsd ?? estimateCost(route.provider, route.model, result.inputTokens, result.outputTokens)
+            },
+            latencyMs: Date.now() - startTime
+        };
+        this.recordUsage(response);
+        return response;
+    }
+    /**
+     * Called after every successful completion (e.g. to feed a CostTracker)
+     * Returns an unsubscribe function
+     */
+    onUsage(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+    /**
+     * Usage since process start, one row per task/provider/model
+     */
+    getUsageSummary() {
+        return [...this.totals.entries()].map(([key, totals]) => {
+            const [task = '', provider = '', model = ''] = key.split('|');
+            return { task, provider, model, ...totals };
+        });
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Private helpers
+    // ─────────────────────────────────────────────────────────────
+    getProvider(name) {
+        let provider = this.providers.get(name);
+        if (!provider) {
+            switch (name) {
+                case 'gemini':
+                    provider = new GeminiProvider();
+                    break;
+                case 'openrouter':
+                    provider = createOpenRouterProvider();
+                    break;
+                case 'local':
+                    provider = createLocalProvider();
+                    break;
+                default: provider = createOpenAIProvider();
+            }
+            this.providers.set(name, provider);
+        }
+        return provider;
+    }
+    /**
+     * Parse a JSON reply, tolerating markdown fences and surrounding prose
+     */
+    parseJSON(text, provider) {
+        const cleaned = text
+            .replace(/```json\n?/g, '')
+            .replace(/```\n?/g, '')
+            .trim();
+        try {
+            return JSON.parse(cleaned);
+        }
+        catch {
+            const match = cleaned.match(/\{[\s\S]*\}/);
+            if (match) {
+                try {
+                    return JSON.parse(match[0]);
+                }
+                catch { }
+            }
+            throw new LLMError(`Invalid JSON from ${provider}: ${cleaned.slice(0, 100)}`, 'INVALID_JSON', provider, true);
+        }
+    }
+    recordUsage(response) {
+        const key = `${response.task}|${response.provider}|${response.model}`;
+        const totals = this.totals.get(key) || { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+        totals.calls++;
+        totals.inputTokens += response.usage.inputTokens;
+        totals.outputTokens += response.usage.outputTokens;
+        totals.costUsd += response.usage.costUsd;
+        this.totals.set(key, totals);
+        console.log(`🤖 ${response.task} via ${response.provider}/${response.model}: ${response.usage.totalTokens} tokens, $${response.usage.costUsd.toFixed(4)} (${response.latencyMs}ms)`);
+        for (const listener of this.listeners) {
+            try {
+                listener(response);
+            }
+            catch (error) {
+                console.warn('⚠️ LLM usage listener failed:', error?.message || error);
+            }
+        }
+    }
+}
+export const llm = new LLMClient();
@@ -0,0 +1,128 @@
+/**
+ * OpenAI-compatible Provider
+ * One adapter for OpenAI, OpenRouter and local servers (Ollama, llama.cpp, vLLM)
+ * that speak the /v1/chat/completions API.
+ */
+
+import OpenAI from 'openai';
+import { LLMError, type LLMProvider, type LLMProviderName, type LLMRequest, type ProviderResult } from './types.js';
+
+interface OpenAICompatibleOptions {
+  name: LLMProviderName;
+  apiKey: string | undefined;
+  baseURL?: string;
+  organization?: string;
+  supportsWebSearch?: boolean;  // Responses API web_search tool (OpenAI only)
+  extraBody?: Record<string, any>;
+}
+
+export class OpenAICompatibleProvider implements LLMProvider {
+  readonly name: LLMProviderName;
+  private options: OpenAICompatibleOptions;
+  private client: OpenAI | null = null;
+
+  constructor(options: OpenAICompatibleOptions) {
+    this.name = options.name;
+    this.options = options;
+  }
+
+  async complete(model: string, request: LLMRequest): Promise<ProviderResult> {
+    if (request.video) {
+      throw new LLMError(`${this.name} provider cannot read video input`, 'UNSUPPORTED', this.name);
+    }
+
+    if (request.webSearch && this.options.supportsWebSearch) {
+      return this.completeWithWebSearch(model, request);
+    }
+
+    const params: any = {
+      model,
+      messages: request.messages,
+      ...this.options.extraBody
+    };
+    if (request.json) params.response_format = { type: 'json_object' };
+    if (request.temperature !== undefined) params.temperature = request.temperature;
+    if (request.maxTokens !== undefined) {
+      // OpenAI renamed the limit; compatible servers still expect max_tokens
+      params[this.name === 'openai' ? 'max_completion_tokens' : 'max_tokens'] = request.maxTokens;
+    }
+
+    const response: any = await this.getClient().chat.completions.create(params);
+    const result: ProviderResult = {
+      text: response.choices?.[0]?.message?.content || '',
+      inputTokens: response.usage?.prompt_tokens || 0,
+      outputTokens: response.usage?.completion_tokens || 0
+    };
+    // OpenRouter reports the billed amount when usage accounting is on
+    if (typeof response.usage?.cost === 'number') result.costUsd = response.usage.cost;
+    return result;
+  }
+
+  /**
+   * Responses API with the web_search tool; messages are flattened into one input
+   */
+  private async completeWithWebSearch(model: string, request: LLMRequest): Promise<ProviderResult> {
+    const input = request.messages
+      .map(m => (m.role === 'system' ? m.content : `${m.role.toUpperCase()}:\n${m.content}`))
+      .join('\n\n');
+
+    const params: any = {
+      model,
+      tools: [{ type: 'web_search' }],
+      input
+    };
+    if (request.maxTokens !== undefined) params.max_output_tokens = request.maxTokens;
+
+    const response: any = await this.getClient().responses.create(params);
+    return {
+      text: response.output_text || response.output?.[0]?.content?.[0]?.text?.value || '',
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0
+    };
+  }
+
+  private getClient(): OpenAI {
+    if (!this.client) {
+      if (!this.options.apiKey) {
+        throw new LLMError(`API key for ${this.name} provider not set`, 'NOT_CONFIGURED', this.name);
+      }
+      const config: any = { apiKey: this.options.apiKey };
+      if (this.options.baseURL) config.baseURL = this.options.baseURL;
+      if (this.options.organization) config.organization = this.options.organization;
+      this.client = new OpenAI(config);
+    }
+    return this.client;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Factories
+// ─────────────────────────────────────────────────────────────
+
+export function createOpenAIProvider(): OpenAICompatibleProvider {
+  const options: OpenAICompatibleOptions = {
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    supportsWebSearch: true
+  };
+  if (process.env.OPENAI_ORGANIZATION) options.organization = process.env.OPENAI_ORGANIZATION;
+  return new OpenAICompatibleProvider(options);
+}
+
+export function createOpenRouterProvider(): OpenAICompatibleProvider {
+  return new OpenAICompatibleProvider({
+    name: 'openrouter',
+    apiKey: process.env.OPENROUTER_API_KEY,
+    baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+    extraBody: { usage: { include: true } }
+  });
+}
+
+export function createLocalProvider(): OpenAICompatibleProvider {
+  return new OpenAICompatibleProvider({
+    name: 'local',
+    // Most local servers ignore the key, but the SDK requires one
+    apiKey: process.env.LLM_LOCAL_API_KEY || 'local',
+    baseURL: process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1'
+  });
+}
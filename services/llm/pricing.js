@@ -0,0 +1,36 @@
+/**
+ * LLM Pricing
+ * USD per 1M tokens, matched by longest model-name prefix
+ */
+const MODEL_PRICES = {
+    'gpt-5-mini': { input: 0.25, output: 2 },
+    'gpt-5': { input: 1.25, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gemini-3-flash': { input: 0.5, output: 3 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 }
+};
+const warnedModels = new Set();
+/**
+ * Estimate the cost of a call; local models are free, unknown models count as $0
+ */
+export function estimateCost(provider, model, inputTokens, outputTokens) {
+    if (provider === 'local')
+        return 0;
+    // OpenRouter ids are "vendor/model"
+    const name = model.includes('/') ? model.slice(model.indexOf('/') + 1) : model;
+    const key = Object.keys(MODEL_PRICES)
+        .filter(prefix => name.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!key) {
+        if (!warnedModels.has(model)) {
+            warnedModels.add(model);
+            console.warn(`⚠️ No price for model ${model}, cost will be reported as $0`);
+        }
+        return 0;
+    }
+    const price = MODEL_PRICES[key];
+    return (inputTokens / 1_000_000) * price.input + (outputTokens / 1_000_000) * price.output;
+}
@@ -0,0 +1,160 @@
+/**
+ * Prompt Registry
+ * Versioned prompt templates loaded from services/llm/prompts:
+ *
+ *   prompts/manifest.json        { "<id>": { description, active, split? } }
+ *   prompts/<id>/v<version>.md   one file per revision
+ *   prompts/<id>/v<version>.<lang>.md   optional translation of that revision
+ *
+ * assign() picks the version a video should use: PROMPT_VERSION_<ID> pins one,
+ * otherwise a manifest split (e.g. { "1": 50, "2": 50 }) buckets each video
+ * deterministically, otherwise the active version. Callers stamp the returned
+ * id/version on what they produce so revisions can be compared.
+ *
+ * The unsuffixed file is English. Asking for another language returns its
+ * translation of the same version when there is one, else the English file,
+ * so an A/B split never depends on which translations exist.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+export class PromptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptError';
+    }
+}
+const DEFAULT_CONFIG = {
+    dir: process.env.LUMOS_PROMPTS_DIR || null
+};
+const BASE_LANGUAGE = 'en';
+// v1.md → ["1", undefined], v1.pl.md → ["1", "pl"]
+const FILE_PATTERN = /^v(.+?)(?:\.([a-z]{2}))?\.md$/;
+export class PromptRegistry {
+    config;
+    manifest = null;
+    templates = new Map(); // "id@version:lang" → template
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+    /**
+     * A specific version, or the active one; in `language` when translated
+     */
+    get(id, version, language = BASE_LANGUAGE) {
+        const resolved = version || this.pinnedVersion(id) || this.entry(id).active;
+        const key = `${id}@${resolved}:${language}`;
+        let template = this.templates.get(key);
+        if (!template) {
+            const localized = language !== BASE_LANGUAGE
+                ? path.join(this.dir(), id, `v${resolved}.${language}.md`)
+                : null;
+            if (localized && fs.existsSync(localized)) {
+                template = { id, version: resolved, language, text: fs.readFileSync(localized, 'utf8').trim() };
+            }
+            else {
+                const file = path.join(this.dir(), id, `v${resolved}.md`);
+                if (!fs.existsSync(file)) {
+                    throw new PromptError(`Prompt ${id} v${resolved} not found (${file})`);
+                }
+                template = { id, version: resolved, language: BASE_LANGUAGE, text: fs.readFileSync(file, 'utf8').trim() };
+            }
+            this.templates.set(key, template);
+        }
+        return template;
+    }
+    /**
+     * Version for one subject (usually a video id); stable across calls and restarts
+     */
+    assign(id, subject, language) {
+        const split = this.entry(id).split;
+        if (this.pinnedVersion(id) || !split || !subject)
+            return this.get(id, undefined, language);
+        const buckets = Object.entries(split).filter(([, weight]) => weight > 0);
+        const total = buckets.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total === 0)
+            return this.get(id, undefined, language);
+        const hash = crypto.createHash('sha1').update(`${id}:${subject}`).digest();
+        let point = hash.readUInt32BE(0) % total;
+        for (const [version, weight] of buckets) {
+            if (point < weight)
+                return this.get(id, version, language);
+            point -= weight;
+        }
+        return this.get(id, undefined, language);
+    }
+    /**
+     * Every registered prompt with its versions on disk
+     */
+    list() {
+        const manifest = this.loadManifest();
+        return Object.entries(manifest).map(([id, entry]) => {
+            const versionDir = path.join(this.dir(), id);
+            const files = fs.existsSync(versionDir)
+                ? fs.readdirSync(versionDir).map(file => file.match(FILE_PATTERN)).filter((m) => !!m)
+                : [];
+            const versions = [...new Set(files.filter(m => !m[2]).map(m => m[1]))]
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+            const languages = {};
+            for (const match of files) {
+                if (match[2])
+                    (languages[match[1]] ||= []).push(match[2]);
+            }
+            return {
+                id,
+                description: entry.description || null,
+                active: entry.active,
+                pinned: this.pinnedVersion(id),
+                split: entry.split || null,
+                versions,
+                languages
+            };
+        });
+    }
+    /**
+     * Drop cached manifest/templates (after editing files at runtime)
+     */
+    reload() {
+        this.manifest = null;
+        this.templates.clear();
+    }
+    // ─────────────────────────────────────────────────────────────
+    // Private helpers
+    // ─────────────────────────────────────────────────────────────
+    entry(id) {
+        const entry = this.loadManifest()[id];
+        if (!entry)
+            throw new PromptError(`Unknown prompt: ${id}`);
+        return entry;
+    }
+    pinnedVersion(id) {
+        return process.env[`PROMPT_VERSION_${id.toUpperCase()}`] || null;
+    }
+    loadManifest() {
+        if (!this.manifest) {
+            const file = path.join(this.dir(), 'manifest.json');
+            try {
+                this.manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+            }
+            catch (error) {
+                throw new PromptError(`Could not read prompt manifest ${file}: ${error.message}`);
+            }
+        }
+        return this.manifest;
+    }
+    /**
+     * Templates sit next to the sources; the dist build runs from ./dist, so
+     * fall back to the project root
+     */
+    dir() {
+        if (!this.config.dir) {
+            const candidates = [
+                path.join(path.dirname(fileURLToPath(import.meta.url)), 'prompts'),
+                path.join(process.cwd(), 'services', 'llm', 'prompts')
+            ];
+            this.config.dir = candidates.find(dir => fs.existsSync(path.join(dir, 'manifest.json'))) || candidates[1];
+        }
+        return this.config.dir;
+    }
+}
+export const promptRegistry = new PromptRegistry();
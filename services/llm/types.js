@@ -0,0 +1,16 @@
+/**
+ * LLM Provider Types
+ * Shared request/response shapes for every backend (OpenAI, Gemini, OpenRouter, local)
+ */
+export class LLMError extends Error {
+    code;
+    provider;
+    retryable;
+    constructor(message, code, provider, retryable = false) {
+        super(message);
+        this.name = 'LLMError';
+        this.code = code;
+        this.provider = provider;
+        this.retryable = retryable;
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * LLM Provider Types
+ * Shared request/response shapes for every backend (OpenAI, Gemini, OpenRouter, local)
+ */
+
+// ─────────────────────────────────────────────────────────────
+// Routing
+// ─────────────────────────────────────────────────────────────
+
+export type LLMProviderName = 'openai' | 'gemini' | 'openrouter' | 'local';
+
+/**
+ * Pipeline stages that call an LLM; each can be routed independently
+ * via LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL
+ */
+export type LLMTask =
+  | 'video_extraction'        // Hybrid/Gemini extractor reading a YouTube URL
+  | 'transcript_extraction'   // Gemini extractor transcript fallback
+  | 'full_extraction'         // Full-mode transcript extractor
+  | 'live_extraction'         // Live-mode rolling window extractor
+  | 'verification'            // Claim vs. abstract verdict
+  | 'fact_check'              // Fact-checker (web search when supported)
+  | 'fact_check_fallback'     // Fact-checker without web search
+  | 'claim_canonicalization'  // ClaimBuilder span → canonical claim
+  | 'academic_analysis'       // Academic analyzer source picking
+  | 'speaker_identification'  // Diarized speaker labels → names from video metadata
+  | 'translation';            // Finding/explanation text → the reader's language
+
+export interface LLMRoute {
+  provider: LLMProviderName;
+  model: string;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Requests / Responses
+// ─────────────────────────────────────────────────────────────
+
+export interface LLMMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+/** Video input (Gemini reads YouTube URLs directly) */
+export interface LLMVideoPart {
+  uri: string;
+  mimeType: string;
+  startSec?: number;  // Optional clip window
+  endSec?: number;
+}
+
+export interface LLMRequest {
+  messages: LLMMessage[];
+  video?: LLMVideoPart;
+  json?: boolean;         // Ask for a JSON object and parse it
+  temperature?: number;
+  maxTokens?: number;
+  webSearch?: boolean;    // Use the provider's web search tool when it has one
+}
+
+export interface LLMUsage {
+  inputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+  costUsd: number;
+}
+
+/** What an adapter returns; cost and JSON parsing are added by LLMClient */
+export interface ProviderResult {
+  text: string;
+  inputTokens: number;
+  outputTokens: number;
+  costUsd?: number;  // When the backend reports it (OpenRouter)
+}
+
+export interface LLMResponse {
+  task: LLMTask;
+  provider: LLMProviderName;
+  model: string;
+  text: string;
+  json: any;          // Parsed body when request.json was set, otherwise null
+  usage: LLMUsage;
+  latencyMs: number;
+}
+
+export interface LLMProvider {
+  readonly name: LLMProviderName;
+  complete(model: string, request: LLMRequest): Promise<ProviderResult>;
+}
+
+export type LLMUsageListener = (response: LLMResponse) => void;
+
+// ─────────────────────────────────────────────────────────────
+// Errors
+// ─────────────────────────────────────────────────────────────
+
+export type LLMErrorCode = 'NOT_CONFIGURED' | 'UNSUPPORTED' | 'EMPTY_RESPONSE' | 'INVALID_JSON' | 'PROVIDER_ERROR';
+
+export class LLMError extends Error {
+  code: LLMErrorCode;
+  provider: LLMProviderName;
+  retryable: boolean;
+
+  constructor(message: string, code: LLMErrorCode, provider: LLMProviderName, retryable: boolean = false) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.provider = provider;
+    this.retryable = retryable;
+  }
+}
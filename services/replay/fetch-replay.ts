@@ -0,0 +1,275 @@
+/**
+ * Fetch Record/Replay
+ * Captures outbound HTTP (OpenAlex, Google CSE, PubMed, Gemini, OpenAI, ...)
+ * to fixture files and serves them back offline.
+ *
+ * Both LLM SDKs go through global fetch, so patching it covers LLM calls too.
+ * Install before any OpenAI client is constructed (the SDK captures fetch then);
+ * the LLM layer creates its clients lazily, so startup install is enough.
+ *
+ * - record: real request, response written to <fixturesDir>/<host>/<hash>.json
+ * - replay: response read from the fixture; a miss throws ReplayMissError
+ *
+ * Requests are keyed by method + URL + body with API keys stripped, so
+ * fixtures recorded with one key replay under another (or none).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// ─────────────────────────────────────────────────────────────
+// Types
+// ─────────────────────────────────────────────────────────────
+
+export type ReplayMode = 'off' | 'record' | 'replay';
+
+export interface ReplayOptions {
+  mode: ReplayMode;
+  fixturesDir: string;
+  passthroughHosts: string[];  // Never recorded (local API server, Supabase dev, ...)
+}
+
+interface RecordedResponse {
+  status: number;
+  headers: Record<string, string>;
+  body: string;
+  bodyEncoding: 'utf8' | 'base64';
+}
+
+interface Fixture {
+  request: {
+    method: string;
+    url: string;
+    body: string | null;
+  };
+  // Identical requests can legitimately get different answers (retries); replayed in order
+  responses: RecordedResponse[];
+}
+
+export class ReplayMissError extends Error {
+  constructor(method: string, url: string, file: string) {
+    super(`No recorded fixture for ${method} ${url} (expected ${file})`);
+    this.name = 'ReplayMissError';
+  }
+}
+
+const DEFAULT_OPTIONS: ReplayOptions = {
+  mode: 'off',
+  fixturesDir: path.join(process.cwd(), 'fixtures', 'http'),
+  passthroughHosts: ['localhost', '127.0.0.1']
+};
+
+const SECRET_PARAM = /key|token|secret|signature|password/i;
+const SECRET_ENV = /(_KEY|_TOKEN|_SECRET)$/;
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+// ─────────────────────────────────────────────────────────────
+// State
+// ─────────────────────────────────────────────────────────────
+
+let originalFetch: typeof fetch | null = null;
+let activeOptions: ReplayOptions = DEFAULT_OPTIONS;
+const replayCursor: Map<string, number> = new Map();  // fixture file → next response index
+const recordedThisRun: Set<string> = new Set();
+
+/**
+ * Read LUMOS_REPLAY_MODE / LUMOS_FIXTURES_DIR / LUMOS_REPLAY_PASSTHROUGH
+ */
+export function replayOptionsFromEnv(): ReplayOptions {
+  const mode = process.env.LUMOS_REPLAY_MODE as ReplayMode | undefined;
+  const passthrough = process.env.LUMOS_REPLAY_PASSTHROUGH;
+  return {
+    mode: mode === 'record' || mode === 'replay' ? mode : 'off',
+    fixturesDir: process.env.LUMOS_FIXTURES_DIR || DEFAULT_OPTIONS.fixturesDir,
+    passthroughHosts: passthrough
+      ? passthrough.split(',').map(h => h.trim()).filter(Boolean)
+      : DEFAULT_OPTIONS.passthroughHosts
+  };
+}
+
+/**
+ * Patch global fetch; returns a function that restores the original
+ */
+export function installFetchReplay(options: Partial<ReplayOptions> = {}): () => void {
+  activeOptions = { ...DEFAULT_OPTIONS, ...options };
+  if (activeOptions.mode === 'off') return () => {};
+
+  if (!originalFetch) originalFetch = globalThis.fetch;
+  replayCursor.clear();
+  recordedThisRun.clear();
+  globalThis.fetch = replayingFetch as typeof fetch;
+
+  console.log(`📼 Fetch ${activeOptions.mode} mode (fixtures: ${activeOptions.fixturesDir})`);
+  return uninstallFetchReplay;
+}
+
+export function uninstallFetchReplay(): void {
+  if (originalFetch) {
+    globalThis.fetch = originalFetch;
+    originalFetch = null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Fetch wrapper
+// ─────────────────────────────────────────────────────────────
+
+async function replayingFetch(input: string | URL | Request, init?: RequestInit): Promise<Response> {
+  const realFetch = originalFetch!;
+  const request = new Request(input, init);
+  const url = new URL(request.url);
+
+  if (activeOptions.passthroughHosts.includes(url.hostname)) {
+    return realFetch(request);
+  }
+
+  const body = await readBody(request.clone());
+  const redactedUrl = redactUrl(url);
+  const key = hashRequest(request.method, redactedUrl, body);
+  const file = path.join(activeOptions.fixturesDir, sanitizeHost(url.host), `${key}.json`);
+
+  if (activeOptions.mode === 'replay') {
+    return replayResponse(file, request.method, redactedUrl);
+  }
+
+  const response = await realFetch(request);
+  await recordResponse(file, request.method, redactedUrl, body, response.clone());
+  return response;
+}
+
+function replayResponse(file: string, method: string, url: string): Response {
+  if (!fs.existsSync(file)) {
+    throw new ReplayMissError(method, url, file);
+  }
+
+  const fixture: Fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const index = replayCursor.get(file) || 0;
+  // After the last recorded answer, keep repeating it
+  const recorded = fixture.responses[Math.min(index, fixture.responses.length - 1)]!;
+  replayCursor.set(file, index + 1);
+
+  const payload = recorded.bodyEncoding === 'base64'
+    ? Buffer.from(recorded.body, 'base64')
+    : recorded.body;
+  const nullBody = recorded.status === 204 || recorded.status === 304;
+
+  return new Response(nullBody ? null : payload, {
+    status: recorded.status,
+    headers: recorded.headers
+  });
+}
+
+async function recordResponse(
+  file: string,
+  method: string,
+  url: string,
+  body: string | null,
+  response: Response
+): Promise<void> {
+  try {
+    const headers: Record<string, string> = {};
+    for (const name of KEPT_HEADERS) {
+      const value = response.headers.get(name);
+      if (value) headers[name] = value;
+    }
+
+    const bytes = Buffer.from(await response.arrayBuffer());
+    const textual = /json|text|xml|javascript|event-stream/.test(headers['content-type'] || '');
+    const recorded: RecordedResponse = {
+      status: response.status,
+      headers,
+      body: textual ? redactSecrets(bytes.toString('utf8')) : bytes.toString('base64'),
+      bodyEncoding: textual ? 'utf8' : 'base64'
+    };
+
+    // First hit this run starts a fresh fixture; repeats append
+    let fixture: Fixture = { request: { method, url, body }, responses: [] };
+    if (recordedThisRun.has(file) && fs.existsSync(file)) {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    fixture.responses.push(recorded);
+    recordedThisRun.add(file);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  } catch (error: any) {
+    console.warn(`⚠️ Failed to record fixture for ${url}:`, error.message);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Request keys
+// ─────────────────────────────────────────────────────────────
+
+async function readBody(request: Request): Promise<string | null> {
+  if (!request.body) return null;
+
+  const contentType = request.headers.get('content-type') || '';
+  if (contentType.includes('multipart/form-data')) {
+    // Boundaries are random; key on the parts instead
+    const form = await request.formData();
+    const parts: string[] = [];
+    for (const [name, value] of form.entries()) {
+      if (typeof value === 'string') {
+        parts.push(`${name}=${value}`);
+      } else {
+        const digest = crypto.createHash('sha256').update(Buffer.from(await value.arrayBuffer())).digest('hex');
+        parts.push(`${name}=<file ${value.name} sha256:${digest}>`);
+      }
+    }
+    return parts.sort().join('\n');
+  }
+
+  const text = await request.text();
+  if (contentType.includes('json')) {
+    try {
+      return redactSecrets(JSON.stringify(sortKeys(JSON.parse(text))));
+    } catch {}
+  }
+  return redactSecrets(text);
+}
+
+function hashRequest(method: string, url: string, body: string | null): string {
+  return crypto
+    .createHash('sha256')
+    .update(`${method.toUpperCase()} ${url}\n${body ?? ''}`)
+    .digest('hex')
+    .slice(0, 24);
+}
+
+function redactUrl(url: URL): string {
+  const copy = new URL(url.toString());
+  const names = [...copy.searchParams.keys()];
+  for (const name of names) {
+    if (SECRET_PARAM.test(name)) copy.searchParams.set(name, 'REDACTED');
+  }
+  copy.searchParams.sort();
+  return redactSecrets(copy.toString());
+}
+
+/**
+ * Blank out any configured API key that appears verbatim
+ */
+function redactSecrets(text: string): string {
+  let result = text;
+  for (const [name, value] of Object.entries(process.env)) {
+    if (!SECRET_ENV.test(name) || !value || value.length < 8) continue;
+    result = result.split(value).join('REDACTED');
+  }
+  return result;
+}
+
+function sortKeys(value: any): any {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value).sort().map(key => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+function sanitizeHost(host: string): string {
+  return host.replace(/[^a-zA-Z0-9.-]/g, '_');
+}
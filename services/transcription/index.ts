@@ -0,0 +1,31 @@
+/**
+ * Transcription Backends
+ *
+ *   TRANSCRIPTION_BACKEND=openai | local   (default openai)
+ *
+ * Usage:
+ *   import { createTranscriptionBackend } from './transcription/index.js';
+ *   const backend = createTranscriptionBackend();
+ *   const transcription = await backend.transcribe(audioBuffer, 'chunk.webm');
+ */
+
+import { LocalTranscriptionBackend } from './local-backend.js';
+import { OpenAITranscriptionBackend } from './openai-backend.js';
+import type { TranscriptionBackend, TranscriptionBackendName } from './types.js';
+
+export * from './types.js';
+export { OpenAITranscriptionBackend } from './openai-backend.js';
+export { LocalTranscriptionBackend } from './local-backend.js';
+
+/**
+ * Backend for a name (TRANSCRIPTION_BACKEND by default); unknown names fall back to OpenAI
+ */
+export function createTranscriptionBackend(
+  name: string | undefined = process.env.TRANSCRIPTION_BACKEND
+): TranscriptionBackend {
+  const backend: TranscriptionBackendName = name === 'local' ? 'local' : 'openai';
+  if (name && name !== backend) {
+    console.warn(`⚠️ Unknown TRANSCRIPTION_BACKEND "${name}", using openai`);
+  }
+  return backend === 'local' ? new LocalTranscriptionBackend() : new OpenAITranscriptionBackend();
+}
@@ -0,0 +1,113 @@
+/**
+ * Local Transcription Backend
+ * A self-hosted Whisper HTTP server, free to call:
+ *
+ * - whisper.cpp `server`            WHISPER_LOCAL_URL=http://localhost:8080/inference
+ * - faster-whisper (OpenAI-style)   WHISPER_LOCAL_URL=http://localhost:8000/v1/audio/transcriptions
+ *
+ * Both take the audio as multipart "file" and answer verbose_json; whisper.cpp's
+ * own JSON layout (transcription[] with millisecond offsets) is accepted too.
+ * Segments are filled out to the full WhisperSegment shape.
+ */
+
+import type { WhisperSegment, WhisperTranscription } from '../../lib/ai-types.js';
+import type { TranscriptionBackend } from './types.js';
+
+interface LocalTranscriptionConfig {
+  url: string | null;
+  model: string;          // Sent as "model"; whisper.cpp ignores it, faster-whisper servers pick by it
+  language: string | null; // Force a language instead of auto-detect
+  timeoutMs: number;
+}
+
+const DEFAULT_CONFIG: LocalTranscriptionConfig = {
+  url: process.env.WHISPER_LOCAL_URL || null,
+  model: process.env.WHISPER_LOCAL_MODEL || 'whisper-1',
+  language: process.env.WHISPER_LOCAL_LANGUAGE || null,
+  timeoutMs: parseInt(process.env.WHISPER_LOCAL_TIMEOUT_MS || '300000')
+};
+
+export class LocalTranscriptionBackend implements TranscriptionBackend {
+  readonly name = 'local' as const;
+  readonly billable = false;
+  private config: LocalTranscriptionConfig;
+
+  constructor(config: Partial<LocalTranscriptionConfig> = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  async transcribe(audio: Buffer, filename: string): Promise<WhisperTranscription> {
+    if (!this.config.url) {
+      throw new Error('WHISPER_LOCAL_URL is not set (TRANSCRIPTION_BACKEND=local)');
+    }
+
+    const form = new FormData();
+    form.append('file', new Blob([new Uint8Array(audio)]), filename);
+    form.append('model', this.config.model);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'segment');
+    form.append('temperature', '0');
+    if (this.config.language) form.append('language', this.config.language);
+
+    let response: Response;
+    try {
+      response = await fetch(this.config.url, {
+        method: 'POST',
+        body: form,
+        signal: AbortSignal.timeout(this.config.timeoutMs)
+      });
+    } catch (error: any) {
+      const reason = error.name === 'TimeoutError' ? `no answer after ${this.config.timeoutMs}ms` : error.message;
+      throw new Error(`Local Whisper server ${this.config.url} unreachable: ${reason}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Local Whisper server returned ${response.status}: ${body.slice(0, 300)}`);
+    }
+
+    return toTranscription(await response.json());
+  }
+}
+
+/**
+ * OpenAI verbose_json or whisper.cpp JSON → WhisperTranscription
+ */
+function toTranscription(body: any): WhisperTranscription {
+  const rows: Array<{ start: number; end: number; text: string; raw: any }> = Array.isArray(body?.segments)
+    ? body.segments.map((s: any) => ({ start: Number(s.start), end: Number(s.end), text: String(s.text ?? ''), raw: s }))
+    : Array.isArray(body?.transcription)
+      ? body.transcription.map((s: any) => ({
+          start: Number(s.offsets?.from) / 1000,
+          end: Number(s.offsets?.to) / 1000,
+          text: String(s.text ?? ''),
+          raw: s
+        }))
+      : [];
+
+  const segments: WhisperSegment[] = rows
+    .filter(row => Number.isFinite(row.start) && Number.isFinite(row.end))
+    .map((row, id) => ({
+      id,
+      seek: Number(row.raw.seek) || 0,
+      start: row.start,
+      end: row.end,
+      text: row.text,
+      tokens: Array.isArray(row.raw.tokens) ? row.raw.tokens.filter((t: any) => typeof t === 'number') : [],
+      temperature: Number(row.raw.temperature) || 0,
+      avg_logprob: Number(row.raw.avg_logprob) || 0,
+      compression_ratio: Number(row.raw.compression_ratio) || 0,
+      no_speech_prob: Number(row.raw.no_speech_prob) || 0
+    }));
+
+  const text = typeof body?.text === 'string'
+    ? body.text
+    : segments.map(s => s.text.trim()).join(' ');
+
+  return {
+    text: text.trim(),
+    segments,
+    language: body?.language || body?.result?.language || 'unknown',
+    duration: Number(body?.duration) || segments[segments.length - 1]?.end || 0
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * OpenAI Transcription Backend
+ * The hosted Whisper API (WHISPER_MODEL, default whisper-1), billed per minute
+ */
+import OpenAI from 'openai';
+import { AI_CONFIG } from '../../lib/ai-config.js';
+export class OpenAITranscriptionBackend {
+    name = 'openai';
+    billable = true;
+    openai;
+    constructor() {
+        const openaiConfig = {
+            apiKey: AI_CONFIG.openai.apiKey,
+        };
+        if (AI_CONFIG.openai.organization) {
+            openaiConfig.organization = AI_CONFIG.openai.organization;
+        }
+        this.openai = new OpenAI(openaiConfig);
+    }
+    async transcribe(audio, filename) {
+        const transcription = await this.openai.audio.transcriptions.create({
+            file: new File([new Uint8Array(audio)], filename, { type: 'audio/webm' }),
+            model: AI_CONFIG.whisper.model,
+            response_format: 'verbose_json',
+            timestamp_granularities: ['segment'],
+        });
+        return {
+            text: transcription.text,
+            segments: (transcription.segments || []),
+            language: transcription.language || 'unknown',
+            duration: transcription.duration || 0
+        };
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * OpenAI Transcription Backend
+ * The hosted Whisper API (WHISPER_MODEL, default whisper-1), billed per minute
+ */
+
+import OpenAI from 'openai';
+import { AI_CONFIG } from '../../lib/ai-config.js';
+import type { WhisperTranscription } from '../../lib/ai-types.js';
+import type { TranscriptionBackend } from './types.js';
+
+export class OpenAITranscriptionBackend implements TranscriptionBackend {
+  readonly name = 'openai' as const;
+  readonly billable = true;
+  private openai: OpenAI;
+
+  constructor() {
+    const openaiConfig: any = {
+      apiKey: AI_CONFIG.openai.apiKey,
+    };
+
+    if (AI_CONFIG.openai.organization) {
+      openaiConfig.organization = AI_CONFIG.openai.organization;
+    }
+
+    this.openai = new OpenAI(openaiConfig);
+  }
+
+  async transcribe(audio: Buffer, filename: string): Promise<WhisperTranscription> {
+    const transcription = await this.openai.audio.transcriptions.create({
+      file: new File([new Uint8Array(audio)], filename, { type: 'audio/webm' }),
+      model: AI_CONFIG.whisper.model,
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment'],
+    });
+
+    return {
+      text: transcription.text,
+      segments: (transcription.segments || []) as WhisperTranscription['segments'],
+      language: transcription.language || 'unknown',
+      duration: transcription.duration || 0
+    };
+  }
+}
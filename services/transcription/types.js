@@ -0,0 +1,6 @@
+/**
+ * Transcription Types
+ * Backends turn an audio file into a Whisper verbose_json transcription;
+ * AudioProcessor adds timing, cost and diarization on top.
+ */
+export {};
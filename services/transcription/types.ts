@@ -0,0 +1,15 @@
+/**
+ * Transcription Types
+ * Backends turn an audio file into a Whisper verbose_json transcription;
+ * AudioProcessor adds timing, cost and diarization on top.
+ */
+
+import type { WhisperTranscription } from '../../lib/ai-types.js';
+
+export type TranscriptionBackendName = 'openai' | 'local';
+
+export interface TranscriptionBackend {
+  readonly name: TranscriptionBackendName;
+  readonly billable: boolean;   // false: no API spend is booked for it
+  transcribe(audio: Buffer, filename: string): Promise<WhisperTranscription>;
+}
@@ -0,0 +1,241 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fetchCaptions, CaptionsUnavailableError } from './claim-extraction/captions.js';
+import { timestampAligner } from './claim-extraction/timestamp-alignment.js';
+import { downloadAudio } from './claim-extraction/video-segments.js';
+import { diarizer } from './diarization/index.js';
+/**
+ * YouTube Video Processing Service
+ * Uses the video's YouTube captions when it has them; otherwise extracts the
+ * audio and transcribes it with Whisper, then runs the AI pipeline.
+ * With a diarization backend configured the transcript is speaker-segmented
+ * and fact-checked claims are attributed to the speaker who made them.
+ */
+export class YouTubeProcessor {
+    audioProcessor;
+    factChecker;
+    costTracker;
+    tempDir;
+    constructor(audioProcessor, factChecker, costTracker) {
+        this.audioProcessor = audioProcessor;
+        this.factChecker = factChecker;
+        this.costTracker = costTracker;
+        this.tempDir = path.join(process.cwd(), 'temp');
+        // Ensure temp directory exists
+        if (!fs.existsSync(this.tempDir)) {
+            fs.mkdirSync(this.tempDir, { recursive: true });
+        }
+    }
+    /**
+     * Process a YouTube video through the complete AI pipeline
+     * @param transcribeOnly - Skip GPT fact-checking, just transcribe (faster)
+     */
+    async processVideo(videoUrl, videoId, transcribeOnly = false) {
+        const startTime = Date.now();
+        let audioPath = null;
+        try {
+            console.log(`🎥 Processing YouTube video: ${videoId}${transcribeOnly ? ' (transcript only)' : ''}`);
+            console.log(`🔗 URL: ${videoUrl}`);
+            // Step 1: Captions are free and exactly timed; Whisper only without them
+            let transcription = await this.transcriptionFromCaptions(videoUrl, startTime);
+            let transcriptSource = 'captions';
+            const speakerContext = diarizer.enabled ? await this.speakerContext(videoUrl) : {};
+            if (!transcription) {
+                transcriptSource = 'whisper';
+                // Step 1b: Extract audio from YouTube video
+                console.log('📥 Extracting audio from YouTube video...');
+                audioPath = await this.extractAudio(videoUrl, videoId);
+                // Step 2: Transcribe audio using Whisper (+ speakers)
+                console.log('🎤 Transcribing audio with Whisper...');
+                transcription = await this.audioProcessor.transcribeAudio(fs.readFileSync(audioPath), `${videoId}.mp3`, { diarize: true, context: speakerContext });
+            }
+            else if (diarizer.enabled) {
+                // Captions carry no speakers; diarize the audio track
+                try {
+                    console.log('📥 Extracting audio for diarization...');
+                    audioPath = await this.extractAudio(videoUrl, videoId);
+                    transcription = await this.audioProcessor.diarizeTranscription(transcription, fs.readFileSync(audioPath), `${videoId}.mp3`, speakerContext);
+                }
+                catch (error) {
+                    console.warn('⚠️ Audio extraction for diarization failed, continuing without speakers:', error instanceof Error ? error.message : error);
+                }
+            }
+            let factCheck = null;
+            let totalCost = transcription.cost;
+            // Step 3: Fact-check the transcription using GPT-4 (skip if transcribeOnly)
+            if (!transcribeOnly) {
+                console.log('🔍 Analyzing transcription for fact-checking...');
+                factCheck = await this.factChecker.analyzeTranscription(transcription.text, videoId);
+                totalCost += factCheck.cost;
+                this.alignClaims(factCheck, transcription, transcriptSource);
+            }
+            const processingTime = Date.now() - startTime;
+            console.log(`✅ Video processing completed in ${processingTime}ms`);
+            console.log(`💰 Total cost: $${totalCost.toFixed(4)}`);
+            return {
+                transcription,
+                factCheck,
+                totalCost,
+                processingTime
+            };
+        }
+        catch (error) {
+            console.error('❌ Video processing failed:', error);
+            throw error;
+        }
+        finally {
+            // Clean up temporary audio file
+            if (audioPath && fs.existsSync(audioPath)) {
+                try {
+                    fs.unlinkSync(audioPath);
+                    console.log('🧹 Cleaned up temporary audio file');
+                }
+                catch (cleanupError) {
+                    console.warn('⚠️ Failed to clean up temporary file:', cleanupError);
+                }
+            }
+        }
+    }
+    /**
+     * Locate each fact-checked claim in the timed segments; the fact checker
+     * only sees plain text, so this is the claims' only position in the video
+     */
+    alignClaims(factCheck, transcription, source) {
+        const segments = transcription.segments.map(segment => ({
+            startSec: segment.start,
+            endSec: segment.end,
+            text: segment.text
+        }));
+        let aligned = 0;
+        for (const claim of factCheck.claims) {
+            claim.alignment = timestampAligner.align(claim.text, segments, source);
+            if (claim.alignment)
+                aligned++;
+            if (claim.alignment && transcription.diarization) {
+                claim.speaker = diarizer.speakerAt(transcription.diarization, claim.alignment.start_sec, claim.alignment.end_sec);
+            }
+        }
+        console.log(`🎯 Aligned ${aligned}/${factCheck.claims.length} claims to ${source} timings`);
+    }
+    /**
+     * Title/channel/description for naming speakers; empty when yt-dlp can't read them
+     */
+    async speakerContext(videoUrl) {
+        try {
+            const info = await this.getVideoInfo(videoUrl);
+            return { title: info.title, uploader: info.uploader, description: info.description };
+        }
+        catch (error) {
+            console.warn('⚠️ Could not read video metadata for speaker naming:', error instanceof Error ? error.message : error);
+            return {};
+        }
+    }
+    /**
+     * Caption track as a Whisper-shaped transcription, or null when the video has none
+     */
+    async transcriptionFromCaptions(videoUrl, startTime) {
+        try {
+            const captions = await fetchCaptions(videoUrl);
+            console.log(`📝 Using YouTube captions (${captions.language || 'unknown language'}, ${captions.lines.length} lines)`);
+            return {
+                text: captions.lines.map(line => line.text).join(' '),
+                segments: captions.lines.map((line, id) => ({
+                    id,
+                    seek: 0,
+                    start: line.startSec,
+                    end: line.endSec,
+                    text: line.text,
+                    tokens: [],
+                    temperature: 0,
+                    avg_logprob: 0,
+                    compression_ratio: 0,
+                    no_speech_prob: 0
+                })),
+                language: captions.language || 'unknown',
+                duration: captions.durationSec,
+                processingTime: Date.now() - startTime,
+                cost: 0
+            };
+        }
+        catch (error) {
+            if (error instanceof CaptionsUnavailableError) {
+                console.log(`🎤 ${error.message}; falling back to Whisper`);
+            }
+            else {
+                console.warn('⚠️ Caption fetch failed, falling back to Whisper:', error);
+            }
+            return null;
+        }
+    }
+    /**
+     * Extract audio from YouTube video using yt-dlp
+     */
+    async extractAudio(videoUrl, videoId) {
+        return downloadAudio(videoUrl, path.join(this.tempDir, `${videoId}.mp3`));
+    }
+    /**
+     * Get video information without downloading
+     */
+    async getVideoInfo(videoUrl) {
+        return new Promise((resolve, reject) => {
+            const ytdlp = spawn('yt-dlp', [
+                '--dump-json',
+                '--no-download',
+                videoUrl
+            ], {
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+            let stdout = '';
+            let stderr = '';
+            ytdlp.stdout.on('data', (data) => {
+                stdout += data.toString();
+            });
+            ytdlp.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+            ytdlp.on('close', (code) => {
+                if (code === 0) {
+                    try {
+                        const info = JSON.parse(stdout);
+                        resolve({
+                            title: info.title || 'Unknown Title',
+                            duration: info.duration || 0,
+                            uploader: info.uploader || 'Unknown Uploader',
+                            viewCount: info.view_count || 0,
+                            description: info.description || ''
+                        });
+                    }
+                    catch (parseError) {
+                        reject(new Error('Failed to parse video information'));
+                    }
+                }
+                else {
+                    reject(new Error(`yt-dlp failed with code ${code}: ${stderr}`));
+                }
+            });
+            ytdlp.on('error', (error) => {
+                if (error.message.includes('ENOENT')) {
+                    reject(new Error('yt-dlp is not installed. Please install it first: brew install yt-dlp'));
+                }
+                else {
+                    reject(error);
+                }
+            });
+        });
+    }
+    /**
+     * Check if yt-dlp is available
+     */
+    async checkDependencies() {
+        return new Promise((resolve) => {
+            const ytdlp = spawn('yt-dlp', ['--version'], { stdio: 'pipe' });
+            ytdlp.on('close', (code) => {
+                resolve(code === 0);
+            });
+            ytdlp.on('error', () => {
+                resolve(false);
+            });
+        });
+    }
+}
@@ -4,11 +4,19 @@ import path from 'path';
 import { AudioProcessor } from './audio-processor.js';
 import { FactChecker } from './fact-checker.js';
 import { CostTracker } from './cost-tracker.js';
+import { fetchCaptions, CaptionsUnavailableError } from './claim-extraction/captions.js';
+import { timestampAligner } from './claim-extraction/timestamp-alignment.js';
+import { downloadAudio } from './claim-extraction/video-segments.js';
+import type { ClaimAlignment } from './claim-extraction/types.js';
+import { diarizer, type SpeakerContext } from './diarization/index.js';
 import { TranscriptionResult, FactCheckResult } from '../lib/ai-types.js';
 
 /**
  * YouTube Video Processing Service
- * Extracts audio from YouTube videos and processes them through the AI pipeline
+ * Uses the video's YouTube captions when it has them; otherwise extracts the
+ * audio and transcribes it with Whisper, then runs the AI pipeline.
+ * With a diarization backend configured the transcript is speaker-segmented
+ * and fact-checked claims are attributed to the speaker who made them.
  */
 export class YouTubeProcessor {
   private audioProcessor: AudioProcessor;
@@ -45,16 +53,39 @@ export class YouTubeProcessor {
       console.log(`🎥 Processing YouTube video: ${videoId}${transcribeOnly ? ' (transcript only)' : ''}`);
       console.log(`🔗 URL: ${videoUrl}`);
 
-      // Step 1: Extract audio from YouTube video
-      console.log('📥 Extracting audio from YouTube video...');
-      audioPath = await this.extractAudio(videoUrl, videoId);
+      // Step 1: Captions are free and exactly timed; Whisper only without them
+      let transcription = await this.transcriptionFromCaptions(videoUrl, startTime);
+      let transcriptSource: ClaimAlignment['source'] = 'captions';
+      const speakerContext = diarizer.enabled ? await this.speakerContext(videoUrl) : {};
       
-      // Step 2: Transcribe audio using Whisper
-      console.log('🎤 Transcribing audio with Whisper...');
-      const transcription = await this.audioProcessor.transcribeAudio(
-        fs.readFileSync(audioPath),
-        `${videoId}.mp3`
-      );
+      if (!transcription) {
+        transcriptSource = 'whisper';
+        // Step 1b: Extract audio from YouTube video
+        console.log('📥 Extracting audio from YouTube video...');
+        audioPath = await this.extractAudio(videoUrl, videoId);
+        
+        // Step 2: Transcribe audio using Whisper (+ speakers)
+        console.log('🎤 Transcribing audio with Whisper...');
+        transcription = await this.audioProcessor.transcribeAudio(
+          fs.readFileSync(audioPath),
+          `${videoId}.mp3`,
+          { diarize: true, context: speakerContext }
+        );
+      } else if (diarizer.enabled) {
+        // Captions carry no speakers; diarize the audio track
+        try {
+          console.log('📥 Extracting audio for diarization...');
+          audioPath = await this.extractAudio(videoUrl, videoId);
+          transcription = await this.audioProcessor.diarizeTranscription(
+            transcription,
+            fs.readFileSync(audioPath),
+            `${videoId}.mp3`,
+            speakerContext
+          );
+        } catch (error) {
+          console.warn('⚠️ Audio extraction for diarization failed, continuing without speakers:', error instanceof Error ? error.message : error);
+        }
+      }
 
       let factCheck: FactCheckResult | null = null;
       let totalCost = transcription.cost;
@@ -67,6 +98,7 @@ export class YouTubeProcessor {
           videoId
         );
         totalCost += factCheck.cost;
+        this.alignClaims(factCheck, transcription, transcriptSource);
       }
 
       const processingTime = Date.now() - startTime;
@@ -98,57 +130,82 @@ export class YouTubeProcessor {
   }
 
   /**
-   * Extract audio from YouTube video using yt-dlp
+   * Locate each fact-checked claim in the timed segments; the fact checker
+   * only sees plain text, so this is the claims' only position in the video
    */
-  private async extractAudio(videoUrl: string, videoId: string): Promise<string> {
-    return new Promise((resolve, reject) => {
-      const audioPath = path.join(this.tempDir, `${videoId}.mp3`);
-      
-      // Check if yt-dlp is available
-      const ytdlp = spawn('yt-dlp', [
-        '--js-runtimes', 'node', // Required for YouTube JS challenges
-        '--extract-audio',
-        '--audio-format', 'mp3',
-        '--audio-quality', '5', // Medium quality to keep under 25MB Whisper limit
-        '--postprocessor-args', 'ffmpeg:-ar 16000 -ac 1', // 16kHz mono for smaller file
-        '--output', audioPath,
-        videoUrl
-      ], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      ytdlp.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      ytdlp.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+  private alignClaims(factCheck: FactCheckResult, transcription: TranscriptionResult, source: ClaimAlignment['source']): void {
+    const segments = transcription.segments.map(segment => ({
+      startSec: segment.start,
+      endSec: segment.end,
+      text: segment.text
+    }));
+    
+    let aligned = 0;
+    for (const claim of factCheck.claims) {
+      claim.alignment = timestampAligner.align(claim.text, segments, source);
+      if (claim.alignment) aligned++;
+      if (claim.alignment && transcription.diarization) {
+        claim.speaker = diarizer.speakerAt(transcription.diarization, claim.alignment.start_sec, claim.alignment.end_sec);
+      }
+    }
+    console.log(`🎯 Aligned ${aligned}/${factCheck.claims.length} claims to ${source} timings`);
+  }
+  
+  /**
+   * Title/channel/description for naming speakers; empty when yt-dlp can't read them
+   */
+  private async speakerContext(videoUrl: string): Promise<SpeakerContext> {
+    try {
+      const info = await this.getVideoInfo(videoUrl);
+      return { title: info.title, uploader: info.uploader, description: info.description };
+    } catch (error) {
+      console.warn('⚠️ Could not read video metadata for speaker naming:', error instanceof Error ? error.message : error);
+      return {};
+    }
+  }
 
-      ytdlp.on('close', (code) => {
-        if (code === 0) {
-          if (fs.existsSync(audioPath)) {
-            console.log(`✅ Audio extracted successfully: ${audioPath}`);
-            resolve(audioPath);
-          } else {
-            reject(new Error('Audio file was not created'));
-          }
-        } else {
-          reject(new Error(`yt-dlp failed with code ${code}: ${stderr}`));
-        }
-      });
+  /**
+   * Caption track as a Whisper-shaped transcription, or null when the video has none
+   */
+  private async transcriptionFromCaptions(videoUrl: string, startTime: number): Promise<TranscriptionResult | null> {
+    try {
+      const captions = await fetchCaptions(videoUrl);
+      console.log(`📝 Using YouTube captions (${captions.language || 'unknown language'}, ${captions.lines.length} lines)`);
+      
+      return {
+        text: captions.lines.map(line => line.text).join(' '),
+        segments: captions.lines.map((line, id) => ({
+          id,
+          seek: 0,
+          start: line.startSec,
+          end: line.endSec,
+          text: line.text,
+          tokens: [],
+          temperature: 0,
+          avg_logprob: 0,
+          compression_ratio: 0,
+          no_speech_prob: 0
+        })),
+        language: captions.language || 'unknown',
+        duration: captions.durationSec,
+        processingTime: Date.now() - startTime,
+        cost: 0
+      };
+    } catch (error) {
+      if (error instanceof CaptionsUnavailableError) {
+        console.log(`🎤 ${error.message}; falling back to Whisper`);
+      } else {
+        console.warn('⚠️ Caption fetch failed, falling back to Whisper:', error);
+      }
+      return null;
+    }
+  }
 
-      ytdlp.on('error', (error) => {
-        if (error.message.includes('ENOENT')) {
-          reject(new Error('yt-dlp is not installed. Please install it first: brew install yt-dlp'));
-        } else {
-          reject(error);
-        }
-      });
-    });
+  /**
+   * Extract audio from YouTube video using yt-dlp
+   */
+  private async extractAudio(videoUrl: string, videoId: string): Promise<string> {
+    return downloadAudio(videoUrl, path.join(this.tempDir, `${videoId}.mp3`));
   }
 
   /**
@@ -0,0 +1,33 @@
+-- Processing Jobs Table
+-- Durable state for HybridProcessor jobs so a restart mid-podcast doesn't lose work
+
+CREATE TABLE IF NOT EXISTS processing_jobs (
+  video_id TEXT PRIMARY KEY,               -- Format: yt-<youtubeId>
+  video_url TEXT NOT NULL,
+  video_title TEXT,
+
+  -- Overall job state
+  status TEXT NOT NULL CHECK (status IN ('processing', 'fast_track_complete', 'complete', 'error')),
+
+  -- Per-track progress
+  fast_track_status TEXT NOT NULL DEFAULT 'pending' CHECK (fast_track_status IN ('pending', 'running', 'complete', 'error')),
+  full_track_status TEXT NOT NULL DEFAULT 'pending' CHECK (full_track_status IN ('pending', 'running', 'complete', 'error')),
+  fast_track_claims JSONB NOT NULL DEFAULT '[]'::jsonb,
+  all_claims JSONB NOT NULL DEFAULT '[]'::jsonb,
+  fast_track_completed_at TIMESTAMPTZ,
+  full_processing_completed_at TIMESTAMPTZ,
+
+  -- Errors
+  fast_track_error TEXT,
+  error TEXT,
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Resume-on-boot looks up unfinished jobs by status
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_status ON processing_jobs(status);
+
+-- Disable RLS for development (like other tables)
+ALTER TABLE processing_jobs DISABLE ROW LEVEL SECURITY;
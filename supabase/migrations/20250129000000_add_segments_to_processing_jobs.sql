@@ -0,0 +1,8 @@
+-- Add segments column to processing_jobs
+-- Per-segment progress for chunked full-track extraction, so a failed segment can be retried on its own
+
+-- Array of { index, startSec, endSec, chapterTitle, status, claimsCount, completedAt, error }
+ALTER TABLE processing_jobs
+ADD COLUMN IF NOT EXISTS segments JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN processing_jobs.segments IS 'Full-track segment windows and their extraction status, stored as JSONB';
@@ -0,0 +1,13 @@
+-- Add evidence columns to claims
+-- Verification now checks each claim against the top K papers and synthesizes a consensus verdict
+
+-- Array of { paper_id, title, authors, year, venue, url, doi, match_score, study_type, stance, confidence, explanation }
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS evidence JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Human-readable consensus, e.g. '2 supporting RCTs, 1 contradicting meta-analysis'
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS evidence_summary TEXT;
+
+COMMENT ON COLUMN claims.evidence IS 'Per-paper verification results behind the aggregate verdict, stored as JSONB';
+COMMENT ON COLUMN claims.evidence_summary IS 'Consensus summary of the evidence set by study type and stance';
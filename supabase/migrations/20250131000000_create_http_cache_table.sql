@@ -0,0 +1,21 @@
+-- HTTP cache for paper lookups
+-- Content-addressed responses from OpenAlex, Semantic Scholar, PubMed and Google CSE,
+-- plus scraped abstracts and parsed full text, so re-verification skips repeat calls
+
+CREATE TABLE IF NOT EXISTS http_cache (
+  key TEXT PRIMARY KEY,                    -- sha256 of source + request
+  source TEXT NOT NULL,                    -- openalex | semantic_scholar | pubmed | google | scrape | doi | fulltext
+  url TEXT,                                -- Request URL with API keys redacted (debugging only)
+  status INTEGER NOT NULL,
+  content_type TEXT,
+  body TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_http_cache_source ON http_cache(source);
+CREATE INDEX IF NOT EXISTS idx_http_cache_expires_at ON http_cache(expires_at);
+
+-- Disable RLS for development (like other tables)
+ALTER TABLE http_cache DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,16 @@
+-- Add verification progress columns to processing_jobs
+-- Per-claim verification status, so a restart resumes verification at the first unverified claim
+
+ALTER TABLE processing_jobs
+ADD COLUMN IF NOT EXISTS verification_status TEXT NOT NULL DEFAULT 'pending'
+  CHECK (verification_status IN ('pending', 'running', 'complete', 'error'));
+
+-- Array of { claimId, status, verdict, attempts, completedAt, error }
+ALTER TABLE processing_jobs
+ADD COLUMN IF NOT EXISTS verifications JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Resume-on-boot also picks up jobs whose verification was cut off
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_verification_status ON processing_jobs(verification_status);
+
+COMMENT ON COLUMN processing_jobs.verification_status IS 'Background verification state: pending, running, complete or error';
+COMMENT ON COLUMN processing_jobs.verifications IS 'Per-claim verification progress, stored as JSONB';
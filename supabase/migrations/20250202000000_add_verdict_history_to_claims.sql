@@ -0,0 +1,22 @@
+-- Add verdict history columns to claims
+-- Claims are re-verified on request and on a schedule; keep every run and record when a verdict flips
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+
+-- Array of { verdict, confidence, evidence_summary, paper_title, paper_url, trigger, verified_at }
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS verdict_history JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS previous_verdict TEXT;
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS verdict_changed_at TIMESTAMPTZ;
+
+-- The scheduler picks the oldest verdicts first
+CREATE INDEX IF NOT EXISTS idx_claims_verified_at ON claims(verified_at);
+
+COMMENT ON COLUMN claims.verdict_history IS 'One entry per verification run (initial, manual or scheduled), oldest first';
+COMMENT ON COLUMN claims.previous_verdict IS 'Verdict before the most recent flip';
+COMMENT ON COLUMN claims.verdict_changed_at IS 'When the verdict last changed between verification runs';
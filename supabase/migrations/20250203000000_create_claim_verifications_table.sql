@@ -0,0 +1,39 @@
+-- Claim Verifications Table
+-- Audit trail of every verification run: what was decided, from which papers,
+-- by which model and prompt version, under which pipeline config
+
+CREATE TABLE IF NOT EXISTS claim_verifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  claim_id TEXT NOT NULL REFERENCES claims(claim_id) ON DELETE CASCADE,
+  video_id TEXT NOT NULL,
+  trigger TEXT NOT NULL CHECK (trigger IN ('initial', 'manual', 'scheduled')),
+
+  -- Outcome
+  verdict TEXT NOT NULL,
+  confidence TEXT CHECK (confidence IN ('high', 'medium', 'low')),
+  explanation TEXT,
+  evidence_summary TEXT,
+
+  -- Paper set: best match plus per-paper evidence (same shape as claims.evidence)
+  best_paper JSONB,
+  papers JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+  -- Provenance
+  models TEXT[] NOT NULL DEFAULT '{}',     -- provider/model per LLM call
+  prompt_id TEXT,
+  prompt_version TEXT,
+  pipeline_config JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  verified_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- History lookups are per claim, in run order
+CREATE INDEX IF NOT EXISTS idx_claim_verifications_claim ON claim_verifications(claim_id, verified_at);
+CREATE INDEX IF NOT EXISTS idx_claim_verifications_video ON claim_verifications(video_id);
+CREATE INDEX IF NOT EXISTS idx_claim_verifications_prompt ON claim_verifications(prompt_id, prompt_version);
+
+COMMENT ON TABLE claim_verifications IS 'One row per verification run of a claim (initial, manual or scheduled re-verification)';
+
+-- Disable RLS for development (like other tables)
+ALTER TABLE claim_verifications DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,22 @@
+-- Add prompt versions to claims
+-- Extraction and verification prompts come from the versioned prompt registry
+-- (services/llm/prompts); record which revision produced each claim and verdict
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS extraction_prompt_id TEXT;
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS extraction_prompt_version TEXT;
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS verification_prompt_id TEXT;
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS verification_prompt_version TEXT;
+
+-- Comparing revisions groups claims by prompt version
+CREATE INDEX IF NOT EXISTS idx_claims_extraction_prompt ON claims(extraction_prompt_id, extraction_prompt_version);
+CREATE INDEX IF NOT EXISTS idx_claims_verification_prompt ON claims(verification_prompt_id, verification_prompt_version);
+
+COMMENT ON COLUMN claims.extraction_prompt_version IS 'Registry version of the extraction prompt (A/B assigned per video)';
+COMMENT ON COLUMN claims.verification_prompt_version IS 'Registry version of the verification prompt used for the current verdict';
@@ -0,0 +1,8 @@
+-- Add extraction source to processing_jobs
+-- Videos with YouTube captions are extracted from the caption text; the rest from the video (Gemini)
+
+ALTER TABLE processing_jobs
+ADD COLUMN IF NOT EXISTS extraction_source TEXT
+  CHECK (extraction_source IN ('captions', 'video'));
+
+COMMENT ON COLUMN processing_jobs.extraction_source IS 'captions or video; NULL until the job has looked for captions';
@@ -0,0 +1,18 @@
+-- Add timestamp alignment to claims
+-- The extractor's "MM:SS" is often tens of seconds off; each claim's quote is
+-- located in the caption lines or Whisper segments for a precise time range
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS aligned_start_sec REAL;
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS aligned_end_sec REAL;
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS alignment_confidence REAL;
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS alignment_source TEXT CHECK (alignment_source IN ('captions', 'whisper'));
+
+COMMENT ON COLUMN claims.aligned_start_sec IS 'Where the quoted segment starts in the video; NULL when it could not be aligned';
+COMMENT ON COLUMN claims.alignment_confidence IS 'Share of the quote''s content words found in the aligned window (0-1)';
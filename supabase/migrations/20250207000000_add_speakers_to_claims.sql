@@ -0,0 +1,18 @@
+-- Add speaker attribution to claims
+-- author_mentioned is the researcher a claim cites; these record who in the
+-- video made it (diarization label, plus name/role when the metadata gives them)
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS speaker_label TEXT;
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS speaker_name TEXT;
+
+ALTER TABLE claims
+ADD COLUMN IF NOT EXISTS speaker_role TEXT CHECK (speaker_role IN ('host', 'guest'));
+
+-- Speaker analytics group by name across videos
+CREATE INDEX IF NOT EXISTS idx_claims_speaker_name ON claims(speaker_name) WHERE speaker_name IS NOT NULL;
+
+COMMENT ON COLUMN claims.speaker_label IS 'Diarization label within the video (e.g. SPEAKER_00); NULL when not diarized';
+COMMENT ON COLUMN claims.speaker_name IS 'Speaker name mapped from the video title/description; NULL when unknown';
@@ -0,0 +1,7 @@
+-- Add spoken language to processing_jobs
+-- Picks the localized extraction prompts (e.g. Polish podcasts); claim quotes stay in this language
+
+ALTER TABLE processing_jobs
+ADD COLUMN IF NOT EXISTS language TEXT;
+
+COMMENT ON COLUMN processing_jobs.language IS 'ISO 639-1 code of the spoken language (en, pl); NULL until the job has resolved it';
@@ -0,0 +1,11 @@
+-- Allow 'audio' as a processing_jobs extraction source
+-- Podcast episodes ("pod-" ids, from RSS enclosures) are extracted from their Whisper transcript
+
+ALTER TABLE processing_jobs
+DROP CONSTRAINT IF EXISTS processing_jobs_extraction_source_check;
+
+ALTER TABLE processing_jobs
+ADD CONSTRAINT processing_jobs_extraction_source_check
+  CHECK (extraction_source IN ('captions', 'video', 'audio'));
+
+COMMENT ON COLUMN processing_jobs.extraction_source IS 'captions, video, or audio (transcribed podcast episode); NULL until the job has looked for captions';
@@ -0,0 +1,16 @@
+-- Turn whitelisted channels into subscriptions
+-- The channel poller resolves each channel_identifier (YouTube "@handle"/channel, or a podcast RSS URL)
+-- to a feed, watches it for new uploads, and queues them for hybrid processing
+
+ALTER TABLE public.whitelist
+ADD COLUMN IF NOT EXISTS source_kind TEXT CHECK (source_kind IN ('youtube', 'podcast')),
+ADD COLUMN IF NOT EXISTS feed_url TEXT,
+ADD COLUMN IF NOT EXISTS auto_process BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS last_upload_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+COMMENT ON COLUMN public.whitelist.source_kind IS 'youtube or podcast; NULL until the identifier has been resolved';
+COMMENT ON COLUMN public.whitelist.feed_url IS 'YouTube channel Atom feed or podcast RSS feed the poller reads';
+COMMENT ON COLUMN public.whitelist.auto_process IS 'Queue new uploads for claim extraction and verification';
+COMMENT ON COLUMN public.whitelist.last_upload_at IS 'Publish time of the newest upload already seen; NULL before the first poll';
@@ -0,0 +1,101 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-captions-'));
+process.env.LUMOS_DB_PATH = path.join(dir, 'lumos.db');
+delete process.env.LUMOS_HTTP_CACHE;
+process.env.RATE_LIMIT_SCRAPE = '1000';
+
+const { fetchCaptions, formatTranscript, formatSeconds, CaptionsUnavailableError } =
+  await import('../services/claim-extraction/captions.js');
+
+const originalFetch = globalThis.fetch;
+let requested;
+let tracks;
+
+// srv3 track: times in milliseconds
+const TRANSCRIPT = `<?xml version="1.0" encoding="utf-8" ?><timedtext format="3"><body>
+<p t="0" d="4000">[Music]</p>
+<p t="4200" d="3100"><s>welcome back</s><s> to the show</s></p>
+<p t="7300" d="2500">Aric Prather&#39;s study on sleep</p>
+<p t="21000" d="3500">found people sleeping under six hours</p>
+</body></timedtext>`;
+
+before(() => mock.method(console, 'log', () => {}));
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  requested = [];
+  tracks = [{ languageCode: 'en', baseUrl: 'https://www.youtube.com/api/timedtext?v=capTions001&lang=en' }];
+  globalThis.fetch = async input => {
+    const url = new URL(String(input));
+    requested.push(url.pathname);
+    if (url.pathname === '/youtubei/v1/player') {
+      return Response.json({ captions: { playerCaptionsTracklistRenderer: { captionTracks: tracks } } });
+    }
+    if (url.pathname === '/watch') {
+      return new Response('<script>var ytInitialPlayerResponse = {"playabilityStatus":{"status":"OK"}};</script>');
+    }
+    return new Response(TRANSCRIPT, { headers: { 'content-type': 'text/xml' } });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('fetchCaptions reads the caption track in seconds and caches it', async () => {
+  const track = await fetchCaptions('https://www.youtube.com/watch?v=capTions001');
+
+  assert.deepEqual(track, {
+    videoId: 'capTions001',
+    language: 'en',
+    durationSec: 24.5,
+    lines: [
+      { startSec: 4.2, endSec: 7.3, text: 'welcome back to the show' },
+      { startSec: 7.3, endSec: 9.8, text: "Aric Prather's study on sleep" },
+      { startSec: 21, endSec: 24.5, text: 'found people sleeping under six hours' }
+    ]
+  });
+  assert.deepEqual(requested, ['/youtubei/v1/player', '/api/timedtext']);
+
+  assert.deepEqual(await fetchCaptions('yt-capTions001'), track);
+  assert.equal(requested.length, 2);
+});
+
+test('videos without captions raise CaptionsUnavailableError and are not cached', async () => {
+  tracks = [];
+
+  await assert.rejects(fetchCaptions('https://youtu.be/noCaption01'), error =>
+    error instanceof CaptionsUnavailableError && /No captions for noCaption01/.test(error.message));
+  await assert.rejects(fetchCaptions('noCaption01'), CaptionsUnavailableError);
+  assert.equal(requested.filter(p => p === '/youtubei/v1/player').length, 2);
+
+  await assert.rejects(fetchCaptions('https://example.org/episode.mp3'), /not a YouTube URL/);
+});
+
+test('formatTranscript groups lines into timestamped blocks within the range', () => {
+  const track = {
+    videoId: 'capTions001',
+    language: 'en',
+    durationSec: 3700,
+    lines: [
+      { startSec: 0, endSec: 3, text: 'intro' },
+      { startSec: 5, endSec: 9, text: 'first point' },
+      { startSec: 16, endSec: 20, text: 'second block' },
+      { startSec: 3605, endSec: 3610, text: 'after an hour' }
+    ]
+  };
+
+  assert.equal(formatTranscript(track), '[00:00] intro first point\n[00:16] second block\n[1:00:05] after an hour');
+  assert.equal(formatTranscript(track, 5, 3600), '[00:05] first point second block');
+  assert.equal(formatTranscript(track, 4000), '');
+  assert.equal(formatSeconds(3725.9), '1:02:05');
+});
@@ -0,0 +1,161 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-channel-poller-'));
+process.env.LUMOS_DB_PATH = path.join(dir, 'lumos.db');
+process.env.RATE_LIMIT_SCRAPE = '1000';
+
+const { ChannelPoller, parseYouTubeFeed, resolveFeed } = await import('../services/claim-extraction/channel-poller.js');
+const { SqliteSubscriptionStore } = await import('../services/claim-extraction/subscription-store.js');
+
+const CHANNEL_ID = 'UCabcdefghijklmnopqrstuv';
+const FEED_URL = `https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL_ID}`;
+const PODCAST_URL = 'https://feeds.example.com/sleep-science.xml';
+
+function entry(id, title, published) {
+  return `<entry>
+    <id>yt:video:${id}</id>
+    <yt:videoId>${id}</yt:videoId>
+    <title>${title}</title>
+    <link rel="alternate" href="https://www.youtube.com/watch?v=${id}"/>
+    <published>${published}</published>
+  </entry>`;
+}
+
+const older = [
+  entry('aaaaaaaaaa1', 'Sleep &amp; memory', '2026-03-01T10:00:00+00:00'),
+  entry('aaaaaaaaaa2', 'Caffeine &quot;myths&quot;', '2026-03-05T10:00:00+00:00')
+];
+const newer = [
+  entry('bbbbbbbbbb1', 'Naps', '2026-03-10T10:00:00+00:00'),
+  entry('bbbbbbbbbb2', 'Light', '2026-03-11T10:00:00+00:00'),
+  entry('bbbbbbbbbb3', 'Alcohol', '2026-03-12T10:00:00+00:00'),
+  entry('bbbbbbbbbb4', 'Melatonin', '2026-03-13T10:00:00+00:00')
+];
+
+const podcast = `<rss><channel><title>Sleep Science</title>
+  <item><title>Episode 1</title><guid>ep-1</guid><pubDate>Mon, 02 Mar 2026 08:00:00 GMT</pubDate>
+    <enclosure url="https://cdn.example.com/ep1.mp3" type="audio/mpeg"/></item>
+</channel></rss>`;
+
+const originalFetch = globalThis.fetch;
+let entries;
+let requested;
+let feedStatus;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  entries = [...older];
+  requested = [];
+  feedStatus = 200;
+  globalThis.fetch = async input => {
+    const url = String(input);
+    requested.push(url);
+    if (url === 'https://www.youtube.com/@sleepdoc') {
+      return new Response(`<html><link rel="alternate" type="application/rss+xml" href="https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL_ID}"></html>`);
+    }
+    if (url === FEED_URL) {
+      return new Response(`<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015">${entries.join('\n')}</feed>`, { status: feedStatus, statusText: feedStatus === 200 ? 'OK' : 'Not Found' });
+    }
+    if (url === PODCAST_URL) return new Response(podcast);
+    return new Response('Not found', { status: 404 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('parseYouTubeFeed reads uploads newest first with decoded titles', () => {
+  const uploads = parseYouTubeFeed(`<feed>${older.join('')}<entry><title>No link</title></entry></feed>`);
+
+  assert.deepEqual(uploads, [
+    { videoId: 'yt-aaaaaaaaaa2', url: 'https://www.youtube.com/watch?v=aaaaaaaaaa2', title: 'Caffeine "myths"', publishedAt: Date.parse('2026-03-05T10:00:00Z') },
+    { videoId: 'yt-aaaaaaaaaa1', url: 'https://www.youtube.com/watch?v=aaaaaaaaaa1', title: 'Sleep & memory', publishedAt: Date.parse('2026-03-01T10:00:00Z') }
+  ]);
+});
+
+test('resolveFeed maps channel ids, handles and feed URLs to the feed to poll', async () => {
+  assert.deepEqual(await resolveFeed(CHANNEL_ID), { kind: 'youtube', feedUrl: FEED_URL });
+  assert.deepEqual(await resolveFeed(`https://www.youtube.com/channel/${CHANNEL_ID}/videos`), { kind: 'youtube', feedUrl: FEED_URL });
+  assert.deepEqual(await resolveFeed('@sleepdoc'), { kind: 'youtube', feedUrl: FEED_URL });
+  assert.deepEqual(await resolveFeed(PODCAST_URL), { kind: 'podcast', feedUrl: PODCAST_URL });
+  await assert.rejects(resolveFeed('sleepdoc'), /Not a YouTube channel or feed URL/);
+  await assert.rejects(resolveFeed('@nobody'), /returned 404/);
+});
+
+test('subscribing records where the channel is and only queues the requested backfill', async () => {
+  const queued = [];
+  const store = new SqliteSubscriptionStore();
+  const poller = new ChannelPoller({ store, onUpload: async upload => { queued.push(upload.videoId); } });
+
+  const { subscription, queued: backfill } = await poller.subscribe(' @sleepdoc ', { description: 'Sleep doctor', backfill: 1 });
+
+  assert.deepEqual(backfill.map(u => u.videoId), ['yt-aaaaaaaaaa2']);
+  assert.deepEqual(queued, ['yt-aaaaaaaaaa2']);
+  const saved = await store.get(subscription.id);
+  assert.equal(saved.channelIdentifier, '@sleepdoc');
+  assert.equal(saved.description, 'Sleep doctor');
+  assert.equal(saved.kind, 'youtube');
+  assert.equal(saved.feedUrl, FEED_URL);
+  assert.equal(saved.lastUploadAt, Date.parse('2026-03-05T10:00:00Z'));
+
+  // Same identifier again: the same subscription, updated
+  const again = await poller.subscribe('@sleepdoc', { autoProcess: false });
+  assert.equal(again.subscription.id, subscription.id);
+  assert.equal((await store.get(subscription.id)).autoProcess, false);
+  await poller.unsubscribe(subscription.id);
+});
+
+test('poll queues new uploads oldest first, spreading a backlog over later polls, and records feed errors', async () => {
+  const queued = [];
+  const store = new SqliteSubscriptionStore();
+  const poller = new ChannelPoller({ store, maxUploadsPerPoll: 2, onUpload: async upload => { queued.push(upload.videoId); } });
+  const { subscription } = await poller.subscribe(CHANNEL_ID);
+
+  assert.deepEqual(await poller.poll(subscription), []);
+
+  // Four new uploads, two per poll: none is skipped
+  entries = [...older, ...newer];
+  const first = await poller.poll(subscription);
+  assert.deepEqual(first.map(u => u.title), ['Naps', 'Light']);
+  assert.equal((await store.get(subscription.id)).lastUploadAt, Date.parse('2026-03-11T10:00:00Z'));
+
+  const second = await poller.poll(await store.get(subscription.id));
+  assert.deepEqual(second.map(u => u.title), ['Alcohol', 'Melatonin']);
+  assert.equal((await store.get(subscription.id)).lastUploadAt, Date.parse('2026-03-13T10:00:00Z'));
+
+  assert.equal(await poller.pollAll(), 0);
+  assert.deepEqual(queued, ['yt-bbbbbbbbbb1', 'yt-bbbbbbbbbb2', 'yt-bbbbbbbbbb3', 'yt-bbbbbbbbbb4']);
+
+  feedStatus = 404;
+  assert.deepEqual(await poller.poll(subscription), []);
+  assert.equal((await store.get(subscription.id)).lastError, 'Channel feed request failed with 404 Not Found');
+  await poller.unsubscribe(subscription.id);
+});
+
+test('podcast feeds are polled for new episodes by their pod- ids', async () => {
+  const queued = [];
+  const poller = new ChannelPoller({ store: new SqliteSubscriptionStore(), onUpload: async (upload, subscription) => { queued.push([upload, subscription.kind]); } });
+
+  const { subscription } = await poller.subscribe(PODCAST_URL, { backfill: 5 });
+
+  assert.equal(subscription.kind, 'podcast');
+  assert.equal(queued.length, 1);
+  assert.match(queued[0][0].videoId, /^pod-[0-9a-f]{16}$/);
+  assert.equal(queued[0][0].url, 'https://cdn.example.com/ep1.mp3');
+  assert.equal(queued[0][1], 'podcast');
+  assert.equal(requested.filter(url => url === PODCAST_URL).length, 1);
+});
@@ -0,0 +1,104 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LUMOS_HTTP_CACHE = 'off';
+
+const { CitationGraph } = await import('../services/claim-extraction/citation-graph.js');
+const { matchScorer } = await import('../services/claim-extraction/match-scorer.js');
+
+const claim = {
+  claim_id: 'yt-aaaaaaaaaaa_claim_0',
+  video_id: 'yt-aaaaaaaaaaa',
+  segment: { full_text: 'Barakat compiled ten studies on exercise in pregnancy.', word_count: 8 },
+  extraction: {
+    author_mentioned: 'Ruben Barakat',
+    author_normalized: 'Ruben Barakat',
+    author_variants: ['barakat'],
+    institution_mentioned: null,
+    finding_summary: 'Exercise during pregnancy reduces the risk of gestational diabetes',
+    confidence: 'high'
+  },
+  search: { primary_query: 'Barakat exercise pregnancy gestational diabetes', fallback_queries: [] }
+};
+
+function paper(id, title, authors, extra = {}) {
+  return {
+    paper_id: id,
+    title,
+    authors,
+    year: 2019,
+    venue: null,
+    abstract: null,
+    url: `https://example.org/${id}`,
+    doi: null,
+    pmid: null,
+    citation_count: 10,
+    source: 'pubmed',
+    ...extra
+  };
+}
+
+function work(id, title, author) {
+  return { id: `https://openalex.org/${id}`, title, publication_year: 2016, authorships: [{ author: { display_name: author } }] };
+}
+
+const review = matchScorer.rankPapers([
+  paper('pm_30000001', 'Exercise during pregnancy and gestational diabetes: a systematic review', ['Ruben Barakat'], { doi: '10.1000/review' })
+], claim)[0];
+
+const originalFetch = globalThis.fetch;
+let requested;
+
+beforeEach(() => {
+  requested = [];
+  globalThis.fetch = async input => {
+    const url = new URL(String(input));
+    requested.push(decodeURIComponent(url.pathname + url.search));
+    const reply = body => new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+
+    if (decodeURIComponent(url.pathname) === '/works/doi:10.1000/review') return reply({ id: 'https://openalex.org/W100' });
+    if (url.pathname === '/works/W100') return reply({ id: 'https://openalex.org/W100', referenced_works: ['https://openalex.org/W200', 'https://openalex.org/W300'] });
+    const filter = url.searchParams.get('filter');
+    if (filter === 'openalex:W200|W300') {
+      return reply({ results: [
+        work('W200', 'Exercise during pregnancy reduces gestational diabetes risk: a randomized controlled trial', 'Maria Perales'),
+        work('W300', 'Physical activity in pregnancy and gestational diabetes: a review', 'Ann Other')
+      ] });
+    }
+    if (filter === 'cites:W100') return reply({ results: [work('W400', 'Smartphone use among adolescents', 'Someone Else')] });
+    return new Response('not found', { status: 404 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('only reviews by the named author are expanded', () => {
+  const graph = new CitationGraph();
+  const study = matchScorer.rankPapers([
+    paper('pm_30000002', 'Exercise during pregnancy and gestational diabetes in a cohort', ['Ruben Barakat'])
+  ], claim)[0];
+
+  assert.equal(graph.shouldExpand(review, claim), true);
+  assert.equal(graph.shouldExpand(study, claim), false);
+  assert.equal(graph.shouldExpand(review, { ...claim, extraction: { ...claim.extraction, author_normalized: null } }), false);
+});
+
+test('findPrimaryStudy picks the referenced study that matches the finding, skipping reviews', async () => {
+  const primary = await new CitationGraph().findPrimaryStudy(review, claim);
+
+  assert.equal(primary.paper_id, 'oa_W200');
+  assert.deepEqual(primary.authors, ['Maria Perales']);
+  assert.ok(requested.includes('/works/doi:10.1000/review?select=id&mailto=lumos@example.com'));
+  assert.ok(requested.some(url => url.startsWith('/works?filter=cites:W100&sort=cited_by_count:desc')));
+});
+
+test('findPrimaryStudy gives up when the review is not in OpenAlex', async () => {
+  const unknown = { ...review, doi: '10.1000/missing', pmid: null };
+  assert.equal(await new CitationGraph().findPrimaryStudy(unknown, claim), null);
+});
+
+test('findPrimaryStudy rejects candidates below the finding threshold', async () => {
+  assert.equal(await new CitationGraph({ minPrimaryScore: 0.99 }).findPrimaryStudy(review, claim), null);
+});
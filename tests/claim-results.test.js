@@ -0,0 +1,182 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { ClaimResultStore } = await import('../services/claim-extraction/claim-results.js');
+
+const VIDEO_ID = 'yt-aaaaaaaaaaa';
+const CLAIM_ID = `${VIDEO_ID}_claim_0`;
+
+before(() => mock.method(console, 'warn', () => {}));
+after(() => mock.restoreAll());
+
+// In-memory tables behind the subset of the supabase-js query builder the store uses
+function fakeSupabase({ failInsert = false } = {}) {
+  const tables = { claims: [], claim_verifications: [] };
+
+  const query = (table, action, payload) => {
+    const filters = [];
+    let order = null;
+    const rows = () => {
+      let result = tables[table].filter(row => filters.every(([column, value]) => row[column] === value));
+      if (order) {
+        const [column, ascending] = order;
+        result = [...result].sort((a, b) => String(a[column]).localeCompare(String(b[column])) * (ascending ? 1 : -1));
+      }
+      return result;
+    };
+    const run = () => {
+      if (action === 'update') {
+        for (const row of rows()) Object.assign(row, payload);
+        return { error: null };
+      }
+      return { data: rows(), error: null };
+    };
+
+    const builder = {
+      eq: (column, value) => { filters.push([column, value]); return builder; },
+      order: (column, { ascending = true } = {}) => { order = [column, ascending]; return builder; },
+      maybeSingle: async () => ({ data: rows()[0] ?? null, error: null }),
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return {
+    tables,
+    from: table => ({
+      select: () => query(table, 'select'),
+      update: data => query(table, 'update', data),
+      upsert: async row => {
+        const existing = tables[table].find(r => r.claim_id === row.claim_id);
+        if (existing) Object.assign(existing, row); else tables[table].push({ ...row });
+        return { error: null };
+      },
+      insert: async row => {
+        if (failInsert) return { error: { message: 'relation "claim_verifications" does not exist' } };
+        tables[table].push({ id: `run-${tables[table].length}`, ...row });
+        return { error: null };
+      }
+    })
+  };
+}
+
+function verified(verdict, verifiedAt) {
+  const paper = {
+    title: 'Behaviorally Assessed Sleep and Susceptibility to the Common Cold',
+    url: 'https://doi.org/10.5665/sleep.4968',
+    doi: '10.5665/sleep.4968',
+    year: 2015,
+    authors: ['Aric A. Prather', 'Sheldon Cohen'],
+    abstract: 'Short sleep predicted colds.',
+    match_score: { total_score: 0.91234 }
+  };
+  return {
+    claim_id: CLAIM_ID,
+    video_id: VIDEO_ID,
+    verification: {
+      best_paper: paper,
+      result: { verdict, confidence: 'high', explanation: `Judged ${verdict}` },
+      synthesis: { summary: `1 study: ${verdict}` },
+      evidence: [{ paper_id: 'W1', verdict }],
+      models: ['openai/gpt-4o'],
+      prompt_id: 'verification',
+      prompt_version: '2',
+      config: { max_papers: 3 },
+      verified_at: verifiedAt
+    }
+  };
+}
+
+const extracted = {
+  claim_id: CLAIM_ID,
+  video_id: VIDEO_ID,
+  timestamp: '04:12',
+  segment: { full_text: 'Under six hours of sleep and you are four times likelier to catch a cold.', word_count: 15 },
+  extraction: {
+    author_mentioned: 'Prather',
+    author_normalized: 'Aric Prather',
+    institution_mentioned: null,
+    finding_summary: 'Short sleep quadruples cold risk',
+    confidence: 'high'
+  },
+  search: { primary_query: 'Prather sleep cold', fallback_queries: ['short sleep cold'] },
+  prompt: { id: 'extraction', version: '3' }
+};
+
+test('each verification run updates the claim, appends its history and records an audit row', async () => {
+  const supabase = fakeSupabase();
+  const store = new ClaimResultStore(supabase);
+  await store.saveClaims([extracted]);
+
+  const first = await store.saveVerification(CLAIM_ID, verified('unverifiable', '2026-01-01T00:00:00.000Z'), 'initial');
+  const second = await store.saveVerification(CLAIM_ID, verified('supported', '2026-02-01T00:00:00.000Z'), 'manual');
+
+  assert.deepEqual(first, { claimId: CLAIM_ID, verdict: 'unverifiable', previousVerdict: null, flipped: false });
+  assert.deepEqual(second, { claimId: CLAIM_ID, verdict: 'supported', previousVerdict: 'unverifiable', flipped: true });
+
+  const [row] = supabase.tables.claims;
+  assert.equal(row.verification_verdict, 'supported');
+  assert.equal(row.previous_verdict, 'unverifiable');
+  assert.equal(row.verdict_changed_at, '2026-02-01T00:00:00.000Z');
+  assert.equal(row.paper_authors, 'Aric A. Prather, Sheldon Cohen');
+  assert.equal(row.extraction_prompt_version, '3');
+  assert.deepEqual(row.verdict_history.map(e => [e.verdict, e.trigger]), [['unverifiable', 'initial'], ['supported', 'manual']]);
+
+  const history = await store.listVerifications(CLAIM_ID);
+  assert.deepEqual(history.map(run => run.verdict), ['unverifiable', 'supported']);
+  assert.deepEqual(history[1], {
+    id: 'run-1',
+    claim_id: CLAIM_ID,
+    video_id: VIDEO_ID,
+    trigger: 'manual',
+    verdict: 'supported',
+    confidence: 'high',
+    explanation: 'Judged supported',
+    evidence_summary: '1 study: supported',
+    best_paper: {
+      title: 'Behaviorally Assessed Sleep and Susceptibility to the Common Cold',
+      url: 'https://doi.org/10.5665/sleep.4968',
+      doi: '10.5665/sleep.4968',
+      year: 2015,
+      match_score: 0.912
+    },
+    papers: [{ paper_id: 'W1', verdict: 'supported' }],
+    models: ['openai/gpt-4o'],
+    prompt_id: 'verification',
+    prompt_version: '2',
+    pipeline_config: { max_papers: 3 },
+    verified_at: '2026-02-01T00:00:00.000Z'
+  });
+});
+
+test('a failed audit insert does not fail the verification', async () => {
+  const supabase = fakeSupabase({ failInsert: true });
+  const store = new ClaimResultStore(supabase);
+  await store.saveClaims([extracted]);
+
+  const saved = await store.saveVerification(CLAIM_ID, verified('supported', '2026-02-01T00:00:00.000Z'), 'initial');
+
+  assert.equal(saved.verdict, 'supported');
+  assert.equal(supabase.tables.claims[0].verification_verdict, 'supported');
+  assert.deepEqual(await store.listVerifications(CLAIM_ID), []);
+});
+
+test('claims rows round-trip to the pipeline claim shape', () => {
+  const store = new ClaimResultStore(fakeSupabase());
+  const claim = store.toSynthesizedClaim(store.toClaimRow(extracted));
+
+  assert.deepEqual(claim, {
+    claim_id: CLAIM_ID,
+    video_id: VIDEO_ID,
+    segment: { full_text: extracted.segment.full_text, word_count: 15 },
+    extraction: {
+      author_mentioned: 'Prather',
+      author_normalized: 'Aric Prather',
+      author_variants: [],
+      institution_mentioned: null,
+      finding_summary: 'Short sleep quadruples cold risk',
+      confidence: 'high'
+    },
+    search: { primary_query: 'Prather sleep cold', fallback_queries: ['short sleep cold'] }
+  });
+});
@@ -0,0 +1,129 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-diarize-test-'));
+process.env.OPENAI_API_KEY ||= 'sk-test-0000000000';
+
+// Stands in for scripts/diarize.py: prints turns, including two same-speaker
+// turns split by a short pause and one zero-length turn to drop
+const fakeDiarize = path.join(dir, 'diarize.mjs');
+fs.writeFileSync(fakeDiarize, `console.log(JSON.stringify([
+  { speaker: 'SPEAKER_00', start: 0, end: 30 },
+  { speaker: 'SPEAKER_01', start: 30, end: 50 },
+  { speaker: 'SPEAKER_00', start: 50, end: 70 },
+  { speaker: 'SPEAKER_00', start: 70.5, end: 100 },
+  { speaker: 'SPEAKER_01', start: 120, end: 120 }
+]));`);
+const failing = path.join(dir, 'failing.mjs');
+fs.writeFileSync(failing, 'console.error("CUDA out of memory"); process.exit(3);');
+
+const { Diarizer, LocalDiarizationBackend, DiarizationError } = await import('../services/diarization/index.js');
+
+const originalFetch = globalThis.fetch;
+let prompts;
+let named;
+let llmStatus;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  prompts = [];
+  llmStatus = 200;
+  named = { speakers: [{ label: 'SPEAKER_00', name: 'Andrew Huberman', role: 'host' }, { label: 'SPEAKER_01', name: ' ', role: 'cohost' }] };
+  // The OpenAI SDK keeps the fetch it was created with; tests steer it through llmStatus
+  globalThis.fetch = async (url, init) => {
+    if (llmStatus !== 200) return Response.json({ error: { message: 'Bad request' } }, { status: llmStatus });
+    const body = JSON.parse(init.body);
+    prompts.push(body.messages.at(-1).content);
+    return Response.json({
+      id: 'chatcmpl-test',
+      model: body.model,
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: JSON.stringify(named) } }],
+      usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+    });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+const diarized = {
+  backend: 'local',
+  turns: [
+    { speaker: 'A', startSec: 0, endSec: 30 },
+    { speaker: 'B', startSec: 30, endSec: 50 },
+    { speaker: 'A', startSec: 60, endSec: 90 }
+  ],
+  speakers: [
+    { label: 'A', name: 'Andrew Huberman', role: 'host', talkSec: 60 },
+    { label: 'B', name: null, role: 'guest', talkSec: 20 }
+  ]
+};
+
+test('speakerAt picks the speaker who talks most over the span, or the nearest turn', () => {
+  const diarizer = new Diarizer();
+
+  assert.deepEqual(diarizer.speakerAt(diarized, 25, 45), { label: 'B', name: null, role: 'guest' });
+  assert.deepEqual(diarizer.speakerAt(diarized, 10), { label: 'A', name: 'Andrew Huberman', role: 'host' });
+  // In the pause after B, within a few seconds of B's turn
+  assert.equal(diarizer.speakerAt(diarized, 53).label, 'B');
+  assert.equal(diarizer.speakerAt(diarized, 120), null);
+
+  assert.deepEqual(diarizer.labelSegments([{ start: 0, end: 5 }, { start: 200, end: 205 }], diarized), [
+    { start: 0, end: 5, speaker: 'A' },
+    { start: 200, end: 205 }
+  ]);
+});
+
+test('diarize merges turns, ranks speakers by talk time and names them from the metadata', async () => {
+  const diarizer = new Diarizer({ backend: 'local' });
+  diarizer.backends.set('local', new LocalDiarizationBackend({ command: `${process.execPath} ${fakeDiarize}` }));
+
+  const result = await diarizer.diarize(Buffer.from('audio'), 'episode.mp3', {
+    title: 'Huberman Lab: Sleep with Dr. Matthew Walker',
+    segments: [{ startSec: 35, endSec: 45, text: 'Thanks for having me, Andrew, great to be here' }]
+  });
+
+  assert.deepEqual(result.turns, [
+    { speaker: 'SPEAKER_00', startSec: 0, endSec: 30 },
+    { speaker: 'SPEAKER_01', startSec: 30, endSec: 50 },
+    { speaker: 'SPEAKER_00', startSec: 50, endSec: 100 }
+  ]);
+  // Blank names and unknown roles stay null
+  assert.deepEqual(result.speakers, [
+    { label: 'SPEAKER_00', name: 'Andrew Huberman', role: 'host', talkSec: 80 },
+    { label: 'SPEAKER_01', name: null, role: null, talkSec: 20 }
+  ]);
+  assert.match(prompts[0], /TITLE: Huberman Lab[\s\S]*SPEAKER_01 \(0 min of talk\):\n {2}- "Thanks for having me/);
+});
+
+test('naming failures keep the labels, backend failures raise DiarizationError', async () => {
+  const diarizer = new Diarizer({ backend: 'local' });
+  diarizer.backends.set('local', new LocalDiarizationBackend({ command: `${process.execPath} ${fakeDiarize}` }));
+  llmStatus = 400;
+
+  const { speakers } = await diarizer.diarize(Buffer.from('audio'), 'episode.mp3');
+  assert.deepEqual(speakers.map(s => [s.label, s.name]), [['SPEAKER_00', null], ['SPEAKER_01', null]]);
+
+  await assert.rejects(
+    new LocalDiarizationBackend({ command: `${process.execPath} ${failing}` }).diarize(Buffer.from('audio'), 'episode.mp3'),
+    error => error instanceof DiarizationError && error.code === 'BACKEND_ERROR' && /CUDA out of memory/.test(error.message)
+  );
+  await assert.rejects(
+    new LocalDiarizationBackend({ command: 'lumos-no-such-diarizer' }).diarize(Buffer.from('audio'), 'episode.mp3'),
+    error => error.code === 'NOT_CONFIGURED'
+  );
+  await assert.rejects(new Diarizer({ backend: null }).diarize(Buffer.from('audio'), 'episode.mp3'), /Diarization is off/);
+});
@@ -0,0 +1,160 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const { scoreItem, computeMetrics, compareReports, textSimilarity, paperMatches, parseTimestamp } =
+  await import('../services/evaluation/metrics.js');
+const { loadDataset, DatasetError } = await import('../services/evaluation/evaluator.js');
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-eval-'));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const OPTIONS = { matchThreshold: 0.35, timestampToleranceSec: 30 };
+
+const expected = [
+  {
+    id: 'prather-cold',
+    timestamp: '04:12',
+    finding: 'Sleeping under six hours makes a cold four times more likely',
+    author: 'Aric Prather',
+    paper: { doi: '10.5665/sleep.4968' },
+    verdict: 'supported'
+  },
+  {
+    id: 'walker-memory',
+    timestamp: '10:00',
+    finding: 'Sleep before learning improves memory encoding by 40%',
+    author: 'Matthew Walker',
+    verdict: 'partially_supported'
+  }
+];
+
+function verification(verdict, doi, evidenceDois = []) {
+  return {
+    best_paper: doi ? { title: 'A paper', doi, url: `https://doi.org/${doi}` } : null,
+    result: { verdict },
+    evidence: evidenceDois.map(d => ({ title: 'Evidence', doi: d }))
+  };
+}
+
+const claims = [
+  {
+    claim_id: 'c0',
+    finding: 'Sleeping under six hours made a cold four times more likely',
+    author: 'Prather',
+    timestamp: 262,
+    verification: verification('supported', 'https://doi.org/10.5665/SLEEP.4968')
+  },
+  {
+    claim_id: 'c1',
+    finding: 'Caffeine has a half-life of five to six hours',
+    author: null,
+    timestamp: 1865,
+    verification: verification('no_paper_found', null)
+  }
+];
+
+test('scoreItem pairs claims with labels and scores timestamps, papers and verdicts', () => {
+  const { matches, missed, spurious } = scoreItem(expected, claims, OPTIONS);
+
+  assert.equal(matches.length, 1);
+  const { similarity, predicted_paper, ...match } = matches[0];
+  assert.ok(similarity >= OPTIONS.matchThreshold);
+  assert.equal(predicted_paper.doi, 'https://doi.org/10.5665/SLEEP.4968');
+  assert.deepEqual(match, {
+    expected_id: 'prather-cold',
+    claim_id: 'c0',
+    expected_timestamp: 252,
+    predicted_timestamp: 262,
+    timestamp_error_sec: 10,
+    expected_paper: { doi: '10.5665/sleep.4968' },
+    paper_correct: true,
+    paper_in_evidence: true,
+    expected_verdict: 'supported',
+    predicted_verdict: 'supported'
+  });
+  assert.deepEqual(missed, [{ expected_id: 'walker-memory', finding: expected[1].finding }]);
+  assert.deepEqual(spurious, [{ claim_id: 'c1', finding: claims[1].finding, timestamp: 1865 }]);
+});
+
+test('computeMetrics sums counts across items', () => {
+  const first = scoreItem(expected, claims, OPTIONS);
+  const second = scoreItem([expected[1]], [{
+    claim_id: 'c2',
+    finding: 'Sleep before learning improves memory encoding by 40%',
+    author: 'Matthew Walker',
+    timestamp: 700,
+    verification: verification('supported', '10.1000/other')
+  }], OPTIONS);
+
+  const metrics = computeMetrics([
+    { expected: 2, extracted: 2, matches: first.matches },
+    { expected: 1, extracted: 1, matches: second.matches }
+  ], true, OPTIONS.timestampToleranceSec);
+
+  assert.deepEqual(metrics.extraction, { expected: 3, extracted: 3, matched: 2, precision: 0.667, recall: 0.667, f1: 0.667 });
+  assert.deepEqual(metrics.timestamps, { pairs: 2, mean_abs_error_sec: 55, median_abs_error_sec: 55, within_tolerance: 0.5 });
+  // Only the Prather label names a paper
+  assert.deepEqual(metrics.papers, { labelled: 1, correct: 1, in_evidence: 1, accuracy: 1 });
+  assert.deepEqual(metrics.verdicts, {
+    labelled: 2,
+    agreed: 1,
+    agreement: 0.5,
+    confusion: { supported: { supported: 1 }, partially_supported: { supported: 1 } }
+  });
+
+  const withoutVerification = computeMetrics([{ expected: 2, extracted: 0, matches: [] }], false, 30);
+  assert.equal(withoutVerification.extraction.precision, null);
+  assert.equal(withoutVerification.extraction.recall, 0);
+  assert.equal(withoutVerification.papers, null);
+});
+
+test('compareReports lists headline metric deltas', () => {
+  const metrics = recall => ({
+    extraction: { precision: 0.5, recall, f1: null },
+    timestamps: { mean_abs_error_sec: 12, within_tolerance: 1 },
+    papers: null,
+    verdicts: { agreement: 0.5 }
+  });
+  const deltas = compareReports({ metrics: metrics(0.4) }, { metrics: metrics(0.75) });
+
+  assert.deepEqual(deltas.find(d => d.metric === 'extraction.recall'), { metric: 'extraction.recall', baseline: 0.4, current: 0.75, delta: 0.35 });
+  assert.deepEqual(deltas.find(d => d.metric === 'papers.accuracy'), { metric: 'papers.accuracy', baseline: null, current: null, delta: null });
+});
+
+test('helpers: timestamps, text similarity and paper identity', () => {
+  assert.equal(parseTimestamp('1:02:03'), 3723);
+  assert.equal(parseTimestamp(90), 90);
+  assert.equal(parseTimestamp('soon'), null);
+  assert.equal(textSimilarity('Sleep improves memory', 'memory improves with sleep'), 1);
+  assert.equal(textSimilarity('the study', 'Sleep'), 0);
+  assert.ok(paperMatches({ pmid: '25902816' }, { title: 'x', doi: null, pmid: '25902816' }));
+  assert.ok(paperMatches(
+    { title: 'Behaviorally Assessed Sleep and Susceptibility to the Common Cold' },
+    { title: 'Behaviorally assessed sleep and susceptibility to the common cold.', doi: null }
+  ));
+});
+
+test('loadDataset reads the sample dataset and rejects malformed ones', () => {
+  const { dataset, sha1 } = loadDataset(path.join(root, 'evaluation', 'datasets', 'sample.json'));
+  assert.equal(dataset.name, 'sample');
+  assert.match(sha1, /^[0-9a-f]{40}$/);
+  assert.ok(dataset.items.every(item => item.transcript && item.expected_claims.length > 0));
+
+  const write = (name, body) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(body));
+    return file;
+  };
+  assert.throws(() => loadDataset(write('empty.json', {})), DatasetError);
+  assert.throws(() => loadDataset(write('dup.json', {
+    name: 'dup',
+    items: [{ id: 'a', transcript: 'x', expected_claims: [] }, { id: 'a', transcript: 'y', expected_claims: [] }]
+  })), /duplicate item id a/);
+  assert.throws(() => loadDataset(write('source.json', { name: 'n', items: [{ id: 'a', expected_claims: [] }] })), /needs youtube_url/);
+});
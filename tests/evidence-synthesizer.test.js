@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EvidenceSynthesizer } from '../services/claim-extraction/evidence-synthesizer.js';
+
+const synthesizer = new EvidenceSynthesizer();
+
+function evidence(stance, study_type, confidence, title = `${study_type} paper`) {
+  return {
+    paper_id: title,
+    title,
+    authors: [],
+    year: 2020,
+    venue: null,
+    url: `https://example.org/${encodeURIComponent(title)}`,
+    doi: null,
+    match_score: 0.8,
+    study_type,
+    stance,
+    confidence,
+    explanation: `${title} explanation`,
+    source: null,
+    primary_study: null
+  };
+}
+
+test('agreeing strong studies give a high-confidence verdict', () => {
+  const synthesis = synthesizer.synthesize([
+    evidence('supports', 'meta_analysis', 'high'),
+    evidence('supports', 'cohort', 'medium')
+  ]);
+
+  assert.equal(synthesis.verdict, 'supported');
+  assert.equal(synthesis.confidence, 'high');
+  assert.equal(synthesis.summary, '1 supporting meta-analysis, 1 supporting cohort study');
+  assert.deepEqual(synthesis.counts, { supports: 2, partially_supports: 0, contradicts: 0, unclear: 0 });
+});
+
+test('a weak contradicting study turns strong support into partial support', () => {
+  const synthesis = synthesizer.synthesize([
+    evidence('supports', 'rct', 'high', 'Trial A'),
+    evidence('supports', 'rct', 'high', 'Trial B'),
+    evidence('contradicts', 'animal', 'medium', 'Mouse study')
+  ]);
+
+  assert.equal(synthesis.verdict, 'partially_supported');
+  assert.equal(synthesis.confidence, 'medium');
+  assert.equal(synthesis.summary, '2 supporting RCTs, 1 contradicting animal study');
+});
+
+test('contradicting evidence that outweighs support three to one wins', () => {
+  const synthesis = synthesizer.synthesize([
+    evidence('contradicts', 'meta_analysis', 'high'),
+    evidence('supports', 'cohort', 'low')
+  ]);
+
+  assert.equal(synthesis.verdict, 'contradicted');
+  assert.equal(synthesis.confidence, 'medium');
+});
+
+test('only inconclusive papers leave the claim unverifiable', () => {
+  const synthesis = synthesizer.synthesize([
+    evidence('unclear', 'other', 'high'),
+    evidence('unclear', 'review', 'low')
+  ]);
+
+  assert.equal(synthesis.verdict, 'unverifiable');
+  assert.equal(synthesis.confidence, 'low');
+  assert.equal(synthesis.counts.unclear, 2);
+});
+
+test('toResult leads with an agreeing paper and lists both sides', () => {
+  const items = [
+    evidence('supports', 'rct', 'high', 'Trial A'),
+    evidence('contradicts', 'cohort', 'medium', 'Cohort B')
+  ];
+  const result = synthesizer.toResult(synthesizer.synthesize(items), items);
+
+  assert.equal(result.verdict, 'partially_supported');
+  assert.match(result.explanation, /^Evidence from 2 papers: 1 supporting RCT, 1 contradicting cohort study\. Trial A explanation$/);
+  assert.deepEqual(result.matching_details, ['Trial A (RCT, supporting)']);
+  assert.deepEqual(result.key_differences, ['Cohort B (cohort study): Cohort B explanation']);
+});
+
+test('classifyStudyType prefers the title and ignores "review" in abstracts', () => {
+  const classify = (title, abstract = null) => synthesizer.classifyStudyType({ title, abstract });
+
+  assert.equal(classify('A randomized controlled trial of melatonin'), 'rct');
+  assert.equal(classify('Sleep deprivation in mice', 'A meta-analysis of human data was reviewed.'), 'animal');
+  assert.equal(classify('Sleep and health', 'We performed a systematic review of 40 studies.'), 'systematic_review');
+  assert.equal(classify('Sleep and health', 'See the review by Smith for background.'), 'other');
+  assert.equal(classify('Sleep and health: a narrative review'), 'review');
+});
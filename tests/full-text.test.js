@@ -0,0 +1,169 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LUMOS_HTTP_CACHE = 'off';
+process.env.RATE_LIMIT_PUBMED = '1000';
+process.env.RATE_LIMIT_SCRAPE = '1000';
+process.env.RATE_LIMIT_LLM = '1000';
+process.env.OPENAI_API_KEY ||= 'sk-test-0000000000';
+
+const { FullTextFetcher } = await import('../services/claim-extraction/full-text.js');
+const { ClaimVerifier } = await import('../services/claim-extraction/claim-verifier.js');
+
+const claim = {
+  claim_id: 'yt-aaaaaaaaaaa_claim_0',
+  video_id: 'yt-aaaaaaaaaaa',
+  timestamp: '04:12',
+  segment: { full_text: 'People sleeping under six hours were 4.5 times more likely to catch a cold.', word_count: 14 },
+  extraction: {
+    author_mentioned: 'Aric Prather',
+    author_normalized: 'Aric Prather',
+    author_variants: ['prather'],
+    institution_mentioned: null,
+    finding_summary: 'Sleeping under six hours made participants 4.50 times more likely to develop a cold',
+    confidence: 'high'
+  },
+  search: { primary_query: 'Prather sleep common cold', fallback_queries: [] }
+};
+
+const paper = {
+  paper_id: 'W2101234567',
+  title: 'Behaviorally Assessed Sleep and Susceptibility to the Common Cold',
+  authors: ['Aric A. Prather'],
+  year: 2015,
+  abstract: null,
+  pmcid: 'PMC4531403',
+  oa_pdf_url: null
+};
+
+const pmcArticle = `<?xml version="1.0"?>
+<pmc-articleset><article><front><article-meta><abstract><p>Abstract text is not part of the body.</p></abstract></article-meta></front>
+<body>
+<sec><title>Introduction</title><p>Sleep is thought to influence immune function and susceptibility to infection.</p></sec>
+<sec><title>Methods</title>
+  <sec><title>Participants</title><p>164 healthy participants were inoculated with rhinovirus and monitored for a cold.</p></sec>
+</sec>
+<sec><title>Results</title>
+  <p>Participants sleeping &lt;5 h were 4.50 times more likely to develop a cold<xref ref-type="bibr">12</xref> than those sleeping more than seven hours.</p>
+  <fig id="f1"><title>Sleep duration by group</title><caption><p>Figure caption text.</p></caption></fig>
+  <p>The association held after adjusting for age and season.</p>
+  <table-wrap><label>Table 2</label><caption><title>Odds of a clinical cold by sleep duration</title></caption>
+    <table><tr><th>Sleep</th><th>OR</th></tr><tr><td>&lt;5 h</td><td>4.50</td></tr></table></table-wrap>
+</sec>
+<sec><title>Discussion</title><p>Short sleep duration was associated with developing a cold after exposure.</p></sec>
+</body>
+<back><ref-list><ref><mixed-citation>Cited work</mixed-citation></ref></ref-list></back></article></pmc-articleset>`;
+
+const originalFetch = globalThis.fetch;
+let requested;
+let prompts;
+let pdfResponse;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  requested = [];
+  prompts = [];
+  pdfResponse = () => new Response('<html>Sign in to download</html>', { status: 200, headers: { 'content-type': 'application/pdf' } });
+  globalThis.fetch = async (input, init) => {
+    const url = new URL(String(input));
+    requested.push(url);
+
+    if (url.hostname === 'eutils.ncbi.nlm.nih.gov') {
+      return new Response(pmcArticle, { status: 200, headers: { 'content-type': 'text/xml' } });
+    }
+    if (url.hostname === 'api.openai.com') {
+      const body = JSON.parse(init.body);
+      prompts.push(body.messages.at(-1).content);
+      return new Response(JSON.stringify({
+        id: 'chatcmpl-test',
+        model: body.model,
+        choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: JSON.stringify({
+          verdict: 'supported',
+          confidence: 'high',
+          explanation: 'The results report a 4.50 times higher risk.',
+          source_passage: 'P1',
+          quote: 'Participants sleeping <5 h were 4.50 times more likely to develop a cold'
+        }) } }],
+        usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 }
+      }), { status: 200, headers: { 'content-type': 'application/json' } });
+    }
+    return pdfResponse();
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('fetch parses PMC XML into top-level sections plus tables', async () => {
+  const doc = await new FullTextFetcher().fetch(paper);
+
+  assert.equal(requested[0].searchParams.get('id'), '4531403');
+  assert.equal(doc.source, 'pmc');
+  assert.equal(doc.url, 'https://pmc.ncbi.nlm.nih.gov/articles/PMC4531403/');
+  assert.deepEqual(doc.sections.map(s => [s.name, s.kind]), [
+    ['Introduction', 'introduction'],
+    ['Methods', 'methods'],
+    ['Results', 'results'],
+    ['Discussion', 'discussion'],
+    ['Tables', 'tables']
+  ]);
+
+  const results = doc.sections.find(s => s.kind === 'results');
+  // Citations and figure captions are dropped; entities are decoded
+  assert.equal(results.text, [
+    'Participants sleeping <5 h were 4.50 times more likely to develop a cold than those sleeping more than seven hours.',
+    'The association held after adjusting for age and season.'
+  ].join('\n\n'));
+  assert.equal(doc.sections.at(-1).text, 'Table 2. Odds of a clinical cold by sleep duration\nSleep | OR\n<5 h | 4.50');
+});
+
+test('findPassages ranks result passages quoting the finding and skips the methods', async () => {
+  const passages = await new FullTextFetcher({ maxPassages: 2, passageChars: 120 }).findPassages(paper, claim);
+
+  assert.equal(passages.length, 2);
+  assert.equal(passages[0].paper_id, paper.paper_id);
+  assert.equal(passages[0].section, 'Results');
+  assert.match(passages[0].text, /4\.50 times more likely/);
+  assert.ok(passages[0].score > passages[1].score);
+  assert.ok(passages.every(p => p.section !== 'Methods'));
+});
+
+test('papers without open-access text, and PDF links to landing pages, give no document', async () => {
+  const fetcher = new FullTextFetcher();
+
+  assert.equal(await fetcher.fetch({ ...paper, pmcid: null }), null);
+  assert.equal(requested.length, 0);
+
+  assert.equal(await fetcher.fetch({ ...paper, pmcid: null, oa_pdf_url: 'https://example.org/paper.pdf' }), null);
+  assert.equal(requested[0].href, 'https://example.org/paper.pdf');
+
+  pdfResponse = () => new Response('', { status: 200, headers: { 'content-length': String(50 * 1024 * 1024) } });
+  assert.equal(await fetcher.fetch({ ...paper, pmcid: null, oa_pdf_url: 'https://example.org/huge.pdf' }), null);
+});
+
+test('ClaimVerifier verifies from full text when the abstract is missing and records the passage', async () => {
+  const verifier = new ClaimVerifier();
+  const scored = { ...paper, match_score: { total_score: 0.9, match_quality: 'strong' } };
+
+  const unread = await verifier.verify(claim, scored);
+  assert.equal(unread.verdict, 'unverifiable');
+  assert.equal(requested.length, 0);
+
+  const passages = await new FullTextFetcher().findPassages(paper, claim);
+  const result = await verifier.verify(claim, scored, passages);
+
+  assert.equal(result.verdict, 'supported');
+  assert.deepEqual(result.source, {
+    basis: 'full_text',
+    section: passages[0].section,
+    passage: 'Participants sleeping <5 h were 4.50 times more likely to develop a cold'
+  });
+  assert.match(prompts.at(-1), /FULL TEXT EXCERPTS[\s\S]*\[P1\] \(Results\)/);
+});
@@ -0,0 +1,162 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-http-cache-'));
+process.env.LUMOS_DB_PATH = path.join(dir, 'lumos.db');
+delete process.env.LUMOS_HTTP_CACHE;
+process.env.RATE_LIMIT_OPENALEX = '1000';
+process.env.RATE_LIMIT_GOOGLE = '1000';
+
+const { HttpCache, SqliteCacheStore } = await import('../services/claim-extraction/http-cache.js');
+const { getLocalDb } = await import('../services/claim-extraction/local-db.js');
+const { installFetchReplay } = await import('../services/replay/fetch-replay.js');
+const { PaperFinder } = await import('../services/claim-extraction/paper-finder.js');
+
+const originalFetch = globalThis.fetch;
+let requested;
+let status;
+
+before(() => mock.method(console, 'log', () => {}));
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  requested = [];
+  status = 200;
+  globalThis.fetch = async input => {
+    requested.push(String(input));
+    return new Response(JSON.stringify({ n: requested.length }), { status, headers: { 'content-type': 'application/json' } });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('fetch serves repeated requests from the store and keeps secrets out of it', async () => {
+  const cache = new HttpCache({ enabled: true });
+  cache.setStore(new SqliteCacheStore());
+  const url = 'https://www.googleapis.com/customsearch/v1?q=prather+sleep&key=AIza-secret';
+
+  const first = await cache.fetch('google', url);
+  const second = await cache.fetch('google', url);
+
+  assert.equal(requested.length, 1);
+  assert.deepEqual(await first.json(), { n: 1 });
+  assert.deepEqual(await second.json(), { n: 1 });
+  assert.equal(second.headers.get('content-type'), 'application/json');
+
+  const { url: stored } = getLocalDb().prepare("SELECT url FROM http_cache WHERE source = 'google'").get();
+  assert.equal(stored, 'https://www.googleapis.com/customsearch/v1?q=prather+sleep&key=REDACTED');
+
+  // Same URL, different body: a different entry
+  await cache.fetch('google', url, { method: 'POST', body: '{"page":2}' });
+  assert.equal(requested.length, 2);
+});
+
+test('fetch does not store errors, and expired entries are fetched again', async () => {
+  const cache = new HttpCache({ enabled: true, ttlHours: { openalex: 0 } });
+  const url = 'https://api.openalex.org/works?search=expired';
+
+  status = 503;
+  assert.equal((await cache.fetch('openalex', url)).status, 503);
+  status = 200;
+  await cache.fetch('openalex', url);
+  await cache.fetch('openalex', url);
+
+  assert.equal(requested.length, 3);
+});
+
+test('remember and rememberMany only produce what is missing, and never store null', async () => {
+  const cache = new HttpCache({ enabled: true });
+  let calls = 0;
+  const scrape = async () => { calls++; return { abstract: 'Short sleep predicted colds.' }; };
+
+  assert.deepEqual(await cache.remember('scrape', ['pubmed', '25902816'], scrape), { abstract: 'Short sleep predicted colds.' });
+  assert.deepEqual(await cache.remember('scrape', ['pubmed', '25902816'], scrape), { abstract: 'Short sleep predicted colds.' });
+  assert.equal(calls, 1);
+
+  assert.equal(await cache.remember('scrape', ['pubmed', 'missing'], async () => null), null);
+  assert.equal(await cache.remember('scrape', ['pubmed', 'missing'], async () => 'found later'), 'found later');
+
+  const batches = [];
+  const lookup = async dois => {
+    batches.push(dois);
+    return dois.map(doi => (doi === '10.1000/none' ? null : { doi }));
+  };
+  await cache.rememberMany('doi', ['10.1000/a', '10.1000/none'], lookup);
+  const values = await cache.rememberMany('doi', ['10.1000/a', '10.1000/b', '10.1000/none'], lookup);
+
+  assert.deepEqual(values, [{ doi: '10.1000/a' }, { doi: '10.1000/b' }, null]);
+  assert.deepEqual(batches, [['10.1000/a', '10.1000/none'], ['10.1000/b', '10.1000/none']]);
+});
+
+test('getStats reports stored entries and lookups per source', async () => {
+  const cache = new HttpCache({ enabled: true });
+  const url = 'https://api.openalex.org/works?search=stats';
+  await cache.fetch('openalex', url);
+  await cache.fetch('openalex', url);
+
+  const stats = await cache.getStats();
+  const openalex = stats.sources.find(s => s.source === 'openalex');
+  const google = stats.sources.find(s => s.source === 'google');
+
+  assert.equal(stats.enabled, true);
+  assert.equal(stats.backend, 'sqlite');
+  assert.deepEqual([openalex.hits, openalex.misses, openalex.writes, openalex.hit_rate], [1, 1, 1, 0.5]);
+  assert.equal(openalex.ttl_hours, 24 * 7);
+  assert.ok(openalex.entries >= 1);
+  assert.ok(google.entries >= 2 && google.bytes > 0);
+});
+
+test('searching for the same claim again makes no external calls', async () => {
+  const restoreFetch = installFetchReplay({ mode: 'replay', fixturesDir: path.join(root, 'fixtures', 'http') });
+  const replay = globalThis.fetch;
+  globalThis.fetch = (input, init) => {
+    requested.push(String(input));
+    return replay(input, init);
+  };
+
+  const claim = {
+    claim_id: 'yt-rePlay00001_claim_0',
+    video_id: 'yt-rePlay00001',
+    timestamp: '04:12',
+    segment: {
+      full_text: 'Aric Prather showed that people sleeping under six hours were over four times more likely to catch a cold.',
+      word_count: 19
+    },
+    extraction: {
+      author_mentioned: 'Aric Prather',
+      author_normalized: 'Aric Prather',
+      author_variants: ['prather', 'prathor'],
+      institution_mentioned: 'UCSF',
+      finding_summary: 'Sleeping less than six hours a night makes people more than four times as likely to catch a cold',
+      confidence: 'high'
+    },
+    search: {
+      primary_query: 'Prather sleep duration susceptibility common cold',
+      fallback_queries: ['short sleep common cold rhinovirus']
+    }
+  };
+  const options = { max_papers: 2, min_match_score: 0.4, use_semantic_scholar: false, use_pubmed: false, use_google: false };
+
+  try {
+    const first = await new PaperFinder().findTopK(claim, options);
+    const calls = requested.length;
+    const second = await new PaperFinder().findTopK(claim, options);
+
+    assert.ok(calls > 0);
+    assert.equal(requested.length, calls);
+    assert.deepEqual(second.papers.map(p => p.doi), first.papers.map(p => p.doi));
+  } finally {
+    restoreFetch();
+  }
+});
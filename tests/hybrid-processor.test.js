@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HybridProcessor } from '../services/claim-extraction/hybrid-processor.js';
+import { jobEvents } from '../services/claim-extraction/job-events.js';
+
+const VIDEO_ID = 'yt-fffffffffff';
+
+function claim(id, timestamp, finding) {
+  return {
+    claim_id: id,
+    video_id: VIDEO_ID,
+    timestamp,
+    segment: { full_text: `quote ${id}`, word_count: 2 },
+    extraction: { finding_summary: finding, confidence: 'high' },
+    search: { primary_query: finding, fallback_queries: [] }
+  };
+}
+
+// Records claims writes; every call succeeds
+function fakeSupabase() {
+  const calls = [];
+  return {
+    calls,
+    from: table => ({
+      upsert: async row => { calls.push(['upsert', table, row.claim_id ?? row.id]); return { error: null }; },
+      delete: () => ({
+        in: async (column, ids) => { calls.push(['delete', table, ids]); return { error: null }; }
+      })
+    })
+  };
+}
+
+function processorWith(segmentClaims, supabase) {
+  const processor = new HybridProcessor({
+    supabase,
+    jobStore: { save: async () => {}, get: async () => null, listInterrupted: async () => [] }
+  });
+  // Extraction is stubbed: each segment returns its canned claims
+  processor.loadCaptions = async () => ({ videoId: VIDEO_ID, language: 'en', durationSec: 2400, lines: [] });
+  processor.loadLanguage = async () => 'en';
+  processor.callTranscriptExtractor = async (captions, videoId, language, startSec, endSec, segment) =>
+    segmentClaims[segment.index];
+  return processor;
+}
+
+function job() {
+  const now = Date.now();
+  return {
+    videoId: VIDEO_ID,
+    videoUrl: 'https://www.youtube.com/watch?v=fffffffffff',
+    videoTitle: 'Sleep and memory',
+    status: 'fast_track_complete',
+    fastTrackStatus: 'complete',
+    fullTrackStatus: 'running',
+    fastTrackClaims: [
+      claim(`${VIDEO_ID}_claim_0`, '01:00', 'Sleep improves memory consolidation'),
+      claim(`${VIDEO_ID}_claim_1`, '03:00', 'Caffeine delays sleep onset')
+    ],
+    allClaims: [],
+    segments: [0, 1].map(index => ({
+      index, startSec: index * 1200, endSec: (index + 1) * 1200, chapterTitle: null,
+      status: 'pending', claimsCount: 0, completedAt: null
+    })),
+    verifications: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+test('segment claims merge by claim_id and supersede the fast-track versions they replace', async () => {
+  const supabase = fakeSupabase();
+  const processor = processorWith({
+    0: [
+      claim(`${VIDEO_ID}_s0_claim_0`, '01:00', 'Sleep improves memory consolidation in older adults'),
+      claim(`${VIDEO_ID}_s0_claim_1`, '12:00', 'Naps restore alertness')
+    ],
+    // Overlap repeats an earlier claim with the same wording
+    1: [claim(`${VIDEO_ID}_s1_claim_0`, '12:00', 'Naps restore alertness')]
+  }, supabase);
+  const current = job();
+  const since = jobEvents.replay(VIDEO_ID).at(-1)?.id ?? 0;
+
+  const added = await processor.runSegment(current, current.segments[0]);
+  assert.deepEqual(added.map(c => c.claim_id), [`${VIDEO_ID}_s0_claim_0`, `${VIDEO_ID}_s0_claim_1`]);
+  assert.deepEqual(current.allClaims.map(c => c.claim_id), [
+    `${VIDEO_ID}_s0_claim_0`, `${VIDEO_ID}_claim_1`, `${VIDEO_ID}_s0_claim_1`
+  ]);
+  assert.deepEqual(supabase.calls.filter(([op]) => op === 'delete'), [['delete', 'claims', [`${VIDEO_ID}_claim_0`]]]);
+  assert.deepEqual(
+    supabase.calls.filter(([op, table]) => op === 'upsert' && table === 'claims').map(([, , id]) => id),
+    added.map(c => c.claim_id)
+  );
+
+  const events = jobEvents.replay(VIDEO_ID, since);
+  assert.deepEqual(events.map(e => e.type), ['claim_superseded', 'claim_extracted', 'claim_extracted']);
+  assert.equal(events[0].data.claim_id, `${VIDEO_ID}_claim_0`);
+
+  supabase.calls.length = 0;
+  const repeated = await processor.runSegment(current, current.segments[1]);
+  assert.deepEqual(repeated, []);
+  assert.equal(current.allClaims.length, 3);
+  assert.deepEqual(supabase.calls, []);
+  assert.equal(current.segments[1].status, 'complete');
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { JobEventBus } from '../services/claim-extraction/job-events.js';
+
+test('replay returns only the events after Last-Event-ID, per video', () => {
+  const bus = new JobEventBus();
+  const first = bus.publish('yt-aaaaaaaaaaa', 'claim_extracted', { claim_id: 'c1' });
+  const second = bus.publish('yt-aaaaaaaaaaa', 'claim_verified', { claim_id: 'c1' });
+  bus.publish('yt-bbbbbbbbbbb', 'claim_extracted', { claim_id: 'c2' });
+
+  assert.ok(second.id > first.id);
+  assert.deepEqual(bus.replay('yt-aaaaaaaaaaa').map(event => event.type), ['claim_extracted', 'claim_verified']);
+  assert.deepEqual(bus.replay('yt-aaaaaaaaaaa', first.id), [second]);
+  assert.deepEqual(bus.replay('yt-aaaaaaaaaaa', second.id), []);
+  assert.deepEqual(bus.replay('yt-ccccccccccc'), []);
+});
+
+test('subscribers get live events for their video until they unsubscribe', () => {
+  const bus = new JobEventBus();
+  const seen = [];
+  const unsubscribe = bus.subscribe('yt-aaaaaaaaaaa', event => seen.push(event.data.claim_id));
+
+  bus.publish('yt-aaaaaaaaaaa', 'claim_extracted', { claim_id: 'c1' });
+  bus.publish('yt-bbbbbbbbbbb', 'claim_extracted', { claim_id: 'other' });
+  unsubscribe();
+  bus.publish('yt-aaaaaaaaaaa', 'claim_extracted', { claim_id: 'c2' });
+
+  assert.deepEqual(seen, ['c1']);
+});
+
+test('history keeps the newest events per video', () => {
+  const bus = new JobEventBus({ historyLimit: 3 });
+  for (let i = 1; i <= 5; i++) bus.publish('yt-aaaaaaaaaaa', 'claim_extracted', { claim_id: `c${i}` });
+
+  assert.deepEqual(bus.replay('yt-aaaaaaaaaaa').map(event => event.data.claim_id), ['c3', 'c4', 'c5']);
+});
+
+test('only the most recently active videos keep a history', () => {
+  const bus = new JobEventBus({ maxVideos: 2 });
+  bus.publish('yt-aaaaaaaaaaa', 'claim_extracted');
+  bus.publish('yt-bbbbbbbbbbb', 'claim_extracted');
+  bus.publish('yt-aaaaaaaaaaa', 'claim_verified');
+  bus.publish('yt-ccccccccccc', 'claim_extracted');
+
+  assert.deepEqual(bus.trackedVideos(), ['yt-aaaaaaaaaaa', 'yt-ccccccccccc']);
+  assert.deepEqual(bus.replay('yt-bbbbbbbbbbb'), []);
+});
+
+test('history expires after the job ends, and later events push expiry back', async () => {
+  const bus = new JobEventBus({ historyTtlMs: 60 });
+  bus.publish('yt-aaaaaaaaaaa', 'claim_extracted');
+  bus.publish('yt-aaaaaaaaaaa', 'job_complete');
+  bus.publish('yt-bbbbbbbbbbb', 'claim_extracted');
+
+  await sleep(40);
+  bus.publish('yt-aaaaaaaaaaa', 'claim_verified');
+  await sleep(40);
+  assert.equal(bus.replay('yt-aaaaaaaaaaa').length, 3);
+
+  await sleep(60);
+  assert.deepEqual(bus.trackedVideos(), ['yt-bbbbbbbbbbb']);
+});
@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-job-store-'));
+process.env.LUMOS_DB_PATH = path.join(dir, 'lumos.db');
+
+const { SqliteJobStore } = await import('../services/claim-extraction/job-store.js');
+const { HybridProcessor } = await import('../services/claim-extraction/hybrid-processor.js');
+
+function claim(id, timestamp) {
+  return {
+    claim_id: id,
+    video_id: 'yt-aaaaaaaaaaa',
+    timestamp,
+    segment: { full_text: `quote ${id}` },
+    extraction: { finding_summary: `finding ${id}`, confidence: 0.9 },
+    search: { primary_query: id }
+  };
+}
+
+function job(videoId, overrides = {}) {
+  const now = Date.now();
+  return {
+    videoId,
+    videoUrl: `https://www.youtube.com/watch?v=${videoId.slice(3)}`,
+    videoTitle: 'Sleep and memory',
+    status: 'processing',
+    fastTrackStatus: 'complete',
+    fullTrackStatus: 'running',
+    fastTrackClaims: [claim('c1', '01:00'), claim('c2', '08:30')],
+    allClaims: [],
+    segments: [{ index: 0, startSec: 0, endSec: 1200, chapterTitle: 'Intro', status: 'complete', claimsCount: 2, completedAt: now }],
+    extractionSource: 'captions',
+    language: 'en',
+    verificationStatus: 'pending',
+    verifications: [],
+    fastTrackCompletedAt: now,
+    fullProcessingCompletedAt: null,
+    createdAt: now,
+    updatedAt: now,
+    ...overrides
+  };
+}
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('SqliteJobStore round-trips a job', async () => {
+  const store = new SqliteJobStore();
+  const saved = job('yt-aaaaaaaaaaa', { fastTrackError: 'timeout' });
+  await store.save(saved);
+
+  const loaded = await store.get('yt-aaaaaaaaaaa');
+  assert.deepEqual(loaded, saved);
+  assert.equal(await store.get('yt-missing0000'), null);
+});
+
+test('SqliteJobStore upserts and lists only interrupted jobs', async () => {
+  const store = new SqliteJobStore();
+  await store.save(job('yt-bbbbbbbbbbb'));
+  await store.save(job('yt-ccccccccccc', { status: 'complete', fullTrackStatus: 'complete' }));
+  await store.save(job('yt-ddddddddddd', { status: 'complete', verificationStatus: 'running' }));
+  await store.save(job('yt-bbbbbbbbbbb', { status: 'error', fullTrackStatus: 'error', error: 'boom' }));
+
+  const interrupted = (await store.listInterrupted()).map(j => j.videoId).sort();
+  assert.deepEqual(interrupted, ['yt-aaaaaaaaaaa', 'yt-ddddddddddd']);
+  assert.equal((await store.get('yt-bbbbbbbbbbb')).error, 'boom');
+});
+
+test('HybridProcessor serves claims of a stored job that has not resumed yet', async () => {
+  const stored = job('yt-eeeeeeeeeee');
+  const jobStore = {
+    save: async () => {},
+    get: async videoId => (videoId === stored.videoId ? structuredClone(stored) : null),
+    listInterrupted: async () => []
+  };
+  const processor = new HybridProcessor({ jobStore });
+
+  const claims = await processor.getClaimsUpTo('yt-eeeeeeeeeee', '05:00');
+  assert.deepEqual(claims.map(c => c.claim_id), ['c1']);
+  assert.deepEqual(await processor.getClaimsUpTo('yt-missing0000', '05:00'), []);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { detectLanguage, normalizeLanguage, languageName, isStopWord, tokenize } =
+  await import('../services/claim-extraction/language.js');
+
+test('detectLanguage tells Polish from English', () => {
+  assert.equal(detectLanguage('Dzisiaj rozmawiamy o tym, jak sen wpływa na odporność i czy warto spać osiem godzin'), 'pl');
+  // No diacritics, but Polish function words
+  assert.equal(detectLanguage('to jest bardzo dobre pytanie, ale nie wiem czy tak jest'), 'pl');
+  assert.equal(detectLanguage('Today we talk about how sleep affects the immune system and what you can do'), 'en');
+  assert.equal(detectLanguage('Huberman Lab'), null);
+  assert.equal(detectLanguage(null), null);
+});
+
+test('normalizeLanguage maps codes and names onto supported languages', () => {
+  assert.equal(normalizeLanguage('pl-PL'), 'pl');
+  assert.equal(normalizeLanguage('Polski'), 'pl');
+  assert.equal(normalizeLanguage('english'), 'en');
+  assert.equal(normalizeLanguage('en_GB'), 'en');
+  assert.equal(normalizeLanguage('de'), null);
+  assert.equal(normalizeLanguage(''), null);
+  assert.equal(languageName('pl'), 'Polish');
+});
+
+test('tokenize keeps Polish letters and drops URLs and punctuation', () => {
+  assert.deepEqual(tokenize('Białko (2,2 g/kg) — zobacz https://example.org/x!'), ['białko', '2', '2', 'g', 'kg', 'zobacz']);
+  assert.ok(isStopWord('się'));
+  assert.ok(isStopWord('the'));
+  assert.ok(!isStopWord('the', 'pl'));
+  assert.ok(!isStopWord('białko'));
+});
@@ -0,0 +1,141 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.OPENAI_API_KEY ||= 'sk-test-0000000000';
+
+const { LiveModeExtractor } = await import('../services/claim-extraction/live-mode.js');
+const { RollingBuffer } = await import('../services/claim-extraction/rolling-buffer.js');
+
+const VIDEO_ID = 'yt-liveVideo01';
+
+const prather = {
+  segment: 'Aric Prather found people sleeping under six hours were four times likelier to catch a cold',
+  query: 'short sleep common cold risk',
+  confidence: 'high',
+  author_mentioned: 'Aric Prather',
+  institution_mentioned: 'UCSF',
+  finding_summary: 'Short sleep quadruples the risk of catching a cold'
+};
+const walker = {
+  segment: 'Matthew Walker showed caffeine has a half-life of five to six hours',
+  query: 'Walker caffeine half-life',
+  confidence: 'medium',
+  author_mentioned: 'Matthew Walker',
+  institution_mentioned: null,
+  finding_summary: 'Caffeine half-life is five to six hours'
+};
+
+const originalFetch = globalThis.fetch;
+let prompts;
+let reply;
+let llmStatus;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  prompts = [];
+  llmStatus = 200;
+  reply = { claims: [], pending: null };
+  // The OpenAI SDK keeps the fetch it was created with; tests steer it through reply and llmStatus
+  globalThis.fetch = async (url, init) => {
+    if (llmStatus !== 200) return Response.json({ error: { message: 'Bad request' } }, { status: llmStatus });
+    const body = JSON.parse(init.body);
+    prompts.push(body.messages.at(-1).content);
+    return Response.json({
+      id: 'chatcmpl-test',
+      model: body.model,
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: JSON.stringify(reply) } }],
+      usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+    });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('claims found in the same window get distinct ids and the window\'s video time', async () => {
+  const extractor = new LiveModeExtractor();
+  extractor.startSession(VIDEO_ID, 'en');
+  reply = { claims: [prather, walker], pending: null };
+
+  const claims = await extractor.processChunk('Aric Prather found that people sleeping under six hours...', { startSec: 65, endSec: 90 });
+
+  const live = `${VIDEO_ID}_live_${extractor.sessionKey}`;
+  assert.match(extractor.sessionKey, /^[0-9a-f]{8}$/);
+  assert.deepEqual(claims.map(c => c.claim_id), [`${live}_1_0`, `${live}_1_1`]);
+  assert.deepEqual(claims[0].segment.approximate_timestamp_start, '1:05');
+  assert.deepEqual(claims[0].segment.approximate_timestamp_end, '1:30');
+  assert.equal(claims[0].extraction.author_normalized, 'Aric Prather');
+  assert.equal(claims[0].search.primary_query, 'Prather short sleep common');
+  assert.equal(claims[0].prompt.id, 'live_mode_extraction');
+  assert.match(prompts[0], /^Window 1:\nAric Prather found/);
+});
+
+test('later windows skip repeated claims and sponsor reads, and carry the pending claim', async () => {
+  const extractor = new LiveModeExtractor();
+  extractor.startSession(VIDEO_ID, 'en');
+  reply = { claims: [prather], pending: { partial_segment: 'Walker showed caffeine', window_started: 1 } };
+  await extractor.processChunk('Aric Prather found that people sleeping under six hours...');
+
+  assert.deepEqual(await extractor.processChunk('This episode is brought to you by our sponsor, use code SLEEP.'), []);
+  assert.equal(prompts.length, 1);
+
+  reply = { claims: [prather, walker], pending: null };
+  const claims = await extractor.processChunk('...Walker showed caffeine has a half-life of five to six hours.');
+
+  const live = `${VIDEO_ID}_live_${extractor.sessionKey}`;
+  assert.deepEqual(claims.map(c => c.claim_id), [`${live}_3_0`]);
+  assert.equal(claims[0].extraction.author_normalized, 'Matthew Walker');
+  assert.match(prompts[1], /Previous pending claim:[\s\S]*Walker showed caffeine/);
+  assert.match(prompts[1], /Recent claims \(do not re-extract\):\n- Window 1:/);
+  assert.deepEqual(extractor.getAllClaims().map(c => c.claim_id), [`${live}_1_0`, `${live}_3_0`]);
+  assert.equal(extractor.getSessionStats().pendingClaim, false);
+});
+
+test('a new session for the same video never repeats claim ids', async () => {
+  const extractor = new LiveModeExtractor();
+  reply = { claims: [prather], pending: null };
+
+  extractor.startSession(VIDEO_ID, 'en');
+  const [first] = await extractor.processChunk('Aric Prather found that people sleeping under six hours...');
+  extractor.startSession(VIDEO_ID, 'en');
+  const [second] = await extractor.processChunk('Aric Prather found that people sleeping under six hours...');
+
+  assert.match(first.claim_id, /_1_0$/);
+  assert.match(second.claim_id, /_1_0$/);
+  assert.notEqual(second.claim_id, first.claim_id);
+});
+
+test('a failed extraction finds nothing and keeps the pending claim', async () => {
+  const extractor = new LiveModeExtractor();
+  extractor.startSession(VIDEO_ID, 'en');
+  reply = { claims: [], pending: { partial_segment: 'Prather found', window_started: 1 } };
+  await extractor.processChunk('Aric Prather found that');
+
+  llmStatus = 400;
+  assert.deepEqual(await extractor.processChunk('people sleeping under six hours'), []);
+  assert.equal(extractor.getSessionStats().pendingClaim, true);
+});
+
+test('RollingBuffer keeps the last three chunks and times the window by them', () => {
+  const buffer = new RollingBuffer();
+  for (const [i, text] of ['one', 'two', 'three', 'four'].entries()) {
+    buffer.addChunk(text, { startSec: i * 25, endSec: i * 25 + 25 });
+  }
+
+  assert.equal(buffer.getTranscript(), 'two three four');
+  assert.deepEqual(buffer.getWindowSeconds(4), { startSec: 25, endSec: 100 });
+  assert.deepEqual(buffer.getTimestamps(4), { start: '0:25', end: '1:40' });
+
+  // Any untimed chunk: back-to-back 10s windows
+  buffer.addChunk('five');
+  assert.deepEqual(buffer.getWindowSeconds(5), { startSec: 20, endSec: 50 });
+  buffer.clear();
+  assert.deepEqual(buffer.getInfo(), { chunks: 0, maxChunks: 3, chunkDuration: 10 });
+});
@@ -0,0 +1,132 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.OPENAI_API_KEY ||= 'sk-test-0000000000';
+
+const { LiveSessions } = await import('../services/claim-extraction/live-sessions.js');
+const { jobEvents } = await import('../services/claim-extraction/job-events.js');
+
+const VIDEO_ID = 'yt-liveVideo01';
+
+const prather = {
+  segment: 'people sleeping under six hours were four times likelier to catch a cold',
+  query: 'short sleep common cold risk',
+  confidence: 'high',
+  author_mentioned: 'Aric Prather',
+  institution_mentioned: null,
+  finding_summary: 'Short sleep quadruples the risk of catching a cold'
+};
+
+// Stitched transcript: the quote is said at 1:32, in the middle of the window
+const segments = [
+  { startSec: 75, endSec: 90, text: 'So the next study comes from Aric Prather at UCSF.' },
+  { startSec: 92, endSec: 100, text: 'He found people sleeping under six hours were four times likelier to catch a cold.' }
+];
+const text = segments.map(s => s.text).join(' ');
+
+// "<videoId>_live_<session key>_<window>_<index>"
+const LIVE_ID = new RegExp(`^${VIDEO_ID}_live_([0-9a-f]{8})_(\\d+_\\d+)$`);
+const sessionOf = claim => claim.claim_id.match(LIVE_ID)[1];
+const positionOf = claim => claim.claim_id.match(LIVE_ID)[2];
+
+const originalFetch = globalThis.fetch;
+let reply;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  reply = { claims: [prather], pending: null };
+  // The OpenAI SDK keeps the fetch it was created with; tests steer it through reply
+  // (an object, or a function of the window's prompt)
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    const content = typeof reply === 'function' ? reply(body.messages.at(-1).content) : reply;
+    return Response.json({
+      id: 'chatcmpl-test',
+      model: body.model,
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: JSON.stringify(content) } }],
+      usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+    });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// Records the rows the sessions upsert
+function fakeSupabase() {
+  const tables = { videos: [], claims: [] };
+  return {
+    tables,
+    from: table => ({
+      upsert: async row => {
+        tables[table].push(row);
+        return { error: null };
+      }
+    })
+  };
+}
+
+test('processTranscript aligns, publishes and stores claims, then queues them for verification', async () => {
+  const supabase = fakeSupabase();
+  const sessions = new LiveSessions({ supabase, language: 'en', verify: true });
+  const verifying = [];
+  const queued = new Promise(resolve => {
+    sessions.verifyAndStore = async claim => { verifying.push(claim.claim_id); resolve(); };
+  });
+  const since = jobEvents.replay(VIDEO_ID).at(-1)?.id ?? 0;
+
+  const claims = await sessions.processTranscript(VIDEO_ID, text, segments, { url: 'https://www.youtube.com/watch?v=liveVideo01', title: 'Sleep live' });
+  await queued;
+
+  assert.deepEqual(claims.map(positionOf), ['1_0']);
+  assert.equal(claims[0].alignment.source, 'whisper');
+  assert.ok(claims[0].alignment.start_sec >= 92);
+  assert.equal(claims[0].timestamp, '01:32');
+
+  const [event] = jobEvents.replay(VIDEO_ID, since);
+  assert.equal(event.type, 'claim_extracted');
+  assert.equal(event.data.claim.claim_id, claims[0].claim_id);
+
+  assert.deepEqual(supabase.tables.videos.map(v => [v.id, v.title, v.claims_count]), [[VIDEO_ID, 'Sleep live', 1]]);
+  assert.deepEqual(supabase.tables.claims.map(c => c.claim_id), [claims[0].claim_id]);
+  assert.deepEqual(verifying, [claims[0].claim_id]);
+});
+
+test('windows for one video are extracted in arrival order, on one session', async () => {
+  const sessions = new LiveSessions({ language: 'en', verify: false });
+  const walker = { ...prather, segment: 'caffeine has a half-life of five to six hours', query: 'caffeine half-life', author_mentioned: 'Matthew Walker', finding_summary: 'Caffeine half-life is five to six hours' };
+
+  reply = prompt => ({ claims: [/caffeine/.test(prompt) ? walker : prather], pending: null });
+
+  const first = sessions.processTranscript(VIDEO_ID, text, segments);
+  const second = sessions.processTranscript(VIDEO_ID, 'Walker says caffeine has a half-life of five to six hours.', []);
+  const [a, b] = await Promise.all([first, second]);
+
+  assert.deepEqual([...a, ...b].map(positionOf), ['1_0', '2_0']);
+  assert.equal(sessionOf(b[0]), sessionOf(a[0]));
+  assert.deepEqual(await sessions.processTranscript(VIDEO_ID, '   ', []), []);
+});
+
+test('a session started again after end() stores its claims under new ids', async () => {
+  const supabase = fakeSupabase();
+  const sessions = new LiveSessions({ supabase, language: 'en', verify: false });
+  reply = { claims: [prather], pending: null };
+
+  const [earlier] = await sessions.processTranscript(VIDEO_ID, text, segments);
+  sessions.end(VIDEO_ID);
+  const [restarted] = await sessions.processTranscript(VIDEO_ID, text, segments);
+
+  // The new session starts its windows again, under its own key
+  assert.equal(positionOf(restarted), positionOf(earlier));
+  assert.notEqual(restarted.claim_id, earlier.claim_id);
+  const ids = supabase.tables.claims.map(c => c.claim_id);
+  assert.deepEqual(ids, [earlier.claim_id, restarted.claim_id]);
+  assert.equal(new Set(ids).size, ids.length);
+});
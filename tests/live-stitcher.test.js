@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { LiveStitcher } = await import('../services/claim-extraction/live-stitcher.js');
+
+const first = [
+  { start: 0, end: 5, text: 'The study followed sleepers.' },
+  { start: 5, end: 10, text: 'Short sleep doubled colds later on' }
+];
+const second = [
+  { start: 0, end: 4, text: 'doubled colds later on' },
+  { start: 4, end: 10, text: 'in the trial. Caffeine keeps you up' }
+];
+
+test('add drops the words both chunks heard and releases whole sentences', () => {
+  const stitcher = new LiveStitcher({ overlapSeconds: 4 });
+
+  const a = stitcher.add('yt-liveVideo01', first, 0, 10);
+  assert.equal(a.text, 'The study followed sleepers.');
+  assert.equal(a.duplicateWords, 0);
+
+  const b = stitcher.add('yt-liveVideo01', second, 6, 10);
+  assert.equal(b.aligned, true);
+  assert.equal(b.duplicateWords, 4);
+  assert.equal(b.text, 'Short sleep doubled colds later on in the trial.');
+  assert.deepEqual(b.segments.map(s => s.startSec), [5]);
+  assert.equal(stitcher.getTranscript('yt-liveVideo01'), [
+    '[00:00] The study followed sleepers.',
+    '[00:05] Short sleep doubled colds later on in the trial.'
+  ].join('\n'));
+});
+
+test('add falls back to timing when the overlap words disagree', () => {
+  const stitcher = new LiveStitcher({ overlapSeconds: 4 });
+  stitcher.add('yt-liveVideo01', first, 0, 10);
+  stitcher.add('yt-liveVideo01', second, 6, 10);
+
+  // "you up" was held back from 14s on; the new chunk covers it
+  const c = stitcher.add('yt-liveVideo01', [{ start: 0, end: 6, text: 'Something totally different is said.' }], 14, 6);
+  assert.equal(c.aligned, false);
+  assert.equal(c.duplicateWords, 3);
+
+  const ended = stitcher.end('yt-liveVideo01');
+  assert.equal(ended.text, 'Caffeine keeps totally different is said.');
+  assert.equal(stitcher.getTranscript('yt-liveVideo01'), '');
+  assert.equal(stitcher.end('yt-liveVideo01'), null);
+});
+
+test('a seek releases what was held back and starts again on the new clock', () => {
+  const stitcher = new LiveStitcher({ overlapSeconds: 4 });
+  stitcher.add('yt-liveVideo01', [{ start: 0, end: 10, text: 'Sleep matters a lot for memory.' }], 0, 10);
+
+  const after = stitcher.add('yt-liveVideo01', [{ start: 0, end: 5, text: 'After the seek we hear this.' }], 300, 5);
+
+  assert.equal(after.duplicateWords, 0);
+  assert.equal(after.text, 'Sleep matters a lot for memory.');
+  assert.equal(stitcher.end('yt-liveVideo01').segments[0].startSec, 300);
+});
+
+test('an unfinished sentence is released once it has been open for maxHoldSeconds', () => {
+  const stitcher = new LiveStitcher({ overlapSeconds: 4, maxHoldSeconds: 10 });
+
+  assert.equal(stitcher.add('yt-liveVideo02', [{ start: 0, end: 10, text: 'and so the speaker keeps going' }], 0, 10).text, '');
+  const later = stitcher.add('yt-liveVideo02', [{ start: 0, end: 10, text: 'without ever stopping to breathe at all' }], 10, 10);
+
+  assert.match(later.text, /^and so the speaker keeps going without/);
+});
@@ -0,0 +1,103 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Stand-ins for yt-dlp and ffmpeg, first on PATH. FAKE_STREAM picks what they do:
+//   live    - a manifest, then 25s of silence as 16 kHz s16le
+//   offline - ffmpeg fails before decoding anything
+//   vod     - yt-dlp returns a plain file URL
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-live-stream-test-'));
+fs.writeFileSync(path.join(dir, 'yt-dlp'), `#!${process.execPath}
+console.log(process.env.FAKE_STREAM === 'vod' ? 'https://rr1.googlevideo.com/videoplayback?itag=140' : 'https://manifest.googlevideo.com/api/manifest/hls_playlist/index.m3u8');
+`, { mode: 0o755 });
+fs.writeFileSync(path.join(dir, 'ffmpeg'), `#!${process.execPath}
+if (process.env.FAKE_STREAM === 'offline') { console.error('HTTP error 403 Forbidden'); process.exit(1); }
+process.stdout.write(Buffer.alloc(25 * 32000));
+`, { mode: 0o755 });
+process.env.PATH = `${dir}${path.delimiter}${process.env.PATH}`;
+
+const { LiveStreamProcessor } = await import('../services/claim-extraction/live-stream.js');
+const { jobEvents } = await import('../services/claim-extraction/job-events.js');
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function nextEnd(videoId) {
+  return new Promise(resolve => {
+    const unsubscribe = jobEvents.subscribe(videoId, event => {
+      if (event.type === 'job_complete' || event.type === 'job_error') { unsubscribe(); resolve(event); }
+    });
+  });
+}
+
+test('hls audio is cut into overlapping windows on the player clock, then flushed when the broadcast ends', async () => {
+  process.env.FAKE_STREAM = 'live';
+  const windows = [];
+  const processor = new LiveStreamProcessor({
+    source: 'hls',
+    latencySeconds: 10,
+    overlapSeconds: 4,
+    onAudio: async (videoId, audio, videoTimeSec, final) => {
+      windows.push({ videoTimeSec, seconds: audio ? (audio.length - 44) / 32000 : 0, final, riff: audio?.toString('ascii', 0, 4) });
+      return videoTimeSec === 106 ? 2 : 0;
+    }
+  });
+  const ended = nextEnd('yt-liveStream01');
+
+  const started = await processor.start('yt-liveStream01', 'https://www.youtube.com/watch?v=liveStream01', { baseTimeSec: 100 });
+  assert.equal(started.source, 'hls');
+  const event = await ended;
+
+  assert.deepEqual(windows, [
+    { videoTimeSec: 100, seconds: 10, final: false, riff: 'RIFF' },
+    { videoTimeSec: 106, seconds: 10, final: false, riff: 'RIFF' },
+    { videoTimeSec: 112, seconds: 10, final: false, riff: 'RIFF' },
+    { videoTimeSec: 118, seconds: 7, final: true, riff: 'RIFF' }
+  ]);
+  assert.equal(event.type, 'job_complete');
+  assert.equal(event.data.claims_count, 2);
+
+  const status = processor.getStatus('yt-liveStream01');
+  assert.equal(status.state, 'ended');
+  assert.equal(status.windows, 4);
+  assert.equal(status.audioSeconds, 25);
+});
+
+test('a stream ffmpeg cannot open ends in an error', async () => {
+  process.env.FAKE_STREAM = 'offline';
+  const processor = new LiveStreamProcessor({ source: 'hls', onAudio: async () => 0 });
+  const ended = nextEnd('yt-liveStream02');
+
+  await processor.start('yt-liveStream02', 'https://www.youtube.com/watch?v=liveStream02');
+  const event = await ended;
+
+  assert.equal(event.type, 'job_error');
+  assert.match(event.data.message, /ffmpeg exited with code 1: HTTP error 403 Forbidden/);
+  assert.equal(processor.getStatus('yt-liveStream02').state, 'error');
+});
+
+test('without an HLS manifest the job falls back to tab capture and counts its claims until stopped', async () => {
+  process.env.FAKE_STREAM = 'vod';
+  const processor = new LiveStreamProcessor({ source: 'hls' });
+
+  const started = await processor.start('yt-liveStream03', 'https://www.youtube.com/watch?v=liveStream03', { title: 'Sleep live' });
+  assert.equal(started.source, 'tab');
+  assert.equal(await processor.start('yt-liveStream03', 'https://www.youtube.com/watch?v=liveStream03'), started);
+
+  processor.recordClaims('yt-liveStream03', 3);
+  const ended = nextEnd('yt-liveStream03');
+  const stopped = processor.stop('yt-liveStream03');
+
+  assert.equal(stopped.state, 'ended');
+  assert.equal((await ended).data.claims_count, 3);
+  assert.equal(processor.stop('yt-liveStream04'), null);
+});
@@ -0,0 +1,77 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.OPENAI_API_KEY ||= 'sk-test-0000000000';
+
+const { LLMClient, LLMError, llm } = await import('../services/llm/index.js');
+const { AcademicAnalyzerService } = await import('../services/academic-analyzer.js');
+
+const originalFetch = globalThis.fetch;
+let requests;
+
+// OpenAI chat completions answered with a canned reply
+beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push({ url: String(url), body });
+    return new Response(JSON.stringify({
+      id: 'chatcmpl-test',
+      object: 'chat.completion',
+      model: body.model,
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: '```json\n{"verdict":"supported"}\n```' } }],
+      usage: { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200 }
+    }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+  delete process.env.LLM_VERIFICATION_MODEL;
+  delete process.env.LLM_VERIFICATION_PROVIDER;
+});
+
+test('getRoute uses the default route unless the environment overrides it', () => {
+  const client = new LLMClient();
+  assert.deepEqual(client.getRoute('verification'), { provider: 'openai', model: 'gpt-4o' });
+
+  process.env.LLM_VERIFICATION_MODEL = 'gpt-4o-mini';
+  assert.deepEqual(client.getRoute('verification'), { provider: 'openai', model: 'gpt-4o-mini' });
+
+  delete process.env.LLM_VERIFICATION_MODEL;
+  process.env.LLM_VERIFICATION_PROVIDER = 'openrouter';
+  assert.throws(() => client.getRoute('verification'), error =>
+    error instanceof LLMError && error.code === 'NOT_CONFIGURED');
+});
+
+test('complete parses fenced JSON and reports usage to listeners and the summary', async () => {
+  const client = new LLMClient();
+  const seen = [];
+  const unsubscribe = client.onUsage(response => seen.push(response.task));
+
+  const first = await client.complete('verification', { messages: [{ role: 'user', content: 'Check this' }], json: true });
+  unsubscribe();
+  await client.complete('verification', { messages: [{ role: 'user', content: 'And this' }], json: true, maxTokens: 50 });
+
+  assert.deepEqual(first.json, { verdict: 'supported' });
+  assert.equal(first.usage.totalTokens, 1200);
+  assert.ok(first.usage.costUsd > 0);
+  assert.deepEqual(seen, ['verification']);
+  assert.equal(requests[1].body.max_completion_tokens, 50);
+
+  const [row] = client.getUsageSummary();
+  assert.deepEqual(
+    { task: row.task, provider: row.provider, model: row.model, calls: row.calls, inputTokens: row.inputTokens },
+    { task: 'verification', provider: 'openai', model: 'gpt-4o', calls: 2, inputTokens: 2000 }
+  );
+});
+
+test('fact-check services and the claim pipeline share one LLM client', async () => {
+  const booked = [];
+  const unsubscribe = llm.onUsage(response => booked.push(response.task));
+  await new AcademicAnalyzerService().analyzeAcademicResults('Sleep improves memory', []);
+  unsubscribe();
+
+  assert.deepEqual(booked, ['academic_analysis']);
+  assert.ok(llm.getUsageSummary().some(row => row.task === 'academic_analysis' && row.calls === 1));
+});
@@ -0,0 +1,95 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-localizer-'));
+process.env.LUMOS_DB_PATH = path.join(dir, 'lumos.db');
+delete process.env.LUMOS_HTTP_CACHE;
+delete process.env.LUMOS_LOCALIZE;
+process.env.OPENAI_API_KEY ||= 'sk-test-0000000000';
+
+const { Localizer } = await import('../services/claim-extraction/localizer.js');
+
+const originalFetch = globalThis.fetch;
+let batches;
+let dropLast;
+
+before(() => mock.method(console, 'warn', () => {}));
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Translation calls answer "[pl] <text>" for each text they were sent
+// (the OpenAI SDK keeps the first fetch it sees; tests steer it through dropLast)
+beforeEach(() => {
+  batches = [];
+  dropLast = false;
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    const texts = JSON.parse(body.messages.at(-1).content.split('Texts:\n')[1]);
+    batches.push(texts);
+    const translations = texts.map(text => `[pl] ${text}`);
+    if (dropLast) translations.pop();
+    return Response.json({
+      id: 'chatcmpl-test',
+      model: body.model,
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: JSON.stringify({ translations }) } }],
+      usage: { prompt_tokens: 50, completion_tokens: 50, total_tokens: 100 }
+    });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('targetLanguage reads ?lang= first, then Accept-Language; English means no translation', () => {
+  const localizer = new Localizer();
+
+  assert.equal(localizer.targetLanguage('pl'), 'pl');
+  assert.equal(localizer.targetLanguage(null, 'pl-PL,pl;q=0.9,en;q=0.8'), 'pl');
+  assert.equal(localizer.targetLanguage('en-US', 'pl'), null);
+  assert.equal(localizer.targetLanguage('*'), null);
+  assert.equal(new Localizer({ enabled: false }).targetLanguage('pl'), null);
+});
+
+test('localizeClaims translates generated text once, keeps quotes, and caches translations', async () => {
+  const localizer = new Localizer({ maxBatch: 2 });
+  const claims = [
+    { claim_id: 'c0', segment: 'Spanie poniżej sześciu godzin...', finding: 'Short sleep raises cold risk', verification_explanation: 'The study supports it' },
+    { claim_id: 'c1', finding: 'Short sleep raises cold risk', evidence_summary: '3 studies agree' }
+  ];
+
+  const localized = await localizer.localizeClaims(claims, 'pl');
+
+  assert.deepEqual(localized, [
+    { claim_id: 'c0', segment: 'Spanie poniżej sześciu godzin...', finding: '[pl] Short sleep raises cold risk', verification_explanation: '[pl] The study supports it' },
+    { claim_id: 'c1', finding: '[pl] Short sleep raises cold risk', evidence_summary: '[pl] 3 studies agree' }
+  ]);
+  assert.equal(claims[0].finding, 'Short sleep raises cold risk');
+  // Three distinct texts in batches of two
+  assert.deepEqual(batches.map(batch => batch.length), [2, 1]);
+
+  const event = await localizer.localizePayload({ type: 'claim_verified', claim: { finding: 'Short sleep raises cold risk' } }, 'pl');
+  assert.deepEqual(event, { type: 'claim_verified', claim: { finding: '[pl] Short sleep raises cold risk' } });
+  assert.equal(batches.length, 2);
+});
+
+test('mismatched translations are served in English and retried later', async () => {
+  const localizer = new Localizer();
+  dropLast = true;
+
+  const [claim] = await localizer.localizeClaims([{ finding: 'Caffeine half-life is five hours' }], 'pl');
+  assert.equal(claim.finding, 'Caffeine half-life is five hours');
+
+  dropLast = false;
+  const [retried] = await localizer.localizeClaims([{ finding: 'Caffeine half-life is five hours' }], 'pl');
+  assert.equal(retried.finding, '[pl] Caffeine half-life is five hours');
+  assert.equal(batches.length, 2);
+
+  assert.deepEqual(await localizer.localizeClaims([{ finding: 'x' }], null), [{ finding: 'x' }]);
+});
@@ -0,0 +1,120 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LUMOS_HTTP_CACHE = 'off';
+process.env.RATE_LIMIT_SEMANTIC_SCHOLAR = '1000';
+process.env.RATE_LIMIT_PUBMED = '1000';
+
+const { PaperFinder } = await import('../services/claim-extraction/paper-finder.js');
+
+const claim = {
+  claim_id: 'yt-aaaaaaaaaaa_claim_0',
+  video_id: 'yt-aaaaaaaaaaa',
+  segment: { full_text: 'Prather found short sleepers caught more colds.', word_count: 7 },
+  extraction: {
+    author_mentioned: 'Aric Prather',
+    author_normalized: 'Aric Prather',
+    author_variants: ['prather'],
+    institution_mentioned: null,
+    finding_summary: 'Short sleep increases susceptibility to the common cold',
+    confidence: 'high'
+  },
+  search: { primary_query: 'Prather sleep common cold', fallback_queries: [] }
+};
+
+const SOURCES_ONLY = { max_papers: 5, min_match_score: 0.4, use_google: false };
+
+const semanticScholarPaper = {
+  paperId: 'abc123',
+  title: 'Behaviorally Assessed Sleep and Susceptibility to the Common Cold',
+  authors: [{ name: 'Aric A. Prather' }, { name: 'Sheldon Cohen' }],
+  year: 2015,
+  venue: 'Sleep',
+  abstract: null,
+  externalIds: { DOI: '10.5665/sleep.4968', PubMed: '25902816', PubMedCentral: '4531403' },
+  citationCount: 400,
+  openAccessPdf: { url: 'https://europepmc.org/articles/PMC4531403?pdf=render' }
+};
+
+const pubmedSummary = {
+  result: {
+    uids: ['25902816', '11111111'],
+    25902816: {
+      uid: '25902816',
+      title: 'Behaviorally Assessed Sleep and Susceptibility to the Common Cold.',
+      authors: [{ name: 'Prather AA' }, { name: 'Cohen S' }],
+      pubdate: '2015 Sep 1',
+      fulljournalname: 'Sleep',
+      articleids: [{ idtype: 'pubmed', value: '25902816' }, { idtype: 'doi', value: '10.5665/sleep.4968' }, { idtype: 'pmc', value: 'PMC4531403' }]
+    },
+    11111111: { uid: '11111111', error: 'cannot get document summary' }
+  }
+};
+
+const pubmedAbstracts = `<?xml version="1.0"?>
+<PubmedArticleSet><PubmedArticle><MedlineCitation><PMID Version="1">25902816</PMID><Article><Abstract>
+<AbstractText Label="STUDY OBJECTIVES">Sleep is thought to predict susceptibility to the common cold.</AbstractText>
+<AbstractText Label="RESULTS">Sleeping &lt;5 h was associated with a higher risk of a <i>cold</i>.</AbstractText>
+</Abstract></Article></MedlineCitation></PubmedArticle></PubmedArticleSet>`;
+
+const originalFetch = globalThis.fetch;
+let requested;
+let semanticScholarStatus;
+
+const json = body => new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+
+beforeEach(() => {
+  requested = [];
+  semanticScholarStatus = 200;
+  globalThis.fetch = async input => {
+    const url = new URL(String(input));
+    requested.push(url.hostname + url.pathname);
+    if (url.hostname === 'api.openalex.org') return json({ results: [] });
+    if (url.hostname === 'api.semanticscholar.org') {
+      if (semanticScholarStatus !== 200) return new Response('Too Many Requests', { status: semanticScholarStatus, headers: { 'retry-after': '3600' } });
+      return json({ total: 1, data: [semanticScholarPaper] });
+    }
+    if (url.pathname.endsWith('/esearch.fcgi')) return json({ esearchresult: { idlist: ['25902816', '11111111'] } });
+    if (url.pathname.endsWith('/esummary.fcgi')) return json(pubmedSummary);
+    if (url.pathname.endsWith('/efetch.fcgi')) return new Response(pubmedAbstracts, { status: 200, headers: { 'content-type': 'text/xml' } });
+    throw new Error(`Unexpected request ${url}`);
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('Semantic Scholar and PubMed copies of a paper merge by DOI', async () => {
+  const { papers, attempts } = await new PaperFinder().findTopK(claim, { ...SOURCES_ONLY, use_semantic_scholar: true, use_pubmed: true });
+
+  assert.equal(papers.length, 1);
+  const [paper] = papers;
+  assert.equal(paper.source, 'semantic_scholar');
+  assert.equal(paper.doi, '10.5665/sleep.4968');
+  assert.equal(paper.pmid, '25902816');
+  assert.equal(paper.pmcid, 'PMC4531403');
+  assert.equal(paper.oa_pdf_url, 'https://europepmc.org/articles/PMC4531403?pdf=render');
+  // Semantic Scholar had no abstract; PubMed's structured one fills it in
+  assert.equal(paper.abstract, 'STUDY OBJECTIVES: Sleep is thought to predict susceptibility to the common cold. RESULTS: Sleeping <5 h was associated with a higher risk of a cold.');
+  assert.deepEqual([...new Set(attempts.map(a => a.source))], ['openalex', 'semantic_scholar', 'pubmed']);
+});
+
+test('PubMed results stand alone when Semantic Scholar is rate limited', async () => {
+  semanticScholarStatus = 429;
+  const { papers, attempts } = await new PaperFinder().findTopK(claim, { ...SOURCES_ONLY, use_semantic_scholar: true, use_pubmed: true });
+
+  assert.equal(papers.length, 1);
+  assert.equal(papers[0].source, 'pubmed');
+  assert.equal(papers[0].title, 'Behaviorally Assessed Sleep and Susceptibility to the Common Cold');
+  assert.equal(papers[0].year, 2015);
+  assert.equal(papers[0].url, 'https://pubmed.ncbi.nlm.nih.gov/25902816/');
+  assert.ok(attempts.filter(a => a.source === 'semantic_scholar').every(a => a.results_count === 0));
+});
+
+test('disabled sources are never queried', async () => {
+  await new PaperFinder().findTopK(claim, { ...SOURCES_ONLY, use_semantic_scholar: false, use_pubmed: false });
+
+  assert.ok(requested.length > 0);
+  assert.ok(requested.every(path => path.startsWith('api.openalex.org')));
+});
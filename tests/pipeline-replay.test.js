@@ -0,0 +1,132 @@
+/**
+ * Claim extraction and verification end to end, replayed from fixtures/http
+ * (no network). Re-record against the live APIs with real keys:
+ *   LUMOS_REPLAY_MODE=record node --test tests/pipeline-replay.test.js
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-replay-'));
+process.env.LUMOS_DB_PATH = path.join(dir, 'lumos.db');
+process.env.LUMOS_HTTP_CACHE = 'off';
+process.env.OPENAI_API_KEY ||= 'sk-replay-0000000000';
+process.env.GEMINI_API_KEY ||= 'replay-gemini-0000000000';
+
+const { installFetchReplay } = await import('../services/replay/fetch-replay.js');
+const { PaperFinder } = await import('../services/claim-extraction/paper-finder.js');
+const { ClaimVerifier } = await import('../services/claim-extraction/claim-verifier.js');
+const { VerificationPipeline } = await import('../services/claim-extraction/verification-pipeline.js');
+const { HybridProcessor } = await import('../services/claim-extraction/hybrid-processor.js');
+const { jobEvents } = await import('../services/claim-extraction/job-events.js');
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=rePlay00001';
+const VIDEO_ID = 'yt-rePlay00001';
+const PRATHER_DOI = '10.5665/sleep.4968';
+
+// Free sources only, so the run doesn't depend on Google CSE keys
+const SOURCES = { use_semantic_scholar: false, use_pubmed: false, use_google: false };
+
+const claim = {
+  claim_id: `${VIDEO_ID}_claim_0`,
+  video_id: VIDEO_ID,
+  timestamp: '04:12',
+  segment: {
+    full_text: 'Aric Prather showed that people sleeping under six hours were over four times more likely to catch a cold.',
+    word_count: 19
+  },
+  extraction: {
+    author_mentioned: 'Aric Prather',
+    author_normalized: 'Aric Prather',
+    author_variants: ['prather', 'prathor'],
+    institution_mentioned: 'UCSF',
+    finding_summary: 'Sleeping less than six hours a night makes people more than four times as likely to catch a cold',
+    confidence: 'high'
+  },
+  search: {
+    primary_query: 'Prather sleep duration susceptibility common cold',
+    fallback_queries: ['short sleep common cold rhinovirus']
+  }
+};
+
+let restoreFetch;
+before(() => {
+  // Progress logging is chatty; keep the test report readable
+  mock.method(console, 'log', () => {});
+  restoreFetch = installFetchReplay({
+    mode: process.env.LUMOS_REPLAY_MODE === 'record' ? 'record' : 'replay',
+    fixturesDir: path.join(root, 'fixtures', 'http')
+  });
+});
+
+after(() => {
+  mock.restoreAll();
+  restoreFetch();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('PaperFinder ranks the study the speaker names first', async () => {
+  const { papers, attempts } = await new PaperFinder().findTopK(claim, { max_papers: 2, min_match_score: 0.4, ...SOURCES });
+
+  assert.ok(attempts.length > 0);
+  assert.ok(attempts.every(attempt => attempt.source === 'openalex' && attempt.results_count > 0));
+  assert.equal(papers[0].doi, PRATHER_DOI);
+  assert.ok(papers[0].authors.includes('Aric A. Prather'));
+  assert.match(papers[0].abstract, /common cold/);
+  assert.ok(papers[0].match_score.total_score > papers.at(-1).match_score.total_score);
+});
+
+test('ClaimVerifier judges the claim against the abstract', async () => {
+  const { papers } = await new PaperFinder().findTopK(claim, { max_papers: 1, min_match_score: 0.4, ...SOURCES });
+  const result = await new ClaimVerifier().verify(claim, papers[0]);
+
+  assert.equal(result.verdict, 'supported');
+  assert.equal(result.confidence, 'high');
+  assert.equal(result.model, 'openai/gpt-4o');
+  assert.equal(result.source.basis, 'abstract');
+  assert.match(result.source.passage, /4\.50 times more likely/);
+});
+
+test('VerificationPipeline verifies a claim and publishes its verdict', async () => {
+  const pipeline = new VerificationPipeline({ ...SOURCES, max_papers: 2, use_citation_graph: false, use_full_text: false });
+  const since = jobEvents.replay(VIDEO_ID).at(-1)?.id ?? 0;
+
+  const verified = await pipeline.verifyClaim(claim);
+
+  assert.equal(verified.verification.best_paper.doi, PRATHER_DOI);
+  assert.equal(verified.verification.result.verdict, 'supported');
+  assert.equal(verified.verification.evidence.length, 1);
+  const [event] = jobEvents.replay(VIDEO_ID, since);
+  assert.equal(event.type, 'claim_verified');
+  assert.equal(event.data.verification_verdict, 'supported');
+});
+
+test('HybridProcessor extracts a video through both tracks', { timeout: 30000 }, async () => {
+  const processor = new HybridProcessor({
+    captionsFirst: false,
+    language: 'en',
+    jobStore: { save: async () => {}, get: async () => null, listInterrupted: async () => [] }
+  });
+  const done = new Promise((resolve, reject) => {
+    const unsubscribe = jobEvents.subscribe(VIDEO_ID, event => {
+      if (event.type === 'job_complete') { unsubscribe(); resolve(event.data); }
+      if (event.type === 'job_error' && event.data.status === 'error') { unsubscribe(); reject(new Error(event.data.message)); }
+    });
+  });
+
+  await processor.startProcessing(VIDEO_URL, 'Why we sleep');
+  const completed = await done;
+  const status = processor.getStatus(VIDEO_ID);
+
+  assert.equal(status.extractionSource, 'video');
+  assert.deepEqual(status.fastTrackClaims.map(c => c.timestamp), ['04:12']);
+  // The full track finds the fast-track claim again; the dedupe keeps one
+  assert.deepEqual(completed.claims.map(c => c.timestamp), ['04:12', '31:05']);
+  assert.equal(status.allClaims[0].extraction.author_normalized, 'Aric Prather');
+  assert.equal(status.allClaims[1].search.primary_query, 'caffeine half-life sleep quality');
+});
@@ -0,0 +1,110 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.RATE_LIMIT_SCRAPE = '1000';
+
+const { parseFeed, fetchFeed } = await import('../services/claim-extraction/podcast-feed.js');
+const { podcastEpisodeId, sourceIdFor, sourceKind, youtubeSourceId } = await import('../services/claim-extraction/sources.js');
+
+const FEED_URL = 'https://feeds.example.com/sleep-science.xml';
+
+const feed = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+<channel>
+  <title>Sleep Science &amp; You</title>
+  <itunes:author>Dr. Jane Rest</itunes:author>
+  <language>en-us</language>
+  <item>
+    <title>Caffeine and deep sleep</title>
+    <guid isPermaLink="false">ep-41</guid>
+    <pubDate>Mon, 02 Mar 2026 08:00:00 GMT</pubDate>
+    <enclosure url="https://cdn.example.com/ep41.mp3?ad=1&amp;x=2" length="48000000" type="audio/mpeg"/>
+    <itunes:duration>59:30</itunes:duration>
+    <description><![CDATA[<p>How <b>caffeine</b> cuts deep sleep.</p>]]></description>
+  </item>
+  <item>
+    <title>Show notes only</title>
+    <guid>notes-1</guid>
+    <enclosure url="https://cdn.example.com/notes.pdf" type="application/pdf"/>
+  </item>
+  <item>
+    <title>Short sleep and colds</title>
+    <pubDate>Mon, 09 Mar 2026 08:00:00 GMT</pubDate>
+    <enclosure url='https://cdn.example.com/ep42.m4a' type='audio/x-m4a'/>
+    <itunes:duration>3600</itunes:duration>
+    <itunes:summary>Aric Prather on sleep and immunity.</itunes:summary>
+  </item>
+</channel>
+</rss>`;
+
+const originalFetch = globalThis.fetch;
+let requested;
+
+beforeEach(() => {
+  requested = [];
+  globalThis.fetch = async input => {
+    requested.push(String(input));
+    return String(input) === FEED_URL
+      ? new Response(feed, { status: 200, headers: { 'content-type': 'application/rss+xml' } })
+      : new Response('Not found', { status: 404, statusText: 'Not Found' });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('parseFeed reads audio episodes newest first and skips other enclosures', () => {
+  const parsed = parseFeed(feed, FEED_URL);
+
+  assert.equal(parsed.title, 'Sleep Science & You');
+  assert.equal(parsed.author, 'Dr. Jane Rest');
+  assert.equal(parsed.language, 'en-us');
+  assert.deepEqual(parsed.episodes.map(e => e.title), ['Short sleep and colds', 'Caffeine and deep sleep']);
+
+  const [newest, older] = parsed.episodes;
+  assert.deepEqual(older, {
+    id: podcastEpisodeId(FEED_URL, 'ep-41'),
+    guid: 'ep-41',
+    title: 'Caffeine and deep sleep',
+    audioUrl: 'https://cdn.example.com/ep41.mp3?ad=1&x=2',
+    audioType: 'audio/mpeg',
+    audioBytes: 48000000,
+    publishedAt: '2026-03-02T08:00:00.000Z',
+    durationSec: 3570,
+    description: 'How caffeine cuts deep sleep.'
+  });
+  // No guid: the enclosure URL stands in for it
+  assert.equal(newest.guid, 'https://cdn.example.com/ep42.m4a');
+  assert.equal(newest.audioBytes, null);
+  assert.equal(newest.durationSec, 3600);
+  assert.equal(newest.description, 'Aric Prather on sleep and immunity.');
+
+  assert.throws(() => parseFeed('<html><body>Not a feed</body></html>', FEED_URL), /no <channel>/);
+});
+
+test('fetchFeed parses the feed it downloads and reports failed requests', async () => {
+  const parsed = await fetchFeed(FEED_URL);
+
+  assert.deepEqual(requested, [FEED_URL]);
+  assert.equal(parsed.episodes.length, 2);
+  await assert.rejects(fetchFeed('https://feeds.example.com/gone.xml'), /Feed request failed with 404 Not Found/);
+});
+
+test('episode ids are stable per feed and guid, and source ids tell the kinds apart', () => {
+  const id = podcastEpisodeId(FEED_URL, 'ep-41');
+
+  assert.match(id, /^pod-[0-9a-f]{16}$/);
+  assert.equal(podcastEpisodeId(` ${FEED_URL} `, 'ep-41 '), id);
+  assert.notEqual(podcastEpisodeId('https://feeds.example.com/other.xml', 'ep-41'), id);
+  assert.equal(sourceIdFor('https://cdn.example.com/ep41.mp3'), podcastEpisodeId(null, 'https://cdn.example.com/ep41.mp3'));
+
+  assert.equal(youtubeSourceId('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42'), 'yt-dQw4w9WgXcQ');
+  assert.equal(youtubeSourceId('https://youtu.be/dQw4w9WgXcQ'), 'yt-dQw4w9WgXcQ');
+  assert.equal(youtubeSourceId('https://www.youtube.com/live/dQw4w9WgXcQ'), 'yt-dQw4w9WgXcQ');
+  assert.equal(youtubeSourceId('https://www.youtube.com/shorts/dQw4w9WgXcQ'), 'yt-dQw4w9WgXcQ');
+  assert.equal(youtubeSourceId('https://cdn.example.com/ep41.mp3'), null);
+
+  assert.equal(sourceKind(sourceIdFor('https://youtu.be/dQw4w9WgXcQ')), 'youtube');
+  assert.equal(sourceKind(id), 'podcast');
+});
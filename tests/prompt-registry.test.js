@@ -0,0 +1,80 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { PromptRegistry, PromptError, promptRegistry } = await import('../services/llm/prompt-registry.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lumos-prompts-'));
+fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+  extraction: { description: 'Claim extraction', active: '1', split: { 1: 50, 2: 50 } },
+  verification: { active: '2' }
+}));
+for (const [file, text] of [
+  ['extraction/v1.md', 'Extract claims (v1)'],
+  ['extraction/v1.pl.md', 'Wyodrębnij twierdzenia (v1)'],
+  ['extraction/v2.md', 'Extract claims (v2)\n'],
+  ['verification/v1.md', 'Verify (v1)'],
+  ['verification/v2.md', 'Verify (v2)']
+]) {
+  fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), text);
+}
+
+afterEach(() => {
+  delete process.env.PROMPT_VERSION_EXTRACTION;
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('get returns the active or requested version, translated when available', () => {
+  const registry = new PromptRegistry({ dir });
+
+  assert.deepEqual(registry.get('verification'), { id: 'verification', version: '2', language: 'en', text: 'Verify (v2)' });
+  assert.equal(registry.get('extraction', '2').text, 'Extract claims (v2)');
+  assert.deepEqual(registry.get('extraction', '1', 'pl'), { id: 'extraction', version: '1', language: 'pl', text: 'Wyodrębnij twierdzenia (v1)' });
+  // No Polish v2: the English file of the same version
+  assert.deepEqual(registry.get('extraction', '2', 'pl'), { id: 'extraction', version: '2', language: 'en', text: 'Extract claims (v2)' });
+
+  assert.throws(() => registry.get('summary'), PromptError);
+  assert.throws(() => registry.get('verification', '9'), /Prompt verification v9 not found/);
+});
+
+test('assign buckets each video by the manifest split, the same way every time', () => {
+  const registry = new PromptRegistry({ dir });
+  const videos = Array.from({ length: 200 }, (_, i) => `yt-video${String(i).padStart(5, '0')}`);
+
+  const versions = videos.map(video => registry.assign('extraction', video).version);
+  const again = videos.map(video => new PromptRegistry({ dir }).assign('extraction', video, 'pl').version);
+  const v2 = versions.filter(version => version === '2').length;
+
+  assert.deepEqual(again, versions);
+  assert.ok(v2 > 60 && v2 < 140, `expected roughly half on v2, got ${v2}`);
+  // Without a subject or a split: the active version
+  assert.equal(registry.assign('extraction').version, '1');
+  assert.equal(registry.assign('verification', videos[0]).version, '2');
+});
+
+test('PROMPT_VERSION_<ID> pins a version over the split', () => {
+  const registry = new PromptRegistry({ dir });
+  process.env.PROMPT_VERSION_EXTRACTION = '2';
+
+  assert.ok(Array.from({ length: 20 }, (_, i) => registry.assign('extraction', `yt-${i}`).version).every(v => v === '2'));
+  assert.deepEqual(registry.list()[0], {
+    id: 'extraction',
+    description: 'Claim extraction',
+    active: '1',
+    pinned: '2',
+    split: { 1: 50, 2: 50 },
+    versions: ['1', '2'],
+    languages: { 1: ['pl'] }
+  });
+});
+
+test('every prompt in the shipped manifest has its active version on disk', () => {
+  for (const info of promptRegistry.list()) {
+    assert.ok(info.versions.includes(info.active), `${info.id} v${info.active} missing`);
+    assert.ok(promptRegistry.get(info.id).text.length > 0);
+  }
+});
@@ -0,0 +1,85 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { RateLimiter } = await import('../services/claim-extraction/rate-limiter.js');
+
+const originalFetch = globalThis.fetch;
+let responses;
+let requested;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  requested = 0;
+  responses = [];
+  globalThis.fetch = async () => {
+    requested++;
+    return responses.shift() || new Response('ok', { status: 200 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+const limited = (status, retryAfter) =>
+  new Response('slow down', { status, headers: retryAfter === undefined ? {} : { 'retry-after': retryAfter } });
+
+test('acquire spends the burst, then waits for the next token', async () => {
+  const limiter = new RateLimiter({ buckets: { openalex: { ratePerSec: 20, burst: 2 } } });
+
+  const start = Date.now();
+  await limiter.acquire('openalex');
+  await limiter.acquire('openalex');
+  assert.ok(Date.now() - start < 25);
+
+  await limiter.acquire('openalex');
+  assert.ok(Date.now() - start >= 40);
+
+  const [stats] = limiter.getStats();
+  assert.deepEqual({ ...stats, paused_for_ms: 0 }, {
+    service: 'openalex', rate_per_sec: 20, burst: 2, waits: 1, rate_limited: 0, paused_for_ms: 0
+  });
+});
+
+test('fetch pauses the service for Retry-After on 429 and retries', async () => {
+  const limiter = new RateLimiter({ buckets: { semantic_scholar: { ratePerSec: 100, burst: 5 } } });
+  responses = [limited(429, '0.1')];
+
+  const start = Date.now();
+  const response = await limiter.fetch('semantic_scholar', 'https://api.semanticscholar.org/graph/v1/paper/search');
+
+  assert.equal(response.status, 200);
+  assert.equal(requested, 2);
+  assert.ok(Date.now() - start >= 90);
+  assert.equal(limiter.getStats()[0].rate_limited, 1);
+});
+
+test('fetch returns the 429 when Retry-After is too long or retries run out', async () => {
+  const limiter = new RateLimiter({
+    buckets: { google: { ratePerSec: 100, burst: 5 } },
+    maxRetries: 1,
+    baseBackoffSec: 0.01
+  });
+
+  // A daily quota: give up straight away
+  responses = [limited(429, '3600')];
+  assert.equal((await limiter.fetch('google', 'https://www.googleapis.com/customsearch/v1')).status, 429);
+  assert.equal(requested, 1);
+
+  // No Retry-After: exponential backoff, then give up
+  responses = [limited(429), limited(429)];
+  assert.equal((await limiter.fetch('google', 'https://www.googleapis.com/customsearch/v1')).status, 429);
+  assert.equal(requested, 3);
+
+  // 503 without Retry-After is an ordinary error
+  responses = [limited(503)];
+  assert.equal((await limiter.fetch('google', 'https://www.googleapis.com/customsearch/v1')).status, 503);
+  assert.equal(requested, 4);
+  assert.equal(limiter.getStats()[0].rate_limited, 3);
+});
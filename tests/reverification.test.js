@@ -0,0 +1,80 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.REVERIFY_INTERVAL_HOURS = '0';
+
+const { Reverifier } = await import('../services/claim-extraction/reverification.js');
+const { verificationQueue } = await import('../services/claim-extraction/verification-queue.js');
+const { jobEvents } = await import('../services/claim-extraction/job-events.js');
+
+const VIDEO_ID = 'yt-aaaaaaaaaaa';
+let logs;
+
+before(() => {
+  mock.method(console, 'log', message => logs.push(String(message)));
+  mock.method(console, 'warn', message => logs.push(String(message)));
+});
+
+after(() => mock.restoreAll());
+
+function row(claimId) {
+  return { claim_id: claimId, video_id: VIDEO_ID, verification_verdict: 'unverifiable' };
+}
+
+// Stored claims and the pipeline replaced in place; everything else is the real Reverifier
+function reverifier({ verify, previous = 'unverifiable' }) {
+  const instance = new Reverifier({});
+  const rows = [row(`${VIDEO_ID}_claim_0`), row(`${VIDEO_ID}_claim_1`)];
+  instance.results = {
+    getClaim: async claimId => rows.find(r => r.claim_id === claimId) || null,
+    listVideoClaims: async () => rows,
+    toSynthesizedClaim: r => ({ claim_id: r.claim_id, video_id: r.video_id }),
+    saveVerification: async (claimId, verified) => ({
+      verdict: verified.verdict,
+      previousVerdict: previous,
+      flipped: verified.verdict !== previous
+    })
+  };
+  instance.pipeline = { verifyClaim: verify };
+  return instance;
+}
+
+async function summary() {
+  for (let i = 0; i < 50 && !logs.some(line => line.includes('Re-verification done')); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return logs.find(line => line.includes('Re-verification done'));
+}
+
+test('reverifyVideo runs even while the claims are still verifying for the video', async () => {
+  logs = [];
+  const since = jobEvents.replay(VIDEO_ID).at(-1)?.id ?? 0;
+  let releaseInitial;
+  // The processing run's verifyAndStore resolves with nothing
+  const initial = verificationQueue.add('video', `${VIDEO_ID}_claim_0`, () => new Promise(resolve => { releaseInitial = resolve; }));
+
+  const queued = await reverifier({ verify: async claim => ({ verdict: claim.claim_id.endsWith('0') ? 'supported' : 'unverifiable' }) })
+    .reverifyVideo(VIDEO_ID);
+
+  assert.equal(queued, 2);
+  assert.match(await summary(), /done \(yt-aaaaaaaaaaa\): 2 verified, 1 changed, 0 failed/);
+  const changed = jobEvents.replay(VIDEO_ID, since).filter(e => e.type === 'claim_verdict_changed');
+  assert.deepEqual(changed.map(e => [e.data.claim_id, e.data.previous_verdict, e.data.verification_verdict]), [
+    [`${VIDEO_ID}_claim_0`, 'unverifiable', 'supported']
+  ]);
+
+  releaseInitial();
+  await initial;
+});
+
+test('failed re-verifications are counted, not thrown', async () => {
+  logs = [];
+
+  const queued = await reverifier({ verify: async () => { throw new Error('OpenAlex down'); } })
+    .reverifyClaim(`${VIDEO_ID}_claim_1`);
+
+  assert.equal(queued, true);
+  assert.match(await summary(), /0 verified, 0 changed, 1 failed/);
+  assert.ok(logs.some(line => line.includes('Re-verification failed')));
+  assert.equal(await reverifier({ verify: async () => ({}) }).reverifyClaim('yt-missing_claim_0'), false);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { TimestampAligner, timestampAligner } = await import('../services/claim-extraction/timestamp-alignment.js');
+
+const segments = [
+  { startSec: 100, endSec: 104, text: 'so let me tell you about the study' },
+  { startSec: 104, endSec: 108, text: 'Aric Prather found that people sleeping under six hours' },
+  { startSec: 108, endSec: 112, text: 'were four times more likely to catch a cold' },
+  { startSec: 112, endSec: 118, text: 'which is huge, right' },
+  { startSec: 600, endSec: 605, text: 'again, sleeping under six hours' },
+  { startSec: 605, endSec: 610, text: 'four times more likely to catch a cold' }
+];
+
+test('align finds the segments a quote spans', () => {
+  const alignment = timestampAligner.align(
+    'Prather found that people sleeping under six hours were four times more likely to catch a cold',
+    segments,
+    'captions'
+  );
+
+  assert.deepEqual(alignment, { start_sec: 104, end_sec: 112, confidence: 1, source: 'captions' });
+});
+
+test('a repeated quote aligns to the occurrence nearest the extracted timestamp', () => {
+  const quote = 'sleeping under six hours, four times more likely to catch a cold';
+
+  assert.equal(timestampAligner.align(quote, segments, 'whisper', 590).start_sec, 600);
+  assert.equal(timestampAligner.align(quote, segments, 'whisper', 95).start_sec, 104);
+});
+
+test('paraphrases below the confidence threshold stay unaligned', () => {
+  const quote = 'Short sleepers got more colds in a rhinovirus challenge study';
+
+  assert.equal(timestampAligner.align(quote, segments, 'captions'), null);
+  assert.equal(new TimestampAligner({ minConfidence: 0.1 }).align(quote, segments, 'captions').confidence, 0.14);
+  assert.equal(timestampAligner.align('the and of', segments, 'captions'), null);
+  assert.equal(timestampAligner.align('four times more likely', [], 'captions'), null);
+});
+
+test('windows never span more than maxWindowSeconds', () => {
+  const quote = 'Prather sleeping under six hours four times more likely cold';
+
+  assert.equal(new TimestampAligner({ minConfidence: 0.3 }).align(quote, segments, 'captions').end_sec, 112);
+  // The whole quote needs 104–112s; a 5 second window only reaches the first half
+  assert.deepEqual(new TimestampAligner({ minConfidence: 0.3, maxWindowSeconds: 5 }).align(quote, segments, 'captions'),
+    { start_sec: 104, end_sec: 108, confidence: 0.5, source: 'captions' });
+});
+
+test('alignClaims stores the alignment on each claim and counts the aligned ones', () => {
+  const claims = [
+    {
+      claim_id: 'c0',
+      timestamp: '01:30',
+      segment: { full_text: 'people sleeping under six hours were four times more likely to catch a cold' },
+      extraction: { finding_summary: 'Short sleep raises cold risk' }
+    },
+    {
+      claim_id: 'c1',
+      timestamp: '2026-01-01T00:00:00Z',
+      segment: { full_text: '' },
+      extraction: { finding_summary: 'Caffeine half-life is five hours' }
+    }
+  ];
+
+  assert.equal(timestampAligner.alignClaims(claims, segments, 'captions'), 1);
+  assert.deepEqual(claims[0].alignment, { start_sec: 104, end_sec: 112, confidence: 1, source: 'captions' });
+  assert.equal(claims[1].alignment, null);
+});
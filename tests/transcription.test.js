@@ -0,0 +1,112 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.OPENAI_API_KEY ||= 'sk-test-0000000000';
+
+const { LocalTranscriptionBackend, createTranscriptionBackend } = await import('../services/transcription/index.js');
+const { AudioProcessor } = await import('../services/audio-processor.js');
+
+const LOCAL_URL = 'http://localhost:8080/inference';
+const audio = Buffer.alloc(4096, 1);
+
+const originalFetch = globalThis.fetch;
+let requests;
+let reply;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  requests = [];
+  reply = () => Response.json({});
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), form: init.body });
+    return reply();
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('OpenAI-style verbose_json is filled out to the WhisperSegment shape', async () => {
+  reply = () => Response.json({
+    text: ' Sleep is the foundation. ',
+    language: 'english',
+    duration: 9.5,
+    segments: [
+      { id: 7, seek: 0, start: 0, end: 4.2, text: ' Sleep is', tokens: [50364, 'x', 1234], avg_logprob: -0.2 },
+      { start: 4.2, end: 9.5, text: ' the foundation.' }
+    ]
+  });
+  const backend = new LocalTranscriptionBackend({ url: LOCAL_URL, language: 'en' });
+
+  const result = await backend.transcribe(audio, 'chunk.webm');
+
+  assert.equal(requests[0].url, LOCAL_URL);
+  assert.equal(requests[0].form.get('response_format'), 'verbose_json');
+  assert.equal(requests[0].form.get('language'), 'en');
+  assert.equal(requests[0].form.get('file').name, 'chunk.webm');
+  assert.deepEqual(result, {
+    text: 'Sleep is the foundation.',
+    language: 'english',
+    duration: 9.5,
+    segments: [
+      { id: 0, seek: 0, start: 0, end: 4.2, text: ' Sleep is', tokens: [50364, 1234], temperature: 0, avg_logprob: -0.2, compression_ratio: 0, no_speech_prob: 0 },
+      { id: 1, seek: 0, start: 4.2, end: 9.5, text: ' the foundation.', tokens: [], temperature: 0, avg_logprob: 0, compression_ratio: 0, no_speech_prob: 0 }
+    ]
+  });
+});
+
+test("whisper.cpp's own JSON (millisecond offsets) is accepted", async () => {
+  reply = () => Response.json({
+    result: { language: 'pl' },
+    transcription: [
+      { offsets: { from: 0, to: 2500 }, text: ' Dzień dobry' },
+      { offsets: { from: 2500, to: 6000 }, text: ' państwu.' }
+    ]
+  });
+
+  const result = await new LocalTranscriptionBackend({ url: LOCAL_URL }).transcribe(audio, 'chunk.wav');
+
+  assert.equal(result.text, 'Dzień dobry państwu.');
+  assert.equal(result.language, 'pl');
+  assert.equal(result.duration, 6);
+  assert.deepEqual(result.segments.map(s => [s.start, s.end]), [[0, 2.5], [2.5, 6]]);
+});
+
+test('server errors and missing configuration are reported', async () => {
+  reply = () => new Response('model not loaded', { status: 503 });
+  await assert.rejects(new LocalTranscriptionBackend({ url: LOCAL_URL }).transcribe(audio, 'a.mp3'), /returned 503: model not loaded/);
+
+  reply = () => { throw new TypeError('fetch failed'); };
+  await assert.rejects(new LocalTranscriptionBackend({ url: LOCAL_URL }).transcribe(audio, 'a.mp3'), /unreachable: fetch failed/);
+
+  await assert.rejects(new LocalTranscriptionBackend({ url: null }).transcribe(audio, 'a.mp3'), /WHISPER_LOCAL_URL is not set/);
+});
+
+test('createTranscriptionBackend picks the configured backend', () => {
+  assert.equal(createTranscriptionBackend('local').name, 'local');
+  assert.equal(createTranscriptionBackend('openai').name, 'openai');
+  assert.equal(createTranscriptionBackend('whisperx').name, 'openai');
+});
+
+test('AudioProcessor only charges billable backends', async () => {
+  const transcription = { text: 'hello', segments: [], language: 'en', duration: 120 };
+  const local = new AudioProcessor({ name: 'local', billable: false, transcribe: async () => transcription });
+  const api = new AudioProcessor({ name: 'openai', billable: true, transcribe: async () => transcription });
+
+  const free = await local.transcribeAudio(audio, 'chunk.webm');
+  const paid = await api.transcribeAudio(audio, 'chunk.webm');
+
+  assert.equal(free.cost, 0);
+  assert.equal(local.getDailyCost('whisper'), 0);
+  assert.ok(paid.cost > 0);
+  assert.equal(api.getDailyCost('whisper'), paid.cost);
+  assert.equal(free.text, 'hello');
+});
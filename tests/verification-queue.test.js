@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { VerificationQueue } = await import('../services/claim-extraction/verification-queue.js');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('add shares one run between callers queuing the same claim', async () => {
+  const queue = new VerificationQueue({ concurrency: 2 });
+  let runs = 0;
+  const task = async () => { runs++; await delay(10); return 'supported'; };
+
+  const results = await Promise.all([queue.add('video', 'claim_0', task), queue.add('video', 'claim_0', task)]);
+
+  assert.deepEqual(results, ['supported', 'supported']);
+  assert.equal(runs, 1);
+
+  // Finished claims can be queued again
+  await queue.add('video', 'claim_0', task);
+  assert.equal(runs, 2);
+});
+
+test('runs of different kinds for the same claim do not share a result', async () => {
+  const queue = new VerificationQueue({ concurrency: 2 });
+
+  const [stored, saved] = await Promise.all([
+    queue.add('video', 'claim_0', async () => { await delay(5); }),
+    queue.add('reverify', 'claim_0', async () => ({ verdict: 'supported', flipped: false }))
+  ]);
+
+  assert.equal(stored, undefined);
+  assert.deepEqual(saved, { verdict: 'supported', flipped: false });
+  assert.equal(queue.getStats().completed, 2);
+});
+
+test('no more than `concurrency` tasks run at once', async () => {
+  const queue = new VerificationQueue({ concurrency: 2 });
+  let running = 0;
+  let peak = 0;
+
+  const ids = ['a', 'b', 'c', 'd', 'e'];
+  const pending = ids.map(id => queue.add('video', id, async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await delay(5);
+    running--;
+    return id;
+  }));
+
+  assert.deepEqual(queue.getStats(), { concurrency: 2, running: 2, queued: 3, completed: 0, failed: 0 });
+  assert.deepEqual(await Promise.all(pending), ids);
+  assert.equal(peak, 2);
+  assert.equal(queue.getStats().completed, 5);
+});
+
+test('failed tasks reject their callers and are counted as failed', async () => {
+  const queue = new VerificationQueue({ concurrency: 1 });
+
+  await assert.rejects(queue.add('video', 'claim_0', async () => { throw new Error('OpenAlex down'); }), /OpenAlex down/);
+  await assert.rejects(queue.add('video', 'claim_1', () => { throw new Error('thrown before the promise'); }), /before the promise/);
+  assert.equal(await queue.add('video', 'claim_2', async () => 'ok'), 'ok');
+  await delay(0);
+
+  assert.deepEqual(queue.getStats(), { concurrency: 1, running: 0, queued: 0, completed: 1, failed: 2 });
+});
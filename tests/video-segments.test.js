@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { planSegments, mapWithConcurrency } from '../services/claim-extraction/video-segments.js';
+
+const config = { segmentMinutes: 20, overlapSeconds: 30 };
+const windows = segments => segments.map(s => [s.startSec, s.endSec]);
+
+test('planSegments cuts a video into overlapping windows', () => {
+  const segments = planSegments({ durationSec: 3600, chapters: [] }, config);
+
+  assert.deepEqual(windows(segments), [[0, 1230], [1170, 2430], [2370, 3600]]);
+  assert.deepEqual(segments.map(s => s.index), [0, 1, 2]);
+  assert.ok(segments.every(s => s.status === 'pending' && s.claimsCount === 0 && s.chapterTitle === null));
+});
+
+test('planSegments keeps a short video in one window', () => {
+  assert.deepEqual(windows(planSegments({ durationSec: 600, chapters: [] }, config)), [[0, 600]]);
+  // A remainder under a quarter segment joins the last window
+  assert.deepEqual(windows(planSegments({ durationSec: 1500, chapters: [] }, config)), [[0, 1500]]);
+});
+
+test('planSegments snaps cuts to nearby chapter starts', () => {
+  const chapters = [
+    { title: 'Intro', startSec: 0, endSec: 1300 },
+    { title: 'Results', startSec: 1300, endSec: 3600 }
+  ];
+  const segments = planSegments({ durationSec: 3600, chapters }, config);
+
+  assert.deepEqual(windows(segments), [[0, 1330], [1270, 2530], [2470, 3600]]);
+  assert.deepEqual(segments.map(s => s.chapterTitle), ['Intro', 'Results', 'Results']);
+});
+
+test('mapWithConcurrency keeps input order and the concurrency limit', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async ms => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(ms);
+    running--;
+    return ms * 2;
+  });
+
+  assert.deepEqual(results, [60, 10, 40, 2, 20]);
+  assert.equal(peak, 2);
+});
+
+test('mapWithConcurrency handles no items and rejects on a failed task', async () => {
+  assert.deepEqual(await mapWithConcurrency([], 3, async x => x), []);
+  await assert.rejects(
+    mapWithConcurrency([1, 2], 2, async x => { if (x === 2) throw new Error('boom'); return x; }),
+    /boom/
+  );
+});